@@ -0,0 +1,88 @@
+import { createReplica } from "./src/pages/ideas-whiteboard/utils/crdt";
+import { applyAuthorizedOps } from "./src/pages/ideas-whiteboard/utils/collabRoles";
+
+// Local stand-in for the collaboration relay. Rides the dev server's WebSocket:
+// clients join a room (one per board), their ops and presence are forwarded to
+// the other members, and each room keeps a replica of the board so late joiners
+// and reconnecting clients catch up from a snapshot. Like the clients, the room
+// only keeps and forwards ops their authors' roles allow, so a viewer can't
+// overwrite what everyone joining later receives.
+const COLLAB_EVENT = "whiteboard:collab";
+
+const createRoom = () => ({
+  clients: new Map(), // client -> replicaId
+  replica: createReplica("relay"),
+  presence: new Map() // replicaId -> last presence message
+});
+
+export default function collabDevServer() {
+  const rooms = new Map();
+
+  const getRoom = (name) => {
+    if (!rooms.has(name)) rooms.set(name, createRoom());
+    return rooms.get(name);
+  };
+
+  const broadcast = (room, sender, message) => {
+    room.clients.forEach((replicaId, client) => {
+      if (client !== sender) client.send(COLLAB_EVENT, message);
+    });
+  };
+
+  const leave = (roomName, client) => {
+    const room = rooms.get(roomName);
+    const replicaId = room?.clients.get(client);
+    if (!replicaId) return;
+    room.clients.delete(client);
+    room.presence.delete(replicaId);
+    broadcast(room, client, { type: "leave", room: roomName, replicaId });
+  };
+
+  return {
+    name: "whiteboard-collab-dev-server",
+    apply: "serve",
+    configureServer(server) {
+      server.ws.on(COLLAB_EVENT, (message, client) => {
+        if (!message || typeof message.room !== "string") return;
+        const room = getRoom(message.room);
+
+        switch (message.type) {
+          case "join":
+            room.clients.set(client, message.replicaId);
+            client.send(COLLAB_EVENT, {
+              type: "snapshot",
+              room: message.room,
+              ops: room.replica.exportOps()
+            });
+            room.presence.forEach((presence) => client.send(COLLAB_EVENT, presence));
+            broadcast(room, client, message);
+            break;
+          case "ops": {
+            const { accepted } = applyAuthorizedOps(room.replica, message.ops || []);
+            if (accepted.length > 0) broadcast(room, client, { ...message, ops: accepted });
+            break;
+          }
+          case "presence":
+            room.presence.set(message.replicaId, message);
+            broadcast(room, client, message);
+            break;
+          case "leave":
+            leave(message.room, client);
+            break;
+          default:
+            break;
+        }
+      });
+
+      server.ws.on("connection", (socket) => {
+        socket.on("close", () => {
+          rooms.forEach((room, roomName) => {
+            room.clients.forEach((replicaId, client) => {
+              if (client.socket === socket) leave(roomName, client);
+            });
+          });
+        });
+      });
+    }
+  };
+}
@@ -0,0 +1,76 @@
+import { describe, it, expect, vi } from "vitest";
+import collabDevServer from "./collabDevServer.mjs";
+import { createReplica, diffEntities } from "./src/pages/ideas-whiteboard/utils/crdt";
+
+const COLLAB_EVENT = "whiteboard:collab";
+
+// Runs the relay against a stand-in for the dev server's WebSocket
+const startRelay = () => {
+  const handlers = new Map();
+  collabDevServer().configureServer({ ws: { on: (event, handler) => handlers.set(event, handler) } });
+  const connect = () => ({ send: vi.fn(), socket: {} });
+  const send = (client, message) => handlers.get(COLLAB_EVENT)({ room: "board-1", ...message }, client);
+  return { connect, send };
+};
+
+// A collaborator's replica acting for member `memberId`
+const createPeer = (replicaId, memberId) => {
+  const replica = createReplica(replicaId);
+  const commit = (next) => replica.commitLocal(diffEntities({}, next));
+  return {
+    receive: (ops) => replica.applyOps(ops),
+    register: () => commit({ replicas: new Map([[replicaId, { memberId }]]) }),
+    setMembers: (members) => commit({ members: new Map(members.map(member => [String(member.id), member])) }),
+    setNote: (note) => commit({ notes: new Map([[String(note.id), note]]) })
+  };
+};
+
+const team = [
+  { id: 1, name: "Sarah", role: "owner" },
+  { id: 2, name: "Mike", role: "editor" },
+  { id: 3, name: "Ana", role: "viewer" }
+];
+
+const snapshotFor = (relay) => {
+  const client = relay.connect();
+  relay.send(client, { type: "join", replicaId: "rLate" });
+  return client.send.mock.calls.find(([, message]) => message.type === "snapshot")[1].ops;
+};
+
+describe("collabDevServer", () => {
+  it("keeps an editor's note when a viewer later overwrites it", () => {
+    const relay = startRelay();
+    const owner = createPeer("rOwner", 1);
+    const editor = createPeer("rEditor", 2);
+    const viewer = createPeer("rViewer", 3);
+    const ownerOps = [...owner.register(), ...owner.setMembers(team)];
+    relay.send(relay.connect(), { type: "ops", replicaId: "rOwner", ops: ownerOps });
+
+    const editorOps = [...editor.register(), ...editor.setNote({ id: 10, title: "Plan" })];
+    relay.send(relay.connect(), { type: "ops", replicaId: "rEditor", ops: editorOps });
+
+    // The viewer has seen everything, so its stamp is newer than the editor's
+    viewer.receive([...ownerOps, ...editorOps]);
+    const viewerClient = relay.connect();
+    relay.send(viewerClient, { type: "ops", replicaId: "rViewer", ops: [...viewer.register(), ...viewer.setNote({ id: 10, title: "Wiped" })] });
+
+    const late = createReplica("rLate");
+    late.applyOps(snapshotFor(relay));
+    expect(late.materialize().notes.map(note => note.title)).toEqual(["Plan"]);
+  });
+
+  it("forwards only the ops the author may make", () => {
+    const relay = startRelay();
+    const owner = createPeer("rOwner", 1);
+    relay.send(relay.connect(), { type: "ops", replicaId: "rOwner", ops: [...owner.register(), ...owner.setMembers(team)] });
+    const listener = relay.connect();
+    relay.send(listener, { type: "join", replicaId: "rListener" });
+    listener.send.mockClear();
+
+    const viewer = createPeer("rViewer", 3);
+    const registration = viewer.register();
+    relay.send(relay.connect(), { type: "ops", replicaId: "rViewer", ops: [...registration, ...viewer.setNote({ id: 11, title: "Nope" })] });
+
+    expect(listener.send).toHaveBeenCalledWith(COLLAB_EVENT, expect.objectContaining({ type: "ops", ops: registration }));
+  });
+});
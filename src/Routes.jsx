@@ -23,6 +23,7 @@ const Routes = () => {
         <Route path="/blog-detail-view" element={<BlogDetailView />} />
         <Route path="/products-showcase" element={<ProductsShowcase />} />
         <Route path="/ideas-whiteboard" element={<IdeasWhiteboard />} />
+        <Route path="/ideas-whiteboard/:boardId" element={<IdeasWhiteboard />} />
         <Route path="*" element={<NotFound />} />
       </RouterRoutes>
       </ErrorBoundary>
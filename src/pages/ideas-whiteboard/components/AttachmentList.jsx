@@ -0,0 +1,98 @@
+import React, { useRef } from 'react';
+import Icon from '../../../components/AppIcon';
+import Button from '../../../components/ui/Button';
+import { getBlob } from '../utils/blobStore';
+import { downloadBlob } from '../utils/download';
+import { formatFileSize } from '../utils/attachments';
+
+const fileIcon = (mimeType) => {
+  if (/^image\//.test(mimeType)) return 'FileImage';
+  if (/^text\/|\/(json|xml|pdf)$/.test(mimeType)) return 'FileText';
+  return 'File';
+};
+
+// Files attached to a note, with download, remove and an "Attach file" picker
+const AttachmentList = ({ attachments = [], readOnly, onAdd, onRemove }) => {
+  const inputRef = useRef(null);
+
+  const handleDownload = async (attachment) => {
+    try {
+      const blob = await getBlob(attachment.blobId);
+      if (!blob) {
+        alert(`"${attachment.name}" isn't stored on this device`);
+        return;
+      }
+      downloadBlob(blob, attachment.name);
+    } catch (error) {
+      alert(error.message || 'Could not open the file');
+    }
+  };
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-sm font-semibold text-foreground">
+          Attachments ({attachments.length})
+        </h3>
+        {!readOnly && (
+          <>
+            <Button
+              variant="ghost"
+              size="xs"
+              iconName="Paperclip"
+              iconPosition="left"
+              onClick={() => inputRef.current?.click()}
+            >
+              Attach file
+            </Button>
+            <input
+              ref={inputRef}
+              type="file"
+              multiple
+              className="hidden"
+              onChange={(e) => {
+                onAdd([...e.target.files]);
+                e.target.value = '';
+              }}
+            />
+          </>
+        )}
+      </div>
+      {attachments.length > 0 ? (
+        <div className="space-y-2">
+          {attachments.map(attachment => (
+            <div key={attachment.id} className="flex items-center p-2 bg-muted rounded-lg">
+              <Icon name={fileIcon(attachment.mimeType)} size={16} className="text-text-secondary flex-shrink-0" />
+              <button
+                type="button"
+                onClick={() => handleDownload(attachment)}
+                className="flex-1 min-w-0 ml-2 text-left"
+                title={`Download ${attachment.name}`}
+              >
+                <p className="text-sm font-medium text-foreground truncate hover:underline">{attachment.name}</p>
+                <p className="text-xs text-text-secondary">{formatFileSize(attachment.size || 0)}</p>
+              </button>
+              {!readOnly && (
+                <Button
+                  variant="ghost"
+                  size="icon"
+                  onClick={() => onRemove(attachment.id)}
+                  className="w-6 h-6 text-destructive hover:text-destructive"
+                  title="Remove attachment"
+                >
+                  <Icon name="X" size={12} />
+                </Button>
+              )}
+            </div>
+          ))}
+        </div>
+      ) : (
+        <p className="text-sm text-text-secondary">
+          No files attached.
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default AttachmentList;
@@ -0,0 +1,32 @@
+import React, { useState, useEffect } from 'react';
+import Icon from '../../../components/AppIcon';
+import { getBlobUrl } from '../utils/blobStore';
+
+// An image kept in the board's blob store. Boards opened on another device (or
+// shared without their files) show a placeholder instead.
+const BlobImage = ({ blobId, alt, className = '' }) => {
+  const [url, setUrl] = useState(undefined);
+
+  useEffect(() => {
+    let cancelled = false;
+    setUrl(undefined);
+    getBlobUrl(blobId).then(result => {
+      if (!cancelled) setUrl(result);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [blobId]);
+
+  if (url) {
+    return <img src={url} alt={alt} className={className} draggable={false} />;
+  }
+  return (
+    <div className={`flex flex-col items-center justify-center bg-white/50 text-gray-500 ${className}`}>
+      <Icon name={url === null ? 'ImageOff' : 'Image'} size={20} />
+      {url === null && <span className="text-xs mt-1">Image not on this device</span>}
+    </div>
+  );
+};
+
+export default BlobImage;
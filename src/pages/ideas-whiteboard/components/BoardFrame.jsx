@@ -0,0 +1,164 @@
+import React, { useState, useEffect, memo } from 'react';
+import Icon from '../../../components/AppIcon';
+import { FRAME_COLORS, FRAME_HEADER_HEIGHT } from '../utils/frames';
+
+const frameColorClasses = {
+  gray: { body: 'border-gray-300 bg-gray-50/70', header: 'bg-gray-100 text-gray-700', swatch: '#d1d5db' },
+  blue: { body: 'border-blue-300 bg-blue-50/70', header: 'bg-blue-100 text-blue-800', swatch: '#93c5fd' },
+  green: { body: 'border-green-300 bg-green-50/70', header: 'bg-green-100 text-green-800', swatch: '#86efac' },
+  yellow: { body: 'border-yellow-300 bg-yellow-50/70', header: 'bg-yellow-100 text-yellow-800', swatch: '#fde047' },
+  pink: { body: 'border-pink-300 bg-pink-50/70', header: 'bg-pink-100 text-pink-800', swatch: '#f9a8d4' },
+  purple: { body: 'border-purple-300 bg-purple-50/70', header: 'bg-purple-100 text-purple-800', swatch: '#c4b5fd' }
+};
+
+const BoardFrame = ({
+  frame,
+  noteCount,
+  isFiltered,
+  onStartDrag,
+  onStartResize,
+  onUpdate,
+  onDelete,
+  onExport,
+  onFilter,
+  readOnly = false
+}) => {
+  const [isEditingTitle, setIsEditingTitle] = useState(false);
+  const [title, setTitle] = useState(frame.title);
+  const [showColors, setShowColors] = useState(false);
+  const colors = frameColorClasses[frame.color] || frameColorClasses.gray;
+
+  // Pick up renames from undo/redo
+  useEffect(() => {
+    setTitle(frame.title);
+  }, [frame.title]);
+
+  const commitTitle = () => {
+    const next = title.trim() || 'Untitled frame';
+    setIsEditingTitle(false);
+    setTitle(next);
+    if (next !== frame.title) {
+      onUpdate(frame.id, { title: next }, 'Rename frame');
+    }
+  };
+
+  const handleHeaderMouseDown = (e) => {
+    if (readOnly || e.button !== 0 || e.ctrlKey || e.target.closest('button, input')) return;
+    e.stopPropagation();
+    e.preventDefault();
+    onStartDrag(e, frame);
+  };
+
+  const headerButton = (icon, label, onClick) => (
+    <button
+      onClick={(e) => {
+        e.stopPropagation();
+        onClick();
+      }}
+      className="w-6 h-6 flex items-center justify-center rounded hover:bg-black/10 transition-micro"
+      title={label}
+    >
+      <Icon name={icon} size={14} />
+    </button>
+  );
+
+  return (
+    <div
+      className={`absolute rounded-xl border-2 pointer-events-none ${colors.body} ${
+        isFiltered ? 'ring-2 ring-primary ring-offset-2' : ''
+      }`}
+      style={{
+        left: frame.x,
+        top: frame.y,
+        width: frame.width,
+        height: frame.collapsed ? FRAME_HEADER_HEIGHT : frame.height
+      }}
+    >
+      {/* Header: drag handle and controls */}
+      <div
+        className={`flex items-center justify-between px-3 rounded-t-[10px] pointer-events-auto ${readOnly ? '' : 'cursor-move'} ${colors.header} ${
+          frame.collapsed ? 'rounded-b-[10px]' : ''
+        }`}
+        style={{ height: FRAME_HEADER_HEIGHT - 2 }}
+        onMouseDown={handleHeaderMouseDown}
+        onClick={(e) => e.stopPropagation()}
+        onDoubleClick={() => !readOnly && setIsEditingTitle(true)}
+      >
+        <div className="flex items-center space-x-2 min-w-0">
+          {!readOnly && headerButton(frame.collapsed ? 'ChevronRight' : 'ChevronDown', frame.collapsed ? 'Expand frame' : 'Collapse frame', () => (
+            onUpdate(frame.id, { collapsed: !frame.collapsed }, frame.collapsed ? 'Expand frame' : 'Collapse frame')
+          ))}
+          {isEditingTitle ? (
+            <input
+              type="text"
+              value={title}
+              onChange={(e) => setTitle(e.target.value)}
+              onBlur={commitTitle}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter') commitTitle();
+                if (e.key === 'Escape') {
+                  setTitle(frame.title);
+                  setIsEditingTitle(false);
+                }
+              }}
+              className="h-7 px-2 text-sm font-semibold bg-white rounded border border-border focus:outline-none"
+              autoFocus
+            />
+          ) : (
+            <span className="text-sm font-semibold truncate" title={readOnly ? frame.title : 'Double-click to rename'}>
+              {frame.title}
+            </span>
+          )}
+          <span className="text-xs opacity-70 flex-shrink-0">{noteCount}</span>
+        </div>
+
+        <div className="flex items-center space-x-1 flex-shrink-0">
+          {!readOnly && (
+            <div className="relative">
+              {headerButton('Palette', 'Frame color', () => setShowColors(!showColors))}
+              {showColors && (
+                <div className="absolute right-0 mt-1 p-2 bg-popover border border-border rounded-lg shadow-modal flex space-x-1 z-10">
+                  {FRAME_COLORS.map(color => (
+                    <button
+                      key={color}
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        onUpdate(frame.id, { color }, 'Change frame color');
+                        setShowColors(false);
+                      }}
+                      className="w-5 h-5 rounded-full border border-gray-300"
+                      style={{ backgroundColor: frameColorClasses[color].swatch }}
+                      title={color.charAt(0).toUpperCase() + color.slice(1)}
+                    />
+                  ))}
+                </div>
+              )}
+            </div>
+          )}
+          {headerButton('Filter', isFiltered ? 'Show all notes' : 'Show only this frame', () => onFilter(isFiltered ? null : frame.id))}
+          {headerButton('Download', 'Export frame', () => onExport(frame.id))}
+          {!readOnly && headerButton('Trash2', 'Delete frame', () => onDelete(frame.id))}
+        </div>
+      </div>
+
+      {/* Resize handle */}
+      {!frame.collapsed && !readOnly && (
+        <div
+          className="absolute -bottom-1 -right-1 w-4 h-4 pointer-events-auto cursor-nwse-resize"
+          onMouseDown={(e) => {
+            if (e.button !== 0) return;
+            e.stopPropagation();
+            e.preventDefault();
+            onStartResize(e, frame);
+          }}
+          onClick={(e) => e.stopPropagation()}
+          title="Resize frame"
+        >
+          <Icon name="MoveDiagonal2" size={12} className="text-text-secondary" />
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default memo(BoardFrame);
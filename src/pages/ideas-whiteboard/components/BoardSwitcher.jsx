@@ -0,0 +1,208 @@
+import React, { useState, useEffect } from 'react';
+import Icon from '../../../components/AppIcon';
+import Button from '../../../components/ui/Button';
+
+const BoardSwitcher = ({
+  boards,
+  activeBoardId,
+  onSwitchBoard,
+  onCreateBoard,
+  onRenameBoard,
+  onDuplicateBoard,
+  onArchiveBoard,
+  onRestoreBoard,
+  onDeleteBoard
+}) => {
+  const [showDropdown, setShowDropdown] = useState(false);
+  const [showArchived, setShowArchived] = useState(false);
+  const [renamingId, setRenamingId] = useState(null);
+  const [renameValue, setRenameValue] = useState('');
+
+  const activeBoard = boards.find(board => board.id === activeBoardId);
+  const activeBoards = boards.filter(board => !board.archived);
+  const archivedBoards = boards.filter(board => board.archived);
+
+  // Close dropdown when clicking outside
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (!event.target.closest('.board-switcher')) {
+        setShowDropdown(false);
+        setRenamingId(null);
+      }
+    };
+
+    if (showDropdown) {
+      document.addEventListener('mousedown', handleClickOutside);
+      return () => document.removeEventListener('mousedown', handleClickOutside);
+    }
+  }, [showDropdown]);
+
+  const startRename = (board) => {
+    setRenamingId(board.id);
+    setRenameValue(board.name);
+  };
+
+  const commitRename = () => {
+    if (renameValue.trim()) {
+      onRenameBoard(renamingId, renameValue.trim());
+    }
+    setRenamingId(null);
+  };
+
+  const handleRenameKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      commitRename();
+    } else if (e.key === 'Escape') {
+      setRenamingId(null);
+    }
+  };
+
+  const handleSwitch = (boardId) => {
+    onSwitchBoard(boardId);
+    setShowDropdown(false);
+  };
+
+  const renderBoardRow = (board) => {
+    const isActive = board.id === activeBoardId;
+
+    if (renamingId === board.id) {
+      return (
+        <div key={board.id} className="flex items-center space-x-1 px-2 py-1">
+          <input
+            type="text"
+            value={renameValue}
+            onChange={(e) => setRenameValue(e.target.value)}
+            onKeyDown={handleRenameKeyDown}
+            onBlur={commitRename}
+            autoFocus
+            className="flex-1 px-2 py-1 text-sm border border-border rounded-md focus:ring-2 focus:ring-primary focus:border-transparent"
+          />
+        </div>
+      );
+    }
+
+    return (
+      <div
+        key={board.id}
+        className={`group flex items-center rounded-lg transition-micro ${
+          isActive ? 'bg-primary text-primary-foreground' : 'hover:bg-muted text-foreground'
+        }`}
+      >
+        <button
+          onClick={() => handleSwitch(board.id)}
+          className="flex-1 flex items-center space-x-2 px-3 py-2 text-left min-w-0"
+        >
+          <Icon name={board.archived ? 'Archive' : 'LayoutDashboard'} size={14} />
+          <span className="text-sm truncate">{board.name}</span>
+        </button>
+        <div className="flex items-center pr-1 opacity-0 group-hover:opacity-100">
+          <button
+            onClick={() => startRename(board)}
+            className="p-1 rounded hover:bg-black/10"
+            title="Rename board"
+          >
+            <Icon name="Pencil" size={12} />
+          </button>
+          <button
+            onClick={() => {
+              onDuplicateBoard(board.id);
+              setShowDropdown(false);
+            }}
+            className="p-1 rounded hover:bg-black/10"
+            title="Duplicate board"
+          >
+            <Icon name="Copy" size={12} />
+          </button>
+          {board.archived ? (
+            <button
+              onClick={() => onRestoreBoard(board.id)}
+              className="p-1 rounded hover:bg-black/10"
+              title="Restore board"
+            >
+              <Icon name="ArchiveRestore" size={12} />
+            </button>
+          ) : (
+            <button
+              onClick={() => onArchiveBoard(board.id)}
+              className="p-1 rounded hover:bg-black/10"
+              title="Archive board"
+            >
+              <Icon name="Archive" size={12} />
+            </button>
+          )}
+          <button
+            onClick={() => onDeleteBoard(board.id)}
+            className="p-1 rounded hover:bg-black/10 text-destructive"
+            title="Delete board"
+          >
+            <Icon name="Trash2" size={12} />
+          </button>
+        </div>
+      </div>
+    );
+  };
+
+  return (
+    <div className="relative board-switcher">
+      <Button
+        variant="outline"
+        size="sm"
+        onClick={() => setShowDropdown(!showDropdown)}
+        className="max-w-48"
+        title="Switch board"
+      >
+        <Icon name="LayoutDashboard" size={14} className="mr-1 flex-shrink-0" />
+        <span className="truncate">{activeBoard?.name || 'Boards'}</span>
+        <Icon name="ChevronDown" size={14} className="ml-1 flex-shrink-0" />
+      </Button>
+
+      {showDropdown && (
+        <div className="absolute left-0 mt-2 w-72 bg-popover border border-border rounded-lg shadow-modal z-1010">
+          <div className="p-3">
+            <h3 className="text-sm font-semibold text-foreground mb-2">Boards</h3>
+            <div className="space-y-1 max-h-64 overflow-y-auto">
+              {activeBoards.map(renderBoardRow)}
+              {activeBoards.length === 0 && (
+                <p className="text-xs text-text-secondary px-3 py-2">No active boards</p>
+              )}
+            </div>
+          </div>
+
+          {archivedBoards.length > 0 && (
+            <div className="px-3 pb-3">
+              <button
+                onClick={() => setShowArchived(!showArchived)}
+                className="flex items-center space-x-1 text-xs text-text-secondary hover:text-foreground mb-1"
+              >
+                <Icon name={showArchived ? 'ChevronDown' : 'ChevronRight'} size={12} />
+                <span>Archived ({archivedBoards.length})</span>
+              </button>
+              {showArchived && (
+                <div className="space-y-1 max-h-40 overflow-y-auto">
+                  {archivedBoards.map(renderBoardRow)}
+                </div>
+              )}
+            </div>
+          )}
+
+          <div className="p-3 border-t border-border">
+            <Button
+              variant="ghost"
+              onClick={() => {
+                onCreateBoard();
+                setShowDropdown(false);
+              }}
+              className="w-full justify-start text-sm"
+              iconName="Plus"
+              iconPosition="left"
+            >
+              New Board
+            </Button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BoardSwitcher;
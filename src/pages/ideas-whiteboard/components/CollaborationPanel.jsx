@@ -2,6 +2,7 @@ import React, { useState } from 'react';
 import Icon from '../../../components/AppIcon';
 import Button from '../../../components/ui/Button';
 import Input from '../../../components/ui/Input';
+import { ASSIGNABLE_ROLES } from '../utils/permissions';
 
 const CollaborationPanel = ({ 
   isVisible, 
@@ -9,13 +10,26 @@ const CollaborationPanel = ({
   collaborators, 
   onInviteUser, 
   onRemoveUser,
-  currentUser 
+  onChangeRole,
+  onTransferOwnership,
+  currentUser,
+  canManageCollaborators = true,
+  canTransferOwnership = true,
+  isCollaborative,
+  shareLink,
+  onShareLink,
+  onlinePeers = []
 }) => {
   const [inviteEmail, setInviteEmail] = useState('');
   const [inviteRole, setInviteRole] = useState('editor');
+  const [linkRole, setLinkRole] = useState('editor');
+  const [linkCopied, setLinkCopied] = useState(false);
 
   if (!isVisible) return null;
 
+  // Whoever opens the link joins as the link's member seat, with that seat's role
+  const roleLink = shareLink ? `${shareLink}&member=link-${linkRole}` : '';
+
   const handleInvite = () => {
     if (inviteEmail.trim()) {
       onInviteUser({
@@ -27,6 +41,17 @@ const CollaborationPanel = ({
     }
   };
 
+  const handleCopyLink = async () => {
+    onShareLink?.(linkRole);
+    try {
+      await navigator.clipboard.writeText(roleLink);
+      setLinkCopied(true);
+      setTimeout(() => setLinkCopied(false), 2000);
+    } catch (error) {
+      window.prompt('Copy this link', roleLink);
+    }
+  };
+
   const getRoleColor = (role) => {
     const roleColors = {
       owner: 'bg-purple-100 text-purple-800',
@@ -68,40 +93,94 @@ const CollaborationPanel = ({
 
         {/* Content */}
         <div className="p-6 max-h-96 overflow-y-auto">
+          {/* Live Session */}
+          {isCollaborative && shareLink && (
+            <div className="mb-6">
+              <h3 className="text-lg font-medium text-foreground mb-4">Live Session</h3>
+              <div className="flex space-x-3">
+                <div className="flex-1">
+                  <Input
+                    type="text"
+                    value={roleLink}
+                    readOnly
+                    onFocus={(e) => {
+                      onShareLink?.(linkRole);
+                      e.target.select();
+                    }}
+                  />
+                </div>
+                {canManageCollaborators && (
+                  <select
+                    value={linkRole}
+                    onChange={(e) => setLinkRole(e.target.value)}
+                    className="px-3 py-2 border border-border rounded-lg focus:ring-2 focus:ring-primary focus:border-transparent"
+                    title="Role for people joining with this link"
+                  >
+                    <option value="editor">Can edit</option>
+                    <option value="viewer">Can view</option>
+                  </select>
+                )}
+                <Button variant="outline" onClick={handleCopyLink}>
+                  <Icon name={linkCopied ? 'Check' : 'Copy'} size={16} className="mr-1" />
+                  {linkCopied ? 'Copied' : 'Copy link'}
+                </Button>
+              </div>
+              <p className="text-xs text-text-secondary mt-2">
+                Anyone opening this link joins the board live. Change or remove the link's guests below to change their access
+              </p>
+
+              <div className="flex items-center flex-wrap gap-2 mt-4">
+                <span className="text-sm text-text-secondary">Online now:</span>
+                <span className="px-2 py-1 text-xs font-medium rounded-full bg-muted text-foreground">You</span>
+                {onlinePeers.map(peer => (
+                  <span
+                    key={peer.replicaId}
+                    className="px-2 py-1 text-xs font-medium rounded-full text-white"
+                    style={{ backgroundColor: peer.color }}
+                  >
+                    {peer.name}
+                  </span>
+                ))}
+              </div>
+            </div>
+          )}
+
           {/* Invite Section */}
-          <div className="mb-6">
-            <h3 className="text-lg font-medium text-foreground mb-4">Invite People</h3>
-            <div className="flex space-x-3">
-              <div className="flex-1">
-                <Input
-                  type="email"
-                  placeholder="Enter email address..."
-                  value={inviteEmail}
-                  onChange={(e) => setInviteEmail(e.target.value)}
-                />
+          {canManageCollaborators && (
+            <div className="mb-6">
+              <h3 className="text-lg font-medium text-foreground mb-4">Invite People</h3>
+              <div className="flex space-x-3">
+                <div className="flex-1">
+                  <Input
+                    type="email"
+                    placeholder="Enter email address..."
+                    value={inviteEmail}
+                    onChange={(e) => setInviteEmail(e.target.value)}
+                  />
+                </div>
+                <select
+                  value={inviteRole}
+                  onChange={(e) => setInviteRole(e.target.value)}
+                  className="px-3 py-2 border border-border rounded-lg focus:ring-2 focus:ring-primary focus:border-transparent"
+                >
+                  <option value="viewer">Viewer</option>
+                  <option value="editor">Editor</option>
+                  <option value="admin">Admin</option>
+                </select>
+                <Button
+                  variant="default"
+                  onClick={handleInvite}
+                  disabled={!inviteEmail.trim()}
+                >
+                  <Icon name="UserPlus" size={16} className="mr-1" />
+                  Invite
+                </Button>
               </div>
-              <select
-                value={inviteRole}
-                onChange={(e) => setInviteRole(e.target.value)}
-                className="px-3 py-2 border border-border rounded-lg focus:ring-2 focus:ring-primary focus:border-transparent"
-              >
-                <option value="viewer">Viewer</option>
-                <option value="editor">Editor</option>
-                <option value="admin">Admin</option>
-              </select>
-              <Button
-                variant="default"
-                onClick={handleInvite}
-                disabled={!inviteEmail.trim()}
-              >
-                <Icon name="UserPlus" size={16} className="mr-1" />
-                Invite
-              </Button>
+              <p className="text-xs text-text-secondary mt-2">
+                Invited users will receive an email with access to this whiteboard
+              </p>
             </div>
-            <p className="text-xs text-text-secondary mt-2">
-              Invited users will receive an email with access to this whiteboard
-            </p>
-          </div>
+          )}
 
           {/* Current Collaborators */}
           <div>
@@ -140,14 +219,39 @@ const CollaborationPanel = ({
                   </div>
                   
                   <div className="flex items-center space-x-2">
-                    <span className={`px-2 py-1 text-xs font-medium rounded-full ${getRoleColor(collaborator.role)}`}>
-                      {collaborator.role}
-                    </span>
+                    {canManageCollaborators && collaborator.role !== 'owner' && collaborator.id !== currentUser.id ? (
+                      <select
+                        value={collaborator.role}
+                        onChange={(e) => onChangeRole(collaborator.id, e.target.value)}
+                        className={`px-2 py-1 text-xs font-medium rounded-full border-none ${getRoleColor(collaborator.role)}`}
+                        title="Change role"
+                      >
+                        {ASSIGNABLE_ROLES.map(role => (
+                          <option key={role} value={role}>{role}</option>
+                        ))}
+                      </select>
+                    ) : (
+                      <span className={`px-2 py-1 text-xs font-medium rounded-full ${getRoleColor(collaborator.role)}`}>
+                        {collaborator.role}
+                      </span>
+                    )}
                     <span className={`px-2 py-1 text-xs font-medium rounded-full ${getStatusColor(collaborator.status)}`}>
                       {collaborator.status}
                     </span>
+
+                    {canTransferOwnership && collaborator.id !== currentUser.id && (
+                      <Button
+                        variant="ghost"
+                        size="icon"
+                        onClick={() => onTransferOwnership(collaborator.id)}
+                        className="w-8 h-8"
+                        title="Make owner"
+                      >
+                        <Icon name="Crown" size={14} />
+                      </Button>
+                    )}
                     
-                    {collaborator.id !== currentUser.id && (
+                    {canManageCollaborators && collaborator.role !== 'owner' && collaborator.id !== currentUser.id && (
                       <Button
                         variant="ghost"
                         size="icon"
@@ -0,0 +1,98 @@
+import React, { useState, useMemo, useEffect, useRef } from 'react';
+import Icon from '../../../components/AppIcon';
+import { filterCommands } from '../utils/shortcuts';
+
+// Ctrl+K launcher for every toolbar action. Commands are
+// { id, label, group, icon, shortcut?, run }.
+const CommandPalette = ({ commands, onClose }) => {
+  const [query, setQuery] = useState('');
+  const [activeIndex, setActiveIndex] = useState(0);
+  const listRef = useRef(null);
+
+  const results = useMemo(() => filterCommands(commands, query), [commands, query]);
+
+  useEffect(() => {
+    setActiveIndex(0);
+  }, [query]);
+
+  useEffect(() => {
+    listRef.current?.querySelector('[aria-selected="true"]')?.scrollIntoView?.({ block: 'nearest' });
+  }, [activeIndex]);
+
+  const runCommand = (command) => {
+    onClose();
+    command.run();
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      if (results.length === 0) return;
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      setActiveIndex(prev => (prev + step + results.length) % results.length);
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      if (results[activeIndex]) runCommand(results[activeIndex]);
+    } else if (e.key === 'Escape' || (e.key.toLowerCase() === 'k' && (e.ctrlKey || e.metaKey))) {
+      e.preventDefault();
+      onClose();
+    }
+  };
+
+  return (
+    <div
+      className="fixed inset-0 bg-black/30 flex items-start justify-center pt-24 z-1020"
+      onMouseDown={(e) => {
+        if (e.target === e.currentTarget) onClose();
+      }}
+    >
+      <div className="bg-white rounded-lg shadow-modal w-full max-w-lg overflow-hidden" role="dialog" aria-label="Command palette">
+        <div className="flex items-center px-4 border-b border-border">
+          <Icon name="Search" size={16} className="text-text-secondary" />
+          <input
+            autoFocus
+            type="text"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            onKeyDown={handleKeyDown}
+            placeholder="Type a command…"
+            className="flex-1 px-3 py-3 text-sm bg-transparent outline-none"
+            role="combobox"
+            aria-expanded="true"
+            aria-controls="command-palette-list"
+            aria-activedescendant={results[activeIndex] ? `command-${results[activeIndex].id}` : undefined}
+          />
+        </div>
+        <ul ref={listRef} id="command-palette-list" role="listbox" className="max-h-80 overflow-y-auto py-1">
+          {results.map((command, index) => (
+            <li
+              key={command.id}
+              id={`command-${command.id}`}
+              role="option"
+              aria-selected={index === activeIndex}
+              onMouseEnter={() => setActiveIndex(index)}
+              onClick={() => runCommand(command)}
+              className={`flex items-center px-4 py-2 text-sm cursor-pointer ${
+                index === activeIndex ? 'bg-primary/10 text-foreground' : 'text-text-secondary'
+              }`}
+            >
+              <Icon name={command.icon || 'ChevronRight'} size={14} className="flex-shrink-0" />
+              <span className="flex-1 ml-3 truncate text-foreground">{command.label}</span>
+              <span className="ml-2 text-xs text-text-secondary">{command.group}</span>
+              {command.shortcut && (
+                <kbd className="ml-2 px-1.5 py-0.5 text-xs font-mono bg-muted rounded border border-border">
+                  {command.shortcut}
+                </kbd>
+              )}
+            </li>
+          ))}
+          {results.length === 0 && (
+            <li className="px-4 py-6 text-sm text-center text-text-secondary">No matching commands</li>
+          )}
+        </ul>
+      </div>
+    </div>
+  );
+};
+
+export default CommandPalette;
@@ -0,0 +1,123 @@
+import React, { useState } from 'react';
+import Icon from '../../../components/AppIcon';
+import Button from '../../../components/ui/Button';
+import MentionTextarea from './MentionTextarea';
+import { splitMentions } from '../utils/comments';
+
+const formatDate = (date) => {
+  return new Date(date).toLocaleDateString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+};
+
+const CommentBody = ({ comment, collaborators, currentUserId }) => {
+  // Mentions of the viewer stand out from mentions of others
+  const ownMention = `@${collaborators.find(user => user.id === currentUserId)?.name}`.toLowerCase();
+  return (
+    <>
+      <div className="flex items-center justify-between mb-1">
+        <span className="text-sm font-medium text-foreground">{comment.author}</span>
+        <span className="text-xs text-text-secondary">{formatDate(comment.timestamp)}</span>
+      </div>
+      <p className="text-sm text-foreground whitespace-pre-wrap break-words">
+        {splitMentions(comment.text, collaborators).map((part, i) => (
+          part.mention ? (
+            <span
+              key={i}
+              className={`px-1 rounded font-medium ${
+                part.text.toLowerCase() === ownMention
+                  ? 'bg-primary text-primary-foreground'
+                  : 'bg-primary/10 text-primary'
+              }`}
+            >
+              {part.text}
+            </span>
+          ) : part.text
+        ))}
+      </p>
+    </>
+  );
+};
+
+// One thread: its first comment, the replies under it, and reply / resolve actions
+const CommentThread = ({ thread, collaborators, currentUserId, readOnly, onReply, onResolve }) => {
+  const [isReplying, setIsReplying] = useState(false);
+  const [reply, setReply] = useState('');
+  const { root, replies } = thread;
+
+  const handleReply = () => {
+    if (!reply.trim()) return;
+    onReply(reply);
+    setReply('');
+    setIsReplying(false);
+  };
+
+  return (
+    <div className={`rounded-lg p-3 ${root.resolved ? 'bg-muted/50 opacity-75' : 'bg-muted'}`}>
+      <CommentBody comment={root} collaborators={collaborators} currentUserId={currentUserId} />
+
+      {replies.length > 0 && (
+        <div className="mt-3 pl-3 border-l-2 border-border space-y-3">
+          {replies.map(comment => (
+            <div key={comment.id}>
+              <CommentBody comment={comment} collaborators={collaborators} currentUserId={currentUserId} />
+            </div>
+          ))}
+        </div>
+      )}
+
+      {root.resolved && (
+        <p className="mt-2 text-xs text-success flex items-center space-x-1">
+          <Icon name="CheckCircle2" size={12} />
+          <span>Resolved{root.resolvedBy ? ` by ${root.resolvedBy}` : ''}</span>
+        </p>
+      )}
+
+      {!readOnly && (
+        isReplying ? (
+          <div className="mt-3 space-y-2">
+            <MentionTextarea
+              value={reply}
+              onChange={setReply}
+              onSubmit={handleReply}
+              collaborators={collaborators}
+              placeholder="Reply… type @ to mention"
+              className="h-16 bg-white"
+              autoFocus
+            />
+            <div className="flex justify-end space-x-2">
+              <Button variant="ghost" size="xs" onClick={() => { setReply(''); setIsReplying(false); }}>
+                Cancel
+              </Button>
+              <Button variant="default" size="xs" onClick={handleReply} disabled={!reply.trim()}>
+                Reply
+              </Button>
+            </div>
+          </div>
+        ) : (
+          <div className="mt-2 flex items-center space-x-1">
+            {!root.resolved && (
+              <Button variant="ghost" size="xs" iconName="Reply" iconPosition="left" onClick={() => setIsReplying(true)}>
+                Reply
+              </Button>
+            )}
+            <Button
+              variant="ghost"
+              size="xs"
+              iconName={root.resolved ? 'RotateCcw' : 'CheckCircle2'}
+              iconPosition="left"
+              onClick={() => onResolve(!root.resolved)}
+            >
+              {root.resolved ? 'Reopen' : 'Resolve'}
+            </Button>
+          </div>
+        )
+      )}
+    </div>
+  );
+};
+
+export default CommentThread;
@@ -1,86 +1,147 @@
-import React from 'react';
+import React, { memo } from 'react';
+import {
+  getConnectionPath,
+  getConnectionMidpoint,
+  getDashArray
+} from '../utils/connections';
 
-const ConnectionLine = ({ from, to, color = '#6366f1', strokeWidth = 2 }) => {
-  // Calculate the path for a curved connection line
-  const calculatePath = () => {
-    const dx = to.x - from.x;
-    const dy = to.y - from.y;
-    
-    // Control points for bezier curve
-    const cp1x = from.x + dx * 0.5;
-    const cp1y = from.y;
-    const cp2x = to.x - dx * 0.5;
-    const cp2y = to.y;
-    
-    return `M ${from.x} ${from.y} C ${cp1x} ${cp1y}, ${cp2x} ${cp2y}, ${to.x} ${to.y}`;
-  };
+// Renders into the canvas's shared connection <svg>; arrowhead markers are defined there
+const ConnectionLine = ({
+  fromId,
+  toId,
+  from,
+  to,
+  axis = 'horizontal',
+  color = '#6366f1',
+  strokeWidth = 2,
+  label = '',
+  lineStyle = 'solid',
+  direction = 'forward',
+  routing = 'curved',
+  isSelected = false,
+  onSelect
+}) => {
+  const path = getConnectionPath(from, to, routing, axis);
+  const midpoint = getConnectionMidpoint(from, to);
+  const markerUrl = `url(#${getArrowheadId(color)})`;
 
-  // Calculate arrow head points
-  const calculateArrowHead = () => {
-    const angle = Math.atan2(to.y - from.y, to.x - from.x);
-    const arrowLength = 10;
-    const arrowAngle = Math.PI / 6;
-    
-    const x1 = to.x - arrowLength * Math.cos(angle - arrowAngle);
-    const y1 = to.y - arrowLength * Math.sin(angle - arrowAngle);
-    const x2 = to.x - arrowLength * Math.cos(angle + arrowAngle);
-    const y2 = to.y - arrowLength * Math.sin(angle + arrowAngle);
-    
-    return `M ${to.x} ${to.y} L ${x1} ${y1} M ${to.x} ${to.y} L ${x2} ${y2}`;
+  const handleClick = (e) => {
+    e.stopPropagation();
+    onSelect(fromId, toId);
   };
 
   return (
-    <svg
-      className="absolute inset-0 pointer-events-none"
-      style={{
-        width: '100%',
-        height: '100%',
-        overflow: 'visible'
-      }}
-    >
-      <defs>
-        <marker
-          id={`arrowhead-${color.replace('#', '')}`}
-          markerWidth="10"
-          markerHeight="7"
-          refX="9"
-          refY="3.5"
-          orient="auto"
-        >
-          <polygon
-            points="0 0, 10 3.5, 0 7"
-            fill={color}
-          />
-        </marker>
-      </defs>
-      
+    <g>
+      {/* Selection halo */}
+      {isSelected && (
+        <path
+          d={path}
+          stroke="#2563eb"
+          strokeWidth={strokeWidth + 6}
+          strokeOpacity={0.25}
+          strokeLinecap="round"
+          strokeLinejoin="round"
+          fill="none"
+        />
+      )}
+
       {/* Main connection line */}
       <path
-        d={calculatePath()}
+        d={path}
         stroke={color}
         strokeWidth={strokeWidth}
+        strokeDasharray={getDashArray(lineStyle)}
+        strokeLinecap={lineStyle === 'dotted' ? 'round' : 'butt'}
         fill="none"
-        markerEnd={`url(#arrowhead-${color.replace('#', '')})`}
+        markerEnd={direction !== 'none' ? markerUrl : undefined}
+        markerStart={direction === 'both' ? markerUrl : undefined}
         className="drop-shadow-sm"
       />
-      
+
+      {/* Wide invisible stroke so the line is easy to click */}
+      {onSelect && (
+        <path
+          d={path}
+          stroke="transparent"
+          strokeWidth={14}
+          fill="none"
+          className="cursor-pointer"
+          style={{ pointerEvents: 'stroke' }}
+          onClick={handleClick}
+        />
+      )}
+
       {/* Connection points */}
-      <circle
-        cx={from.x}
-        cy={from.y}
-        r="3"
-        fill={color}
-        className="drop-shadow-sm"
-      />
-      <circle
-        cx={to.x}
-        cy={to.y}
-        r="3"
-        fill={color}
-        className="drop-shadow-sm"
-      />
-    </svg>
+      {direction === 'none' && (
+        <>
+          <circle
+            cx={from.x}
+            cy={from.y}
+            r="3"
+            fill={color}
+            className="drop-shadow-sm"
+          />
+          <circle
+            cx={to.x}
+            cy={to.y}
+            r="3"
+            fill={color}
+            className="drop-shadow-sm"
+          />
+        </>
+      )}
+
+      {label && (
+        <text
+          x={midpoint.x}
+          y={midpoint.y}
+          dy="0.35em"
+          textAnchor="middle"
+          fontSize={12}
+          fontWeight={500}
+          fill="#374151"
+          stroke="#ffffff"
+          strokeWidth={4}
+          paintOrder="stroke"
+          className={onSelect ? 'cursor-pointer select-none' : 'select-none'}
+          style={{ pointerEvents: onSelect ? 'all' : 'none' }}
+          onClick={onSelect ? handleClick : undefined}
+        >
+          {label}
+        </text>
+      )}
+    </g>
   );
 };
 
-export default ConnectionLine;
\ No newline at end of file
+export const getArrowheadId = (color) => `arrowhead-${color.replace('#', '')}`;
+
+// One marker per colour, shared by every line of that colour
+export const ArrowheadMarker = ({ color }) => (
+  <marker
+    id={getArrowheadId(color)}
+    markerWidth="10"
+    markerHeight="7"
+    refX="9"
+    refY="3.5"
+    orient="auto-start-reverse"
+  >
+    <polygon
+      points="0 0, 10 3.5, 0 7"
+      fill={color}
+    />
+  </marker>
+);
+
+// Endpoints are passed as fresh objects each render, so compare them by value
+const areEqual = (prev, next) => (
+  Object.keys(next).every(key => (
+    key === 'from' || key === 'to' ? true : prev[key] === next[key]
+  )) &&
+  prev.from.x === next.from.x &&
+  prev.from.y === next.from.y &&
+  prev.to.x === next.to.x &&
+  prev.to.y === next.to.y
+);
+
+export default memo(ConnectionLine, areEqual);
@@ -0,0 +1,203 @@
+import React, { useState, useEffect } from 'react';
+import Icon from '../../../components/AppIcon';
+import Button from '../../../components/ui/Button';
+
+const ConnectionToolbar = ({
+  connection,
+  fromTitle,
+  toTitle,
+  onUpdate,
+  onDelete,
+  onClose
+}) => {
+  const [label, setLabel] = useState(connection?.label || '');
+
+  // Pick up undo/redo and switching to another connection
+  useEffect(() => {
+    setLabel(connection?.label || '');
+  }, [connection?.from, connection?.to, connection?.label]);
+
+  if (!connection) return null;
+
+  const lineColors = [
+    { color: '#6366f1', label: 'Indigo' },
+    { color: '#64748b', label: 'Slate' },
+    { color: '#10b981', label: 'Green' },
+    { color: '#f59e0b', label: 'Amber' },
+    { color: '#ef4444', label: 'Red' },
+    { color: '#ec4899', label: 'Pink' }
+  ];
+
+  const styleOptions = [
+    { value: 'solid', label: 'Solid line', dash: undefined },
+    { value: 'dashed', label: 'Dashed line', dash: '5 3' },
+    { value: 'dotted', label: 'Dotted line', dash: '1 3' }
+  ];
+
+  const directionOptions = [
+    { value: 'forward', icon: 'ArrowRight', label: 'One-way arrow' },
+    { value: 'both', icon: 'ArrowLeftRight', label: 'Two-way arrow' },
+    { value: 'none', icon: 'Minus', label: 'No arrows' }
+  ];
+
+  const routingOptions = [
+    { value: 'curved', icon: 'Spline', label: 'Curved' },
+    { value: 'straight', icon: 'Slash', label: 'Straight' },
+    { value: 'orthogonal', icon: 'CornerDownRight', label: 'Right angles' }
+  ];
+
+  const commitLabel = () => {
+    const next = label.trim();
+    if (next !== connection.label) {
+      onUpdate({ label: next }, 'Edit connection label');
+    }
+  };
+
+  const handleLabelKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      e.target.blur();
+    } else if (e.key === 'Escape') {
+      setLabel(connection.label);
+      e.target.blur();
+    }
+  };
+
+  const optionClass = (active) => `w-8 h-8 ${active ? 'bg-muted text-primary' : ''}`;
+
+  return (
+    <div
+      className="absolute top-4 left-1/2 transform -translate-x-1/2 bg-popover border border-border rounded-lg shadow-lg z-1010"
+      onMouseDown={(e) => e.stopPropagation()}
+      onClick={(e) => e.stopPropagation()}
+    >
+      <div className="flex items-center space-x-1 p-1">
+        <span className="px-2 text-sm font-medium text-foreground max-w-48 truncate" title={`${fromTitle} → ${toTitle}`}>
+          {fromTitle} → {toTitle}
+        </span>
+
+        <div className="w-px h-6 bg-border"></div>
+
+        {/* Label */}
+        <input
+          type="text"
+          value={label}
+          onChange={(e) => setLabel(e.target.value)}
+          onBlur={commitLabel}
+          onKeyDown={handleLabelKeyDown}
+          placeholder="Add label"
+          aria-label="Connection label"
+          className="w-32 h-8 px-2 text-sm bg-transparent border border-border rounded-md focus:outline-none focus:ring-2 focus:ring-primary"
+        />
+
+        <div className="w-px h-6 bg-border"></div>
+
+        {/* Colour */}
+        <div className="flex items-center space-x-1 px-1">
+          {lineColors.map((option) => (
+            <button
+              key={option.color}
+              onClick={() => onUpdate({ color: option.color }, 'Change connection color')}
+              className={`w-5 h-5 rounded-full border-2 ${
+                connection.color === option.color ? 'border-foreground' : 'border-transparent'
+              }`}
+              style={{ backgroundColor: option.color }}
+              title={option.label}
+            />
+          ))}
+        </div>
+
+        <div className="w-px h-6 bg-border"></div>
+
+        {/* Line style */}
+        {styleOptions.map((option) => (
+          <Button
+            key={option.value}
+            variant="ghost"
+            size="icon"
+            onClick={() => onUpdate({ style: option.value }, 'Change line style')}
+            title={option.label}
+            className={optionClass(connection.style === option.value)}
+          >
+            <svg width="18" height="18" viewBox="0 0 18 18">
+              <line
+                x1="2"
+                y1="9"
+                x2="16"
+                y2="9"
+                stroke="currentColor"
+                strokeWidth="2"
+                strokeDasharray={option.dash}
+                strokeLinecap={option.value === 'dotted' ? 'round' : 'butt'}
+              />
+            </svg>
+          </Button>
+        ))}
+
+        <div className="w-px h-6 bg-border"></div>
+
+        {/* Direction */}
+        {directionOptions.map((option) => (
+          <Button
+            key={option.value}
+            variant="ghost"
+            size="icon"
+            onClick={() => onUpdate({ direction: option.value }, 'Change arrows')}
+            title={option.label}
+            className={optionClass(connection.direction === option.value)}
+          >
+            <Icon name={option.icon} size={16} />
+          </Button>
+        ))}
+        <Button
+          variant="ghost"
+          size="icon"
+          onClick={() => onUpdate({ from: connection.to, to: connection.from }, 'Reverse connection')}
+          title="Reverse direction"
+          disabled={connection.direction !== 'forward'}
+          className="w-8 h-8"
+        >
+          <Icon name="ArrowRightLeft" size={16} />
+        </Button>
+
+        <div className="w-px h-6 bg-border"></div>
+
+        {/* Routing */}
+        {routingOptions.map((option) => (
+          <Button
+            key={option.value}
+            variant="ghost"
+            size="icon"
+            onClick={() => onUpdate({ routing: option.value }, 'Change routing')}
+            title={option.label}
+            className={optionClass(connection.routing === option.value)}
+          >
+            <Icon name={option.icon} size={16} />
+          </Button>
+        ))}
+
+        <div className="w-px h-6 bg-border"></div>
+
+        <Button
+          variant="ghost"
+          size="icon"
+          onClick={onDelete}
+          title="Delete connection"
+          className="w-8 h-8 text-destructive hover:text-destructive"
+        >
+          <Icon name="Trash2" size={16} />
+        </Button>
+        <Button
+          variant="ghost"
+          size="icon"
+          onClick={onClose}
+          title="Deselect connection"
+          className="w-8 h-8"
+        >
+          <Icon name="X" size={16} />
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+export default ConnectionToolbar;
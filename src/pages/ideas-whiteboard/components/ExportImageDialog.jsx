@@ -0,0 +1,189 @@
+import React, { useState, useMemo } from 'react';
+import Icon from '../../../components/AppIcon';
+import Button from '../../../components/ui/Button';
+import { renderBoardSvg, BACKGROUNDS } from '../utils/boardImage';
+import { IMAGE_FORMATS, EXPORT_SCALES } from '../utils/boardExport';
+
+const PADDING_OPTIONS = [0, 16, 32, 64, 128];
+
+// `board` and `selection` are { notes, connections, frames }; selection is null when
+// nothing is selected. onExport(options) resolves once the file has been saved.
+const ExportImageDialog = ({ board, selection, onExport, onClose }) => {
+  const [options, setOptions] = useState({
+    format: 'png',
+    scope: selection ? 'selection' : 'board',
+    scale: 2,
+    background: 'white',
+    padding: 32,
+    includeComments: false
+  });
+  const [isExporting, setIsExporting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const setOption = (key, value) => setOptions(prev => ({ ...prev, [key]: value }));
+  const source = options.scope === 'selection' && selection ? selection : board;
+
+  // Drawn at scale 1; only the exported file is scaled
+  const preview = useMemo(() => renderBoardSvg(source, { ...options, scale: 1 }), [source, options]);
+  const previewUrl = preview ? `data:image/svg+xml;charset=utf-8,${encodeURIComponent(preview.svg)}` : null;
+
+  const handleExport = async () => {
+    setIsExporting(true);
+    setError(null);
+    try {
+      await onExport(options);
+      onClose();
+    } catch (exportError) {
+      setError(exportError.message || 'Export failed');
+      setIsExporting(false);
+    }
+  };
+
+  const selectClass = 'w-full px-3 py-2 border border-border rounded-lg text-sm focus:ring-2 focus:ring-primary focus:border-transparent';
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-1020">
+      <div className="bg-white rounded-lg shadow-modal w-full max-w-3xl max-h-[85vh] overflow-hidden flex flex-col">
+        {/* Header */}
+        <div className="p-6 border-b border-border flex items-center justify-between">
+          <div>
+            <h2 className="text-xl font-semibold text-foreground">Export Image</h2>
+            <p className="text-sm text-text-secondary mt-1">
+              Save the board as a picture or a printable document
+            </p>
+          </div>
+          <Button variant="ghost" size="icon" onClick={onClose}>
+            <Icon name="X" size={20} />
+          </Button>
+        </div>
+
+        {/* Content */}
+        <div className="p-6 flex-1 overflow-y-auto grid grid-cols-5 gap-6">
+          <div className="col-span-2 space-y-4">
+            <div>
+              <label className="block text-sm font-medium text-foreground mb-2">Format</label>
+              <div className="grid grid-cols-3 gap-2">
+                {Object.entries(IMAGE_FORMATS).map(([id, { extension }]) => (
+                  <Button
+                    key={id}
+                    variant={options.format === id ? 'default' : 'outline'}
+                    size="sm"
+                    onClick={() => setOption('format', id)}
+                  >
+                    {extension.toUpperCase()}
+                  </Button>
+                ))}
+              </div>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-foreground mb-2">Include</label>
+              <select
+                value={options.scope}
+                onChange={(e) => setOption('scope', e.target.value)}
+                className={selectClass}
+              >
+                <option value="board">Whole board</option>
+                <option value="selection" disabled={!selection}>
+                  Selection{selection ? ` (${selection.notes.length} notes)` : ''}
+                </option>
+              </select>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-foreground mb-2">
+                {options.format === 'pdf' ? 'Print size' : 'Scale'}
+              </label>
+              <select
+                value={options.scale}
+                onChange={(e) => setOption('scale', Number(e.target.value))}
+                className={selectClass}
+              >
+                {EXPORT_SCALES.map(scale => (
+                  <option key={scale} value={scale}>{scale}x</option>
+                ))}
+              </select>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-foreground mb-2">Background</label>
+              <select
+                value={options.background}
+                onChange={(e) => setOption('background', e.target.value)}
+                className={selectClass}
+              >
+                {Object.entries(BACKGROUNDS).map(([id, { label }]) => (
+                  <option key={id} value={id} disabled={id === 'transparent' && options.format === 'pdf'}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-foreground mb-2">Padding</label>
+              <select
+                value={options.padding}
+                onChange={(e) => setOption('padding', Number(e.target.value))}
+                className={selectClass}
+              >
+                {PADDING_OPTIONS.map(padding => (
+                  <option key={padding} value={padding}>{padding}px</option>
+                ))}
+              </select>
+            </div>
+
+            <label className="flex items-center space-x-2 text-sm text-foreground">
+              <input
+                type="checkbox"
+                checked={options.includeComments}
+                onChange={(e) => setOption('includeComments', e.target.checked)}
+                className="rounded border-border"
+              />
+              <span>Include comments</span>
+            </label>
+          </div>
+
+          {/* Preview */}
+          <div className="col-span-3 flex flex-col">
+            <div className="flex-1 min-h-[16rem] rounded-lg border border-border bg-muted flex items-center justify-center p-4">
+              {previewUrl ? (
+                <img src={previewUrl} alt="Export preview" className="max-w-full max-h-80 object-contain shadow-sm" />
+              ) : (
+                <p className="text-sm text-text-secondary">Nothing to export yet</p>
+              )}
+            </div>
+            {preview && (
+              <p className="text-xs text-text-secondary mt-2">
+                {source.notes.length} notes, {source.connections.length} connections, {source.frames.length} frames
+                {options.format !== 'pdf' && ` · ${preview.width * options.scale} × ${preview.height * options.scale}px`}
+                {options.format === 'pdf' && ' · A4 landscape pages'}
+              </p>
+            )}
+            {error && (
+              <p className="text-sm text-destructive mt-2">{error}</p>
+            )}
+          </div>
+        </div>
+
+        {/* Footer */}
+        <div className="p-6 border-t border-border flex items-center justify-end space-x-2">
+          <Button variant="outline" onClick={onClose}>
+            Cancel
+          </Button>
+          <Button
+            variant="default"
+            onClick={handleExport}
+            disabled={!preview || isExporting}
+            iconName={isExporting ? 'Loader2' : 'Download'}
+            iconPosition="left"
+          >
+            {isExporting ? 'Exporting…' : `Export ${IMAGE_FORMATS[options.format].extension.toUpperCase()}`}
+          </Button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ExportImageDialog;
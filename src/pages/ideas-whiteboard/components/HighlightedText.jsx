@@ -0,0 +1,19 @@
+import React from 'react';
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Wraps case-insensitive matches of `terms` in <mark>
+const HighlightedText = ({ text, terms }) => {
+  const content = String(text ?? '');
+  if (!terms?.length || !content) return content;
+
+  const pattern = new RegExp(`(${terms.map(escapeRegExp).join('|')})`, 'gi');
+  const lowered = terms.map(term => term.toLowerCase());
+  return content.split(pattern).map((part, i) => (
+    lowered.includes(part.toLowerCase())
+      ? <mark key={i} className="bg-yellow-300 text-inherit rounded-sm px-0.5">{part}</mark>
+      : part
+  ));
+};
+
+export default HighlightedText;
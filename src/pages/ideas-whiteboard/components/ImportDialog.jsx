@@ -0,0 +1,179 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import Icon from '../../../components/AppIcon';
+import Button from '../../../components/ui/Button';
+import {
+  IMPORT_FORMATS,
+  CSV_FIELDS,
+  parseCsvRows,
+  guessCsvMapping,
+  detectImportFormat,
+  validateImport
+} from '../utils/importers';
+import { toPlainText } from '../utils/richText';
+
+const PREVIEW_LIMIT = 8;
+
+const swatchColors = {
+  yellow: '#fef3c7',
+  blue: '#dbeafe',
+  green: '#d1fae5',
+  pink: '#fce7f3',
+  purple: '#e9d5ff',
+  orange: '#fed7aa'
+};
+
+// Mounted once per chosen file; `file` is { name, text }
+const ImportDialog = ({ file, onConfirm, onClose }) => {
+  const [format, setFormat] = useState(() => detectImportFormat(file.name));
+
+  const headers = useMemo(() => (
+    format === 'csv' ? parseCsvRows(file.text)[0] || [] : []
+  ), [file, format]);
+
+  const [mapping, setMapping] = useState(() => guessCsvMapping(headers));
+
+  // Column guesses start over when switching to CSV
+  useEffect(() => {
+    setMapping(guessCsvMapping(headers));
+  }, [headers]);
+
+  const result = useMemo(() => {
+    try {
+      return validateImport(IMPORT_FORMATS[format].parse(file.text, { mapping }));
+    } catch (error) {
+      return { data: null, errors: [`This file can't be read as ${IMPORT_FORMATS[format].label}.`], warnings: [] };
+    }
+  }, [file, format, mapping]);
+
+  const { data, errors, warnings } = result;
+  const titles = data ? new Map(data.notes.map(note => [note.id, note.title])) : new Map();
+  const parentOf = data ? new Map(data.connections.map(conn => [conn.to, titles.get(conn.from)])) : new Map();
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-1020">
+      <div className="bg-white rounded-lg shadow-modal w-full max-w-2xl max-h-[80vh] overflow-hidden flex flex-col">
+        {/* Header */}
+        <div className="p-6 border-b border-border flex items-center justify-between">
+          <div>
+            <h2 className="text-xl font-semibold text-foreground">Import Notes</h2>
+            <p className="text-sm text-text-secondary mt-1">{file.name}</p>
+          </div>
+          <Button variant="ghost" size="icon" onClick={onClose}>
+            <Icon name="X" size={20} />
+          </Button>
+        </div>
+
+        {/* Content */}
+        <div className="p-6 flex-1 overflow-y-auto space-y-6">
+          <div>
+            <label className="block text-sm font-medium text-foreground mb-2">Read file as</label>
+            <select
+              value={format}
+              onChange={(e) => setFormat(e.target.value)}
+              className="w-full px-3 py-2 border border-border rounded-lg focus:ring-2 focus:ring-primary focus:border-transparent"
+            >
+              {Object.entries(IMPORT_FORMATS).map(([id, { label }]) => (
+                <option key={id} value={id}>{label}</option>
+              ))}
+            </select>
+          </div>
+
+          {format === 'csv' && headers.length > 0 && (
+            <div>
+              <h3 className="text-sm font-medium text-foreground mb-2">Columns</h3>
+              <div className="grid grid-cols-2 gap-3">
+                {CSV_FIELDS.map(field => (
+                  <label key={field} className="flex items-center justify-between space-x-2 text-sm">
+                    <span className="capitalize text-text-secondary">{field}</span>
+                    <select
+                      value={mapping[field] ?? -1}
+                      onChange={(e) => setMapping(prev => ({ ...prev, [field]: Number(e.target.value) }))}
+                      className="flex-1 max-w-[12rem] px-2 py-1 border border-border rounded-md text-sm"
+                      title={`Column for ${field}`}
+                    >
+                      <option value={-1}>Not imported</option>
+                      {headers.map((header, i) => (
+                        <option key={i} value={i}>{header || `Column ${i + 1}`}</option>
+                      ))}
+                    </select>
+                  </label>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {errors.length > 0 && (
+            <div className="p-3 rounded-lg bg-red-50 text-sm text-red-800 space-y-1">
+              {errors.map(error => (
+                <div key={error} className="flex items-center space-x-2">
+                  <Icon name="AlertCircle" size={14} />
+                  <span>{error}</span>
+                </div>
+              ))}
+            </div>
+          )}
+
+          {warnings.length > 0 && (
+            <div className="p-3 rounded-lg bg-yellow-50 text-sm text-yellow-800 space-y-1">
+              {warnings.map(warning => (
+                <div key={warning} className="flex items-center space-x-2">
+                  <Icon name="AlertTriangle" size={14} />
+                  <span>{warning}</span>
+                </div>
+              ))}
+            </div>
+          )}
+
+          {data && (
+            <div>
+              <h3 className="text-sm font-medium text-foreground mb-2">
+                Preview: {data.notes.length} notes, {data.connections.length} connections
+                {data.frames.length > 0 && `, ${data.frames.length} frames`}
+              </h3>
+              <div className="space-y-2">
+                {data.notes.slice(0, PREVIEW_LIMIT).map(note => (
+                  <div key={note.id} className="flex items-center space-x-3 p-2 bg-muted rounded-lg">
+                    <div
+                      className="w-4 h-4 rounded border border-border flex-shrink-0"
+                      style={{ backgroundColor: swatchColors[note.color] }}
+                    />
+                    <div className="min-w-0 flex-1">
+                      <p className="text-sm font-medium text-foreground truncate">{note.title}</p>
+                      {note.content && (
+                        <p className="text-xs text-text-secondary truncate">{toPlainText(note.content)}</p>
+                      )}
+                    </div>
+                    {parentOf.has(note.id) && (
+                      <span className="text-xs text-text-secondary truncate max-w-[8rem]" title="Connected from">
+                        ← {parentOf.get(note.id)}
+                      </span>
+                    )}
+                    {note.category && (
+                      <span className="px-2 py-0.5 text-xs rounded-full bg-white text-text-secondary">{note.category}</span>
+                    )}
+                  </div>
+                ))}
+                {data.notes.length > PREVIEW_LIMIT && (
+                  <p className="text-xs text-text-secondary">and {data.notes.length - PREVIEW_LIMIT} more…</p>
+                )}
+              </div>
+            </div>
+          )}
+        </div>
+
+        {/* Footer */}
+        <div className="p-6 border-t border-border flex items-center justify-end space-x-2">
+          <Button variant="outline" onClick={onClose}>
+            Cancel
+          </Button>
+          <Button variant="default" onClick={() => onConfirm(data)} disabled={!data}>
+            <Icon name="Upload" size={16} className="mr-1" />
+            Import {data ? `${data.notes.length} notes` : ''}
+          </Button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ImportDialog;
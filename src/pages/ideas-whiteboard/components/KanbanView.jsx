@@ -0,0 +1,316 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import Icon from '../../../components/AppIcon';
+import UserAvatar from './UserAvatar';
+import { buildKanbanColumns, getAssignees } from '../utils/kanban';
+import { getChecklistProgress } from '../utils/richText';
+import { countUnresolvedThreads } from '../utils/comments';
+import { getPriority, formatDue } from '../utils/tasks';
+
+const CARD_ACCENTS = {
+  yellow: 'border-l-yellow-300',
+  blue: 'border-l-blue-300',
+  green: 'border-l-green-300',
+  pink: 'border-l-pink-300',
+  purple: 'border-l-purple-300',
+  orange: 'border-l-orange-300'
+};
+
+const DropIndicator = () => <li className="h-1 rounded-full bg-primary" aria-hidden="true" />;
+
+// Toggles collaborators on a card; closes when focus leaves it or on Escape
+const AssigneeMenu = ({ note, collaborators, onAssign, onClose }) => {
+  const assigned = note.assigneeIds || [];
+  return (
+    <div
+      role="group"
+      aria-label={`Assign "${note.title}"`}
+      className="absolute right-0 top-full mt-1 z-10 w-48 bg-white border border-border rounded-lg shadow-lg py-1"
+      onKeyDown={(e) => {
+        if (e.key === 'Escape') {
+          e.stopPropagation();
+          onClose();
+        }
+      }}
+    >
+      {collaborators.map((user, index) => {
+        const isAssigned = assigned.includes(user.id);
+        return (
+          <button
+            key={user.id}
+            type="button"
+            autoFocus={index === 0}
+            aria-pressed={isAssigned}
+            onClick={() => onAssign(note.id, isAssigned
+              ? assigned.filter(id => id !== user.id)
+              : [...assigned, user.id])}
+            className="w-full flex items-center px-3 py-1.5 text-sm text-left hover:bg-muted"
+          >
+            <UserAvatar user={user} />
+            <span className="flex-1 ml-2 truncate">{user.name}</span>
+            {isAssigned && <Icon name="Check" size={14} className="text-primary" />}
+          </button>
+        );
+      })}
+    </div>
+  );
+};
+
+// Notes as cards in status columns. Cards are dragged between and within columns,
+// or moved from the keyboard with Alt+arrows; canvas positions are left alone.
+const KanbanView = ({
+  notes,
+  collaborators,
+  wipLimits,
+  overdueNoteIds = new Set(),
+  selectedNoteIds = [],
+  readOnly = false,
+  onSelectNote,
+  onMoveCard,
+  onAssign,
+  onEditWipLimit
+}) => {
+  const columns = useMemo(() => buildKanbanColumns(notes, wipLimits), [notes, wipLimits]);
+  const [draggingId, setDraggingId] = useState(null);
+  const [dropTarget, setDropTarget] = useState(null); // { statusId, beforeId }
+  const [assigningId, setAssigningId] = useState(null);
+  const refocusId = useRef(null);
+
+  // A card moved to another column is a new element, so focus follows it there
+  useEffect(() => {
+    if (refocusId.current === null) return;
+    document.querySelector(`[data-card-id="${refocusId.current}"]`)?.focus();
+    refocusId.current = null;
+  }, [columns]);
+
+  const focusCard = (noteId) => {
+    document.querySelector(`[data-card-id="${noteId}"]`)?.focus();
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    if (draggingId !== null && dropTarget) {
+      onMoveCard(draggingId, dropTarget.statusId, dropTarget.beforeId);
+    }
+    setDraggingId(null);
+    setDropTarget(null);
+  };
+
+  const handleCardKeyDown = (e, note, columnIndex, cardIndex) => {
+    const column = columns[columnIndex];
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      onSelectNote(note.id);
+      return;
+    }
+    if (!e.key.startsWith('Arrow')) return;
+    e.preventDefault();
+
+    if (e.altKey && !readOnly) {
+      refocusId.current = note.id;
+      if (e.key === 'ArrowLeft' && columnIndex > 0) {
+        onMoveCard(note.id, columns[columnIndex - 1].id, null);
+      } else if (e.key === 'ArrowRight' && columnIndex < columns.length - 1) {
+        onMoveCard(note.id, columns[columnIndex + 1].id, null);
+      } else if (e.key === 'ArrowUp' && cardIndex > 0) {
+        onMoveCard(note.id, column.id, column.notes[cardIndex - 1].id);
+      } else if (e.key === 'ArrowDown' && cardIndex < column.notes.length - 1) {
+        onMoveCard(note.id, column.id, column.notes[cardIndex + 2]?.id ?? null);
+      }
+      return;
+    }
+
+    if (e.key === 'ArrowUp' && cardIndex > 0) {
+      focusCard(column.notes[cardIndex - 1].id);
+    } else if (e.key === 'ArrowDown' && cardIndex < column.notes.length - 1) {
+      focusCard(column.notes[cardIndex + 1].id);
+    } else if (e.key === 'ArrowLeft' || e.key === 'ArrowRight') {
+      const step = e.key === 'ArrowLeft' ? -1 : 1;
+      for (let i = columnIndex + step; i >= 0 && i < columns.length; i += step) {
+        const neighbour = columns[i].notes;
+        if (neighbour.length > 0) {
+          focusCard(neighbour[Math.min(cardIndex, neighbour.length - 1)].id);
+          break;
+        }
+      }
+    }
+  };
+
+  return (
+    <section aria-labelledby="kanban-heading" className="w-full h-full overflow-auto bg-muted/40">
+      <h2 id="kanban-heading" className="sr-only">Kanban board</h2>
+      <p id="kanban-instructions" className="sr-only">
+        Arrow keys move between cards. Alt with the arrow keys moves a card to another column or up and down its column. Enter opens the note.
+      </p>
+      <div className="flex items-start h-full p-6 space-x-4 min-w-max">
+        {columns.map((column, columnIndex) => {
+          const isDropColumn = dropTarget?.statusId === column.id;
+          return (
+            <div
+              key={column.id}
+              className={`w-72 flex flex-col max-h-full rounded-lg border bg-surface ${
+                column.overLimit ? 'border-destructive' : 'border-border'
+              }`}
+              onDragOver={(e) => {
+                if (draggingId === null) return;
+                e.preventDefault();
+                if (!isDropColumn || dropTarget.beforeId !== null) {
+                  setDropTarget({ statusId: column.id, beforeId: null });
+                }
+              }}
+              onDrop={handleDrop}
+            >
+              <div className="flex items-center px-3 py-2 border-b border-border">
+                <Icon name={column.icon} size={16} className="text-text-secondary mr-2" aria-hidden="true" />
+                <h3 className="flex-1 text-sm font-semibold text-foreground">{column.label}</h3>
+                <span
+                  className={`text-xs font-medium px-2 py-0.5 rounded-full ${
+                    column.overLimit ? 'bg-destructive text-white' : 'bg-muted text-text-secondary'
+                  }`}
+                  title={column.limit ? `Work-in-progress limit: ${column.limit}` : undefined}
+                >
+                  {column.notes.length}{column.limit !== null && ` / ${column.limit}`}
+                  {column.overLimit && <span className="sr-only"> (over the limit)</span>}
+                </span>
+                {!readOnly && (
+                  <button
+                    type="button"
+                    onClick={() => onEditWipLimit(column.id)}
+                    className="ml-1 p-1 rounded text-text-secondary hover:text-foreground hover:bg-muted"
+                    title={`Set work-in-progress limit for ${column.label}`}
+                  >
+                    <Icon name="Gauge" size={14} />
+                  </button>
+                )}
+              </div>
+
+              <ul className="flex-1 overflow-y-auto p-2 space-y-2 min-h-[6rem]" aria-label={column.label}>
+                {column.notes.map((note, cardIndex) => {
+                  const assignees = getAssignees(note, collaborators);
+                  const checklist = getChecklistProgress(note.content);
+                  const unresolved = countUnresolvedThreads(note.comments);
+                  const isSelected = selectedNoteIds.includes(note.id);
+                  const isOverdue = overdueNoteIds.has(note.id);
+                  const priority = getPriority(note);
+                  const next = column.notes[cardIndex + 1];
+                  return (
+                    <React.Fragment key={note.id}>
+                      {isDropColumn && dropTarget.beforeId === note.id && <DropIndicator />}
+                      <li
+                        data-card-id={note.id}
+                        tabIndex={0}
+                        draggable={!readOnly}
+                        aria-describedby="kanban-instructions"
+                        aria-current={isSelected ? 'true' : undefined}
+                        onClick={() => onSelectNote(note.id)}
+                        onKeyDown={(e) => {
+                          if (e.target === e.currentTarget) handleCardKeyDown(e, note, columnIndex, cardIndex);
+                        }}
+                        onDragStart={(e) => {
+                          e.dataTransfer.effectAllowed = 'move';
+                          e.dataTransfer.setData('text/plain', note.title);
+                          setDraggingId(note.id);
+                        }}
+                        onDragEnd={() => {
+                          setDraggingId(null);
+                          setDropTarget(null);
+                        }}
+                        onDragOver={(e) => {
+                          if (draggingId === null) return;
+                          e.preventDefault();
+                          e.stopPropagation();
+                          const rect = e.currentTarget.getBoundingClientRect();
+                          const beforeId = e.clientY > rect.top + rect.height / 2 ? (next?.id ?? null) : note.id;
+                          if (!isDropColumn || dropTarget.beforeId !== beforeId) {
+                            setDropTarget({ statusId: column.id, beforeId });
+                          }
+                        }}
+                        className={`relative p-3 bg-white rounded-md border border-l-4 shadow-sm cursor-pointer focus:outline-none focus-visible:ring-2 focus-visible:ring-primary ${
+                          CARD_ACCENTS[note.color] || CARD_ACCENTS.yellow
+                        } ${isSelected ? 'border-primary' : isOverdue ? 'border-red-400' : 'border-border'} ${draggingId === note.id ? 'opacity-50' : ''}`}
+                      >
+                        <p className="text-sm font-medium text-foreground break-words">
+                          {priority && (
+                            <Icon name="Flag" size={12} className={`inline mr-1 ${priority.className}`} aria-hidden="true" />
+                          )}
+                          {note.title}
+                          {priority && <span className="sr-only">{`, ${priority.label} priority`}</span>}
+                        </p>
+                        {note.dueAt && (
+                          <p className={`flex items-center mt-1 text-xs ${isOverdue ? 'text-red-600 font-medium' : 'text-text-secondary'}`}>
+                            <Icon name={isOverdue ? 'AlarmClockOff' : 'CalendarClock'} size={12} className="mr-1" aria-hidden="true" />
+                            {isOverdue ? 'Overdue · ' : 'Due '}{formatDue(note.dueAt)}
+                          </p>
+                        )}
+                        <div className="flex items-center mt-2 text-xs text-text-secondary space-x-2">
+                          {note.category && <span className="px-1.5 py-0.5 bg-muted rounded">{note.category}</span>}
+                          {checklist.total > 0 && (
+                            <span className="flex items-center" title={`${checklist.done} of ${checklist.total} done`}>
+                              <Icon name="CheckSquare" size={12} className="mr-0.5" aria-hidden="true" />
+                              {checklist.done}/{checklist.total}
+                            </span>
+                          )}
+                          {unresolved > 0 && (
+                            <span className="flex items-center" title={`${unresolved} unresolved`}>
+                              <Icon name="MessageSquare" size={12} className="mr-0.5" aria-hidden="true" />
+                              {unresolved}
+                            </span>
+                          )}
+                          <div
+                            className="relative ml-auto"
+                            onClick={(e) => e.stopPropagation()}
+                            onBlur={(e) => {
+                              if (!e.currentTarget.contains(e.relatedTarget)) setAssigningId(null);
+                            }}
+                          >
+                            <button
+                              type="button"
+                              disabled={readOnly}
+                              aria-expanded={assigningId === note.id}
+                              onClick={() => setAssigningId(prev => prev === note.id ? null : note.id)}
+                              className="flex items-center -space-x-2 rounded-full hover:opacity-80 disabled:cursor-default"
+                              title={assignees.length > 0
+                                ? `Assigned to ${assignees.map(user => user.name).join(', ')}`
+                                : 'Assign'}
+                            >
+                              {assignees.length > 0 ? (
+                                assignees.slice(0, 3).map(user => <UserAvatar key={user.id} user={user} />)
+                              ) : (
+                                !readOnly && <Icon name="UserPlus" size={14} />
+                              )}
+                              <span className="sr-only">
+                                {assignees.length > 0 ? `Assigned to ${assignees.map(user => user.name).join(', ')}` : 'Assign'}
+                              </span>
+                            </button>
+                            {assigningId === note.id && (
+                              <AssigneeMenu
+                                note={note}
+                                collaborators={collaborators}
+                                onAssign={onAssign}
+                                onClose={() => {
+                                  setAssigningId(null);
+                                  focusCard(note.id);
+                                }}
+                              />
+                            )}
+                          </div>
+                        </div>
+                      </li>
+                    </React.Fragment>
+                  );
+                })}
+                {isDropColumn && dropTarget.beforeId === null && <DropIndicator />}
+                {column.notes.length === 0 && !isDropColumn && (
+                  <li className="text-xs text-text-secondary text-center py-6">
+                    {readOnly ? 'No cards' : 'Drag cards here'}
+                  </li>
+                )}
+              </ul>
+            </div>
+          );
+        })}
+      </div>
+    </section>
+  );
+};
+
+export default KanbanView;
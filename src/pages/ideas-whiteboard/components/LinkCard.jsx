@@ -0,0 +1,59 @@
+import React, { useState } from 'react';
+import Icon from '../../../components/AppIcon';
+import { getLinkHost } from '../utils/attachments';
+
+// Preview card for a link note; compact on the board, larger in the details panel
+const LinkCard = ({ link, compact = false }) => {
+  const [showImage, setShowImage] = useState(!!link.imageUrl);
+  const [showIcon, setShowIcon] = useState(true);
+  const host = getLinkHost(link.url);
+  // Like the preview, the site's icon is only requested once the user asked for it
+  let faviconUrl = null;
+  try {
+    faviconUrl = link.previewed ? `${new URL(link.url).origin}/favicon.ico` : null;
+  } catch (error) {
+    faviconUrl = null;
+  }
+
+  return (
+    <a
+      href={link.url}
+      target="_blank"
+      rel="noopener noreferrer"
+      onClick={(e) => e.stopPropagation()}
+      onDoubleClick={(e) => e.stopPropagation()}
+      draggable={false}
+      className="flex items-stretch bg-white/70 border border-black/10 rounded-md overflow-hidden hover:bg-white transition-colors"
+      title={link.url}
+    >
+      {showImage && (
+        <img
+          src={link.imageUrl}
+          alt=""
+          onError={() => setShowImage(false)}
+          className={`${compact ? 'w-14' : 'w-24'} object-cover flex-shrink-0`}
+          draggable={false}
+        />
+      )}
+      <div className={`flex-1 min-w-0 ${compact ? 'p-1.5' : 'p-3'}`}>
+        <div className="flex items-center space-x-1 text-xs text-gray-500">
+          {faviconUrl && showIcon ? (
+            <img src={faviconUrl} alt="" onError={() => setShowIcon(false)} className="w-3 h-3" />
+          ) : (
+            <Icon name="Globe" size={12} />
+          )}
+          <span className="truncate">{link.siteName || host}</span>
+          <Icon name="ExternalLink" size={10} className="flex-shrink-0" />
+        </div>
+        {!compact && link.title && (
+          <p className="text-sm font-medium text-gray-800 mt-1 line-clamp-2">{link.title}</p>
+        )}
+        <p className={`text-xs text-gray-600 mt-0.5 ${compact ? 'line-clamp-2' : 'line-clamp-3'}`}>
+          {link.description || link.url}
+        </p>
+      </div>
+    </a>
+  );
+};
+
+export default LinkCard;
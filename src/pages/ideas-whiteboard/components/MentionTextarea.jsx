@@ -0,0 +1,116 @@
+import React, { useState, useRef, useLayoutEffect } from 'react';
+import Icon from '../../../components/AppIcon';
+import { getMentionQuery, matchCollaborators } from '../utils/comments';
+
+// Comment box that suggests collaborators after "@". Arrow keys pick, Enter or Tab
+// inserts, Escape closes; Ctrl+Enter calls onSubmit.
+const MentionTextarea = ({
+  value,
+  onChange,
+  onSubmit,
+  collaborators = [],
+  placeholder,
+  className = '',
+  autoFocus = false
+}) => {
+  const textareaRef = useRef(null);
+  const pendingCaret = useRef(null);
+  const [mention, setMention] = useState(null); // { query, start }
+  const [activeIndex, setActiveIndex] = useState(0);
+
+  const suggestions = mention ? matchCollaborators(collaborators, mention.query) : [];
+
+  useLayoutEffect(() => {
+    if (pendingCaret.current !== null && textareaRef.current) {
+      textareaRef.current.setSelectionRange(pendingCaret.current, pendingCaret.current);
+      pendingCaret.current = null;
+    }
+  }, [value]);
+
+  const updateMention = (text, caret) => {
+    setMention(getMentionQuery(text, caret));
+    setActiveIndex(0);
+  };
+
+  const insertMention = (user) => {
+    const caret = textareaRef.current.selectionStart;
+    const inserted = `@${user.name} `;
+    pendingCaret.current = mention.start + inserted.length;
+    onChange(value.slice(0, mention.start) + inserted + value.slice(caret));
+    setMention(null);
+    textareaRef.current.focus();
+  };
+
+  const handleKeyDown = (e) => {
+    if (suggestions.length) {
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        setActiveIndex(prev => (prev + step + suggestions.length) % suggestions.length);
+        return;
+      }
+      if (e.key === 'Enter' || e.key === 'Tab') {
+        e.preventDefault();
+        insertMention(suggestions[activeIndex]);
+        return;
+      }
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        setMention(null);
+        return;
+      }
+    }
+    if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+      e.preventDefault();
+      onSubmit?.();
+    }
+  };
+
+  return (
+    <div className="relative">
+      <textarea
+        ref={textareaRef}
+        value={value}
+        placeholder={placeholder}
+        autoFocus={autoFocus}
+        onChange={(e) => {
+          onChange(e.target.value);
+          updateMention(e.target.value, e.target.selectionStart);
+        }}
+        onKeyDown={handleKeyDown}
+        onClick={(e) => updateMention(e.target.value, e.target.selectionStart)}
+        onBlur={() => setMention(null)}
+        className={`w-full px-3 py-2 border border-border rounded-lg focus:ring-2 focus:ring-primary focus:border-transparent resize-none text-sm ${className}`}
+      />
+      {suggestions.length > 0 && (
+        <div className="absolute left-0 right-0 top-full mt-1 bg-white border border-border rounded-lg shadow-lg z-50 py-1" role="listbox">
+          {suggestions.map((user, index) => (
+            <button
+              key={user.id}
+              type="button"
+              role="option"
+              aria-selected={index === activeIndex}
+              // Fires before the textarea's blur closes the list
+              onMouseDown={(e) => {
+                e.preventDefault();
+                insertMention(user);
+              }}
+              onMouseEnter={() => setActiveIndex(index)}
+              className={`w-full flex items-center space-x-2 px-3 py-1.5 text-left text-sm ${
+                index === activeIndex ? 'bg-muted' : ''
+              }`}
+            >
+              <span className="w-6 h-6 bg-primary rounded-full flex items-center justify-center flex-shrink-0">
+                <Icon name="User" size={12} color="white" />
+              </span>
+              <span className="text-foreground truncate">{user.name}</span>
+              <span className="text-xs text-text-secondary truncate">{user.email}</span>
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default MentionTextarea;
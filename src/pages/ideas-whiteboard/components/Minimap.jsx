@@ -0,0 +1,201 @@
+import React, { useRef, useEffect, useState } from 'react';
+import { getNoteCenter, NOTE_WIDTH, NOTE_HEIGHT } from '../utils/geometry';
+import { getNotesBounds, getVisibleWorldRect } from '../utils/camera';
+import { FRAME_HEADER_HEIGHT } from '../utils/frames';
+
+const MINIMAP_WIDTH = 200;
+const MINIMAP_HEIGHT = 140;
+const MINIMAP_PADDING = 8;
+
+const noteFills = {
+  yellow: '#fde68a',
+  blue: '#bfdbfe',
+  green: '#a7f3d0',
+  pink: '#fbcfe8',
+  purple: '#ddd6fe',
+  orange: '#fed7aa'
+};
+
+// Union of the note bounds and the visible area, so the viewport box always fits
+const getWorldBounds = (notes, visible) => {
+  const content = getNotesBounds(notes);
+  if (!content) return visible;
+
+  const minX = Math.min(content.x, visible.x);
+  const minY = Math.min(content.y, visible.y);
+  const maxX = Math.max(content.x + content.width, visible.x + visible.width);
+  const maxY = Math.max(content.y + content.height, visible.y + visible.height);
+  return { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+};
+
+// Map world coordinates into the minimap, preserving aspect ratio
+const createProjection = (bounds) => {
+  const innerWidth = MINIMAP_WIDTH - MINIMAP_PADDING * 2;
+  const innerHeight = MINIMAP_HEIGHT - MINIMAP_PADDING * 2;
+  const ratio = Math.min(innerWidth / bounds.width, innerHeight / bounds.height);
+  const offsetX = MINIMAP_PADDING + (innerWidth - bounds.width * ratio) / 2;
+  const offsetY = MINIMAP_PADDING + (innerHeight - bounds.height * ratio) / 2;
+
+  return {
+    ratio,
+    toMap: (point) => ({
+      x: offsetX + (point.x - bounds.x) * ratio,
+      y: offsetY + (point.y - bounds.y) * ratio
+    }),
+    toWorld: (point) => ({
+      x: bounds.x + (point.x - offsetX) / ratio,
+      y: bounds.y + (point.y - offsetY) / ratio
+    })
+  };
+};
+
+const Minimap = ({
+  notes,
+  connections,
+  frames = [],
+  camera,
+  viewport,
+  onCameraChange,
+  isVisible
+}) => {
+  const svgRef = useRef(null);
+  const dragProjectionRef = useRef(null);
+  const [isDragging, setIsDragging] = useState(false);
+
+  const hasViewport = viewport.width > 0 && viewport.height > 0;
+  const visible = hasViewport ? getVisibleWorldRect(camera, viewport) : null;
+  const bounds = visible ? getWorldBounds(notes, visible) : null;
+
+  // Freeze the projection while dragging so the map doesn't shift under the cursor
+  const projection = dragProjectionRef.current || (bounds ? createProjection(bounds) : null);
+
+  const centerOn = (e, activeProjection) => {
+    const rect = svgRef.current.getBoundingClientRect();
+    const world = activeProjection.toWorld({ x: e.clientX - rect.left, y: e.clientY - rect.top });
+    onCameraChange(prev => ({
+      ...prev,
+      x: viewport.width / 2 - world.x * prev.zoom,
+      y: viewport.height / 2 - world.y * prev.zoom
+    }));
+  };
+
+  const handleMouseDown = (e) => {
+    if (e.button !== 0 || !projection) return;
+    e.preventDefault();
+    e.stopPropagation();
+    dragProjectionRef.current = projection;
+    setIsDragging(true);
+    centerOn(e, projection);
+  };
+
+  useEffect(() => {
+    if (!isDragging) return;
+
+    const handleMouseMove = (e) => {
+      centerOn(e, dragProjectionRef.current);
+    };
+
+    const handleMouseUp = () => {
+      dragProjectionRef.current = null;
+      setIsDragging(false);
+    };
+
+    document.addEventListener('mousemove', handleMouseMove);
+    document.addEventListener('mouseup', handleMouseUp);
+    return () => {
+      document.removeEventListener('mousemove', handleMouseMove);
+      document.removeEventListener('mouseup', handleMouseUp);
+    };
+  }, [isDragging, viewport]);
+
+  if (!isVisible || !projection) return null;
+
+  const notesById = new Map(notes.map(note => [note.id, note]));
+  const viewportTopLeft = projection.toMap(visible);
+
+  return (
+    <div
+      className="absolute bottom-16 right-4 bg-white/95 backdrop-blur-sm border border-border rounded-lg shadow-lg z-1010 overflow-hidden"
+      onClick={(e) => e.stopPropagation()}
+    >
+      <svg
+        ref={svgRef}
+        width={MINIMAP_WIDTH}
+        height={MINIMAP_HEIGHT}
+        className={isDragging ? 'cursor-grabbing' : 'cursor-pointer'}
+        onMouseDown={handleMouseDown}
+      >
+        {/* Frames */}
+        {frames.map((frame) => {
+          const topLeft = projection.toMap(frame);
+          return (
+            <rect
+              key={frame.id}
+              x={topLeft.x}
+              y={topLeft.y}
+              width={Math.max(1, frame.width * projection.ratio)}
+              height={Math.max(1, (frame.collapsed ? FRAME_HEADER_HEIGHT : frame.height) * projection.ratio)}
+              fill="rgba(148, 163, 184, 0.12)"
+              stroke="#94a3b8"
+              strokeWidth={0.75}
+              rx={2}
+            />
+          );
+        })}
+
+        {/* Connections */}
+        {connections.map((connection) => {
+          const fromNote = notesById.get(connection.from);
+          const toNote = notesById.get(connection.to);
+          if (!fromNote || !toNote) return null;
+
+          const from = projection.toMap(getNoteCenter(fromNote));
+          const to = projection.toMap(getNoteCenter(toNote));
+          return (
+            <line
+              key={`${connection.from}-${connection.to}`}
+              x1={from.x}
+              y1={from.y}
+              x2={to.x}
+              y2={to.y}
+              stroke={connection.color || '#6366f1'}
+              strokeWidth={1}
+              opacity={0.6}
+            />
+          );
+        })}
+
+        {/* Notes */}
+        {notes.map((note) => {
+          const topLeft = projection.toMap(note.position);
+          return (
+            <rect
+              key={note.id}
+              x={topLeft.x}
+              y={topLeft.y}
+              width={Math.max(1, NOTE_WIDTH * projection.ratio)}
+              height={Math.max(1, NOTE_HEIGHT * projection.ratio)}
+              fill={noteFills[note.color] || noteFills.yellow}
+              stroke="#9ca3af"
+              strokeWidth={0.5}
+            />
+          );
+        })}
+
+        {/* Current viewport */}
+        <rect
+          x={viewportTopLeft.x}
+          y={viewportTopLeft.y}
+          width={visible.width * projection.ratio}
+          height={visible.height * projection.ratio}
+          fill="rgba(37, 99, 235, 0.08)"
+          stroke="#2563eb"
+          strokeWidth={1.5}
+          rx={2}
+        />
+      </svg>
+    </div>
+  );
+};
+
+export default Minimap;
@@ -2,6 +2,27 @@ import React, { useState } from 'react';
 import Icon from '../../../components/AppIcon';
 import Button from '../../../components/ui/Button';
 import Input from '../../../components/ui/Input';
+import RichText from './RichText';
+import RichTextEditor from './RichTextEditor';
+import CommentThread from './CommentThread';
+import MentionTextarea from './MentionTextarea';
+import NoteHistory from './NoteHistory';
+import BlobImage from './BlobImage';
+import LinkCard from './LinkCard';
+import AttachmentList from './AttachmentList';
+import UserAvatar from './UserAvatar';
+import { getLinkHost } from '../utils/attachments';
+import { getChecklistProgress, toggleChecklistItem, toPlainText } from '../utils/richText';
+import { buildThreads, createComment, setThreadResolved } from '../utils/comments';
+import { getRevisions } from '../utils/noteHistory';
+import { TASK_STATUSES, getNoteStatus } from '../utils/kanban';
+import {
+  TASK_PRIORITIES,
+  REMINDER_OPTIONS,
+  toDateTimeInput,
+  fromDateTimeInput,
+  isOverdue
+} from '../utils/tasks';
 
 const NoteDetailsPanel = ({ 
   note, 
@@ -11,7 +32,14 @@ const NoteDetailsPanel = ({
   connections,
   allNotes,
   onCreateConnection,
-  onDeleteConnection
+  onDeleteConnection,
+  onRestoreRevision,
+  onAddAttachments,
+  onLoadLinkPreview,
+  currentUser,
+  collaborators = [],
+  readOnly = false,
+  canDelete = true
 }) => {
   const [isEditing, setIsEditing] = useState(false);
   const [editData, setEditData] = useState({
@@ -20,6 +48,9 @@ const NoteDetailsPanel = ({
     category: note?.category || ''
   });
   const [newComment, setNewComment] = useState('');
+  const [showResolved, setShowResolved] = useState(false);
+  const [activeTab, setActiveTab] = useState('details');
+  const [isLoadingPreview, setIsLoadingPreview] = useState(false);
 
   if (!note) return null;
 
@@ -32,6 +63,11 @@ const NoteDetailsPanel = ({
     'Goals'
   ];
 
+  const checklist = getChecklistProgress(note.content);
+  const threads = buildThreads(note.comments);
+  const resolvedCount = threads.filter(thread => thread.root.resolved).length;
+  const visibleThreads = showResolved ? threads : threads.filter(thread => !thread.root.resolved);
+
   const noteConnections = connections.filter(
     conn => conn.from === note.id || conn.to === note.id
   );
@@ -55,20 +91,51 @@ const NoteDetailsPanel = ({
     setIsEditing(false);
   };
 
+  // Clearing the due date drops its reminder too
+  const handleDueChange = (value) => {
+    const dueAt = fromDateTimeInput(value);
+    onUpdateNote(note.id, dueAt ? { dueAt } : { dueAt: null, remindBefore: null });
+  };
+
+  const handleToggleAssignee = (userId) => {
+    const assigneeIds = note.assigneeIds || [];
+    onUpdateNote(note.id, {
+      assigneeIds: assigneeIds.includes(userId)
+        ? assigneeIds.filter(id => id !== userId)
+        : [...assigneeIds, userId]
+    });
+  };
+
+  const handleLoadPreview = async () => {
+    setIsLoadingPreview(true);
+    try {
+      await onLoadLinkPreview(note.id);
+    } finally {
+      setIsLoadingPreview(false);
+    }
+  };
+
+  const handleToggleItem = (line) => {
+    onUpdateNote(note.id, { content: toggleChecklistItem(note.content, line) });
+  };
+
   const handleAddComment = () => {
     if (newComment.trim()) {
-      const updatedComments = [...(note.comments || []), {
-        id: Date.now(),
-        text: newComment.trim(),
-        author: 'John Doe',
-        timestamp: new Date().toISOString()
-      }];
-      
-      onUpdateNote(note.id, { comments: updatedComments });
+      const comment = createComment({ text: newComment, author: currentUser, collaborators });
+      onUpdateNote(note.id, { comments: [...(note.comments || []), comment] });
       setNewComment('');
     }
   };
 
+  const handleReply = (rootId, text) => {
+    const reply = createComment({ text, author: currentUser, parentId: rootId, collaborators });
+    onUpdateNote(note.id, { comments: [...(note.comments || []), reply] });
+  };
+
+  const handleResolve = (rootId, resolved) => {
+    onUpdateNote(note.id, { comments: setThreadResolved(note.comments || [], rootId, resolved, currentUser) });
+  };
+
   const formatDate = (date) => {
     return new Date(date).toLocaleDateString('en-US', {
       year: 'numeric',
@@ -110,16 +177,60 @@ const NoteDetailsPanel = ({
         <div className={`p-4 rounded-lg border-2 ${getColorClasses(note.color)}`}>
           <div className="flex items-center justify-between mb-2">
             <h3 className="font-semibold text-gray-800">{note.title}</h3>
-            <Button
-              variant="ghost"
-              size="icon"
-              onClick={() => setIsEditing(true)}
-              className="w-6 h-6"
-            >
-              <Icon name="Edit2" size={12} />
-            </Button>
+            {!readOnly && (
+              <Button
+                variant="ghost"
+                size="icon"
+                onClick={() => setIsEditing(true)}
+                className="w-6 h-6"
+              >
+                <Icon name="Edit2" size={12} />
+              </Button>
+            )}
           </div>
-          <p className="text-sm text-gray-700 mb-3">{note.content}</p>
+          {note.type === 'image' && note.image && (
+            <BlobImage
+              blobId={note.image.blobId}
+              alt={note.title}
+              className="w-full max-h-64 object-contain rounded-md mb-3 min-h-[6rem]"
+            />
+          )}
+          {note.type === 'link' && note.link && (
+            <div className="mb-3">
+              <LinkCard link={note.link} />
+              {!readOnly && !note.link.previewed && onLoadLinkPreview && (
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  iconName="Download"
+                  loading={isLoadingPreview}
+                  onClick={handleLoadPreview}
+                  className="mt-1"
+                  title={`Fetches the title, description and image from ${getLinkHost(note.link.url)}`}
+                >
+                  Load preview
+                </Button>
+              )}
+            </div>
+          )}
+          <RichText
+            content={note.content}
+            onToggleItem={readOnly ? undefined : handleToggleItem}
+            className="text-sm text-gray-700 mb-3 space-y-0.5 break-words"
+          />
+          {checklist.total > 0 && (
+            <div className="flex items-center space-x-2 mb-3">
+              <div className="flex-1 h-1.5 bg-white/60 rounded-full overflow-hidden">
+                <div
+                  className="h-full bg-green-600 rounded-full transition-all"
+                  style={{ width: `${(checklist.done / checklist.total) * 100}%` }}
+                />
+              </div>
+              <span className="text-xs text-gray-600">
+                {checklist.done} of {checklist.total} done
+              </span>
+            </div>
+          )}
           <div className="flex items-center justify-between text-xs text-gray-600">
             <span>{note.author}</span>
             <span>{formatDate(note.createdAt)}</span>
@@ -128,7 +239,7 @@ const NoteDetailsPanel = ({
       </div>
 
       {/* Edit Form */}
-      {isEditing && (
+      {isEditing && !readOnly && (
         <div className="p-4 border-b border-border bg-muted">
           <h3 className="text-sm font-semibold text-foreground mb-3">Edit Note</h3>
           <div className="space-y-3">
@@ -143,11 +254,13 @@ const NoteDetailsPanel = ({
               <label className="block text-sm font-medium text-foreground mb-1">
                 Content
               </label>
-              <textarea
+              <RichTextEditor
                 value={editData.content}
-                onChange={(e) => setEditData({ ...editData, content: e.target.value })}
-                className="w-full h-20 px-3 py-2 border border-border rounded-lg focus:ring-2 focus:ring-primary focus:border-transparent resize-none text-sm"
+                onChange={(content) => setEditData({ ...editData, content })}
               />
+              <p className="text-xs text-text-secondary mt-1">
+                **bold**, _italic_, `code`, [link](url), - [ ] checklist item
+              </p>
             </div>
 
             <div>
@@ -190,110 +303,292 @@ const NoteDetailsPanel = ({
         </div>
       )}
 
-      {/* Connections */}
-      <div className="p-4 border-b border-border">
-        <h3 className="text-sm font-semibold text-foreground mb-3">
-          Connections ({connectedNotes.length})
-        </h3>
-        {connectedNotes.length > 0 ? (
-          <div className="space-y-2">
-            {connectedNotes.map((connectedNote) => (
-              <div
-                key={connectedNote.id}
-                className="flex items-center justify-between p-2 bg-muted rounded-lg"
-              >
-                <div className="flex-1 min-w-0">
-                  <p className="text-sm font-medium text-foreground truncate">
-                    {connectedNote.title}
-                  </p>
-                  <p className="text-xs text-text-secondary truncate">
-                    {connectedNote.content}
-                  </p>
-                </div>
-                <Button
-                  variant="ghost"
-                  size="icon"
-                  onClick={() => onDeleteConnection(note.id, connectedNote.id)}
-                  className="w-6 h-6 text-destructive hover:text-destructive"
+      {/* Tabs */}
+      <div className="flex border-b border-border" role="tablist">
+        {[
+          { id: 'details', label: 'Details' },
+          { id: 'history', label: `History (${getRevisions(note).length})` }
+        ].map(tab => (
+          <button
+            key={tab.id}
+            type="button"
+            role="tab"
+            aria-selected={activeTab === tab.id}
+            onClick={() => setActiveTab(tab.id)}
+            className={`flex-1 px-4 py-2 text-sm font-medium border-b-2 transition-colors ${
+              activeTab === tab.id
+                ? 'border-primary text-primary'
+                : 'border-transparent text-text-secondary hover:text-foreground'
+            }`}
+          >
+            {tab.label}
+          </button>
+        ))}
+      </div>
+
+      {activeTab === 'details' ? (
+        <>
+          {/* Task */}
+          <div className="p-4 border-b border-border space-y-3">
+            <h3 className="text-sm font-semibold text-foreground">Task</h3>
+            <div className="grid grid-cols-2 gap-3">
+              <div>
+                <label htmlFor="note-status" className="block text-sm font-medium text-foreground mb-1">
+                  Status
+                </label>
+                <select
+                  id="note-status"
+                  value={getNoteStatus(note)}
+                  disabled={readOnly}
+                  onChange={(e) => onUpdateNote(note.id, { status: e.target.value, kanbanOrder: null })}
+                  className="w-full px-3 py-2 border border-border rounded-lg focus:ring-2 focus:ring-primary focus:border-transparent text-sm"
                 >
-                  <Icon name="Unlink" size={12} />
-                </Button>
+                  {TASK_STATUSES.map(status => (
+                    <option key={status.id} value={status.id}>{status.label}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label htmlFor="note-priority" className="block text-sm font-medium text-foreground mb-1">
+                  Priority
+                </label>
+                <select
+                  id="note-priority"
+                  value={note.priority || ''}
+                  disabled={readOnly}
+                  onChange={(e) => onUpdateNote(note.id, { priority: e.target.value || null })}
+                  className="w-full px-3 py-2 border border-border rounded-lg focus:ring-2 focus:ring-primary focus:border-transparent text-sm"
+                >
+                  <option value="">None</option>
+                  {TASK_PRIORITIES.map(priority => (
+                    <option key={priority.id} value={priority.id}>{priority.label}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+
+            <div>
+              <label htmlFor="note-due" className="block text-sm font-medium text-foreground mb-1">
+                Due
+                {isOverdue(note, Date.now()) && (
+                  <span className="ml-2 text-xs font-medium text-error">Overdue</span>
+                )}
+              </label>
+              <div className="flex items-center space-x-2">
+                <input
+                  id="note-due"
+                  type="datetime-local"
+                  value={toDateTimeInput(note.dueAt)}
+                  disabled={readOnly}
+                  onChange={(e) => handleDueChange(e.target.value)}
+                  className="w-full px-3 py-2 border border-border rounded-lg focus:ring-2 focus:ring-primary focus:border-transparent text-sm"
+                />
+                {note.dueAt && !readOnly && (
+                  <Button
+                    variant="ghost"
+                    size="icon"
+                    onClick={() => handleDueChange('')}
+                    className="w-8 h-8 flex-shrink-0"
+                    title="Clear due date"
+                  >
+                    <Icon name="X" size={14} />
+                  </Button>
+                )}
               </div>
-            ))}
+            </div>
+
+            <div>
+              <label htmlFor="note-reminder" className="block text-sm font-medium text-foreground mb-1">
+                Reminder
+              </label>
+              <select
+                id="note-reminder"
+                value={note.dueAt && Number.isFinite(note.remindBefore) ? note.remindBefore : ''}
+                disabled={readOnly || !note.dueAt}
+                onChange={(e) => onUpdateNote(note.id, {
+                  remindBefore: e.target.value === '' ? null : Number(e.target.value)
+                })}
+                className="w-full px-3 py-2 border border-border rounded-lg focus:ring-2 focus:ring-primary focus:border-transparent text-sm"
+              >
+                <option value="">{note.dueAt ? 'No reminder' : 'Set a due date first'}</option>
+                {REMINDER_OPTIONS.map(option => (
+                  <option key={option.minutes} value={option.minutes}>{option.label}</option>
+                ))}
+              </select>
+            </div>
+
+            <div>
+              <p className="text-sm font-medium text-foreground mb-1">Assignees</p>
+              <div className="flex flex-wrap gap-2" role="group" aria-label="Assignees">
+                {collaborators.map(user => {
+                  const isAssigned = (note.assigneeIds || []).includes(user.id);
+                  return (
+                    <button
+                      key={user.id}
+                      type="button"
+                      disabled={readOnly}
+                      aria-pressed={isAssigned}
+                      onClick={() => handleToggleAssignee(user.id)}
+                      className={`flex items-center pl-1 pr-2 py-0.5 rounded-full border text-xs transition-colors disabled:cursor-default ${
+                        isAssigned
+                          ? 'border-primary bg-primary/10 text-foreground'
+                          : 'border-border text-text-secondary hover:text-foreground'
+                      }`}
+                    >
+                      <UserAvatar user={user} />
+                      <span className="ml-1">{user.name}</span>
+                    </button>
+                  );
+                })}
+              </div>
+            </div>
           </div>
-        ) : (
-          <p className="text-sm text-text-secondary">
-            No connections yet. Connect this note to others to show relationships.
-          </p>
-        )}
-      </div>
 
-      {/* Comments */}
-      <div className="flex-1 flex flex-col">
-        <div className="p-4 border-b border-border">
-          <h3 className="text-sm font-semibold text-foreground mb-3">
-            Comments ({note.comments?.length || 0})
-          </h3>
-          
-          {/* Add Comment */}
-          <div className="space-y-2">
-            <textarea
-              placeholder="Add a comment..."
-              value={newComment}
-              onChange={(e) => setNewComment(e.target.value)}
-              className="w-full h-16 px-3 py-2 border border-border rounded-lg focus:ring-2 focus:ring-primary focus:border-transparent resize-none text-sm"
+          {/* Attachments */}
+          <div className="p-4 border-b border-border">
+            <AttachmentList
+              attachments={note.attachments}
+              readOnly={readOnly}
+              onAdd={(files) => onAddAttachments(note.id, files)}
+              onRemove={(attachmentId) => onUpdateNote(note.id, {
+                attachments: note.attachments.filter(attachment => attachment.id !== attachmentId)
+              })}
             />
-            <Button
-              variant="default"
-              size="sm"
-              onClick={handleAddComment}
-              disabled={!newComment.trim()}
-              className="w-full"
-            >
-              <Icon name="MessageCircle" size={14} className="mr-1" />
-              Add Comment
-            </Button>
           </div>
-        </div>
 
-        {/* Comments List */}
-        <div className="flex-1 overflow-y-auto p-4">
-          {note.comments && note.comments.length > 0 ? (
-            <div className="space-y-3">
-              {note.comments.map((comment) => (
-                <div key={comment.id} className="bg-muted rounded-lg p-3">
-                  <div className="flex items-center justify-between mb-2">
-                    <span className="text-sm font-medium text-foreground">
-                      {comment.author}
-                    </span>
-                    <span className="text-xs text-text-secondary">
-                      {formatDate(comment.timestamp)}
-                    </span>
+          {/* Connections */}
+          <div className="p-4 border-b border-border">
+            <h3 className="text-sm font-semibold text-foreground mb-3">
+              Connections ({connectedNotes.length})
+            </h3>
+            {connectedNotes.length > 0 ? (
+              <div className="space-y-2">
+                {connectedNotes.map((connectedNote) => (
+                  <div
+                    key={connectedNote.id}
+                    className="flex items-center justify-between p-2 bg-muted rounded-lg"
+                  >
+                    <div className="flex-1 min-w-0">
+                      <p className="text-sm font-medium text-foreground truncate">
+                        {connectedNote.title}
+                      </p>
+                      <p className="text-xs text-text-secondary truncate">
+                        {toPlainText(connectedNote.content)}
+                      </p>
+                    </div>
+                    {!readOnly && (
+                      <Button
+                        variant="ghost"
+                        size="icon"
+                        onClick={() => onDeleteConnection(note.id, connectedNote.id)}
+                        className="w-6 h-6 text-destructive hover:text-destructive"
+                      >
+                        <Icon name="Unlink" size={12} />
+                      </Button>
+                    )}
                   </div>
-                  <p className="text-sm text-foreground">{comment.text}</p>
+                ))}
+              </div>
+            ) : (
+              <p className="text-sm text-text-secondary">
+                No connections yet. Connect this note to others to show relationships.
+              </p>
+            )}
+          </div>
+
+          {/* Comments */}
+          <div className="flex-1 flex flex-col">
+            <div className="p-4 border-b border-border">
+              <div className="flex items-center justify-between mb-3">
+                <h3 className="text-sm font-semibold text-foreground">
+                  Comments ({note.comments?.length || 0})
+                </h3>
+                {resolvedCount > 0 && (
+                  <button
+                    type="button"
+                    onClick={() => setShowResolved(prev => !prev)}
+                    className="text-xs text-primary hover:underline"
+                  >
+                    {showResolved ? 'Hide resolved' : `Show resolved (${resolvedCount})`}
+                  </button>
+                )}
+              </div>
+          
+              {/* Add Comment */}
+              {!readOnly && (
+                <div className="space-y-2">
+                  <MentionTextarea
+                    placeholder="Add a comment… type @ to mention"
+                    value={newComment}
+                    onChange={setNewComment}
+                    onSubmit={handleAddComment}
+                    collaborators={collaborators}
+                    className="h-16"
+                  />
+                  <Button
+                    variant="default"
+                    size="sm"
+                    onClick={handleAddComment}
+                    disabled={!newComment.trim()}
+                    className="w-full"
+                  >
+                    <Icon name="MessageCircle" size={14} className="mr-1" />
+                    Add Comment
+                  </Button>
                 </div>
-              ))}
+              )}
             </div>
-          ) : (
-            <p className="text-sm text-text-secondary text-center mt-8">
-              No comments yet. Be the first to comment!
-            </p>
-          )}
+
+            {/* Comment Threads */}
+            <div className="flex-1 overflow-y-auto p-4">
+              {visibleThreads.length > 0 ? (
+                <div className="space-y-3">
+                  {visibleThreads.map((thread) => (
+                    <CommentThread
+                      key={thread.root.id}
+                      thread={thread}
+                      collaborators={collaborators}
+                      currentUserId={currentUser?.id}
+                      readOnly={readOnly}
+                      onReply={(text) => handleReply(thread.root.id, text)}
+                      onResolve={(resolved) => handleResolve(thread.root.id, resolved)}
+                    />
+                  ))}
+                </div>
+              ) : (
+                <p className="text-sm text-text-secondary text-center mt-8">
+                  {threads.length > 0
+                    ? 'All comments are resolved.'
+                    : 'No comments yet. Be the first to comment!'}
+                </p>
+              )}
+            </div>
+          </div>
+        </>
+      ) : (
+        <div className="flex-1 overflow-y-auto p-4">
+          <NoteHistory
+            note={note}
+            readOnly={readOnly}
+            onRestore={(revision) => onRestoreRevision(note.id, revision)}
+          />
         </div>
-      </div>
+      )}
 
       {/* Actions */}
-      <div className="p-4 border-t border-border">
-        <Button
-          variant="destructive"
-          onClick={() => onDeleteNote(note.id)}
-          className="w-full"
-          iconName="Trash2"
-          iconPosition="left"
-        >
-          Delete Note
-        </Button>
-      </div>
+      {canDelete && (
+        <div className="p-4 border-t border-border">
+          <Button
+            variant="destructive"
+            onClick={() => onDeleteNote(note.id)}
+            className="w-full"
+            iconName="Trash2"
+            iconPosition="left"
+          >
+            Delete Note
+          </Button>
+        </div>
+      )}
     </div>
   );
 };
@@ -0,0 +1,129 @@
+import React, { useState } from 'react';
+import Button from '../../../components/ui/Button';
+import { getRevisions, changedFields, diffText } from '../utils/noteHistory';
+
+const fieldLabels = { title: 'Title', content: 'Content', category: 'Category' };
+
+const formatDate = (date) => {
+  return new Date(date).toLocaleDateString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+};
+
+const Diff = ({ before, after }) => (
+  <p className="text-sm text-foreground whitespace-pre-wrap break-words">
+    {diffText(before, after).map((part, i) => {
+      if (part.type === 'added') {
+        return <ins key={i} className="bg-green-100 text-green-800 no-underline rounded-sm">{part.text}</ins>;
+      }
+      if (part.type === 'removed') {
+        return <del key={i} className="bg-red-100 text-red-700 rounded-sm">{part.text}</del>;
+      }
+      return <span key={i}>{part.text}</span>;
+    })}
+  </p>
+);
+
+// Revisions newest first; the selected one is shown as a diff against the one before
+const NoteHistory = ({ note, readOnly, onRestore }) => {
+  const revisions = getRevisions(note);
+  const [selectedId, setSelectedId] = useState(null);
+
+  if (revisions.length === 0) {
+    return (
+      <p className="text-sm text-text-secondary text-center mt-8">
+        No edits yet. Changes to the title, content or category will show up here.
+      </p>
+    );
+  }
+
+  const latestIndex = revisions.length - 1;
+  const foundIndex = revisions.findIndex(revision => revision.id === selectedId);
+  const selectedIndex = foundIndex === -1 ? latestIndex : foundIndex;
+  const selected = revisions[selectedIndex];
+  const previous = revisions[selectedIndex - 1];
+  const fields = changedFields(previous, selected);
+
+  return (
+    <div className="space-y-4">
+      <ol className="space-y-1">
+        {revisions.map((revision, index) => ({ revision, index })).reverse().map(({ revision, index }) => (
+          <li key={revision.id}>
+            <button
+              type="button"
+              onClick={() => setSelectedId(revision.id)}
+              className={`w-full text-left px-3 py-2 rounded-lg text-sm transition-colors ${
+                index === selectedIndex ? 'bg-primary/10 ring-1 ring-primary' : 'hover:bg-muted'
+              }`}
+            >
+              <div className="flex items-center justify-between">
+                <span className="font-medium text-foreground truncate">{revision.author || 'Unknown'}</span>
+                {index === latestIndex && (
+                  <span className="px-2 py-0.5 text-xs font-medium rounded-full bg-primary text-primary-foreground">
+                    Current
+                  </span>
+                )}
+              </div>
+              <div className="flex items-center justify-between text-xs text-text-secondary mt-0.5">
+                <span>{formatDate(revision.timestamp)}</span>
+                <span>
+                  {index === 0
+                    ? 'Original'
+                    : revision.restoredFrom
+                      ? 'Restored'
+                      : changedFields(revisions[index - 1], revision).map(field => fieldLabels[field]).join(', ')}
+                </span>
+              </div>
+            </button>
+          </li>
+        ))}
+      </ol>
+
+      <div className="rounded-lg border border-border p-3 space-y-3">
+        <p className="text-xs text-text-secondary">
+          {previous
+            ? `Changes from ${formatDate(previous.timestamp)}`
+            : 'First recorded version'}
+        </p>
+        {fields.length === 0 && (
+          <p className="text-sm text-text-secondary">No changes to the text in this version.</p>
+        )}
+        {fields.map(field => (
+          <div key={field}>
+            <h4 className="text-xs font-semibold text-text-secondary uppercase tracking-wide mb-1">
+              {fieldLabels[field]}
+            </h4>
+            {previous ? (
+              <Diff before={previous[field]} after={selected[field]} />
+            ) : (
+              <p className="text-sm text-foreground whitespace-pre-wrap break-words">
+                {selected[field] || <span className="text-text-secondary">None</span>}
+              </p>
+            )}
+          </div>
+        ))}
+        {!readOnly && selectedIndex !== latestIndex && (
+          <Button
+            variant="outline"
+            size="sm"
+            onClick={() => {
+              onRestore(selected);
+              setSelectedId(null);
+            }}
+            iconName="RotateCcw"
+            iconPosition="left"
+            className="w-full"
+          >
+            Restore this version
+          </Button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default NoteHistory;
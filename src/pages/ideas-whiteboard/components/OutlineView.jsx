@@ -0,0 +1,131 @@
+import React, { useMemo } from 'react';
+import Icon from '../../../components/AppIcon';
+import RichText from './RichText';
+import { buildOutline } from '../utils/outline';
+import { getChecklistProgress } from '../utils/richText';
+import { countUnresolvedThreads } from '../utils/comments';
+
+const focusOutlineNote = (noteId) => {
+  document.getElementById(`outline-note-${noteId}`)?.focus();
+};
+
+const NoteLinks = ({ label, notes, onSelectNote }) => (
+  <p className="text-xs text-text-secondary mt-1">
+    {label}{' '}
+    {notes.map((other, i) => (
+      <React.Fragment key={other.id}>
+        {i > 0 && ', '}
+        <button
+          type="button"
+          onClick={() => {
+            onSelectNote(other.id);
+            focusOutlineNote(other.id);
+          }}
+          className="text-primary underline hover:no-underline"
+        >
+          {other.title}
+        </button>
+      </React.Fragment>
+    ))}
+  </p>
+);
+
+// The board as a document: frames become headings and notes list items, in reading
+// order, with connections spelled out. Meant for screen readers and anyone who finds
+// the canvas hard to scan.
+const OutlineView = ({
+  notes,
+  connections,
+  frames,
+  frameMembers,
+  selectedNoteIds = [],
+  onSelectNote,
+  searchHighlights = null
+}) => {
+  const sections = useMemo(
+    () => buildOutline({ notes, connections, frames, frameMembers }),
+    [notes, connections, frames, frameMembers]
+  );
+
+  return (
+    <section aria-labelledby="outline-heading" className="w-full h-full overflow-y-auto bg-white">
+      <div className="max-w-3xl mx-auto p-6">
+        <h2 id="outline-heading" className="text-lg font-semibold text-foreground">
+          Board outline
+        </h2>
+        <p className="text-sm text-text-secondary mb-6">
+          {notes.length} {notes.length === 1 ? 'note' : 'notes'}, {connections.length} {connections.length === 1 ? 'connection' : 'connections'}.
+          Choose a note to open its details.
+        </p>
+
+        {sections.length === 0 && (
+          <p className="text-sm text-text-secondary">No notes to show.</p>
+        )}
+
+        {sections.map(section => (
+          <div key={section.id ?? 'loose'} className="mb-8">
+            <h3 className="flex items-center text-base font-semibold text-foreground mb-3">
+              <Icon name={section.id ? 'Frame' : 'StickyNote'} size={16} className="mr-2 text-text-secondary" aria-hidden="true" />
+              {section.title}
+              <span className="ml-2 text-sm font-normal text-text-secondary">({section.items.length})</span>
+            </h3>
+            <ul className="space-y-3">
+              {section.items.map(({ note, outgoing, incoming }) => {
+                const checklist = getChecklistProgress(note.content);
+                const commentCount = note.comments?.length || 0;
+                const unresolved = countUnresolvedThreads(note.comments);
+                const isSelected = selectedNoteIds.includes(note.id);
+                return (
+                  <li
+                    key={note.id}
+                    className={`p-3 rounded-lg border ${isSelected ? 'border-primary bg-primary/5' : 'border-border'}`}
+                  >
+                    <h4 className="text-sm font-semibold text-foreground">
+                      <button
+                        id={`outline-note-${note.id}`}
+                        type="button"
+                        onClick={() => onSelectNote(note.id)}
+                        aria-current={isSelected ? 'true' : undefined}
+                        className="text-left hover:underline"
+                      >
+                        {note.title}
+                      </button>
+                    </h4>
+                    <p className="text-xs text-text-secondary">
+                      {[
+                        note.category,
+                        note.color && `${note.color} note`,
+                        note.author && `by ${note.author}`,
+                        checklist.total > 0 && `${checklist.done} of ${checklist.total} done`,
+                        commentCount > 0 && `${commentCount} ${commentCount === 1 ? 'comment' : 'comments'}${unresolved > 0 ? `, ${unresolved} unresolved` : ''}`,
+                        note.attachments?.length > 0 && `${note.attachments.length} ${note.attachments.length === 1 ? 'attachment' : 'attachments'}`
+                      ].filter(Boolean).join(' · ')}
+                    </p>
+                    {note.type === 'image' && (
+                      <p className="text-sm text-foreground mt-1">Image: {note.image?.name || 'untitled'}</p>
+                    )}
+                    {note.type === 'link' && note.link && (
+                      <p className="text-sm mt-1">
+                        <a href={note.link.url} target="_blank" rel="noopener noreferrer" className="text-primary underline">
+                          {note.link.title || note.link.url}
+                        </a>
+                        {note.link.description && <span className="text-text-secondary"> — {note.link.description}</span>}
+                      </p>
+                    )}
+                    {note.content && (
+                      <RichText content={note.content} terms={searchHighlights?.content} className="text-sm text-foreground mt-1" />
+                    )}
+                    {outgoing.length > 0 && <NoteLinks label="Leads to:" notes={outgoing} onSelectNote={onSelectNote} />}
+                    {incoming.length > 0 && <NoteLinks label="Linked from:" notes={incoming} onSelectNote={onSelectNote} />}
+                  </li>
+                );
+              })}
+            </ul>
+          </div>
+        ))}
+      </div>
+    </section>
+  );
+};
+
+export default OutlineView;
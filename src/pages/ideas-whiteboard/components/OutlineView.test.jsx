@@ -0,0 +1,79 @@
+import React from 'react';
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen, fireEvent, within } from '@testing-library/react';
+import { configureAxe } from 'vitest-axe';
+import OutlineView from './OutlineView';
+
+// jsdom can't compute colours, so contrast is left to manual checks
+const axe = configureAxe({ rules: { 'color-contrast': { enabled: false } } });
+
+const makeNote = (id, title, x, y) => ({
+  id,
+  title,
+  content: `${title} details`,
+  color: 'blue',
+  category: 'Ideas',
+  author: 'Mike Chen',
+  position: { x, y },
+  comments: []
+});
+
+const notes = [
+  makeNote(1, 'Goals', 100, 100),
+  makeNote(2, 'Risks', 400, 100),
+  makeNote(3, 'Backlog', 100, 600)
+];
+const connections = [{ from: 1, to: 2 }];
+const frames = [{ id: 'f1', title: 'Planning', x: 50, y: 50, width: 700, height: 300 }];
+const frameMembers = new Map([['f1', [1, 2]]]);
+
+const renderOutline = (props = {}) => render(
+  <OutlineView
+    notes={notes}
+    connections={connections}
+    frames={frames}
+    frameMembers={frameMembers}
+    onSelectNote={vi.fn()}
+    {...props}
+  />
+);
+
+describe('OutlineView accessibility', () => {
+  it('is a labelled region with frames as headings and notes as lists', () => {
+    renderOutline();
+    expect(screen.getByRole('region', { name: 'Board outline' })).toBeTruthy();
+    expect(screen.getByRole('heading', { level: 3, name: /Planning/ })).toBeTruthy();
+
+    const lists = screen.getAllByRole('list');
+    expect(within(lists[0]).getAllByRole('listitem')).toHaveLength(2);
+  });
+
+  it('spells out connections in both directions', () => {
+    renderOutline();
+    const goals = screen.getByRole('heading', { level: 4, name: 'Goals' }).closest('li');
+    const risks = screen.getByRole('heading', { level: 4, name: 'Risks' }).closest('li');
+    expect(within(goals).getByText('Leads to:')).toBeTruthy();
+    expect(within(risks).getByText('Linked from:')).toBeTruthy();
+  });
+
+  it('marks the selected note as current', () => {
+    renderOutline({ selectedNoteIds: [2] });
+    const current = screen.getAllByRole('button', { current: true });
+    expect(current.map(button => button.id)).toEqual(['outline-note-2']);
+  });
+
+  it('moves focus to a linked note when its link is followed', () => {
+    const onSelectNote = vi.fn();
+    renderOutline({ onSelectNote });
+    const goals = screen.getByRole('heading', { level: 4, name: 'Goals' }).closest('li');
+    fireEvent.click(within(goals).getByRole('button', { name: 'Risks' }));
+
+    expect(onSelectNote).toHaveBeenCalledWith(2);
+    expect(document.activeElement.id).toBe('outline-note-2');
+  });
+
+  it('has no axe violations', async () => {
+    const { container } = renderOutline({ selectedNoteIds: [1] });
+    expect(await axe(container)).toHaveNoViolations();
+  });
+});
@@ -0,0 +1,37 @@
+import React from 'react';
+import Icon from '../../../components/AppIcon';
+import Button from '../../../components/ui/Button';
+import { formatDue } from '../utils/tasks';
+
+// Reminders that have come due, newest last; each stays until opened or dismissed
+const ReminderToasts = ({ reminders, onOpen, onDismiss }) => {
+  if (reminders.length === 0) return null;
+
+  return (
+    <div className="fixed bottom-4 right-4 z-1010 w-80 space-y-2" aria-label="Reminders" role="region">
+      {reminders.map(reminder => (
+        <div key={reminder.id} className="flex items-start p-3 bg-white border border-border rounded-lg shadow-lg">
+          <Icon name="BellRing" size={18} className="text-warning mt-0.5 flex-shrink-0" />
+          <div className="flex-1 min-w-0 ml-3">
+            <p className="text-sm font-medium text-foreground truncate">{reminder.title}</p>
+            <p className="text-xs text-text-secondary">Due {formatDue(reminder.dueAt)}</p>
+            <Button variant="link" size="xs" onClick={() => onOpen(reminder)} className="h-auto p-0 text-xs">
+              Open note
+            </Button>
+          </div>
+          <Button
+            variant="ghost"
+            size="icon"
+            onClick={() => onDismiss(reminder.id)}
+            className="w-6 h-6 ml-2"
+            title="Dismiss reminder"
+          >
+            <Icon name="X" size={14} />
+          </Button>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default ReminderToasts;
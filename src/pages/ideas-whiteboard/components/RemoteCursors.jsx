@@ -0,0 +1,30 @@
+import React from 'react';
+import { worldToScreen } from '../utils/camera';
+
+// Collaborators' pointers, drawn in screen space so they stay the same size at any zoom
+const RemoteCursors = ({ peers, camera }) => (
+  <div className="absolute inset-0 pointer-events-none overflow-hidden z-1000">
+    {peers.filter(peer => peer.cursor).map((peer) => {
+      const point = worldToScreen(camera, peer.cursor);
+      return (
+        <div
+          key={peer.replicaId}
+          className="absolute transition-transform duration-75 ease-linear"
+          style={{ transform: `translate(${point.x}px, ${point.y}px)` }}
+        >
+          <svg width="18" height="18" viewBox="0 0 18 18" className="drop-shadow">
+            <path d="M2 2 L16 8 L9 10 L6 16 Z" fill={peer.color} stroke="white" strokeWidth="1.5" strokeLinejoin="round" />
+          </svg>
+          <span
+            className="absolute left-4 top-4 px-1.5 py-0.5 rounded text-xs font-medium text-white whitespace-nowrap"
+            style={{ backgroundColor: peer.color }}
+          >
+            {peer.name}
+          </span>
+        </div>
+      );
+    })}
+  </div>
+);
+
+export default RemoteCursors;
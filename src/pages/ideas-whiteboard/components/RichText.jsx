@@ -0,0 +1,87 @@
+import React from 'react';
+import Icon from '../../../components/AppIcon';
+import HighlightedText from './HighlightedText';
+import { parseInline, parseRichText } from '../utils/richText';
+
+const Inline = ({ nodes, terms }) => nodes.map((node, i) => {
+  switch (node.type) {
+    case 'bold':
+      return <strong key={i} className="font-semibold"><Inline nodes={node.children} terms={terms} /></strong>;
+    case 'italic':
+      return <em key={i}><Inline nodes={node.children} terms={terms} /></em>;
+    case 'code':
+      return (
+        <code key={i} className="px-1 py-px rounded bg-black/10 font-mono text-[0.9em]">
+          <HighlightedText text={node.text} terms={terms} />
+        </code>
+      );
+    case 'link':
+      return (
+        <a
+          key={i}
+          href={node.href}
+          target="_blank"
+          rel="noopener noreferrer"
+          className="text-blue-700 underline hover:text-blue-900"
+          onClick={(e) => e.stopPropagation()}
+          onDoubleClick={(e) => e.stopPropagation()}
+        >
+          <Inline nodes={node.children} terms={terms} />
+        </a>
+      );
+    default:
+      return <HighlightedText key={i} text={node.text} terms={terms} />;
+  }
+});
+
+// Renders note content (see utils/richText.js). Checklist items are clickable when
+// onToggleItem(line) is given and read-only otherwise.
+const RichText = ({ content, terms, onToggleItem, className = '' }) => {
+  const blocks = parseRichText(content);
+
+  return (
+    <div className={className}>
+      {blocks.map(block => {
+        if (block.type === 'check') {
+          return (
+            <div key={block.line} className="flex items-start space-x-1.5">
+              <button
+                type="button"
+                role="checkbox"
+                aria-checked={block.checked}
+                disabled={!onToggleItem}
+                onClick={(e) => {
+                  e.stopPropagation();
+                  onToggleItem?.(block.line);
+                }}
+                onDoubleClick={(e) => e.stopPropagation()}
+                className={`mt-0.5 flex-shrink-0 ${onToggleItem ? 'cursor-pointer hover:opacity-70' : 'cursor-default'}`}
+                title={block.checked ? 'Mark as not done' : 'Mark as done'}
+              >
+                <Icon name={block.checked ? 'CheckSquare' : 'Square'} size={12} />
+              </button>
+              <span className={block.checked ? 'line-through opacity-60' : ''}>
+                <Inline nodes={parseInline(block.text)} terms={terms} />
+              </span>
+            </div>
+          );
+        }
+        if (block.type === 'bullet') {
+          return (
+            <div key={block.line} className="flex items-start space-x-1.5">
+              <span className="flex-shrink-0">•</span>
+              <span><Inline nodes={parseInline(block.text)} terms={terms} /></span>
+            </div>
+          );
+        }
+        return block.text.trim() ? (
+          <p key={block.line}><Inline nodes={parseInline(block.text)} terms={terms} /></p>
+        ) : (
+          <div key={block.line} className="h-2" />
+        );
+      })}
+    </div>
+  );
+};
+
+export default RichText;
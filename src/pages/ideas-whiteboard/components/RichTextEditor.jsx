@@ -0,0 +1,117 @@
+import React, { forwardRef, useRef, useLayoutEffect, useImperativeHandle } from 'react';
+import Icon from '../../../components/AppIcon';
+import {
+  toggleWrap,
+  insertLink,
+  toggleChecklist,
+  continueList,
+  expandShortcut
+} from '../utils/richText';
+
+const FORMATS = [
+  { id: 'bold', icon: 'Bold', title: 'Bold (Ctrl+B)', apply: state => toggleWrap(state, '**') },
+  { id: 'italic', icon: 'Italic', title: 'Italic (Ctrl+I)', apply: state => toggleWrap(state, '_') },
+  { id: 'code', icon: 'Code', title: 'Inline code (Ctrl+E)', apply: state => toggleWrap(state, '`', 'code') },
+  { id: 'link', icon: 'Link', title: 'Link (Ctrl+K)', apply: insertLink },
+  { id: 'checklist', icon: 'ListChecks', title: 'Checklist (Ctrl+Shift+C, or type [] )', apply: toggleChecklist }
+];
+
+const SHORTCUTS = { b: 'bold', i: 'italic', e: 'code', k: 'link' };
+
+// Textarea for note content with a formatting bar and Markdown shortcuts.
+// onChange receives the new string; other key presses go on to onKeyDown.
+const RichTextEditor = forwardRef(({
+  value,
+  onChange,
+  onKeyDown,
+  placeholder,
+  className = '',
+  compact = false
+}, ref) => {
+  const textareaRef = useRef(null);
+  const pendingSelection = useRef(null);
+
+  useImperativeHandle(ref, () => textareaRef.current);
+
+  // Restore the caret after a command rewrote the value
+  useLayoutEffect(() => {
+    const selection = pendingSelection.current;
+    if (selection && textareaRef.current) {
+      textareaRef.current.setSelectionRange(selection.start, selection.end);
+      pendingSelection.current = null;
+    }
+  }, [value]);
+
+  const apply = (command) => {
+    const textarea = textareaRef.current;
+    if (!textarea) return false;
+    const result = command({ value: textarea.value, start: textarea.selectionStart, end: textarea.selectionEnd });
+    if (!result) return false;
+    pendingSelection.current = { start: result.start, end: result.end };
+    onChange(result.value);
+    textarea.focus();
+    return true;
+  };
+
+  const handleKeyDown = (e) => {
+    const mod = e.ctrlKey || e.metaKey;
+    const key = e.key.toLowerCase();
+    let handled = false;
+    if (mod && !e.altKey && !e.shiftKey && SHORTCUTS[key]) {
+      handled = apply(FORMATS.find(format => format.id === SHORTCUTS[key]).apply);
+    } else if (mod && e.shiftKey && key === 'c') {
+      handled = apply(toggleChecklist);
+    } else if (e.key === 'Enter' && !mod && !e.shiftKey && !e.altKey) {
+      handled = apply(continueList);
+    }
+    if (handled) {
+      e.preventDefault();
+      return;
+    }
+    onKeyDown?.(e);
+  };
+
+  const handleChange = (e) => {
+    const { value: next, selectionStart, selectionEnd } = e.target;
+    const expanded = expandShortcut({ value: next, start: selectionStart, end: selectionEnd });
+    if (expanded) pendingSelection.current = { start: expanded.start, end: expanded.end };
+    onChange(expanded ? expanded.value : next);
+  };
+
+  return (
+    <div className={className}>
+      <div className={`flex items-center ${compact ? 'space-x-0.5 mb-1' : 'space-x-1 mb-1.5'}`}>
+        {FORMATS.map(format => (
+          <button
+            key={format.id}
+            type="button"
+            title={format.title}
+            // Keep focus (and the selection) in the textarea
+            onMouseDown={(e) => e.preventDefault()}
+            onClick={(e) => {
+              e.stopPropagation();
+              apply(format.apply);
+            }}
+            className={`${compact ? 'w-5 h-5' : 'w-7 h-7'} flex items-center justify-center rounded text-gray-700 hover:bg-black/10`}
+          >
+            <Icon name={format.icon} size={compact ? 11 : 14} />
+          </button>
+        ))}
+      </div>
+      <textarea
+        ref={textareaRef}
+        value={value}
+        onChange={handleChange}
+        onKeyDown={handleKeyDown}
+        placeholder={placeholder}
+        className={compact
+          ? 'w-full h-16 text-xs bg-transparent border-none outline-none resize-none'
+          : 'w-full h-32 px-3 py-2 border border-border rounded-lg focus:ring-2 focus:ring-primary focus:border-transparent resize-none text-sm'}
+      />
+    </div>
+  );
+});
+
+RichTextEditor.displayName = 'RichTextEditor';
+
+export default RichTextEditor;
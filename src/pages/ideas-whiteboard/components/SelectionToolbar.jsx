@@ -0,0 +1,215 @@
+import React, { useState } from 'react';
+import Icon from '../../../components/AppIcon';
+import Button from '../../../components/ui/Button';
+
+const SelectionToolbar = ({
+  selectedCount,
+  onRecolor,
+  onRecategorize,
+  onDelete,
+  onAlign,
+  onDistribute,
+  onClearSelection,
+  onFrameSelection,
+  readOnly = false
+}) => {
+  const [openMenu, setOpenMenu] = useState(null);
+
+  if (selectedCount < 2) return null;
+
+  const noteColors = [
+    { name: 'yellow', color: '#fef3c7', label: 'Yellow' },
+    { name: 'blue', color: '#dbeafe', label: 'Blue' },
+    { name: 'green', color: '#d1fae5', label: 'Green' },
+    { name: 'pink', color: '#fce7f3', label: 'Pink' },
+    { name: 'purple', color: '#e9d5ff', label: 'Purple' },
+    { name: 'orange', color: '#fed7aa', label: 'Orange' }
+  ];
+
+  const categories = [
+    'Ideas',
+    'Tasks',
+    'Research',
+    'Feedback',
+    'Questions',
+    'Goals'
+  ];
+
+  const alignOptions = [
+    { mode: 'left', icon: 'AlignStartVertical', label: 'Align left' },
+    { mode: 'center', icon: 'AlignCenterVertical', label: 'Align centers horizontally' },
+    { mode: 'right', icon: 'AlignEndVertical', label: 'Align right' },
+    { mode: 'top', icon: 'AlignStartHorizontal', label: 'Align top' },
+    { mode: 'middle', icon: 'AlignCenterHorizontal', label: 'Align middles vertically' },
+    { mode: 'bottom', icon: 'AlignEndHorizontal', label: 'Align bottom' }
+  ];
+
+  const toggleMenu = (menu) => {
+    setOpenMenu(openMenu === menu ? null : menu);
+  };
+
+  return (
+    <div
+      className="absolute top-4 left-1/2 transform -translate-x-1/2 bg-popover border border-border rounded-lg shadow-lg z-1010"
+      onMouseDown={(e) => e.stopPropagation()}
+      onClick={(e) => e.stopPropagation()}
+    >
+      <div className="flex items-center space-x-1 p-1">
+        <span className="px-2 text-sm font-medium text-foreground">
+          {selectedCount} selected
+        </span>
+
+        {!readOnly && (
+          <>
+            <div className="w-px h-6 bg-border"></div>
+
+            {/* Recolor */}
+            <div className="relative">
+              <Button
+                variant="ghost"
+                size="icon"
+                onClick={() => toggleMenu('color')}
+                title="Change color"
+                className="w-8 h-8"
+              >
+                <Icon name="Palette" size={16} />
+              </Button>
+              {openMenu === 'color' && (
+                <div className="absolute left-0 mt-2 p-2 bg-popover border border-border rounded-lg shadow-modal flex space-x-2">
+                  {noteColors.map((colorOption) => (
+                    <button
+                      key={colorOption.name}
+                      onClick={() => {
+                        onRecolor(colorOption.name);
+                        setOpenMenu(null);
+                      }}
+                      className="w-6 h-6 rounded-full border-2 border-gray-300"
+                      style={{ backgroundColor: colorOption.color }}
+                      title={colorOption.label}
+                    />
+                  ))}
+                </div>
+              )}
+            </div>
+
+            {/* Recategorize */}
+            <div className="relative">
+              <Button
+                variant="ghost"
+                size="icon"
+                onClick={() => toggleMenu('category')}
+                title="Change category"
+                className="w-8 h-8"
+              >
+                <Icon name="Tag" size={16} />
+              </Button>
+              {openMenu === 'category' && (
+                <div className="absolute left-0 mt-2 w-40 p-1 bg-popover border border-border rounded-lg shadow-modal">
+                  {['', ...categories].map((category) => (
+                    <button
+                      key={category || 'none'}
+                      onClick={() => {
+                        onRecategorize(category);
+                        setOpenMenu(null);
+                      }}
+                      className="w-full text-left px-3 py-1.5 text-sm rounded-md hover:bg-muted text-foreground"
+                    >
+                      {category || 'No category'}
+                    </button>
+                  ))}
+                </div>
+              )}
+            </div>
+
+            {/* Align & Distribute */}
+            <div className="relative">
+              <Button
+                variant="ghost"
+                size="icon"
+                onClick={() => toggleMenu('arrange')}
+                title="Align and distribute"
+                className="w-8 h-8"
+              >
+                <Icon name="AlignHorizontalJustifyCenter" size={16} />
+              </Button>
+              {openMenu === 'arrange' && (
+                <div className="absolute left-0 mt-2 w-56 p-1 bg-popover border border-border rounded-lg shadow-modal">
+                  {alignOptions.map((option) => (
+                    <button
+                      key={option.mode}
+                      onClick={() => {
+                        onAlign(option.mode);
+                        setOpenMenu(null);
+                      }}
+                      className="w-full flex items-center space-x-2 px-3 py-1.5 text-sm rounded-md hover:bg-muted text-foreground"
+                    >
+                      <Icon name={option.icon} size={14} />
+                      <span>{option.label}</span>
+                    </button>
+                  ))}
+                  <div className="my-1 border-t border-border"></div>
+                  <button
+                    onClick={() => {
+                      onDistribute('horizontal');
+                      setOpenMenu(null);
+                    }}
+                    disabled={selectedCount < 3}
+                    className="w-full flex items-center space-x-2 px-3 py-1.5 text-sm rounded-md hover:bg-muted text-foreground disabled:opacity-50"
+                  >
+                    <Icon name="AlignHorizontalDistributeCenter" size={14} />
+                    <span>Distribute horizontally</span>
+                  </button>
+                  <button
+                    onClick={() => {
+                      onDistribute('vertical');
+                      setOpenMenu(null);
+                    }}
+                    disabled={selectedCount < 3}
+                    className="w-full flex items-center space-x-2 px-3 py-1.5 text-sm rounded-md hover:bg-muted text-foreground disabled:opacity-50"
+                  >
+                    <Icon name="AlignVerticalDistributeCenter" size={14} />
+                    <span>Distribute vertically</span>
+                  </button>
+                </div>
+              )}
+            </div>
+
+            {/* Wrap in a frame */}
+            <Button
+              variant="ghost"
+              size="icon"
+              onClick={onFrameSelection}
+              title="Frame selected notes"
+              className="w-8 h-8"
+            >
+              <Icon name="Frame" size={16} />
+            </Button>
+
+            <div className="w-px h-6 bg-border"></div>
+
+            <Button
+              variant="ghost"
+              size="icon"
+              onClick={onDelete}
+              title="Delete selected notes"
+              className="w-8 h-8 text-destructive hover:text-destructive"
+            >
+              <Icon name="Trash2" size={16} />
+            </Button>
+          </>
+        )}
+        <Button
+          variant="ghost"
+          size="icon"
+          onClick={onClearSelection}
+          title="Clear selection"
+          className="w-8 h-8"
+        >
+          <Icon name="X" size={16} />
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+export default SelectionToolbar;
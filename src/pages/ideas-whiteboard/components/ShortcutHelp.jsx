@@ -0,0 +1,62 @@
+import React, { useEffect } from 'react';
+import Icon from '../../../components/AppIcon';
+import Button from '../../../components/ui/Button';
+import { SHORTCUT_GROUPS } from '../utils/shortcuts';
+
+// Overlay listing the keyboard shortcuts; Escape or ? closes it
+const ShortcutHelp = ({ onClose }) => {
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape' || e.key === '?') {
+        e.preventDefault();
+        onClose();
+      }
+    };
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  return (
+    <div
+      className="fixed inset-0 bg-black/50 flex items-center justify-center z-1020"
+      onMouseDown={(e) => {
+        if (e.target === e.currentTarget) onClose();
+      }}
+    >
+      <div className="bg-white rounded-lg shadow-modal w-full max-w-2xl max-h-[80vh] overflow-hidden flex flex-col" role="dialog" aria-label="Keyboard shortcuts">
+        <div className="p-6 border-b border-border flex items-center justify-between">
+          <h2 className="text-xl font-semibold text-foreground">Keyboard Shortcuts</h2>
+          <Button variant="ghost" size="icon" onClick={onClose} title="Close">
+            <Icon name="X" size={20} />
+          </Button>
+        </div>
+        <div className="p-6 overflow-y-auto grid grid-cols-1 md:grid-cols-2 gap-6">
+          {SHORTCUT_GROUPS.map(group => (
+            <div key={group.title}>
+              <h3 className="text-sm font-semibold text-foreground mb-3">{group.title}</h3>
+              <dl className="space-y-2">
+                {group.shortcuts.map(shortcut => (
+                  <div key={shortcut.description} className="flex items-start justify-between space-x-4 text-sm">
+                    <dt className="flex-shrink-0 space-x-1">
+                      {shortcut.keys.map(key => (
+                        <kbd key={key} className="px-1.5 py-0.5 text-xs font-mono bg-muted rounded border border-border">
+                          {key}
+                        </kbd>
+                      ))}
+                    </dt>
+                    <dd className="text-text-secondary text-right">{shortcut.description}</dd>
+                  </div>
+                ))}
+              </dl>
+            </div>
+          ))}
+        </div>
+        <p className="px-6 py-3 border-t border-border text-xs text-text-secondary">
+          Shortcuts are paused while you type in a note, search box or form.
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default ShortcutHelp;
@@ -1,7 +1,15 @@
-import React, { useState, useRef, useEffect } from 'react';
+import React, { useState, useRef, useEffect, memo } from 'react';
 import { useDrag } from 'react-dnd';
 import Icon from '../../../components/AppIcon';
 import Button from '../../../components/ui/Button';
+import HighlightedText from './HighlightedText';
+import RichText from './RichText';
+import RichTextEditor from './RichTextEditor';
+import BlobImage from './BlobImage';
+import LinkCard from './LinkCard';
+import { getChecklistProgress, toggleChecklistItem } from '../utils/richText';
+import { countUnresolvedThreads } from '../utils/comments';
+import { getPriority, formatDue } from '../utils/tasks';
 
 const StickyNote = ({ 
   note, 
@@ -9,7 +17,13 @@ const StickyNote = ({
   onDelete, 
   onSelect, 
   isSelected, 
+  remoteSelection,
   onConnect,
+  readOnly = false,
+  highlights = null,
+  isActiveResult = false,
+  isTabStop = false,
+  isOverdue = false,
   scale = 1 
 }) => {
   const [isEditing, setIsEditing] = useState(false);
@@ -20,6 +34,7 @@ const StickyNote = ({
   const [{ isDragging }, drag] = useDrag({
     type: 'sticky-note',
     item: { id: note.id, type: 'sticky-note' },
+    canDrag: !readOnly,
     collect: (monitor) => ({
       isDragging: monitor.isDragging(),
     }),
@@ -32,13 +47,14 @@ const StickyNote = ({
   }, [isEditing]);
 
   const handleDoubleClick = () => {
-    setIsEditing(true);
+    if (!readOnly) setIsEditing(true);
   };
 
   const handleSave = () => {
     onUpdate(note.id, {
       title: editTitle.trim() || 'Untitled',
-      content: editContent.trim() || 'No content'
+      // Image and link notes don't need text of their own
+      content: editContent.trim() || (note.type ? '' : 'No content')
     });
     setIsEditing(false);
   };
@@ -49,6 +65,10 @@ const StickyNote = ({
     setIsEditing(false);
   };
 
+  const handleToggleItem = (line) => {
+    onUpdate(note.id, { content: toggleChecklistItem(note.content, line) });
+  };
+
   const handleKeyDown = (e) => {
     if (e.key === 'Enter' && e.ctrlKey) {
       handleSave();
@@ -78,22 +98,45 @@ const StickyNote = ({
     });
   };
 
+  const checklist = getChecklistProgress(note.content);
+  const commentCount = note.comments?.length || 0;
+  const unresolvedThreads = countUnresolvedThreads(note.comments);
+  const priority = getPriority(note);
+
   return (
     <div
       ref={drag}
-      className={`absolute cursor-move select-none transition-all duration-200 ${
+      data-note-id={note.id}
+      role="group"
+      aria-roledescription="note"
+      aria-label={[note.title, isOverdue && 'overdue', isSelected && 'selected'].filter(Boolean).join(', ')}
+      tabIndex={isTabStop ? 0 : -1}
+      className={`absolute ${readOnly ? 'cursor-pointer' : 'cursor-move'} select-none transition-all duration-200 focus:outline-none focus-visible:ring-2 focus-visible:ring-primary focus-visible:ring-offset-2 ${
         isDragging ? 'opacity-50 scale-105' : 'opacity-100'
-      } ${isSelected ? 'ring-2 ring-primary ring-offset-2' : ''}`}
+      } ${isSelected ? 'ring-2 ring-primary ring-offset-2' : ''} ${
+        isActiveResult && !isSelected ? 'ring-4 ring-yellow-400 ring-offset-2 rounded-lg' : ''
+      } ${isOverdue && !isSelected && !isActiveResult ? 'ring-2 ring-red-500 ring-offset-2 rounded-lg' : ''}`}
       style={{
         left: note.position.x,
         top: note.position.y,
         transform: `scale(${scale})`,
         transformOrigin: 'top left',
-        zIndex: isSelected ? 1000 : note.zIndex || 1
+        zIndex: isSelected ? 1000 : note.zIndex || 1,
+        // A collaborator has this note selected
+        outline: remoteSelection ? `2px solid ${remoteSelection.color}` : undefined,
+        outlineOffset: 4
       }}
-      onClick={() => onSelect(note.id)}
+      onClick={(e) => onSelect(note.id, { additive: e.shiftKey || e.metaKey })}
       onDoubleClick={handleDoubleClick}
     >
+      {remoteSelection && (
+        <span
+          className="absolute -top-7 left-0 px-1.5 py-0.5 rounded text-xs font-medium text-white whitespace-nowrap"
+          style={{ backgroundColor: remoteSelection.color }}
+        >
+          {remoteSelection.name}
+        </span>
+      )}
       <div
         className={`w-64 h-48 p-4 rounded-lg border-2 shadow-lg hover:shadow-xl transition-shadow ${getColorClasses(note.color)}`}
       >
@@ -110,11 +153,11 @@ const StickyNote = ({
             />
           ) : (
             <h3 className="text-sm font-semibold text-gray-800 line-clamp-1">
-              {note.title}
+              <HighlightedText text={note.title} terms={highlights?.title} />
             </h3>
           )}
           
-          {!isEditing && (
+          {!isEditing && !readOnly && (
             <div className="flex items-center space-x-1 ml-2">
               <Button
                 variant="ghost"
@@ -147,21 +190,51 @@ const StickyNote = ({
         {/* Note Content */}
         <div className="flex-1 mb-3">
           {isEditing ? (
-            <textarea
+            <RichTextEditor
               ref={textareaRef}
               value={editContent}
-              onChange={(e) => setEditContent(e.target.value)}
-              className="w-full h-20 text-xs bg-transparent border-none outline-none resize-none"
+              onChange={setEditContent}
               placeholder="Write your idea here..."
               onKeyDown={handleKeyDown}
+              compact
             />
+          ) : note.type === 'image' && note.image ? (
+            <BlobImage blobId={note.image.blobId} alt={note.title} className="w-full h-24 object-cover rounded-md" />
           ) : (
-            <p className="text-xs text-gray-700 line-clamp-4 leading-relaxed">
-              {note.content}
-            </p>
+            <>
+              {note.type === 'link' && note.link && <LinkCard link={note.link} compact />}
+              <RichText
+                content={note.content}
+                terms={highlights?.content}
+                onToggleItem={readOnly ? undefined : handleToggleItem}
+                className={`text-xs text-gray-700 leading-relaxed overflow-hidden ${
+                  note.type === 'link' ? 'max-h-8 mt-1' : checklist.total ? 'max-h-16' : 'max-h-20'
+                }`}
+              />
+            </>
           )}
         </div>
 
+        {/* Checklist Progress */}
+        {!isEditing && checklist.total > 0 && (
+          <div className="flex items-center space-x-2 mb-2" title={`${checklist.done} of ${checklist.total} items done`}>
+            <div
+              className="flex-1 h-1.5 bg-white/60 rounded-full overflow-hidden"
+              role="progressbar"
+              aria-label="Checklist progress"
+              aria-valuemin={0}
+              aria-valuemax={checklist.total}
+              aria-valuenow={checklist.done}
+            >
+              <div
+                className="h-full bg-green-600 rounded-full transition-all"
+                style={{ width: `${(checklist.done / checklist.total) * 100}%` }}
+              />
+            </div>
+            <span className="text-xs text-gray-600">{checklist.done}/{checklist.total}</span>
+          </div>
+        )}
+
         {/* Note Footer */}
         {isEditing ? (
           <div className="flex items-center justify-end space-x-2">
@@ -186,11 +259,39 @@ const StickyNote = ({
           <div className="flex items-center justify-between text-xs text-gray-600">
             <div className="flex items-center space-x-1">
               <Icon name="User" size={10} />
-              <span>{note.author}</span>
+              <span><HighlightedText text={note.author} terms={highlights?.author} /></span>
+              {note.attachments?.length > 0 && (
+                <span
+                  className="flex items-center space-x-0.5 pl-1"
+                  title={`${note.attachments.length} attachment${note.attachments.length === 1 ? '' : 's'}`}
+                >
+                  <Icon name="Paperclip" size={10} />
+                  <span aria-hidden="true">{note.attachments.length}</span>
+                  <span className="sr-only">{`${note.attachments.length} attachment${note.attachments.length === 1 ? '' : 's'}`}</span>
+                </span>
+              )}
             </div>
             <div className="flex items-center space-x-1">
-              <Icon name="Clock" size={10} />
-              <span>{formatDate(note.createdAt)}</span>
+              {priority && (
+                <span className={`flex items-center pr-1 ${priority.className}`} title={`${priority.label} priority`}>
+                  <Icon name="Flag" size={10} />
+                  <span className="sr-only">{`${priority.label} priority`}</span>
+                </span>
+              )}
+              {note.dueAt ? (
+                <span
+                  className={`flex items-center space-x-1 ${isOverdue ? 'text-red-600 font-medium' : ''}`}
+                  title={isOverdue ? 'Overdue' : 'Due date'}
+                >
+                  <Icon name={isOverdue ? 'AlarmClockOff' : 'CalendarClock'} size={10} />
+                  <span>{isOverdue ? 'Overdue · ' : 'Due '}{formatDue(note.dueAt)}</span>
+                </span>
+              ) : (
+                <>
+                  <Icon name="Clock" size={10} />
+                  <span>{formatDate(note.createdAt)}</span>
+                </>
+              )}
             </div>
           </div>
         )}
@@ -199,7 +300,29 @@ const StickyNote = ({
         {note.category && (
           <div className="absolute -top-2 -right-2">
             <span className="inline-flex items-center px-2 py-1 text-xs font-medium bg-white border border-gray-300 rounded-full shadow-sm">
-              {note.category}
+              <HighlightedText text={note.category} terms={highlights?.category} />
+            </span>
+          </div>
+        )}
+
+        {/* Comment Count */}
+        {commentCount > 0 && (
+          <div className="absolute -top-2 -left-2">
+            <span
+              className={`inline-flex items-center space-x-1 px-2 py-1 text-xs font-medium border rounded-full shadow-sm ${
+                unresolvedThreads > 0 ? 'bg-orange-500 border-orange-600 text-white' : 'bg-white border-gray-300 text-gray-600'
+              }`}
+              title={unresolvedThreads > 0
+                ? `${commentCount} comments, ${unresolvedThreads} unresolved`
+                : `${commentCount} comments, all resolved`}
+            >
+              <Icon name="MessageCircle" size={10} />
+              <span aria-hidden="true">{commentCount}</span>
+              <span className="sr-only">
+                {unresolvedThreads > 0
+                  ? `${commentCount} comments, ${unresolvedThreads} unresolved`
+                  : `${commentCount} comments, all resolved`}
+              </span>
             </span>
           </div>
         )}
@@ -217,4 +340,5 @@ const StickyNote = ({
   );
 };
 
-export default StickyNote;
\ No newline at end of file
+// Memoized so panning and edits elsewhere don't re-render every note on large boards
+export default memo(StickyNote);
\ No newline at end of file
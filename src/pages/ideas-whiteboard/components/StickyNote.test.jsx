@@ -0,0 +1,68 @@
+import React from 'react';
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import { DndProvider } from 'react-dnd';
+import { HTML5Backend } from 'react-dnd-html5-backend';
+import { configureAxe } from 'vitest-axe';
+import StickyNote from './StickyNote';
+
+// jsdom can't compute colours, so contrast is left to manual checks
+const axe = configureAxe({ rules: { 'color-contrast': { enabled: false } } });
+
+const note = {
+  id: 1,
+  title: 'Launch plan',
+  content: 'Ship the beta to the first customers',
+  color: 'yellow',
+  category: 'Tasks',
+  author: 'Sarah Johnson',
+  createdAt: '2025-01-10T10:30:00Z',
+  position: { x: 100, y: 100 },
+  comments: []
+};
+
+const renderNote = (props = {}) => render(
+  <DndProvider backend={HTML5Backend}>
+    <StickyNote
+      note={note}
+      onUpdate={vi.fn()}
+      onDelete={vi.fn()}
+      onSelect={vi.fn()}
+      onConnect={vi.fn()}
+      isSelected={false}
+      {...props}
+    />
+  </DndProvider>
+);
+
+describe('StickyNote accessibility', () => {
+  it('is a group described as a note and labelled by its title', () => {
+    renderNote();
+    const group = screen.getByRole('group', { name: 'Launch plan' });
+    expect(group.getAttribute('aria-roledescription')).toBe('note');
+  });
+
+  it('announces selected and overdue state in its label', () => {
+    renderNote({ isSelected: true, isOverdue: true });
+    expect(screen.getByRole('group', { name: 'Launch plan, overdue, selected' })).toBeTruthy();
+  });
+
+  it('is reachable with Tab only when it is the board\'s tab stop', () => {
+    const { unmount } = renderNote();
+    expect(screen.getByRole('group').tabIndex).toBe(-1);
+    unmount();
+
+    renderNote({ isTabStop: true });
+    expect(screen.getByRole('group').tabIndex).toBe(0);
+  });
+
+  it('has no axe violations', async () => {
+    const { container } = renderNote({ isSelected: true, isTabStop: true });
+    expect(await axe(container)).toHaveNoViolations();
+  });
+
+  it('has no axe violations when read-only', async () => {
+    const { container } = renderNote({ readOnly: true });
+    expect(await axe(container)).toHaveNoViolations();
+  });
+});
@@ -0,0 +1,71 @@
+import React, { useState } from 'react';
+import Icon from '../../../components/AppIcon';
+import Button from '../../../components/ui/Button';
+import Input from '../../../components/ui/Input';
+import { getTemplateFields, fillTemplate, fillAutoFields } from '../utils/noteTemplates';
+
+// Asks for a note template's placeholders before the note is created. Empty fields
+// fall back to the placeholder's default, shown as the input's placeholder.
+const TemplateFieldsDialog = ({ template, author, onConfirm, onClose }) => {
+  const fields = getTemplateFields(template);
+  const [values, setValues] = useState({});
+  const preview = fillTemplate(template, values, { author });
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onConfirm(values);
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-1020">
+      <form
+        onSubmit={handleSubmit}
+        onKeyDown={(e) => {
+          if (e.key === 'Escape') onClose();
+        }}
+        className="bg-white rounded-lg shadow-modal w-full max-w-md max-h-[80vh] overflow-hidden flex flex-col"
+        role="dialog"
+        aria-labelledby="template-fields-title"
+      >
+        <div className="p-6 border-b border-border flex items-center justify-between">
+          <div>
+            <h2 id="template-fields-title" className="text-xl font-semibold text-foreground">{template.name}</h2>
+            <p className="text-sm text-text-secondary mt-1">Fill in the template, or leave fields empty for their defaults</p>
+          </div>
+          <Button type="button" variant="ghost" size="icon" onClick={onClose} title="Close">
+            <Icon name="X" size={20} />
+          </Button>
+        </div>
+
+        <div className="p-6 flex-1 overflow-y-auto space-y-4">
+          {fields.map((field, index) => (
+            <Input
+              key={field.name}
+              label={field.name}
+              autoFocus={index === 0}
+              value={values[field.name] || ''}
+              placeholder={fillAutoFields(field.defaultValue, { author })}
+              onChange={(e) => setValues(prev => ({ ...prev, [field.name]: e.target.value }))}
+            />
+          ))}
+          <div className="p-3 bg-muted rounded-lg">
+            <p className="text-xs text-text-secondary mb-1">Preview</p>
+            <p className="text-sm font-semibold text-foreground truncate">{preview.title}</p>
+            <p className="text-xs text-text-secondary whitespace-pre-line line-clamp-4">{preview.content}</p>
+          </div>
+        </div>
+
+        <div className="p-6 border-t border-border flex justify-end space-x-2">
+          <Button type="button" variant="outline" onClick={onClose}>
+            Cancel
+          </Button>
+          <Button type="submit" variant="default" iconName="Plus" iconPosition="left">
+            Create Note
+          </Button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default TemplateFieldsDialog;
@@ -0,0 +1,261 @@
+import React, { useState } from 'react';
+import Icon from '../../../components/AppIcon';
+import Button from '../../../components/ui/Button';
+import Input from '../../../components/ui/Input';
+import RichTextEditor from './RichTextEditor';
+import { NOTE_TEMPLATES } from '../utils/noteTemplates';
+import { BOARD_TEMPLATES } from '../utils/boardTemplates';
+
+const NOTE_COLORS = ['yellow', 'blue', 'green', 'pink', 'purple', 'orange'];
+
+const EMPTY_DRAFT = { name: '', title: '', content: '', color: 'yellow', category: '' };
+
+const TemplateRow = ({ template, detail, custom, actionLabel, disabled, onUse, onShare, onDelete }) => (
+  <li className="flex items-center p-3 border border-border rounded-lg">
+    <Icon name={template.icon || 'FileText'} size={18} className="text-text-secondary flex-shrink-0" />
+    <div className="flex-1 min-w-0 ml-3">
+      <p className="text-sm font-medium text-foreground truncate">
+        {template.name}
+        {custom && <span className="ml-2 text-xs font-normal text-text-secondary">Custom</span>}
+      </p>
+      {detail && <p className="text-xs text-text-secondary truncate">{detail}</p>}
+    </div>
+    <div className="flex items-center space-x-1 ml-2">
+      <Button variant="ghost" size="icon" onClick={onShare} className="w-8 h-8" title={`Share "${template.name}" as a file`}>
+        <Icon name="Share2" size={14} />
+      </Button>
+      {custom && (
+        <Button
+          variant="ghost"
+          size="icon"
+          onClick={onDelete}
+          className="w-8 h-8 text-destructive hover:text-destructive"
+          title={`Delete "${template.name}"`}
+        >
+          <Icon name="Trash2" size={14} />
+        </Button>
+      )}
+      <Button variant="outline" size="sm" onClick={onUse} disabled={disabled}>
+        {actionLabel}
+      </Button>
+    </div>
+  </li>
+);
+
+// Built-in and custom templates: board templates add frames, notes and connections
+// in one step; note templates make a single note, asking for any placeholders
+const TemplateGallery = ({
+  customTemplates,
+  selectedNote,
+  hasSelection,
+  readOnly = false,
+  onUseNoteTemplate,
+  onApplyBoardTemplate,
+  onSaveNoteTemplate,
+  onSaveBoardTemplate,
+  onDeleteTemplate,
+  onShareTemplate,
+  onImportTemplate,
+  onClose
+}) => {
+  const [tab, setTab] = useState('boards');
+  const [draft, setDraft] = useState(null);
+
+  const handleSaveDraft = () => {
+    if (!draft.name.trim() || !(draft.title.trim() || draft.content.trim())) return;
+    onSaveNoteTemplate({
+      name: draft.name.trim(),
+      note: { title: draft.title, content: draft.content, color: draft.color, category: draft.category.trim() }
+    });
+    setDraft(null);
+  };
+
+  const tabs = [
+    { key: 'boards', label: 'Board templates' },
+    { key: 'notes', label: 'Note templates' }
+  ];
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-1020">
+      <div
+        className="bg-white rounded-lg shadow-modal w-full max-w-2xl max-h-[80vh] overflow-hidden flex flex-col"
+        role="dialog"
+        aria-labelledby="template-gallery-title"
+      >
+        {/* Header */}
+        <div className="p-6 border-b border-border flex items-center justify-between">
+          <div>
+            <h2 id="template-gallery-title" className="text-xl font-semibold text-foreground">Templates</h2>
+            <p className="text-sm text-text-secondary mt-1">Start a board or a note from a layout you reuse</p>
+          </div>
+          <div className="flex items-center space-x-2">
+            <Button variant="outline" size="sm" iconName="Upload" iconPosition="left" onClick={onImportTemplate}>
+              Import
+            </Button>
+            <Button variant="ghost" size="icon" onClick={onClose} title="Close">
+              <Icon name="X" size={20} />
+            </Button>
+          </div>
+        </div>
+
+        <div className="px-6 pt-4 flex space-x-1 border-b border-border" role="tablist">
+          {tabs.map(({ key, label }) => (
+            <button
+              key={key}
+              type="button"
+              role="tab"
+              aria-selected={tab === key}
+              onClick={() => setTab(key)}
+              className={`px-3 py-2 text-sm font-medium border-b-2 -mb-px transition-colors ${
+                tab === key ? 'border-primary text-foreground' : 'border-transparent text-text-secondary hover:text-foreground'
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+
+        {/* Content */}
+        <div className="p-6 flex-1 overflow-y-auto space-y-4" role="tabpanel">
+          {tab === 'boards' ? (
+            <>
+              <ul className="space-y-2">
+                {[...BOARD_TEMPLATES, ...customTemplates.boards].map(template => {
+                  const custom = customTemplates.boards.includes(template);
+                  return (
+                    <TemplateRow
+                      key={template.id}
+                      template={template}
+                      custom={custom}
+                      detail={template.description || `${template.board.notes.length} notes, ${template.board.frames.length} frames`}
+                      actionLabel="Add to board"
+                      disabled={readOnly}
+                      onUse={() => onApplyBoardTemplate(template)}
+                      onShare={() => onShareTemplate('board', template)}
+                      onDelete={() => onDeleteTemplate('board', template)}
+                    />
+                  );
+                })}
+              </ul>
+              <div className="flex space-x-2">
+                <Button variant="outline" size="sm" iconName="LayoutTemplate" iconPosition="left" onClick={() => onSaveBoardTemplate('board')}>
+                  Save board as template
+                </Button>
+                {hasSelection && (
+                  <Button variant="outline" size="sm" iconName="BoxSelect" iconPosition="left" onClick={() => onSaveBoardTemplate('selection')}>
+                    Save selection as template
+                  </Button>
+                )}
+              </div>
+            </>
+          ) : (
+            <>
+              <ul className="space-y-2">
+                {[...NOTE_TEMPLATES, ...customTemplates.notes].map(template => {
+                  const custom = customTemplates.notes.includes(template);
+                  return (
+                    <TemplateRow
+                      key={template.id}
+                      template={template}
+                      custom={custom}
+                      detail={template.note.title}
+                      actionLabel="Create note"
+                      disabled={readOnly}
+                      onUse={() => onUseNoteTemplate(template)}
+                      onShare={() => onShareTemplate('note', template)}
+                      onDelete={() => onDeleteTemplate('note', template)}
+                    />
+                  );
+                })}
+              </ul>
+
+              {draft ? (
+                <div className="p-4 border border-border rounded-lg space-y-3">
+                  <Input
+                    label="Template name"
+                    value={draft.name}
+                    onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+                    placeholder="e.g. Bug report"
+                  />
+                  <Input
+                    label="Note title"
+                    value={draft.title}
+                    onChange={(e) => setDraft({ ...draft, title: e.target.value })}
+                    placeholder="e.g. Bug: {{Summary}}"
+                  />
+                  <div>
+                    <label className="block text-sm font-medium text-foreground mb-2">Content</label>
+                    <RichTextEditor
+                      value={draft.content}
+                      onChange={(content) => setDraft({ ...draft, content })}
+                      placeholder={'Steps: {{Steps}}\nSeverity: {{Severity|Medium}}'}
+                      compact
+                    />
+                  </div>
+                  <p className="text-xs text-text-secondary">
+                    {'Use {{Field}} or {{Field|default}} for text to fill in when the template is used. {{date}} and {{author}} fill themselves in.'}
+                  </p>
+                  <div className="grid grid-cols-2 gap-3">
+                    <div>
+                      <label className="block text-sm font-medium text-foreground mb-2">Color</label>
+                      <select
+                        value={draft.color}
+                        onChange={(e) => setDraft({ ...draft, color: e.target.value })}
+                        className="w-full px-3 py-2 border border-border rounded-lg capitalize"
+                      >
+                        {NOTE_COLORS.map(color => <option key={color} value={color}>{color}</option>)}
+                      </select>
+                    </div>
+                    <Input
+                      label="Category"
+                      value={draft.category}
+                      onChange={(e) => setDraft({ ...draft, category: e.target.value })}
+                    />
+                  </div>
+                  <div className="flex justify-end space-x-2">
+                    <Button variant="outline" size="sm" onClick={() => setDraft(null)}>
+                      Cancel
+                    </Button>
+                    <Button
+                      variant="default"
+                      size="sm"
+                      onClick={handleSaveDraft}
+                      disabled={!draft.name.trim() || !(draft.title.trim() || draft.content.trim())}
+                    >
+                      Save Template
+                    </Button>
+                  </div>
+                </div>
+              ) : (
+                <div className="flex space-x-2">
+                  <Button variant="outline" size="sm" iconName="Plus" iconPosition="left" onClick={() => setDraft(EMPTY_DRAFT)}>
+                    New note template
+                  </Button>
+                  {selectedNote && (
+                    <Button
+                      variant="outline"
+                      size="sm"
+                      iconName="Copy"
+                      iconPosition="left"
+                      onClick={() => setDraft({
+                        name: selectedNote.title,
+                        title: selectedNote.title,
+                        content: selectedNote.content,
+                        color: selectedNote.color || 'yellow',
+                        category: selectedNote.category || ''
+                      })}
+                    >
+                      From selected note
+                    </Button>
+                  )}
+                </div>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TemplateGallery;
@@ -1,10 +1,29 @@
-import React, { useState } from 'react';
+import React, { useState, useRef } from 'react';
 import Icon from '../../../components/AppIcon';
 import Button from '../../../components/ui/Button';
 import Input from '../../../components/ui/Input';
+import RichTextEditor from './RichTextEditor';
+import { TEXT_EXPORT_FORMATS } from '../utils/textExporters';
+import { parseLinkUrl } from '../utils/attachments';
+import { QUICK_NOTE } from '../utils/noteTemplates';
 
-const ToolbarLeft = ({ onCreateNote, onImportNotes, onExportNotes }) => {
+const ToolbarLeft = ({
+  onCreateNote,
+  onCreateFrame,
+  onImportNotes,
+  onExportNotes,
+  onExportImage,
+  onAddImages,
+  onAddLink,
+  noteTemplates = [],
+  onUseNoteTemplate,
+  onOpenTemplates,
+  readOnly = false,
+  canImport = true
+}) => {
   const [showCreateForm, setShowCreateForm] = useState(false);
+  const [showExportFormats, setShowExportFormats] = useState(false);
+  const imageInputRef = useRef(null);
   const [newNote, setNewNote] = useState({
     title: '',
     content: '',
@@ -50,13 +69,19 @@ const ToolbarLeft = ({ onCreateNote, onImportNotes, onExportNotes }) => {
     }
   };
 
+  const handleAddLink = () => {
+    const input = window.prompt('Link to add (you can also paste or drop links onto the board):', 'https://');
+    if (input === null) return;
+    const url = parseLinkUrl(input);
+    if (url) {
+      onAddLink(url);
+    } else {
+      alert('That doesn\'t look like a web address');
+    }
+  };
+
   const handleQuickCreate = (color) => {
-    onCreateNote({
-      title: 'New Idea',
-      content: 'Double-click to edit this note',
-      color: color,
-      category: ''
-    });
+    onCreateNote({ ...QUICK_NOTE, color });
   };
 
   return (
@@ -64,9 +89,16 @@ const ToolbarLeft = ({ onCreateNote, onImportNotes, onExportNotes }) => {
       {/* Header */}
       <div className="p-4 border-b border-border">
         <h2 className="text-lg font-semibold text-foreground mb-2">Create Notes</h2>
-        <p className="text-sm text-text-secondary">
-          Add new ideas to your whiteboard
-        </p>
+        {readOnly ? (
+          <p className="text-sm text-text-secondary flex items-center space-x-1">
+            <Icon name="Eye" size={14} />
+            <span>You have view-only access to this board</span>
+          </p>
+        ) : (
+          <p className="text-sm text-text-secondary">
+            Add new ideas to your whiteboard
+          </p>
+        )}
       </div>
 
       {/* Quick Create Buttons */}
@@ -78,6 +110,7 @@ const ToolbarLeft = ({ onCreateNote, onImportNotes, onExportNotes }) => {
               key={colorOption.name}
               variant="outline"
               onClick={() => handleQuickCreate(colorOption.name)}
+              disabled={readOnly}
               className="h-12 p-2 border-2"
               style={{ 
                 backgroundColor: colorOption.color,
@@ -89,6 +122,50 @@ const ToolbarLeft = ({ onCreateNote, onImportNotes, onExportNotes }) => {
             </Button>
           ))}
         </div>
+        <Button
+          variant="outline"
+          onClick={onCreateFrame}
+          disabled={readOnly}
+          className="w-full mt-2 justify-start text-sm"
+          iconName="Frame"
+          iconPosition="left"
+        >
+          Add Frame
+        </Button>
+        <div className="grid grid-cols-2 gap-2 mt-2">
+          <Button
+            variant="outline"
+            onClick={() => imageInputRef.current?.click()}
+            disabled={readOnly}
+            className="justify-start text-sm"
+            iconName="ImagePlus"
+            iconPosition="left"
+            title="Add images (or drop / paste them onto the board)"
+          >
+            Add Image
+          </Button>
+          <Button
+            variant="outline"
+            onClick={handleAddLink}
+            disabled={readOnly}
+            className="justify-start text-sm"
+            iconName="Link"
+            iconPosition="left"
+          >
+            Add Link
+          </Button>
+        </div>
+        <input
+          ref={imageInputRef}
+          type="file"
+          accept="image/*"
+          multiple
+          className="hidden"
+          onChange={(e) => {
+            onAddImages([...e.target.files]);
+            e.target.value = '';
+          }}
+        />
       </div>
 
       {/* Detailed Create Form */}
@@ -96,6 +173,7 @@ const ToolbarLeft = ({ onCreateNote, onImportNotes, onExportNotes }) => {
         <Button
           variant="default"
           onClick={() => setShowCreateForm(!showCreateForm)}
+          disabled={readOnly}
           className="w-full mb-3"
           iconName={showCreateForm ? "ChevronUp" : "ChevronDown"}
           iconPosition="right"
@@ -103,7 +181,7 @@ const ToolbarLeft = ({ onCreateNote, onImportNotes, onExportNotes }) => {
           Detailed Create
         </Button>
 
-        {showCreateForm && (
+        {showCreateForm && !readOnly && (
           <div className="space-y-4">
             <Input
               label="Note Title"
@@ -117,11 +195,10 @@ const ToolbarLeft = ({ onCreateNote, onImportNotes, onExportNotes }) => {
               <label className="block text-sm font-medium text-foreground mb-2">
                 Content
               </label>
-              <textarea
+              <RichTextEditor
                 placeholder="Write your idea here..."
                 value={newNote.content}
-                onChange={(e) => setNewNote({ ...newNote, content: e.target.value })}
-                className="w-full h-24 px-3 py-2 border border-border rounded-lg focus:ring-2 focus:ring-primary focus:border-transparent resize-none text-sm"
+                onChange={(content) => setNewNote({ ...newNote, content })}
               />
             </div>
 
@@ -189,47 +266,27 @@ const ToolbarLeft = ({ onCreateNote, onImportNotes, onExportNotes }) => {
       <div className="p-4 border-b border-border">
         <h3 className="text-sm font-medium text-foreground mb-3">Templates</h3>
         <div className="space-y-2">
+          {noteTemplates.map(template => (
+            <Button
+              key={template.id}
+              variant="ghost"
+              onClick={() => onUseNoteTemplate(template)}
+              disabled={readOnly}
+              className="w-full justify-start text-sm"
+              iconName={template.icon}
+              iconPosition="left"
+            >
+              <span className="truncate">{template.name}</span>
+            </Button>
+          ))}
           <Button
-            variant="ghost"
-            onClick={() => onCreateNote({
-              title: 'Brainstorming Session',
-              content: 'What if we...\n\nPros:\n- \n\nCons:\n- ',
-              color: 'blue',
-              category: 'Ideas'
-            })}
-            className="w-full justify-start text-sm"
-            iconName="Lightbulb"
-            iconPosition="left"
-          >
-            Brainstorming
-          </Button>
-          <Button
-            variant="ghost"
-            onClick={() => onCreateNote({
-              title: 'Action Item',
-              content: 'Task: \n\nDeadline: \n\nAssigned to: \n\nPriority: ',
-              color: 'green',
-              category: 'Tasks'
-            })}
-            className="w-full justify-start text-sm"
-            iconName="CheckSquare"
-            iconPosition="left"
-          >
-            Action Item
-          </Button>
-          <Button
-            variant="ghost"
-            onClick={() => onCreateNote({
-              title: 'Research Topic',
-              content: 'Research question: \n\nSources to check:\n- \n\nKey findings:\n- ',
-              color: 'purple',
-              category: 'Research'
-            })}
+            variant="outline"
+            onClick={onOpenTemplates}
             className="w-full justify-start text-sm"
-            iconName="Search"
+            iconName="LayoutTemplate"
             iconPosition="left"
           >
-            Research
+            Browse templates
           </Button>
         </div>
       </div>
@@ -241,6 +298,7 @@ const ToolbarLeft = ({ onCreateNote, onImportNotes, onExportNotes }) => {
           <Button
             variant="outline"
             onClick={onImportNotes}
+            disabled={!canImport}
             className="w-full justify-start text-sm"
             iconName="Upload"
             iconPosition="left"
@@ -249,13 +307,43 @@ const ToolbarLeft = ({ onCreateNote, onImportNotes, onExportNotes }) => {
           </Button>
           <Button
             variant="outline"
-            onClick={onExportNotes}
+            onClick={() => setShowExportFormats(!showExportFormats)}
             className="w-full justify-start text-sm"
             iconName="Download"
             iconPosition="left"
           >
             Export Board
+            <Icon name={showExportFormats ? 'ChevronUp' : 'ChevronDown'} size={14} className="ml-auto" />
           </Button>
+
+          {/* Export format picker */}
+          {showExportFormats && (
+            <div className="p-1 bg-muted rounded-lg space-y-1">
+              {Object.entries(TEXT_EXPORT_FORMATS).map(([format, { label, description }]) => (
+                <button
+                  key={format}
+                  onClick={() => {
+                    onExportNotes(format);
+                    setShowExportFormats(false);
+                  }}
+                  className="w-full text-left px-3 py-2 rounded-md hover:bg-white transition-colors"
+                >
+                  <span className="block text-sm font-medium text-foreground">{label}</span>
+                  <span className="block text-xs text-text-secondary">{description}</span>
+                </button>
+              ))}
+              <button
+                onClick={() => {
+                  onExportImage();
+                  setShowExportFormats(false);
+                }}
+                className="w-full text-left px-3 py-2 rounded-md hover:bg-white transition-colors"
+              >
+                <span className="block text-sm font-medium text-foreground">Image…</span>
+                <span className="block text-xs text-text-secondary">PNG, SVG or PDF</span>
+              </button>
+            </div>
+          )}
         </div>
       </div>
     </div>
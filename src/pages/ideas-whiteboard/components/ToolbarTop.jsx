@@ -2,40 +2,102 @@ import React, { useState } from 'react';
 import Icon from '../../../components/AppIcon';
 import Button from '../../../components/ui/Button';
 import Input from '../../../components/ui/Input';
+import BoardSwitcher from './BoardSwitcher';
+import { ZOOM_LEVELS, MIN_ZOOM, MAX_ZOOM } from '../utils/camera';
+import { MOD_KEY } from '../utils/shortcuts';
 
 const ToolbarTop = ({
   scale,
   onZoomIn,
   onZoomOut,
   onResetZoom,
+  onZoomTo,
+  onFitToContent,
+  onZoomToSelection,
+  hasSelection,
+  showMinimap,
+  onToggleMinimap,
   viewMode,
   onViewModeChange,
+  onApplyLayout,
+  layoutScope,
+  hasLanes,
+  onClearLanes,
+  frames = [],
+  frameFilter,
+  onFrameFilterChange,
+  unresolvedOnly,
+  unresolvedCount,
+  onToggleUnresolved,
+  myTasksOnly = false,
+  myTaskCount = 0,
+  onToggleMyTasks,
   onSearch,
   searchQuery,
+  searchErrors = [],
+  searchResultCount = 0,
+  activeResultIndex = -1,
+  onNextResult,
+  onPreviousResult,
+  savedSearches = [],
+  onSaveSearch,
+  onDeleteSavedSearch,
   onClearBoard,
+  canClearBoard = true,
+  readOnly = false,
   onSave,
   isCollaborative,
   onToggleCollaboration,
-  collaborators
+  onShowCollaborators,
+  onlinePeers = [],
+  syncStatus = 'offline',
+  pendingChanges = 0,
+  canUndo,
+  canRedo,
+  undoLabel,
+  redoLabel,
+  onUndo,
+  onRedo,
+  boards,
+  activeBoardId,
+  onSwitchBoard,
+  onCreateBoard,
+  onRenameBoard,
+  onDuplicateBoard,
+  onArchiveBoard,
+  onRestoreBoard,
+  onDeleteBoard,
+  onOpenCommandPalette,
+  onShowShortcuts
 }) => {
   const [showSearchOptions, setShowSearchOptions] = useState(false);
+  const [showLayoutMenu, setShowLayoutMenu] = useState(false);
+  const [showSavedSearches, setShowSavedSearches] = useState(false);
 
-  const zoomLevels = [0.25, 0.5, 0.75, 1, 1.25, 1.5, 2];
-  const currentZoomIndex = zoomLevels.findIndex(level => Math.abs(level - scale) < 0.01);
-
-  const handleZoomSelect = (zoom) => {
-    if (zoom > scale) {
-      const steps = Math.round((zoom - scale) / 0.25);
-      for (let i = 0; i < steps; i++) {
-        onZoomIn();
-      }
-    } else if (zoom < scale) {
-      const steps = Math.round((scale - zoom) / 0.25);
-      for (let i = 0; i < steps; i++) {
-        onZoomOut();
-      }
-    }
+  const layoutOptions = [
+    { key: 'grid', icon: 'LayoutGrid', label: 'Pack into grid' },
+    { key: 'category', icon: 'Rows3', label: 'Cluster by category' },
+    { key: 'color', icon: 'Palette', label: 'Cluster by color' },
+    { key: 'hierarchy', icon: 'Network', label: 'Hierarchy from connections' },
+    { key: 'force', icon: 'Orbit', label: 'Force-directed' }
+  ];
+
+  // Wheel zoom lands between presets, so show the live value as an extra option
+  const syncStatusLabels = {
+    online: 'Connected',
+    connecting: 'Connecting…',
+    offline: 'Offline - changes are queued'
   };
+  const syncStatusColors = {
+    online: 'bg-success',
+    connecting: 'bg-warning',
+    offline: 'bg-destructive'
+  };
+
+  const isPresetZoom = ZOOM_LEVELS.some(level => Math.abs(level - scale) < 0.001);
+  const zoomOptions = isPresetZoom
+    ? ZOOM_LEVELS
+    : [...ZOOM_LEVELS, scale].sort((a, b) => a - b);
 
   const handleSaveBoard = () => {
     onSave();
@@ -54,14 +116,53 @@ const ToolbarTop = ({
     <div className="h-16 bg-white border-b border-border flex items-center justify-between px-4">
       {/* Left Section - View Controls */}
       <div className="flex items-center space-x-4">
+        {/* Board Switcher */}
+        <BoardSwitcher
+          boards={boards}
+          activeBoardId={activeBoardId}
+          onSwitchBoard={onSwitchBoard}
+          onCreateBoard={onCreateBoard}
+          onRenameBoard={onRenameBoard}
+          onDuplicateBoard={onDuplicateBoard}
+          onArchiveBoard={onArchiveBoard}
+          onRestoreBoard={onRestoreBoard}
+          onDeleteBoard={onDeleteBoard}
+        />
+
+        <div className="w-px h-6 bg-border"></div>
+
+        {/* History Controls */}
+        <div className="flex items-center space-x-1">
+          <Button
+            variant="ghost"
+            size="icon"
+            onClick={onUndo}
+            disabled={!canUndo}
+            title={canUndo ? `Undo ${undoLabel} (Ctrl+Z)` : 'Nothing to undo'}
+          >
+            <Icon name="Undo2" size={16} />
+          </Button>
+          <Button
+            variant="ghost"
+            size="icon"
+            onClick={onRedo}
+            disabled={!canRedo}
+            title={canRedo ? `Redo ${redoLabel} (Ctrl+Shift+Z)` : 'Nothing to redo'}
+          >
+            <Icon name="Redo2" size={16} />
+          </Button>
+        </div>
+
+        <div className="w-px h-6 bg-border"></div>
+
         {/* Zoom Controls */}
         <div className="flex items-center space-x-2">
           <Button
             variant="outline"
             size="icon"
             onClick={onZoomOut}
-            disabled={scale <= 0.25}
-            title="Zoom out"
+            disabled={scale <= MIN_ZOOM}
+            title="Zoom out (-)"
           >
             <Icon name="ZoomOut" size={16} />
           </Button>
@@ -69,10 +170,10 @@ const ToolbarTop = ({
           <div className="relative">
             <select
               value={scale}
-              onChange={(e) => handleZoomSelect(parseFloat(e.target.value))}
+              onChange={(e) => onZoomTo(parseFloat(e.target.value))}
               className="px-3 py-1 border border-border rounded-md text-sm min-w-20 text-center"
             >
-              {zoomLevels.map((zoom) => (
+              {zoomOptions.map((zoom) => (
                 <option key={zoom} value={zoom}>
                   {Math.round(zoom * 100)}%
                 </option>
@@ -84,8 +185,8 @@ const ToolbarTop = ({
             variant="outline"
             size="icon"
             onClick={onZoomIn}
-            disabled={scale >= 2}
-            title="Zoom in"
+            disabled={scale >= MAX_ZOOM}
+            title="Zoom in (+)"
           >
             <Icon name="ZoomIn" size={16} />
           </Button>
@@ -94,11 +195,39 @@ const ToolbarTop = ({
             variant="ghost"
             size="sm"
             onClick={onResetZoom}
-            title="Reset zoom to 100%"
+            title="Reset zoom to 100% (0)"
           >
             <Icon name="RotateCcw" size={14} className="mr-1" />
             Reset
           </Button>
+
+          <Button
+            variant="ghost"
+            size="icon"
+            onClick={onFitToContent}
+            title="Fit all notes (1)"
+          >
+            <Icon name="Maximize" size={16} />
+          </Button>
+
+          <Button
+            variant="ghost"
+            size="icon"
+            onClick={onZoomToSelection}
+            disabled={!hasSelection}
+            title="Zoom to selection (2)"
+          >
+            <Icon name="Focus" size={16} />
+          </Button>
+
+          <Button
+            variant={showMinimap ? 'default' : 'ghost'}
+            size="icon"
+            onClick={onToggleMinimap}
+            title={showMinimap ? 'Hide minimap' : 'Show minimap'}
+          >
+            <Icon name="Map" size={16} />
+          </Button>
         </div>
 
         <div className="w-px h-6 bg-border"></div>
@@ -109,6 +238,7 @@ const ToolbarTop = ({
             variant={viewMode === 'freeform' ? 'default' : 'ghost'}
             size="sm"
             onClick={() => onViewModeChange('freeform')}
+            aria-pressed={viewMode === 'freeform'}
             className="h-8"
           >
             <Icon name="Move" size={14} className="mr-1" />
@@ -118,22 +248,151 @@ const ToolbarTop = ({
             variant={viewMode === 'grid' ? 'default' : 'ghost'}
             size="sm"
             onClick={() => onViewModeChange('grid')}
+            aria-pressed={viewMode === 'grid'}
             className="h-8"
           >
             <Icon name="Grid3X3" size={14} className="mr-1" />
             Grid
           </Button>
+          <Button
+            variant={viewMode === 'outline' ? 'default' : 'ghost'}
+            size="sm"
+            onClick={() => onViewModeChange('outline')}
+            aria-pressed={viewMode === 'outline'}
+            className="h-8"
+            title="Board as a list, for screen readers and keyboard use"
+          >
+            <Icon name="ListTree" size={14} className="mr-1" />
+            Outline
+          </Button>
+          <Button
+            variant={viewMode === 'kanban' ? 'default' : 'ghost'}
+            size="sm"
+            onClick={() => onViewModeChange('kanban')}
+            aria-pressed={viewMode === 'kanban'}
+            className="h-8"
+            title="Notes as cards in status columns"
+          >
+            <Icon name="SquareKanban" size={14} className="mr-1" />
+            Kanban
+          </Button>
+        </div>
+
+        {/* Auto Layout */}
+        <div className="relative">
+          <Button
+            variant="ghost"
+            size="sm"
+            onClick={() => setShowLayoutMenu(!showLayoutMenu)}
+            disabled={readOnly}
+            title="Auto layout"
+            className="h-8"
+          >
+            <Icon name="Wand2" size={14} className="mr-1" />
+            Layout
+            <Icon name="ChevronDown" size={12} className="ml-1" />
+          </Button>
+
+          {showLayoutMenu && (
+            <div className="absolute left-0 mt-2 w-60 bg-popover border border-border rounded-lg shadow-modal z-1010">
+              <div className="p-2">
+                <p className="px-2 pb-1 text-xs text-text-secondary">
+                  {layoutScope === 'selection' ? 'Arrange selected notes' : 'Arrange all visible notes'}
+                </p>
+                {layoutOptions.map((option) => (
+                  <Button
+                    key={option.key}
+                    variant="ghost"
+                    onClick={() => {
+                      onApplyLayout(option.key);
+                      setShowLayoutMenu(false);
+                    }}
+                    className="w-full justify-start text-sm"
+                  >
+                    <Icon name={option.icon} size={14} className="mr-2" />
+                    {option.label}
+                  </Button>
+                ))}
+                {hasLanes && (
+                  <>
+                    <div className="my-1 h-px bg-border"></div>
+                    <Button
+                      variant="ghost"
+                      onClick={() => {
+                        onClearLanes();
+                        setShowLayoutMenu(false);
+                      }}
+                      className="w-full justify-start text-sm"
+                    >
+                      <Icon name="Eraser" size={14} className="mr-2" />
+                      Remove swimlanes
+                    </Button>
+                  </>
+                )}
+              </div>
+            </div>
+          )}
         </div>
       </div>
 
       {/* Center Section - Search */}
-      <div className="flex-1 max-w-md mx-8">
-        <div className="relative">
+      <div className="flex-1 max-w-xl mx-8 flex items-center space-x-2">
+        {frames.length > 0 && (
+          <select
+            value={frameFilter || ''}
+            onChange={(e) => onFrameFilterChange(e.target.value || null)}
+            className="px-3 py-2 border border-border rounded-md text-sm max-w-36 truncate"
+            title="Limit to frame"
+          >
+            <option value="">All frames</option>
+            {frames.map((frame) => (
+              <option key={frame.id} value={frame.id}>
+                {frame.title}
+              </option>
+            ))}
+          </select>
+        )}
+        {(unresolvedCount > 0 || unresolvedOnly) && (
+          <Button
+            variant={unresolvedOnly ? 'default' : 'outline'}
+            size="sm"
+            onClick={onToggleUnresolved}
+            iconName="MessageSquareDot"
+            iconPosition="left"
+            title={unresolvedOnly ? 'Show all notes' : 'Only notes with unresolved comments'}
+            className="flex-shrink-0"
+          >
+            {unresolvedCount}
+          </Button>
+        )}
+        {(myTaskCount > 0 || myTasksOnly) && (
+          <Button
+            variant={myTasksOnly ? 'default' : 'outline'}
+            size="sm"
+            onClick={onToggleMyTasks}
+            iconName="UserCheck"
+            iconPosition="left"
+            aria-pressed={myTasksOnly}
+            title={myTasksOnly ? 'Show everyone\'s notes' : 'Only notes assigned to me'}
+            className="flex-shrink-0"
+          >
+            My tasks
+          </Button>
+        )}
+        <div className="relative flex-1">
           <Input
+            id="whiteboard-search"
             type="search"
-            placeholder="Search notes by title, content, or category..."
+            placeholder='Search… e.g. author:john -"draft"'
             value={searchQuery}
             onChange={(e) => onSearch(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') {
+                e.preventDefault();
+                (e.shiftKey ? onPreviousResult : onNextResult)?.();
+              }
+            }}
+            title={'Filters: author: category: color: title: content: has:comments has:connections created:>2025-01-01\nUse "quotes" for phrases and -term to exclude. Enter / Shift+Enter steps through results.'}
             className="pl-10 pr-10"
           />
           <Icon 
@@ -147,33 +406,191 @@ const ToolbarTop = ({
               size="icon"
               onClick={() => onSearch('')}
               className="absolute right-1 top-1/2 transform -translate-y-1/2 w-8 h-8"
+              title="Clear search"
             >
               <Icon name="X" size={14} />
             </Button>
           )}
         </div>
+
+        {/* Result navigation */}
+        {searchQuery.trim() && (
+          <div className="flex items-center">
+            {searchErrors.length > 0 && (
+              <span title={searchErrors.join('\n')} className="mr-1 text-warning">
+                <Icon name="AlertCircle" size={16} />
+              </span>
+            )}
+            <span className="text-xs text-text-secondary whitespace-nowrap min-w-12 text-center">
+              {searchResultCount === 0
+                ? 'No results'
+                : `${activeResultIndex >= 0 ? activeResultIndex + 1 : '–'} / ${searchResultCount}`}
+            </span>
+            <Button
+              variant="ghost"
+              size="icon"
+              onClick={onPreviousResult}
+              disabled={searchResultCount === 0}
+              className="w-8 h-8"
+              title="Previous result (Shift+Enter)"
+            >
+              <Icon name="ChevronUp" size={16} />
+            </Button>
+            <Button
+              variant="ghost"
+              size="icon"
+              onClick={onNextResult}
+              disabled={searchResultCount === 0}
+              className="w-8 h-8"
+              title="Next result (Enter)"
+            >
+              <Icon name="ChevronDown" size={16} />
+            </Button>
+          </div>
+        )}
+
+        {/* Saved searches */}
+        <div className="relative">
+          <Button
+            variant="ghost"
+            size="icon"
+            onClick={() => setShowSavedSearches(!showSavedSearches)}
+            className="w-8 h-8"
+            title="Saved searches"
+          >
+            <Icon name="Bookmark" size={16} />
+          </Button>
+
+          {showSavedSearches && (
+            <div className="absolute right-0 mt-2 w-64 bg-popover border border-border rounded-lg shadow-modal z-1010">
+              <div className="p-2">
+                <Button
+                  variant="ghost"
+                  onClick={() => {
+                    onSaveSearch();
+                    setShowSavedSearches(false);
+                  }}
+                  disabled={!searchQuery.trim()}
+                  className="w-full justify-start text-sm"
+                >
+                  <Icon name="BookmarkPlus" size={14} className="mr-2" />
+                  Save current search
+                </Button>
+                {savedSearches.length > 0 && <div className="my-1 border-t border-border" />}
+                {savedSearches.map((search) => (
+                  <div key={search.id} className="flex items-center group">
+                    <button
+                      onClick={() => {
+                        onSearch(search.query);
+                        setShowSavedSearches(false);
+                      }}
+                      className="flex-1 min-w-0 text-left px-3 py-2 rounded-md hover:bg-muted"
+                      title={search.query}
+                    >
+                      <span className="block text-sm text-foreground truncate">{search.name}</span>
+                      {search.name !== search.query && (
+                        <span className="block text-xs text-text-secondary truncate">{search.query}</span>
+                      )}
+                    </button>
+                    <Button
+                      variant="ghost"
+                      size="icon"
+                      onClick={() => onDeleteSavedSearch(search.id)}
+                      className="w-7 h-7 opacity-0 group-hover:opacity-100"
+                      title="Delete saved search"
+                    >
+                      <Icon name="Trash2" size={12} />
+                    </Button>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+        </div>
       </div>
 
       {/* Right Section - Actions */}
       <div className="flex items-center space-x-2">
+        {readOnly && (
+          <span className="flex items-center px-2 py-1 text-xs font-medium rounded-full bg-muted text-text-secondary" title="Ask an owner or admin for edit access">
+            <Icon name="Eye" size={12} className="mr-1" />
+            View only
+          </span>
+        )}
         {/* Collaboration Toggle */}
         <Button
           variant={isCollaborative ? 'default' : 'outline'}
           size="sm"
           onClick={onToggleCollaboration}
           className="relative"
+          title={isCollaborative ? syncStatusLabels[syncStatus] : 'Start live collaboration'}
         >
           <Icon name="Users" size={14} className="mr-1" />
           {isCollaborative ? 'Live' : 'Solo'}
-          {isCollaborative && collaborators.length > 0 && (
+          {isCollaborative && (
+            <span className={`ml-2 w-2 h-2 rounded-full ${syncStatusColors[syncStatus]}`} />
+          )}
+          {isCollaborative && onlinePeers.length > 0 && (
             <span className="absolute -top-1 -right-1 w-4 h-4 bg-success text-white text-xs rounded-full flex items-center justify-center">
-              {collaborators.length}
+              {onlinePeers.length}
             </span>
           )}
         </Button>
+        {isCollaborative && (
+          <>
+            {onlinePeers.length > 0 && (
+              <div className="flex -space-x-2">
+                {onlinePeers.slice(0, 4).map(peer => (
+                  <span
+                    key={peer.replicaId}
+                    className="w-7 h-7 rounded-full border-2 border-surface text-white text-xs font-medium flex items-center justify-center"
+                    style={{ backgroundColor: peer.color }}
+                    title={peer.name}
+                  >
+                    {peer.name.charAt(0).toUpperCase()}
+                  </span>
+                ))}
+              </div>
+            )}
+            {pendingChanges > 0 && syncStatus !== 'online' && (
+              <span className="text-xs text-text-secondary" title="Sent when the connection comes back">
+                {pendingChanges} queued
+              </span>
+            )}
+            <Button
+              variant="ghost"
+              size="icon"
+              onClick={onShowCollaborators}
+              title="Invite collaborators"
+              className="w-8 h-8"
+            >
+              <Icon name="UserPlus" size={16} />
+            </Button>
+          </>
+        )}
 
         <div className="w-px h-6 bg-border"></div>
 
+        {/* Keyboard */}
+        <div className="flex items-center">
+          <Button
+            variant="ghost"
+            size="icon"
+            onClick={onOpenCommandPalette}
+            title={`Command palette (${MOD_KEY}+K)`}
+          >
+            <Icon name="Command" size={16} />
+          </Button>
+          <Button
+            variant="ghost"
+            size="icon"
+            onClick={onShowShortcuts}
+            title="Keyboard shortcuts (?)"
+          >
+            <Icon name="Keyboard" size={16} />
+          </Button>
+        </div>
+
         {/* Save Button */}
         <Button
           variant="default"
@@ -205,6 +622,7 @@ const ToolbarTop = ({
                     onClearBoard();
                     setShowSearchOptions(false);
                   }}
+                  disabled={!canClearBoard}
                   className="w-full justify-start text-sm text-destructive hover:text-destructive"
                 >
                   <Icon name="Trash2" size={14} className="mr-2" />
@@ -0,0 +1,21 @@
+import React from 'react';
+import { getAvatarColor } from '../utils/kanban';
+
+const SIZES = {
+  sm: 'w-6 h-6 text-[10px]',
+  md: 'w-7 h-7 text-xs'
+};
+
+// A collaborator's initial on their colour, like the presence avatars in the toolbar
+const UserAvatar = ({ user, size = 'sm', className = '' }) => (
+  <span
+    className={`${SIZES[size]} rounded-full border-2 border-surface text-white font-medium flex items-center justify-center flex-shrink-0 ${className}`}
+    style={{ backgroundColor: getAvatarColor(user) }}
+    title={user.name}
+    aria-hidden="true"
+  >
+    {user.name.charAt(0).toUpperCase()}
+  </span>
+);
+
+export default UserAvatar;
@@ -1,57 +1,196 @@
-import React, { useRef, useEffect, useState } from 'react';
+import React, { useRef, useEffect, useState, useMemo, useCallback } from 'react';
 import { useDrop } from 'react-dnd';
+import { NativeTypes } from 'react-dnd-html5-backend';
 import StickyNote from './StickyNote';
-import ConnectionLine from './ConnectionLine';
+import ConnectionLine, { ArrowheadMarker } from './ConnectionLine';
+import BoardFrame from './BoardFrame';
+import RemoteCursors from './RemoteCursors';
+import { getNoteBounds, rectFromPoints } from '../utils/geometry';
+import { zoomAtPoint, screenToWorld, screenRectToWorld, getVisibleWorldRect } from '../utils/camera';
+import { createSpatialIndex, expandRect } from '../utils/spatialIndex';
+import { withConnectionDefaults, getConnectionAnchors, isSameConnection } from '../utils/connections';
+import { getNestedFrameIds, MIN_FRAME_WIDTH, MIN_FRAME_HEIGHT } from '../utils/frames';
+
+// Extra screen pixels rendered around the viewport so quick pans don't show gaps
+const CULL_MARGIN = 200;
+const GRID_SIZE = 20;
+// Stable default so memoized notes don't re-render
+const NO_NOTES = new Set();
+
+const getResizedFrame = (frame, delta) => ({
+  width: Math.max(MIN_FRAME_WIDTH, Math.round(frame.width + delta.x)),
+  height: Math.max(MIN_FRAME_HEIGHT, Math.round(frame.height + delta.y))
+});
+
+// Grid spacing in screen pixels, coarsened when zoomed out so lines don't blur together
+const getGridStep = (zoom) => {
+  let step = GRID_SIZE * zoom;
+  while (step < 8) step *= 5;
+  return step;
+};
 
 const WhiteboardCanvas = ({
-  notes,
+  notes: sourceNotes,
   connections,
+  lanes = [],
+  frames = [],
+  frameMembers,
+  filteredFrameId,
+  onMoveFrame,
+  onUpdateFrame,
+  onDeleteFrame,
+  onExportFrame,
+  onFilterFrame,
   onUpdateNote,
   onDeleteNote,
-  onMoveNote,
-  selectedNoteId,
+  onMoveNotes,
+  onDropFiles,
+  onDropUrl,
+  selectedNoteIds,
   onSelectNote,
+  onSelectNotes,
   onConnectNotes,
-  scale,
+  selectedConnection,
+  onSelectConnection,
+  camera,
+  onCameraChange,
+  viewport,
+  onViewportResize,
   viewMode,
-  onCanvasClick
+  onCanvasClick,
+  remotePeers = [],
+  onCursorMove,
+  readOnly = false,
+  searchHighlights = null,
+  activeResultId = null,
+  overdueNoteIds = NO_NOTES,
+  focusRequest = null
 }) => {
   const canvasRef = useRef(null);
+  const contentRef = useRef(null);
+  const suppressClickRef = useRef(false);
   const [isPanning, setIsPanning] = useState(false);
+  const [marquee, setMarquee] = useState(null);
+  const marqueeRef = useRef(null);
   const [panStart, setPanStart] = useState({ x: 0, y: 0 });
-  const [panOffset, setPanOffset] = useState({ x: 0, y: 0 });
+  const [frameDrag, setFrameDrag] = useState(null);
+  const frameDragRef = useRef(null);
+
+  // While a frame is dragged, preview it and its contents at the pointer
+  const moveOffset = frameDrag?.mode === 'move' ? frameDrag.delta : null;
+  const notes = useMemo(() => (
+    moveOffset
+      ? sourceNotes.map(note => frameDrag.noteIds.has(note.id)
+        ? { ...note, position: { x: note.position.x + moveOffset.x, y: note.position.y + moveOffset.y } }
+        : note
+      )
+      : sourceNotes
+  ), [sourceNotes, frameDrag]);
+
+  const notesById = useMemo(() => new Map(notes.map(note => [note.id, note])), [notes]);
+  const noteIndex = useMemo(() => createSpatialIndex(notes, getNoteBounds), [notes]);
+
+  // Resolve endpoints once per change rather than on every pan or zoom
+  const segments = useMemo(() => connections.reduce((list, connection) => {
+    const fromNote = notesById.get(connection.from);
+    const toNote = notesById.get(connection.to);
+    if (fromNote && toNote) {
+      list.push({ connection: withConnectionDefaults(connection), ...getConnectionAnchors(fromNote, toNote) });
+    }
+    return list;
+  }, []), [connections, notesById]);
+  const segmentIndex = useMemo(() => (
+    // Pad for arrowheads, and for labels that can stick out past a short line
+    createSpatialIndex(segments, segment => (
+      expandRect(rectFromPoints(segment.from, segment.to), segment.connection.label ? 80 : 10)
+    ))
+  ), [segments]);
+
+  // noteId -> the collaborator who has it selected
+  const remoteSelections = useMemo(() => {
+    const selections = new Map();
+    remotePeers.forEach(peer => {
+      peer.selection.forEach(id => {
+        if (!selections.has(id)) selections.set(id, peer);
+      });
+    });
+    return selections;
+  }, [remotePeers]);
 
   const [, drop] = useDrop({
-    accept: 'sticky-note',
+    accept: ['sticky-note', NativeTypes.FILE, NativeTypes.URL],
+    canDrop: (item, monitor) => monitor.getItemType() === 'sticky-note' || !readOnly,
     drop: (item, monitor) => {
+      // Files and links from outside the app land where they're dropped
+      const itemType = monitor.getItemType();
+      if (itemType !== 'sticky-note') {
+        const offset = monitor.getClientOffset();
+        const point = offset && screenToWorld(camera, toCanvasPoint({ clientX: offset.x, clientY: offset.y }));
+        if (itemType === NativeTypes.FILE && item.files?.length) {
+          onDropFiles([...item.files], point);
+        } else if (itemType === NativeTypes.URL && item.urls?.length) {
+          onDropUrl(item.urls[0], point);
+        }
+        return;
+      }
+
       const delta = monitor.getDifferenceFromInitialOffset();
-      const note = notes.find(n => n.id === item.id);
-      
-      if (note && delta) {
-        const newPosition = {
-          x: Math.max(0, note.position.x + delta.x / scale),
-          y: Math.max(0, note.position.y + delta.y / scale)
-        };
-        onMoveNote(item.id, newPosition);
+      if (!delta) return;
+
+      // Dragging a selected note moves the whole selection with it
+      const movingIds = selectedNoteIds.includes(item.id) ? selectedNoteIds : [item.id];
+      const moves = movingIds
+        .map(id => notesById.get(id))
+        .filter(Boolean)
+        .map(n => ({
+          id: n.id,
+          position: {
+            x: n.position.x + delta.x / camera.zoom,
+            y: n.position.y + delta.y / camera.zoom
+          }
+        }));
+
+      if (moves.length > 0) {
+        onMoveNotes(moves);
       }
     },
   });
 
-  // Handle mouse events for panning
+  const isBackground = (target) => (
+    target === canvasRef.current || target === contentRef.current
+  );
+
+  const updateMarquee = (value) => {
+    marqueeRef.current = value;
+    setMarquee(value);
+  };
+
+  // Screen point relative to the canvas element
+  const toCanvasPoint = (e) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+  };
+
+  // Handle mouse events for panning and marquee selection
   const handleMouseDown = (e) => {
     if (e.button === 1 || (e.button === 0 && e.ctrlKey)) { // Middle mouse or Ctrl+click
       setIsPanning(true);
-      setPanStart({ x: e.clientX - panOffset.x, y: e.clientY - panOffset.y });
+      setPanStart({ x: e.clientX - camera.x, y: e.clientY - camera.y });
+      e.preventDefault();
+    } else if (e.button === 0 && isBackground(e.target)) {
+      const point = toCanvasPoint(e);
+      updateMarquee({ start: point, end: point, additive: e.shiftKey || e.metaKey });
       e.preventDefault();
     }
   };
 
   const handleMouseMove = (e) => {
     if (isPanning) {
-      setPanOffset({
+      onCameraChange(prev => ({
+        ...prev,
         x: e.clientX - panStart.x,
         y: e.clientY - panStart.y
-      });
+      }));
     }
   };
 
@@ -60,11 +199,44 @@ const WhiteboardCanvas = ({
   };
 
   const handleCanvasClick = (e) => {
-    if (e.target === canvasRef.current) {
+    if (suppressClickRef.current) {
+      suppressClickRef.current = false;
+      return;
+    }
+    if (isBackground(e.target)) {
       onCanvasClick();
     }
   };
 
+  useEffect(() => {
+    if (!marquee) return;
+
+    const handleMarqueeMove = (e) => {
+      updateMarquee({ ...marqueeRef.current, end: toCanvasPoint(e) });
+    };
+
+    const handleMarqueeEnd = () => {
+      const { start, end, additive } = marqueeRef.current;
+      updateMarquee(null);
+
+      const screenRect = rectFromPoints(start, end);
+      if (screenRect.width > 3 || screenRect.height > 3) {
+        // Convert to world coordinates before hit-testing notes
+        const worldRect = screenRectToWorld(camera, screenRect);
+        const hitIds = noteIndex.query(worldRect).map(note => note.id);
+        onSelectNotes(hitIds, { additive });
+        suppressClickRef.current = true;
+      }
+    };
+
+    document.addEventListener('mousemove', handleMarqueeMove);
+    document.addEventListener('mouseup', handleMarqueeEnd);
+    return () => {
+      document.removeEventListener('mousemove', handleMarqueeMove);
+      document.removeEventListener('mouseup', handleMarqueeEnd);
+    };
+  }, [!!marquee, noteIndex, camera, onSelectNotes]);
+
   useEffect(() => {
     if (isPanning) {
       document.addEventListener('mousemove', handleMouseMove);
@@ -76,47 +248,168 @@ const WhiteboardCanvas = ({
     }
   }, [isPanning, panStart]);
 
-  // Grid pattern for grid view mode
-  const renderGrid = () => {
-    if (viewMode !== 'grid') return null;
+  const updateFrameDrag = (value) => {
+    frameDragRef.current = value;
+    setFrameDrag(value);
+  };
 
-    const gridSize = 20 * scale;
-    const canvasRect = canvasRef.current?.getBoundingClientRect();
-    if (!canvasRect) return null;
-
-    const lines = [];
-    const width = canvasRect.width;
-    const height = canvasRect.height;
-
-    // Vertical lines
-    for (let x = (panOffset.x % gridSize); x < width; x += gridSize) {
-      lines.push(
-        <line
-          key={`v-${x}`}
-          x1={x}
-          y1={0}
-          x2={x}
-          y2={height}
-          stroke="#e5e7eb"
-          strokeWidth={0.5}
-        />
-      );
-    }
+  const handleStartFrameDrag = useCallback((e, frame) => {
+    updateFrameDrag({
+      mode: 'move',
+      frame,
+      start: { x: e.clientX, y: e.clientY },
+      delta: { x: 0, y: 0 },
+      noteIds: new Set(frameMembers?.get(frame.id) || []),
+      nestedFrameIds: new Set(getNestedFrameIds(frame, frames))
+    });
+  }, [frameMembers, frames]);
 
-    // Horizontal lines
-    for (let y = (panOffset.y % gridSize); y < height; y += gridSize) {
-      lines.push(
-        <line
-          key={`h-${y}`}
-          x1={0}
-          y1={y}
-          x2={width}
-          y2={y}
-          stroke="#e5e7eb"
-          strokeWidth={0.5}
-        />
-      );
-    }
+  const handleStartFrameResize = useCallback((e, frame) => {
+    updateFrameDrag({
+      mode: 'resize',
+      frame,
+      start: { x: e.clientX, y: e.clientY },
+      delta: { x: 0, y: 0 }
+    });
+  }, []);
+
+  useEffect(() => {
+    if (!frameDrag) return;
+
+    const handleFrameDragMove = (e) => {
+      const drag = frameDragRef.current;
+      updateFrameDrag({
+        ...drag,
+        delta: {
+          x: (e.clientX - drag.start.x) / camera.zoom,
+          y: (e.clientY - drag.start.y) / camera.zoom
+        }
+      });
+    };
+
+    const handleFrameDragEnd = () => {
+      const { mode, frame, delta, noteIds, nestedFrameIds } = frameDragRef.current;
+      updateFrameDrag(null);
+
+      if (mode === 'move') {
+        onMoveFrame(frame.id, delta, [...noteIds], [...nestedFrameIds]);
+      } else {
+        onUpdateFrame(frame.id, getResizedFrame(frame, delta), 'Resize frame');
+      }
+    };
+
+    document.addEventListener('mousemove', handleFrameDragMove);
+    document.addEventListener('mouseup', handleFrameDragEnd);
+    return () => {
+      document.removeEventListener('mousemove', handleFrameDragMove);
+      document.removeEventListener('mouseup', handleFrameDragEnd);
+    };
+  }, [!!frameDrag, camera.zoom, onMoveFrame, onUpdateFrame]);
+
+  // Wheel and trackpad pinch zoom around the cursor; Shift+wheel pans
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+
+    const handleWheel = (e) => {
+      e.preventDefault();
+      // deltaMode 1 reports lines rather than pixels (Firefox mouse wheels)
+      const unit = e.deltaMode === 1 ? 16 : 1;
+      const deltaX = e.deltaX * unit;
+      const deltaY = e.deltaY * unit;
+
+      if (e.shiftKey) {
+        onCameraChange(prev => ({
+          ...prev,
+          x: prev.x - (deltaX || deltaY),
+          y: deltaX ? prev.y - deltaY : prev.y
+        }));
+        return;
+      }
+
+      const rect = canvas.getBoundingClientRect();
+      const anchor = { x: e.clientX - rect.left, y: e.clientY - rect.top };
+      // Pinch gestures arrive as ctrl+wheel with much smaller deltas
+      const sensitivity = e.ctrlKey ? 0.01 : 0.0015;
+      onCameraChange(prev => zoomAtPoint(prev, prev.zoom * Math.exp(-deltaY * sensitivity), anchor));
+    };
+
+    canvas.addEventListener('wheel', handleWheel, { passive: false });
+    return () => canvas.removeEventListener('wheel', handleWheel);
+  }, [onCameraChange]);
+
+  // Report the viewport size so fit/zoom commands can centre content
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+
+    const report = () => {
+      const rect = canvas.getBoundingClientRect();
+      onViewportResize({ width: rect.width, height: rect.height });
+    };
+
+    report();
+    const observer = new ResizeObserver(report);
+    observer.observe(canvas);
+    return () => observer.disconnect();
+  }, [onViewportResize]);
+
+  // Only mount what the viewport (plus a margin) can show; before the first
+  // measurement everything renders
+  const hasViewport = viewport && viewport.width > 0 && viewport.height > 0;
+  const cullRect = hasViewport
+    ? expandRect(getVisibleWorldRect(camera, viewport), CULL_MARGIN / camera.zoom)
+    : null;
+
+  const visibleNotes = useMemo(() => {
+    if (!cullRect) return notes;
+
+    const hits = noteIndex.query(cullRect);
+    // Selected notes stay mounted so an edit in progress survives panning away
+    const hitIds = new Set(hits.map(note => note.id));
+    const offscreenSelected = selectedNoteIds.filter(id => !hitIds.has(id) && notesById.has(id));
+    if (offscreenSelected.length === 0) return hits;
+
+    offscreenSelected.forEach(id => hitIds.add(id));
+    return notes.filter(note => hitIds.has(note.id));
+  }, [notes, noteIndex, notesById, selectedNoteIds, cullRect?.x, cullRect?.y, cullRect?.width, cullRect?.height]);
+
+  const visibleSegments = useMemo(() => (
+    cullRect ? segmentIndex.query(cullRect) : segments
+  ), [segments, segmentIndex, cullRect?.x, cullRect?.y, cullRect?.width, cullRect?.height]);
+
+  const connectionColors = useMemo(() => (
+    [...new Set(visibleSegments.map(segment => segment.connection.color))]
+  ), [visibleSegments]);
+
+  const selectedSet = useMemo(() => new Set(selectedNoteIds), [selectedNoteIds]);
+
+  // Only one note sits in the Tab order: the selected one, or else the first in
+  // reading order. The page's shortcuts move between the rest.
+  const tabStopId = useMemo(() => {
+    const selectedId = selectedNoteIds[selectedNoteIds.length - 1];
+    if (selectedId !== undefined && notesById.has(selectedId)) return selectedId;
+    return visibleNotes.reduce((first, note) => (
+      !first || note.position.y < first.position.y ||
+        (note.position.y === first.position.y && note.position.x < first.position.x)
+        ? note
+        : first
+    ), null)?.id;
+  }, [selectedNoteIds, notesById, visibleNotes]);
+
+  // Keyboard navigation moves focus to the note it selects. Selected notes are
+  // always mounted, so the element exists by the time this runs.
+  useEffect(() => {
+    if (!focusRequest) return;
+    contentRef.current
+      ?.querySelector(`[data-note-id="${focusRequest.id}"]`)
+      ?.focus({ preventScroll: true });
+  }, [focusRequest]);
+  const gridStep = getGridStep(camera.zoom);
+
+  // The grid view's only background: lines drawn as a single repeating pattern
+  const renderGrid = () => {
+    if (viewMode !== 'grid') return null;
 
     return (
       <svg
@@ -124,7 +417,24 @@ const WhiteboardCanvas = ({
         width="100%"
         height="100%"
       >
-        {lines}
+        <defs>
+          <pattern
+            id="whiteboard-grid"
+            width={gridStep}
+            height={gridStep}
+            patternUnits="userSpaceOnUse"
+            x={camera.x % gridStep}
+            y={camera.y % gridStep}
+          >
+            <path
+              d={`M ${gridStep} 0 L 0 0 0 ${gridStep}`}
+              fill="none"
+              stroke="#e5e7eb"
+              strokeWidth={0.5}
+            />
+          </pattern>
+        </defs>
+        <rect width="100%" height="100%" fill="url(#whiteboard-grid)" />
       </svg>
     );
   };
@@ -135,71 +445,158 @@ const WhiteboardCanvas = ({
         canvasRef.current = node;
         drop(node);
       }}
+      role="application"
+      aria-roledescription="whiteboard"
+      aria-label={`Whiteboard, ${notes.length} ${notes.length === 1 ? 'note' : 'notes'}`}
+      aria-describedby="whiteboard-instructions"
       className={`relative w-full h-full overflow-hidden bg-white ${
         isPanning ? 'cursor-grabbing' : 'cursor-grab'
       }`}
       onMouseDown={handleMouseDown}
       onClick={handleCanvasClick}
-      style={{
-        backgroundImage: viewMode === 'grid' ? `radial-gradient(circle, #e5e7eb 1px, transparent 1px)` :'none',
-        backgroundSize: viewMode === 'grid' ? `${20 * scale}px ${20 * scale}px` : 'auto',
-        backgroundPosition: `${panOffset.x}px ${panOffset.y}px`
-      }}
+      onMouseMove={onCursorMove && ((e) => onCursorMove(screenToWorld(camera, toCanvasPoint(e))))}
+      onMouseLeave={onCursorMove && (() => onCursorMove(null))}
     >
+      <p id="whiteboard-instructions" className="sr-only">
+        Tab to reach the notes. Alt plus arrow keys move to the nearest note in that direction,
+        arrow keys move the selected note, Enter opens it and C starts a connection to another note.
+        Press question mark for all shortcuts, or switch to the outline view for a list of the board.
+      </p>
+
       {/* Grid overlay */}
       {renderGrid()}
 
       {/* Canvas content container */}
       <div
+        ref={contentRef}
         className="absolute inset-0"
         style={{
-          transform: `translate(${panOffset.x}px, ${panOffset.y}px) scale(${scale})`,
+          transform: `translate(${camera.x}px, ${camera.y}px) scale(${camera.zoom})`,
           transformOrigin: '0 0'
         }}
       >
-        {/* Connection lines */}
-        {connections.map((connection) => {
-          const fromNote = notes.find(n => n.id === connection.from);
-          const toNote = notes.find(n => n.id === connection.to);
-          
-          if (!fromNote || !toNote) return null;
-          
+        {/* Swimlanes from cluster layouts */}
+        {lanes.map((lane) => (
+          <div
+            key={lane.id}
+            className="absolute border-2 border-dashed border-border bg-muted/40 rounded-xl pointer-events-none"
+            style={{
+              left: lane.x - 16,
+              top: lane.y - 16,
+              width: lane.width + 32,
+              height: lane.height + 32
+            }}
+          >
+            <span className="absolute top-3 left-4 text-sm font-semibold text-text-secondary">
+              {lane.label}
+            </span>
+          </div>
+        ))}
+
+        {/* Frames */}
+        {frames.map((frame) => {
+          let shown = frame;
+          if (frameDrag?.mode === 'move' && (frame.id === frameDrag.frame.id || frameDrag.nestedFrameIds.has(frame.id))) {
+            shown = { ...frame, x: frame.x + frameDrag.delta.x, y: frame.y + frameDrag.delta.y };
+          } else if (frameDrag?.mode === 'resize' && frame.id === frameDrag.frame.id) {
+            shown = { ...frame, ...getResizedFrame(frame, frameDrag.delta) };
+          }
+
           return (
-            <ConnectionLine
-              key={`${connection.from}-${connection.to}`}
-              from={{
-                x: fromNote.position.x + 128, // Center of note (256/2)
-                y: fromNote.position.y + 96   // Center of note (192/2)
-              }}
-              to={{
-                x: toNote.position.x + 128,
-                y: toNote.position.y + 96
-              }}
-              color={connection.color || '#6366f1'}
+            <BoardFrame
+              key={frame.id}
+              frame={shown}
+              noteCount={frameMembers?.get(frame.id)?.length || 0}
+              isFiltered={filteredFrameId === frame.id}
+              onStartDrag={handleStartFrameDrag}
+              onStartResize={handleStartFrameResize}
+              onUpdate={onUpdateFrame}
+              onDelete={onDeleteFrame}
+              onExport={onExportFrame}
+              onFilter={onFilterFrame}
+              readOnly={readOnly}
             />
           );
         })}
 
+        {/* Connection lines */}
+        <svg
+          aria-hidden="true"
+          className="absolute inset-0 pointer-events-none"
+          style={{
+            width: '100%',
+            height: '100%',
+            overflow: 'visible'
+          }}
+        >
+          <defs>
+            {connectionColors.map(color => (
+              <ArrowheadMarker key={color} color={color} />
+            ))}
+          </defs>
+          {visibleSegments.map(({ connection, from, to, axis }) => (
+            <ConnectionLine
+              key={`${connection.from}-${connection.to}`}
+              fromId={connection.from}
+              toId={connection.to}
+              from={from}
+              to={to}
+              axis={axis}
+              color={connection.color}
+              label={connection.label}
+              lineStyle={connection.style}
+              direction={connection.direction}
+              routing={connection.routing}
+              isSelected={!!selectedConnection && isSameConnection(connection, selectedConnection.from, selectedConnection.to)}
+              onSelect={onSelectConnection}
+            />
+          ))}
+        </svg>
+
         {/* Sticky notes */}
-        {notes.map((note) => (
+        {visibleNotes.map((note) => (
           <StickyNote
             key={note.id}
             note={note}
             onUpdate={onUpdateNote}
             onDelete={onDeleteNote}
             onSelect={onSelectNote}
-            isSelected={selectedNoteId === note.id}
+            isSelected={selectedSet.has(note.id)}
+            remoteSelection={remoteSelections.get(note.id)}
             onConnect={onConnectNotes}
+            readOnly={readOnly}
+            highlights={searchHighlights}
+            isActiveResult={note.id === activeResultId}
+            isTabStop={note.id === tabStopId}
+            isOverdue={overdueNoteIds.has(note.id)}
             scale={1} // Individual note scaling handled by canvas transform
           />
         ))}
       </div>
 
+      {/* Marquee selection */}
+      {marquee && (
+        <div
+          className="absolute border border-primary bg-primary/10 pointer-events-none"
+          style={{
+            left: Math.min(marquee.start.x, marquee.end.x),
+            top: Math.min(marquee.start.y, marquee.end.y),
+            width: Math.abs(marquee.end.x - marquee.start.x),
+            height: Math.abs(marquee.end.y - marquee.start.y)
+          }}
+        />
+      )}
+
+      {/* Collaborators' cursors */}
+      {remotePeers.length > 0 && <RemoteCursors peers={remotePeers} camera={camera} />}
+
       {/* Canvas info overlay */}
       <div className="absolute bottom-4 left-4 bg-white/90 backdrop-blur-sm rounded-lg px-3 py-2 shadow-sm">
         <div className="flex items-center space-x-4 text-xs text-gray-600">
           <span>Notes: {notes.length}</span>
-          <span>Zoom: {Math.round(scale * 100)}%</span>
+          {visibleNotes.length < notes.length && <span>Rendered: {visibleNotes.length}</span>}
+          {selectedNoteIds.length > 1 && <span>Selected: {selectedNoteIds.length}</span>}
+          <span>Zoom: {Math.round(camera.zoom * 100)}%</span>
           <span>Mode: {viewMode}</span>
         </div>
       </div>
@@ -208,7 +605,7 @@ const WhiteboardCanvas = ({
       {!isPanning && (
         <div className="absolute bottom-4 right-4 bg-white/90 backdrop-blur-sm rounded-lg px-3 py-2 shadow-sm">
           <p className="text-xs text-gray-600">
-            Ctrl+Click or Middle mouse to pan
+            Drag to select · Scroll to zoom · Ctrl+Click or Middle mouse to pan
           </p>
         </div>
       )}
@@ -0,0 +1,99 @@
+import React from 'react';
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import { DndProvider } from 'react-dnd';
+import { HTML5Backend } from 'react-dnd-html5-backend';
+import { configureAxe } from 'vitest-axe';
+import WhiteboardCanvas from './WhiteboardCanvas';
+
+// jsdom can't compute colours, so contrast is left to manual checks
+const axe = configureAxe({ rules: { 'color-contrast': { enabled: false } } });
+
+const makeNote = (id, title, x, y) => ({
+  id,
+  title,
+  content: `${title} details`,
+  color: 'yellow',
+  category: '',
+  author: 'Sarah Johnson',
+  createdAt: '2025-01-10T10:30:00Z',
+  position: { x, y },
+  comments: []
+});
+
+const notes = [
+  makeNote(1, 'Right', 400, 100),
+  makeNote(2, 'Top left', 100, 100),
+  makeNote(3, 'Below', 100, 400)
+];
+
+const renderCanvas = (props = {}) => render(
+  <DndProvider backend={HTML5Backend}>
+    <WhiteboardCanvas
+      notes={notes}
+      connections={[{ from: 2, to: 1 }]}
+      selectedNoteIds={[]}
+      onSelectNote={vi.fn()}
+      onSelectNotes={vi.fn()}
+      onUpdateNote={vi.fn()}
+      onDeleteNote={vi.fn()}
+      onMoveNotes={vi.fn()}
+      onConnectNotes={vi.fn()}
+      onSelectConnection={vi.fn()}
+      camera={{ x: 0, y: 0, zoom: 1 }}
+      onCameraChange={vi.fn()}
+      viewport={{ width: 0, height: 0 }}
+      onViewportResize={vi.fn()}
+      viewMode="grid"
+      onCanvasClick={vi.fn()}
+      {...props}
+    />
+  </DndProvider>
+);
+
+describe('WhiteboardCanvas accessibility', () => {
+  it('is an application region that counts its notes and points to instructions', () => {
+    renderCanvas();
+    const canvas = screen.getByRole('application', { name: 'Whiteboard, 3 notes' });
+    expect(canvas.getAttribute('aria-roledescription')).toBe('whiteboard');
+
+    const instructions = document.getElementById(canvas.getAttribute('aria-describedby'));
+    expect(instructions.textContent).toMatch(/C starts a connection/);
+  });
+
+  it('puts only the first note in reading order in the Tab order', () => {
+    renderCanvas();
+    const tabStops = screen.getAllByRole('group').filter(group => group.tabIndex === 0);
+    expect(tabStops).toHaveLength(1);
+    expect(tabStops[0].getAttribute('aria-label')).toBe('Top left');
+  });
+
+  it('moves the tab stop to the selected note', () => {
+    renderCanvas({ selectedNoteIds: [3] });
+    const tabStops = screen.getAllByRole('group').filter(group => group.tabIndex === 0);
+    expect(tabStops.map(group => group.getAttribute('aria-label'))).toEqual(['Below, selected']);
+  });
+
+  it('focuses the note a keyboard command asks for', () => {
+    renderCanvas({ selectedNoteIds: [1], focusRequest: { id: 1 } });
+    expect(document.activeElement).toBe(screen.getByRole('group', { name: 'Right, selected' }));
+  });
+
+  it('has no axe violations', async () => {
+    const { container } = renderCanvas({ selectedNoteIds: [2] });
+    expect(await axe(container)).toHaveNoViolations();
+  });
+});
+
+describe('WhiteboardCanvas background', () => {
+  it('draws a single grid in grid mode', () => {
+    const { container } = renderCanvas();
+    expect(screen.getByRole('application').style.backgroundImage).toBe('');
+    expect(container.querySelectorAll('pattern')).toHaveLength(1);
+  });
+
+  it('draws no grid in other modes', () => {
+    const { container } = renderCanvas({ viewMode: 'freeform' });
+    expect(container.querySelectorAll('pattern')).toHaveLength(0);
+  });
+});
@@ -1,4 +1,5 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useReducer, useMemo, useRef } from 'react';
+import { useParams, useNavigate, useSearchParams } from 'react-router-dom';
 import { DndProvider } from 'react-dnd';
 import { HTML5Backend } from 'react-dnd-html5-backend';
 import Header from '../../components/ui/Header';
@@ -8,265 +9,1023 @@ import ToolbarTop from './components/ToolbarTop';
 import WhiteboardCanvas from './components/WhiteboardCanvas';
 import NoteDetailsPanel from './components/NoteDetailsPanel';
 import CollaborationPanel from './components/CollaborationPanel';
+import SelectionToolbar from './components/SelectionToolbar';
+import ConnectionToolbar from './components/ConnectionToolbar';
+import Minimap from './components/Minimap';
+import ImportDialog from './components/ImportDialog';
+import ExportImageDialog from './components/ExportImageDialog';
+import CommandPalette from './components/CommandPalette';
+import ShortcutHelp from './components/ShortcutHelp';
+import TemplateGallery from './components/TemplateGallery';
+import TemplateFieldsDialog from './components/TemplateFieldsDialog';
+import KanbanView from './components/KanbanView';
+import ReminderToasts from './components/ReminderToasts';
+import OutlineView from './components/OutlineView';
 import Icon from '../../components/AppIcon';
 import Button from '../../components/ui/Button';
+import {
+  loadBoardIndex,
+  saveBoardIndex,
+  loadBoard,
+  saveBoard,
+  deleteBoardData,
+  createBoardMeta,
+  storageErrorMessages
+} from './utils/boardStorage';
+import { sampleNotes, sampleConnections } from './utils/sampleBoard';
+import { generateBenchmarkBoard } from './utils/benchmarkBoard';
+import { historyReducer, createHistoryState } from './utils/history';
+import * as commands from './utils/boardCommands';
+import { alignNotes, distributeNotes } from './utils/arrange';
+import { LAYOUTS, findOpenPosition, interpolateNotes } from './utils/layouts';
+import { createFrame, getFrameMembers, getCollapsedNoteIds } from './utils/frames';
+import {
+  DEFAULT_CAMERA,
+  zoomAtPoint,
+  stepZoom,
+  getViewportCenter,
+  screenToWorld,
+  getNotesBounds,
+  fitBounds,
+  centerOn,
+  getVisibleWorldRect
+} from './utils/camera';
+import { NOTE_WIDTH, NOTE_HEIGHT, getNoteCenter } from './utils/geometry';
+import { withConnectionDefaults, isSameConnection } from './utils/connections';
+import { createSyncTransport } from './utils/syncTransport';
+import { IMPORT_ACCEPT, prepareImport } from './utils/importers';
+import { exportBoardImage, IMAGE_FORMATS } from './utils/boardExport';
+import { downloadBlob, toFileSlug, todayStamp } from './utils/download';
+import { TEXT_EXPORT_FORMATS, exportJson } from './utils/textExporters';
+import { collectBlobIds, exportBlobs, importBlobs, remapBlobIds } from './utils/blobStore';
+import {
+  createFileNoteFields,
+  storeAttachment,
+  parseLinkUrl,
+  getLinkHost,
+  createBareLink,
+  fetchLinkPreview,
+  createLinkNoteFields
+} from './utils/attachments';
+import { hasUnresolvedComments } from './utils/comments';
+import { withRevision } from './utils/noteHistory';
+import { NOTE_TEMPLATES, QUICK_NOTE, getTemplateFields, fillTemplate } from './utils/noteTemplates';
+import { BOARD_TEMPLATES, captureBoard } from './utils/boardTemplates';
+import { buildKanbanColumns, moveCard, getStatusLabel, isValidWipLimit } from './utils/kanban';
+import { isOverdue, isAssignedTo, collectReminders } from './utils/tasks';
+import {
+  createTemplateId,
+  loadCustomTemplates,
+  storeCustomTemplates,
+  serializeTemplate,
+  parseTemplateFile
+} from './utils/templateStorage';
+import { sortByReadingOrder, findNoteInDirection } from './utils/noteNavigation';
+import { describeNotes, describeDirection } from './utils/announcements';
+import {
+  isTypingTarget,
+  MOD_KEY,
+  NUDGE_STEP,
+  NUDGE_STEP_LARGE,
+  PAN_STEP,
+  ARROW_DIRECTIONS,
+  CANVAS_KEYS
+} from './utils/shortcuts';
+import {
+  parseSearchQuery,
+  matchesSearch,
+  getHighlightTerms,
+  loadSavedSearches,
+  storeSavedSearches
+} from './utils/searchQuery';
+import { createCollabSession, clearCollabState, collabErrorMessages } from './utils/collabSession';
+import {
+  ASSIGNABLE_ROLES,
+  can,
+  isReadOnlyRole,
+  permissionMessages,
+  createDefaultMembers,
+  createLinkSeat,
+  createMemberId,
+  transferOwnership
+} from './utils/permissions';
 
 
 
+const LAYOUT_ANIMATION_MS = 450;
+// Above this many notes layouts apply instantly rather than tweening every note
+const LAYOUT_ANIMATION_LIMIT = 1500;
+// How often the reminder scheduler checks for reminders that have come due
+const REMINDER_CHECK_MS = 30 * 1000;
+
 const IdeasWhiteboard = () => {
-  const [notes, setNotes] = useState([]);
-  const [connections, setConnections] = useState([]);
-  const [selectedNoteId, setSelectedNoteId] = useState(null);
-  const [scale, setScale] = useState(1);
+  const [history, dispatchHistory] = useReducer(
+    historyReducer,
+    { notes: [], connections: [], lanes: [], frames: [], wipLimits: {} },
+    createHistoryState
+  );
+  const { notes, connections, lanes, frames, wipLimits } = history.doc;
+  const [layoutTransition, setLayoutTransition] = useState(null);
+  const [selectedNoteIds, setSelectedNoteIds] = useState([]);
+  const [selectedConnection, setSelectedConnection] = useState(null);
+  const [camera, setCamera] = useState(DEFAULT_CAMERA);
+  const [viewport, setViewport] = useState({ width: 0, height: 0 });
+  const [showMinimap, setShowMinimap] = useState(() => (
+    localStorage.getItem('whiteboard-minimap') !== 'hidden'
+  ));
   const [viewMode, setViewMode] = useState('freeform');
   const [searchQuery, setSearchQuery] = useState('');
+  const [activeResultId, setActiveResultId] = useState(null);
+  const [savedSearches, setSavedSearches] = useState(loadSavedSearches);
+  const [frameFilter, setFrameFilter] = useState(null);
+  const [unresolvedOnly, setUnresolvedOnly] = useState(false);
+  const [myTasksOnly, setMyTasksOnly] = useState(false);
   const [filteredNotes, setFilteredNotes] = useState([]);
   const [showDetailsPanel, setShowDetailsPanel] = useState(false);
   const [showCollaborationPanel, setShowCollaborationPanel] = useState(false);
   const [isCollaborative, setIsCollaborative] = useState(false);
-  const [collaborators, setCollaborators] = useState([]);
+  const [members, setMembers] = useState(createDefaultMembers);
+  const [permissionNotice, setPermissionNotice] = useState(null);
+  const [importFile, setImportFile] = useState(null);
+  const [showExportImage, setShowExportImage] = useState(false);
+  const [syncStatus, setSyncStatus] = useState('offline');
+  const [onlinePeers, setOnlinePeers] = useState([]);
+  const [pendingChanges, setPendingChanges] = useState(0);
+  const [syncError, setSyncError] = useState(null);
+  const collabSessionRef = useRef(null);
+  const docRef = useRef(history.doc);
+  docRef.current = history.doc;
+  const membersRef = useRef(members);
+  membersRef.current = members;
+  const notesRef = useRef(notes);
+  notesRef.current = notes;
   const [connectingMode, setConnectingMode] = useState(false);
   const [connectingFromId, setConnectingFromId] = useState(null);
+  const [showCommandPalette, setShowCommandPalette] = useState(false);
+  const [showShortcutHelp, setShowShortcutHelp] = useState(false);
+  const [customTemplates, setCustomTemplates] = useState(loadCustomTemplates);
+  const [showTemplates, setShowTemplates] = useState(false);
+  const [pendingNoteTemplate, setPendingNoteTemplate] = useState(null);
+  const [focusRequest, setFocusRequest] = useState(null);
+  const [announcement, setAnnouncement] = useState(null);
+  const [reminders, setReminders] = useState([]);
+  // Minute clock for overdue highlighting and the reminder scheduler
+  const [now, setNow] = useState(Date.now);
+
+  const { boardId } = useParams();
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const [boards, setBoards] = useState([]);
+  const [activeBoardId, setActiveBoardId] = useState(null);
+  const [lastBoardId, setLastBoardId] = useState(null);
+  const [isWorkspaceReady, setIsWorkspaceReady] = useState(false);
+  const [storageError, setStorageError] = useState(null);
 
-  // Mock data initialization
+  const { collaborators, currentUserId } = members;
+  const currentUser = collaborators.find(user => user.id === currentUserId) ||
+    { id: currentUserId, name: 'Guest', role: 'viewer' };
+  const readOnly = isReadOnlyRole(currentUser.role);
+
+  // Load the board list; the sample board is only created on first run
   useEffect(() => {
-    const mockNotes = [
-      {
-        id: 1,
-        title: "AI Integration Strategy",
-        content: "Explore how we can integrate AI into our product workflow to improve user experience and automate repetitive tasks.",
-        color: "blue",
-        category: "Ideas",
-        author: "John Doe",
-        createdAt: "2025-01-10T10:30:00Z",
-        position: { x: 100, y: 100 },
-        zIndex: 1,
-        comments: [
-          {
-            id: 1,
-            text: "This could really streamline our development process",
-            author: "Sarah Johnson",
-            timestamp: "2025-01-10T11:00:00Z"
-          }
-        ]
-      },
-      {
-        id: 2,
-        title: "User Feedback Analysis",
-        content: "Analyze recent user feedback to identify pain points and opportunities for improvement in our current features.",
-        color: "yellow",
-        category: "Research",
-        author: "Sarah Johnson",
-        createdAt: "2025-01-09T14:15:00Z",
-        position: { x: 400, y: 150 },
-        zIndex: 1,
-        comments: []
-      },
-      {
-        id: 3,
-        title: "Q2 Product Roadmap",
-        content: "Define key milestones and deliverables for the second quarter, including new feature releases and performance improvements.",
-        color: "green",
-        category: "Goals",
-        author: "Mike Chen",
-        createdAt: "2025-01-08T09:45:00Z",
-        position: { x: 250, y: 300 },
-        zIndex: 1,
-        comments: []
-      },
-      {
-        id: 4,
-        title: "Mobile App Performance",
-        content: "Investigate and resolve performance issues reported in the mobile application, particularly on older devices.",
-        color: "pink",
-        category: "Tasks",
-        author: "Alex Kim",
-        createdAt: "2025-01-07T16:20:00Z",
-        position: { x: 600, y: 250 },
-        zIndex: 1,
-        comments: []
-      },
-      {
-        id: 5,
-        title: "Team Collaboration Tools",
-        content: "Research and evaluate new collaboration tools that could enhance remote team productivity and communication.",
-        color: "purple",
-        category: "Research",
-        author: "Emily Davis",
-        createdAt: "2025-01-06T13:10:00Z",
-        position: { x: 150, y: 450 },
-        zIndex: 1,
-        comments: []
+    const { index, error } = loadBoardIndex();
+    let workspace = index;
+
+    if (!workspace) {
+      const sampleBoard = createBoardMeta('Sample Board');
+      saveBoard(sampleBoard.id, {
+        notes: error ? [] : sampleNotes,
+        connections: error ? [] : sampleConnections
+      });
+      workspace = { activeBoardId: sampleBoard.id, boards: [sampleBoard] };
+      saveBoardIndex(workspace);
+    }
+
+    setBoards(workspace.boards);
+    setStorageError(error);
+    // Remember the last board so /ideas-whiteboard reopens it
+    setLastBoardId(workspace.activeBoardId);
+    setIsWorkspaceReady(true);
+  }, []);
+
+  // Open the board named in the URL, falling back to the last open board
+  useEffect(() => {
+    if (!isWorkspaceReady) return;
+
+    const requested = boards.find(board => board.id === boardId);
+    // Invite links (?join=1) open a board this browser hasn't seen yet and go live on it.
+    // The link only names a member seat (&member=); what it may do comes from the
+    // board's shared member list once synced, and until then the guest is a viewer.
+    if (!requested && boardId && searchParams.get('join') === '1') {
+      const board = { ...createBoardMeta('Shared board'), id: boardId };
+      saveBoard(board.id, {
+        notes: [],
+        connections: [],
+        members: { collaborators: [], currentUserId: searchParams.get('member') }
+      });
+      setBoards(prev => [...prev, board]);
+      setIsCollaborative(true);
+      navigate(`/ideas-whiteboard/${board.id}`, { replace: true });
+      return;
+    }
+    if (!requested) {
+      const fallback = boards.find(board => board.id === lastBoardId && !board.archived) ||
+        boards.find(board => !board.archived) ||
+        boards[0];
+      if (fallback) {
+        navigate(`/ideas-whiteboard/${fallback.id}`, { replace: true });
       }
-    ];
+      return;
+    }
+    if (requested.id === activeBoardId) return;
 
-    const mockConnections = [
-      { from: 1, to: 2, color: "#6366f1" },
-      { from: 2, to: 3, color: "#10b981" }
-    ];
+    // Flush the outgoing board before its state is replaced
+    if (activeBoardId) {
+      saveBoard(activeBoardId, { notes, connections, lanes, frames, camera, members, wipLimits });
+    }
 
-    const mockCollaborators = [
-      {
-        id: 1,
-        name: "John Doe",
-        email: "john.doe@company.com",
-        role: "owner",
-        status: "active",
-        lastActive: "2025-01-12T07:01:45Z"
-      },
-      {
-        id: 2,
-        name: "Sarah Johnson",
-        email: "sarah.johnson@company.com",
-        role: "editor",
-        status: "active",
-        lastActive: "2025-01-12T06:45:00Z"
-      },
-      {
-        id: 3,
-        name: "Mike Chen",
-        email: "mike.chen@company.com",
-        role: "editor",
-        status: "offline",
-        lastActive: "2025-01-11T18:30:00Z"
+    const { board, error } = loadBoard(requested.id);
+    dispatchHistory({
+      type: 'reset',
+      doc: {
+        notes: board ? board.notes : [],
+        connections: board ? board.connections : [],
+        lanes: board ? board.lanes : [],
+        frames: board ? board.frames : [],
+        wipLimits: board?.wipLimits || {}
       }
-    ];
+    });
+    setCamera(board ? board.camera : DEFAULT_CAMERA);
+    setMembers(board?.members || createDefaultMembers());
+    setFilteredNotes(board ? board.notes : []);
+    setSelectedNoteIds([]);
+    setSelectedConnection(null);
+    setFrameFilter(null);
+    setUnresolvedOnly(false);
+    setMyTasksOnly(false);
+    setReminders([]);
+    setShowDetailsPanel(false);
+    setConnectingMode(false);
+    setConnectingFromId(null);
+    if (error) {
+      setStorageError(error);
+    }
+    setActiveBoardId(requested.id);
+    setLastBoardId(requested.id);
+  }, [isWorkspaceReady, boardId, boards]);
 
-    setNotes(mockNotes);
-    setConnections(mockConnections);
-    setCollaborators(mockCollaborators);
-    setFilteredNotes(mockNotes);
-  }, []);
+  // Development aid: /ideas-whiteboard?benchmark=2000 opens a generated large board
+  useEffect(() => {
+    if (!import.meta.env.DEV || !isWorkspaceReady) return;
+
+    const noteCount = Math.min(20000, parseInt(searchParams.get('benchmark'), 10) || 0);
+    if (noteCount <= 0) return;
 
-  // Filter notes based on search query
+    const board = createBoardMeta(`Benchmark (${noteCount} notes)`);
+    const result = saveBoard(board.id, generateBenchmarkBoard({ noteCount }));
+    if (!result.ok) {
+      setStorageError(result.error);
+      return;
+    }
+    setBoards(prev => [...prev, board]);
+    navigate(`/ideas-whiteboard/${board.id}`, { replace: true });
+  }, [isWorkspaceReady, searchParams]);
+
+  // Persist the board list whenever it or the open board changes
   useEffect(() => {
-    if (searchQuery.trim()) {
-      const filtered = notes.filter(note =>
-        note.title.toLowerCase().includes(searchQuery.toLowerCase()) ||
-        note.content.toLowerCase().includes(searchQuery.toLowerCase()) ||
-        note.category.toLowerCase().includes(searchQuery.toLowerCase()) ||
-        note.author.toLowerCase().includes(searchQuery.toLowerCase())
-      );
-      setFilteredNotes(filtered);
+    if (!isWorkspaceReady) return;
+
+    const result = saveBoardIndex({ activeBoardId: lastBoardId, boards });
+    if (!result.ok) {
+      setStorageError(result.error);
+    }
+  }, [isWorkspaceReady, boards, lastBoardId]);
+
+  const frameMembers = useMemo(() => getFrameMembers(frames, notes), [frames, notes]);
+
+  // A deleted or undone frame can't stay the active filter
+  useEffect(() => {
+    if (frameFilter && !frames.some(frame => frame.id === frameFilter)) {
+      setFrameFilter(null);
+    }
+  }, [frames, frameFilter]);
+
+  const parsedSearch = useMemo(() => parseSearchQuery(searchQuery), [searchQuery]);
+  const searchHighlights = useMemo(() => getHighlightTerms(parsedSearch.terms), [parsedSearch]);
+
+  // Filter notes based on search query, the selected frame, open comment threads and "My tasks"
+  useEffect(() => {
+    const frameNoteIds = frameFilter ? new Set(frameMembers.get(frameFilter) || []) : null;
+    const inFrame = frameNoteIds ? notes.filter(note => frameNoteIds.has(note.id)) : notes;
+    const inScope = inFrame.filter(note =>
+      (!unresolvedOnly || hasUnresolvedComments(note)) &&
+      (!myTasksOnly || isAssignedTo(note, currentUserId))
+    );
+
+    if (parsedSearch.terms.length) {
+      const connectionCounts = new Map();
+      connections.forEach(conn => {
+        connectionCounts.set(conn.from, (connectionCounts.get(conn.from) || 0) + 1);
+        connectionCounts.set(conn.to, (connectionCounts.get(conn.to) || 0) + 1);
+      });
+      setFilteredNotes(inScope.filter(note => matchesSearch(note, parsedSearch.terms, connectionCounts)));
     } else {
-      setFilteredNotes(notes);
+      setFilteredNotes(inScope);
     }
-  }, [notes, searchQuery]);
+  }, [notes, connections, parsedSearch, frameFilter, unresolvedOnly, myTasksOnly, currentUserId, frameMembers]);
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 60 * 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  const overdueNoteIds = useMemo(
+    () => new Set(notes.filter(note => isOverdue(note, now)).map(note => note.id)),
+    [notes, now]
+  );
+
+  const persistBoard = useCallback(() => {
+    if (!activeBoardId) return false;
+
+    const result = saveBoard(activeBoardId, { notes, connections, lanes, frames, camera, members, wipLimits });
+    setStorageError(prev => result.ok ? (prev === 'quota' ? null : prev) : result.error);
+    return result.ok;
+  }, [activeBoardId, notes, connections, lanes, frames, camera, members, wipLimits]);
 
   // Auto-save functionality
   useEffect(() => {
-    const autoSave = () => {
-      localStorage.setItem('whiteboard-notes', JSON.stringify(notes));
-      localStorage.setItem('whiteboard-connections', JSON.stringify(connections));
-    };
+    if (!activeBoardId) return;
 
-    const timer = setTimeout(autoSave, 2000);
+    const timer = setTimeout(persistBoard, 2000);
     return () => clearTimeout(timer);
-  }, [notes, connections]);
+  }, [activeBoardId, persistBoard]);
+
+  // Save edits still waiting for the autosave when the page goes away. The
+  // collaboration replica is saved then too; an older board would be diffed
+  // against it on the next load and undo these edits for everyone.
+  useEffect(() => {
+    window.addEventListener('pagehide', persistBoard);
+    return () => window.removeEventListener('pagehide', persistBoard);
+  }, [persistBoard]);
+
+  const handleSwitchBoard = useCallback((targetBoardId) => {
+    navigate(`/ideas-whiteboard/${targetBoardId}`);
+  }, [navigate]);
+
+  const handleCreateBoard = useCallback(() => {
+    const board = createBoardMeta(`Untitled board ${boards.length + 1}`);
+    saveBoard(board.id, { notes: [], connections: [] });
+    setBoards(prev => [...prev, board]);
+    navigate(`/ideas-whiteboard/${board.id}`);
+  }, [boards.length, navigate]);
+
+  const handleRenameBoard = useCallback((targetBoardId, name) => {
+    setBoards(prev => prev.map(board =>
+      board.id === targetBoardId ? { ...board, name, updatedAt: new Date().toISOString() } : board
+    ));
+  }, []);
+
+  const handleDuplicateBoard = useCallback((sourceBoardId) => {
+    const source = boards.find(board => board.id === sourceBoardId);
+    if (!source) return;
+
+    const data = sourceBoardId === activeBoardId
+      ? { notes, connections, lanes, frames, camera, members, wipLimits }
+      : loadBoard(sourceBoardId).board || { notes: [], connections: [] };
+    const board = createBoardMeta(`${source.name} (copy)`);
+    const result = saveBoard(board.id, data);
+    if (!result.ok) {
+      setStorageError(result.error);
+      return;
+    }
+    setBoards(prev => [...prev, board]);
+    navigate(`/ideas-whiteboard/${board.id}`);
+  }, [boards, activeBoardId, notes, connections, lanes, frames, camera, members, wipLimits, navigate]);
+
+  // Move away from a board that is being archived or deleted
+  const leaveBoard = useCallback((targetBoardId, remainingBoards) => {
+    if (targetBoardId !== activeBoardId) return;
+
+    const next = remainingBoards.find(board => !board.archived);
+    if (next) {
+      navigate(`/ideas-whiteboard/${next.id}`, { replace: true });
+    } else {
+      const board = createBoardMeta('Untitled board');
+      saveBoard(board.id, { notes: [], connections: [] });
+      setBoards(prev => [...prev, board]);
+      navigate(`/ideas-whiteboard/${board.id}`, { replace: true });
+    }
+  }, [activeBoardId, navigate]);
+
+  const handleArchiveBoard = useCallback((targetBoardId) => {
+    const updated = boards.map(board =>
+      board.id === targetBoardId ? { ...board, archived: true, updatedAt: new Date().toISOString() } : board
+    );
+    setBoards(updated);
+    leaveBoard(targetBoardId, updated);
+  }, [boards, leaveBoard]);
+
+  const handleRestoreBoard = useCallback((targetBoardId) => {
+    setBoards(prev => prev.map(board =>
+      board.id === targetBoardId ? { ...board, archived: false, updatedAt: new Date().toISOString() } : board
+    ));
+  }, []);
+
+  const handleDeleteBoard = useCallback((targetBoardId) => {
+    const board = boards.find(b => b.id === targetBoardId);
+    if (!board || !window.confirm(`Delete "${board.name}"? This action cannot be undone.`)) return;
+
+    const remaining = boards.filter(b => b.id !== targetBoardId);
+    if (targetBoardId === activeBoardId) {
+      // Prevent the outgoing flush from re-creating the deleted board
+      setActiveBoardId(null);
+    }
+    deleteBoardData(targetBoardId);
+    clearCollabState(targetBoardId);
+    setBoards(remaining);
+    leaveBoard(targetBoardId, remaining);
+  }, [boards, activeBoardId, leaveBoard]);
+
+  // Blocked actions explain themselves rather than silently doing nothing
+  const requirePermission = useCallback((action) => {
+    if (can(currentUser.role, action)) return true;
+    setPermissionNotice(permissionMessages[action]);
+    return false;
+  }, [currentUser.role]);
+
+  useEffect(() => {
+    if (!permissionNotice) return;
+    const timer = setTimeout(() => setPermissionNotice(null), 4000);
+    return () => clearTimeout(timer);
+  }, [permissionNotice]);
+
+  // Every document change goes through here, so viewers can't edit by any route
+  // Returns false when the user may not edit, so callers can skip their follow-up
+  const execute = useCallback((build) => {
+    if (!requirePermission('edit')) return false;
+    dispatchHistory({ type: 'execute', build, timestamp: Date.now() });
+    return true;
+  }, [requirePermission]);
+
+  // Read out by screen readers; the id makes a repeated message count as new
+  const announce = useCallback((text) => {
+    setAnnouncement({ text, id: Date.now() });
+  }, []);
+
+  // Local reminder scheduler: checks on a timer rather than on every edit, reading
+  // the latest notes, and shows whatever has come due since the last check
+  useEffect(() => {
+    if (!activeBoardId) return;
+    const check = () => {
+      const due = collectReminders(notesRef.current, { boardId: activeBoardId, userId: currentUserId, now: Date.now() });
+      if (due.length === 0) return;
+      setReminders(prev => [
+        ...prev.filter(reminder => !due.some(note => note.id === reminder.id)),
+        ...due.map(note => ({ id: note.id, title: note.title, dueAt: note.dueAt }))
+      ]);
+      announce(`Reminder: ${describeNotes(due)} ${due.length === 1 ? 'is' : 'are'} due`);
+    };
+    check();
+    const timer = setInterval(check, REMINDER_CHECK_MS);
+    return () => clearInterval(timer);
+  }, [activeBoardId, currentUserId, announce]);
+
+  // Tween notes from where they are now to wherever the next change puts them
+  const animateFromCurrent = useCallback(() => {
+    if (notes.length > LAYOUT_ANIMATION_LIMIT) return;
+    setLayoutTransition({
+      from: new Map(notes.map(note => [note.id, note.position])),
+      start: performance.now(),
+      progress: 0
+    });
+  }, [notes]);
+
+  const handleUndo = useCallback(() => {
+    if (!requirePermission('edit')) return;
+    const command = history.past[history.past.length - 1];
+    if (command?.animated) {
+      animateFromCurrent();
+    }
+    dispatchHistory({ type: 'undo' });
+    if (command) announce(`Undid ${command.label}`);
+  }, [history.past, animateFromCurrent, requirePermission, announce]);
+
+  const handleRedo = useCallback(() => {
+    if (!requirePermission('edit')) return;
+    const command = history.future[0];
+    if (command?.animated) {
+      animateFromCurrent();
+    }
+    dispatchHistory({ type: 'redo' });
+    if (command) announce(`Redid ${command.label}`);
+  }, [history.future, animateFromCurrent, requirePermission, announce]);
+
+  useEffect(() => {
+    if (!layoutTransition) return;
+
+    const frame = requestAnimationFrame(() => {
+      const progress = (performance.now() - layoutTransition.start) / LAYOUT_ANIMATION_MS;
+      setLayoutTransition(progress >= 1 ? null : { ...layoutTransition, progress });
+    });
+    return () => cancelAnimationFrame(frame);
+  }, [layoutTransition]);
+
+  // Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS); inputs keep their native undo
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      if (isTypingTarget(e.target)) return;
+
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        handleUndo();
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        handleRedo();
+      }
+    };
+
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [handleUndo, handleRedo]);
 
   const handleCreateNote = useCallback((noteData) => {
+    // Drop new notes near the middle of whatever part of the board is in view
+    const center = screenToWorld(camera, getViewportCenter(viewport));
     const newNote = {
-      id: Date.now(),
+      id: commands.createNoteId(),
       title: noteData.title,
       content: noteData.content,
       color: noteData.color,
       category: noteData.category,
-      author: "John Doe",
+      ...(noteData.priority && { priority: noteData.priority }),
+      author: currentUser.name,
       createdAt: new Date().toISOString(),
-      position: { 
-        x: Math.random() * 400 + 100, 
-        y: Math.random() * 300 + 100 
-      },
+      position: findOpenPosition(notes, {
+        x: center.x - NOTE_WIDTH / 2,
+        y: center.y - NOTE_HEIGHT / 2
+      }),
       zIndex: 1,
       comments: []
     };
-    setNotes(prev => [...prev, newNote]);
-  }, []);
+    if (!execute(commands.createNote(newNote))) return;
+    setSelectedNoteIds([newNote.id]);
+    announce(`Created note ${describeNotes([newNote])}`);
+    return newNote.id;
+  }, [execute, announce, notes, camera, viewport, currentUser.name]);
 
+  // Image, link and file notes, centred on `point` (world coordinates) or the middle of the view
+  const addNotes = useCallback((fieldsList, point, label) => {
+    const center = point || screenToWorld(camera, getViewportCenter(viewport));
+    const origin = { x: center.x - NOTE_WIDTH / 2, y: center.y - NOTE_HEIGHT / 2 };
+    const placed = [...docRef.current.notes];
+    const newNotes = fieldsList.map((fields, i) => {
+      const note = {
+        id: commands.createNoteId(),
+        color: 'yellow',
+        category: '',
+        author: currentUser.name,
+        createdAt: new Date().toISOString(),
+        position: findOpenPosition(placed, { x: origin.x + i * 24, y: origin.y + i * 24 }),
+        zIndex: 1,
+        comments: [],
+        ...fields
+      };
+      placed.push(note);
+      return note;
+    });
+    if (!execute(commands.createNotes(newNotes, label))) return;
+    setSelectedNoteIds(newNotes.map(note => note.id));
+    announce(`Added ${describeNotes(newNotes)}`);
+  }, [execute, announce, camera, viewport, currentUser.name]);
+
+  const handleAddFiles = useCallback(async (files, point) => {
+    if (!files.length || !requirePermission('edit')) return;
+    try {
+      const fieldsList = await Promise.all(files.map(createFileNoteFields));
+      const images = fieldsList.filter(fields => fields.type === 'image').length;
+      addNotes(fieldsList, point, images === fieldsList.length
+        ? `Add ${images === 1 ? 'image' : `${images} images`}`
+        : `Add ${fieldsList.length === 1 ? 'file' : `${fieldsList.length} files`}`);
+    } catch (error) {
+      alert(error.message || 'Could not add the file');
+    }
+  }, [addNotes, requirePermission]);
+
+  const handleAddLink = useCallback((url, point) => {
+    if (!requirePermission('edit')) return;
+    addNotes([createLinkNoteFields(createBareLink(url))], point, 'Add link');
+  }, [addNotes, requirePermission]);
+
+  // Fetching contacts the linked site, so it only happens from the details panel
+  const handleLoadLinkPreview = useCallback(async (noteId) => {
+    const note = docRef.current.notes.find(item => item.id === noteId);
+    if (!note?.link || !requirePermission('edit')) return;
+    const preview = await fetchLinkPreview(note.link.url);
+    if (!preview.previewed) {
+      alert(`${getLinkHost(note.link.url)} doesn't allow its preview to be loaded`);
+      return;
+    }
+    // Keep a title the user typed; replace the host the bare card started with
+    const title = note.title === note.link.title ? preview.title : note.title;
+    execute(commands.updateNote(noteId, { title, link: preview }, 'Load link preview'));
+  }, [execute, requirePermission]);
+
+  const handlePickImages = useCallback(() => {
+    if (!requirePermission('edit')) return;
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = 'image/*';
+    input.multiple = true;
+    input.onchange = (e) => handleAddFiles([...e.target.files]);
+    input.click();
+  }, [handleAddFiles, requirePermission]);
+
+  const handlePromptLink = useCallback(() => {
+    if (!requirePermission('edit')) return;
+    const input = window.prompt('Link to add (you can also paste or drop links onto the board):', 'https://');
+    if (input === null) return;
+    const url = parseLinkUrl(input);
+    if (url) {
+      handleAddLink(url);
+    } else {
+      alert('That doesn\'t look like a web address');
+    }
+  }, [handleAddLink, requirePermission]);
+
+  const handleAddAttachments = useCallback(async (noteId, files) => {
+    if (!files.length || !requirePermission('edit')) return;
+    try {
+      const added = await Promise.all(files.map(storeAttachment));
+      const note = docRef.current.notes.find(item => item.id === noteId);
+      if (!note) return;
+      execute(commands.updateNote(
+        noteId,
+        { attachments: [...(note.attachments || []), ...added] },
+        added.length === 1 ? 'Attach file' : `Attach ${added.length} files`
+      ));
+    } catch (error) {
+      alert(error.message || 'Could not attach the file');
+    }
+  }, [execute, requirePermission]);
+
+  // Pasting an image or a web address outside a text field adds it to the board
+  useEffect(() => {
+    const handlePaste = (e) => {
+      if (e.target.closest?.('input, textarea, select, [contenteditable="true"]')) return;
+      const files = [...(e.clipboardData?.files || [])];
+      if (files.length) {
+        e.preventDefault();
+        handleAddFiles(files);
+        return;
+      }
+      const url = parseLinkUrl(e.clipboardData?.getData('text/plain'));
+      if (url) {
+        e.preventDefault();
+        handleAddLink(url);
+      }
+    };
+
+    document.addEventListener('paste', handlePaste);
+    return () => document.removeEventListener('paste', handlePaste);
+  }, [handleAddFiles, handleAddLink]);
+
+  // Title, content and category edits are also recorded in the note's history
   const handleUpdateNote = useCallback((noteId, updates) => {
-    setNotes(prev => prev.map(note => 
-      note.id === noteId ? { ...note, ...updates } : note
+    const note = docRef.current.notes.find(item => item.id === noteId);
+    execute(commands.updateNote(noteId, note ? withRevision(note, updates, currentUser) : updates));
+  }, [execute, currentUser]);
+
+  const handleRestoreRevision = useCallback((noteId, revision) => {
+    const note = docRef.current.notes.find(item => item.id === noteId);
+    if (!note) return;
+    const { title, content, category } = revision;
+    execute(commands.updateNote(
+      noteId,
+      withRevision(note, { title, content, category }, currentUser, { restoredFrom: revision.id }),
+      'Restore note version'
     ));
-  }, []);
+  }, [execute, currentUser]);
+
+  // Kanban cards change status and order only; canvas positions stay as they are
+  const handleMoveCard = useCallback((noteId, statusId, beforeId) => {
+    if (!requirePermission('edit')) return;
+    const columns = buildKanbanColumns(docRef.current.notes, wipLimits);
+    const changes = moveCard(columns, noteId, statusId, beforeId);
+    if (changes.length === 0) return;
+    const movedColumn = columns.find(column => column.notes.some(note => note.id === noteId));
+    const label = movedColumn.id === statusId ? 'Reorder card' : `Move card to ${getStatusLabel(statusId)}`;
+    if (!execute(commands.patchNotes(changes, label))) return;
+
+    const note = docRef.current.notes.find(item => item.id === noteId);
+    const target = columns.find(column => column.id === statusId);
+    const count = target.notes.filter(item => item.id !== noteId).length + 1;
+    const overLimit = target.limit !== null && count > target.limit;
+    announce(movedColumn.id === statusId
+      ? `Moved ${describeNotes([note])} to position ${changes.find(change => change.id === noteId).updates.kanbanOrder + 1} in ${target.label}`
+      : `Moved ${describeNotes([note])} to ${target.label}${overLimit ? `, over its limit of ${target.limit}` : ''}`);
+  }, [execute, announce, requirePermission, wipLimits]);
+
+  const handleAssignNote = useCallback((noteId, assigneeIds) => {
+    if (!requirePermission('edit')) return;
+    execute(commands.updateNote(noteId, { assigneeIds }, 'Assign note'));
+  }, [execute, requirePermission]);
+
+  // Limits live in the document, so they sync with collaborators and can be undone
+  const handleEditWipLimit = useCallback((statusId) => {
+    if (!requirePermission('edit')) return;
+    const current = wipLimits[statusId];
+    const input = window.prompt(
+      `Work-in-progress limit for ${getStatusLabel(statusId)} (leave empty for none):`,
+      isValidWipLimit(current) ? String(current) : ''
+    );
+    if (input === null) return;
+    const limit = input.trim() === '' ? null : Number(input);
+    if (limit !== null && !isValidWipLimit(limit)) {
+      alert('The limit must be a whole number above zero');
+      return;
+    }
+    execute(commands.setWipLimit(statusId, limit));
+  }, [execute, requirePermission, wipLimits]);
 
   const handleDeleteNote = useCallback((noteId) => {
-    setNotes(prev => prev.filter(note => note.id !== noteId));
-    setConnections(prev => prev.filter(conn => 
-      conn.from !== noteId && conn.to !== noteId
-    ));
-    if (selectedNoteId === noteId) {
-      setSelectedNoteId(null);
-      setShowDetailsPanel(false);
+    if (!requirePermission('delete')) return;
+    const note = docRef.current.notes.find(item => item.id === noteId);
+    if (!execute(commands.deleteNote(noteId))) return;
+    setSelectedNoteIds(prev => prev.filter(id => id !== noteId));
+    if (note) announce(`Deleted note ${describeNotes([note])}`);
+  }, [execute, announce, requirePermission]);
+
+  const handleMoveNotes = useCallback((moves, direction) => {
+    if (!execute(commands.moveNotes(moves))) return;
+    const moved = docRef.current.notes.filter(note => moves.some(move => move.id === note.id));
+    if (moved.length > 0) {
+      announce(`Moved ${describeNotes(moved)}${direction ? ` ${describeDirection(direction)}` : ''}`);
     }
-  }, [selectedNoteId]);
+  }, [execute, announce]);
 
-  const handleMoveNote = useCallback((noteId, newPosition) => {
-    setNotes(prev => prev.map(note =>
-      note.id === noteId ? { ...note, position: newPosition } : note
-    ));
-  }, []);
+  // Drop selected ids whose notes no longer exist (deleted, undone, cleared)
+  useEffect(() => {
+    setSelectedNoteIds(prev => {
+      const remaining = prev.filter(id => notes.some(note => note.id === id));
+      return remaining.length === prev.length ? prev : remaining;
+    });
+  }, [notes]);
+
+  const announceConnection = useCallback((fromId, toId) => {
+    const from = docRef.current.notes.find(note => note.id === fromId);
+    const to = docRef.current.notes.find(note => note.id === toId);
+    if (from && to) announce(`Connected ${describeNotes([from])} to ${describeNotes([to])}`);
+  }, [announce]);
+
+  const handleSelectNote = useCallback((noteId, { additive = false } = {}) => {
+    if (additive && !connectingMode) {
+      setSelectedNoteIds(prev => prev.includes(noteId)
+        ? prev.filter(id => id !== noteId)
+        : [...prev, noteId]
+      );
+      return;
+    }
 
-  const handleSelectNote = useCallback((noteId) => {
-    setSelectedNoteId(noteId);
+    setSelectedNoteIds([noteId]);
+    setSelectedConnection(null);
     setShowDetailsPanel(true);
     
-    if (connectingMode && connectingFromId && connectingFromId !== noteId) {
+    if (connectingMode && connectingFromId && connectingFromId !== noteId && requirePermission('connect')) {
       // Create connection
-      const newConnection = {
+      if (execute(commands.createConnection({
         from: connectingFromId,
         to: noteId,
         color: "#6366f1"
-      };
-      setConnections(prev => [...prev, newConnection]);
+      }))) {
+        announceConnection(connectingFromId, noteId);
+      }
       setConnectingMode(false);
       setConnectingFromId(null);
     }
-  }, [connectingMode, connectingFromId]);
+  }, [execute, announceConnection, connectingMode, connectingFromId, requirePermission]);
 
   const handleConnectNotes = useCallback((noteId) => {
     if (connectingMode) {
       setConnectingMode(false);
       setConnectingFromId(null);
-    } else {
+      announce('Connection cancelled');
+    } else if (requirePermission('connect')) {
       setConnectingMode(true);
       setConnectingFromId(noteId);
+      const note = docRef.current.notes.find(item => item.id === noteId);
+      announce(`Connecting from ${describeNotes([note || {}])}. Move to another note and press Enter, or Escape to cancel.`);
     }
-  }, [connectingMode]);
+  }, [connectingMode, requirePermission, announce]);
 
   const handleCreateConnection = useCallback((fromId, toId) => {
-    const connectionExists = connections.some(conn =>
-      (conn.from === fromId && conn.to === toId) ||
-      (conn.from === toId && conn.to === fromId)
-    );
-    
-    if (!connectionExists) {
-      const newConnection = {
-        from: fromId,
-        to: toId,
-        color: "#6366f1"
-      };
-      setConnections(prev => [...prev, newConnection]);
+    if (!requirePermission('connect')) return;
+    if (execute(commands.createConnection({
+      from: fromId,
+      to: toId,
+      color: "#6366f1"
+    }))) {
+      announceConnection(fromId, toId);
     }
-  }, [connections]);
+  }, [execute, announceConnection, requirePermission]);
 
   const handleDeleteConnection = useCallback((fromId, toId) => {
-    setConnections(prev => prev.filter(conn =>
-      !((conn.from === fromId && conn.to === toId) ||
-        (conn.from === toId && conn.to === fromId))
+    if (!requirePermission('connect')) return;
+    execute(commands.deleteConnection(fromId, toId));
+  }, [execute, requirePermission]);
+
+  // Clicking a line on the canvas selects it for editing
+  const handleSelectConnection = useCallback((fromId, toId) => {
+    setSelectedConnection({ from: fromId, to: toId });
+    setSelectedNoteIds([]);
+    setShowDetailsPanel(false);
+  }, []);
+
+  const handleUpdateSelectedConnection = useCallback((updates, label) => {
+    if (!selectedConnection || !requirePermission('connect')) return;
+    execute(commands.updateConnection(selectedConnection.from, selectedConnection.to, updates, label));
+  }, [execute, selectedConnection, requirePermission]);
+
+  const handleDeleteSelectedConnection = useCallback(() => {
+    if (!selectedConnection || !requirePermission('connect')) return;
+    execute(commands.deleteConnection(selectedConnection.from, selectedConnection.to));
+    setSelectedConnection(null);
+  }, [execute, selectedConnection, requirePermission]);
+
+  // Drop the connection selection once the line is gone (deleted, undone, cleared)
+  useEffect(() => {
+    if (selectedConnection && !connections.some(conn =>
+      isSameConnection(conn, selectedConnection.from, selectedConnection.to)
+    )) {
+      setSelectedConnection(null);
+    }
+  }, [connections, selectedConnection]);
+
+  // Delete / Backspace removes the selected connection
+  useEffect(() => {
+    if (!selectedConnection) return;
+
+    const handleKeyDown = (e) => {
+      if (e.key !== 'Delete' && e.key !== 'Backspace') return;
+      if (isTypingTarget(e.target)) return;
+
+      e.preventDefault();
+      handleDeleteSelectedConnection();
+    };
+
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [selectedConnection, handleDeleteSelectedConnection]);
+
+  const handleSelectNotes = useCallback((noteIds, { additive = false } = {}) => {
+    setSelectedConnection(null);
+    setSelectedNoteIds(prev => additive
+      ? [...prev, ...noteIds.filter(id => !prev.includes(id))]
+      : noteIds
+    );
+  }, []);
+
+  const handleClearSelection = useCallback(() => {
+    setSelectedNoteIds([]);
+  }, []);
+
+  const handleBulkRecolor = useCallback((color) => {
+    execute(commands.updateNotes(selectedNoteIds, { color }, 'Change color'));
+  }, [execute, selectedNoteIds]);
+
+  const handleBulkRecategorize = useCallback((category) => {
+    execute(commands.updateNotes(selectedNoteIds, { category }, 'Change category'));
+  }, [execute, selectedNoteIds]);
+
+  const handleBulkDelete = useCallback(() => {
+    if (!requirePermission('delete')) return;
+    const deleted = docRef.current.notes.filter(note => selectedNoteIds.includes(note.id));
+    if (!execute(commands.deleteNotes(selectedNoteIds))) return;
+    setSelectedNoteIds([]);
+    if (deleted.length > 0) announce(`Deleted ${deleted.length === 1 ? 'note ' : ''}${describeNotes(deleted)}`);
+  }, [execute, announce, selectedNoteIds, requirePermission]);
+
+  const handleAlignSelection = useCallback((mode) => {
+    const moves = alignNotes(notes.filter(note => selectedNoteIds.includes(note.id)), mode);
+    if (moves.length > 0) {
+      execute(commands.moveNotes(moves, 'Align notes'));
+    }
+  }, [execute, notes, selectedNoteIds]);
+
+  const handleDistributeSelection = useCallback((axis) => {
+    const moves = distributeNotes(notes.filter(note => selectedNoteIds.includes(note.id)), axis);
+    if (moves.length > 0) {
+      execute(commands.moveNotes(moves, 'Distribute notes'));
+    }
+  }, [execute, notes, selectedNoteIds]);
+
+  // Lay out the selection, or every visible note when fewer than two are selected
+  const handleApplyLayout = useCallback((layoutKey) => {
+    const layout = LAYOUTS[layoutKey];
+    const targets = selectedNoteIds.length > 1
+      ? notes.filter(note => selectedNoteIds.includes(note.id))
+      : filteredNotes;
+    if (!layout || targets.length === 0) return;
+    if (layout.maxNotes && targets.length > layout.maxNotes) {
+      alert(`${layout.label} arranges up to ${layout.maxNotes} notes at a time. Select or filter fewer notes, or pick another layout.`);
+      return;
+    }
+
+    const { moves, lanes: nextLanes } = layout.run(targets, connections);
+    animateFromCurrent();
+    execute(commands.applyLayout(layout.label, moves, nextLanes));
+  }, [execute, animateFromCurrent, notes, filteredNotes, connections, selectedNoteIds]);
+
+  const handleClearLanes = useCallback(() => {
+    execute(commands.clearLanes());
+  }, [execute]);
+
+  const handleCreateFrame = useCallback(() => {
+    const center = screenToWorld(camera, getViewportCenter(viewport));
+    execute(commands.createFrame(createFrame({
+      title: `Frame ${frames.length + 1}`,
+      fallback: { x: center.x - 320, y: center.y - 210 }
+    })));
+  }, [execute, frames.length, camera, viewport]);
+
+  const handleFrameSelection = useCallback(() => {
+    const selected = notes.filter(note => selectedNoteIds.includes(note.id));
+    if (selected.length === 0) return;
+    execute(commands.createFrame(createFrame({ title: `Frame ${frames.length + 1}`, notes: selected })));
+  }, [execute, notes, selectedNoteIds, frames.length]);
+
+  const handleUpdateFrame = useCallback((frameId, updates, label) => {
+    execute(commands.updateFrame(frameId, updates, label));
+  }, [execute]);
+
+  const handleDeleteFrame = useCallback((frameId) => {
+    if (!requirePermission('delete')) return;
+    execute(commands.deleteFrame(frameId));
+  }, [execute, requirePermission]);
+
+  const handleMoveFrame = useCallback((frameId, delta, noteIds, nestedFrameIds) => {
+    execute(commands.moveFrame(frameId, delta, noteIds, nestedFrameIds));
+  }, [execute]);
+
+  // Export one frame with its notes and the connections between them
+  const handleExportFrame = useCallback(async (frameId) => {
+    const frame = frames.find(f => f.id === frameId);
+    if (!frame) return;
+
+    const memberIds = new Set(frameMembers.get(frameId) || []);
+    const frameNotes = notes.filter(note => memberIds.has(note.id));
+    try {
+      const text = exportJson({
+        notes: frameNotes,
+        connections: connections.filter(conn => memberIds.has(conn.from) && memberIds.has(conn.to)),
+        frames: [frame]
+      }, { blobs: await exportBlobs(collectBlobIds(frameNotes)) });
+      downloadBlob(new Blob([text], { type: 'application/json' }), `frame-${toFileSlug(frame.title)}-${todayStamp()}.json`);
+    } catch (error) {
+      alert(error.message || 'Export failed');
+    }
+  }, [frames, frameMembers, notes, connections]);
+
+  const handleViewportResize = useCallback((size) => {
+    setViewport(prev => (
+      prev.width === size.width && prev.height === size.height ? prev : size
     ));
   }, []);
 
+  const handleZoomTo = useCallback((zoom) => {
+    setCamera(prev => zoomAtPoint(prev, zoom, getViewportCenter(viewport)));
+  }, [viewport]);
+
   const handleZoomIn = useCallback(() => {
-    setScale(prev => Math.min(prev + 0.25, 2));
-  }, []);
+    setCamera(prev => zoomAtPoint(prev, stepZoom(prev.zoom, 1), getViewportCenter(viewport)));
+  }, [viewport]);
 
   const handleZoomOut = useCallback(() => {
-    setScale(prev => Math.max(prev - 0.25, 0.25));
-  }, []);
+    setCamera(prev => zoomAtPoint(prev, stepZoom(prev.zoom, -1), getViewportCenter(viewport)));
+  }, [viewport]);
 
   const handleResetZoom = useCallback(() => {
-    setScale(1);
-  }, []);
+    handleZoomTo(1);
+  }, [handleZoomTo]);
+
+  const handleFitToContent = useCallback(() => {
+    const next = fitBounds(getNotesBounds(notes), viewport);
+    setCamera(next || DEFAULT_CAMERA);
+  }, [notes, viewport]);
+
+  const handleZoomToSelection = useCallback(() => {
+    const selected = notes.filter(note => selectedNoteIds.includes(note.id));
+    const next = fitBounds(getNotesBounds(selected), viewport);
+    if (next) {
+      setCamera(next);
+    }
+  }, [notes, selectedNoteIds, viewport]);
+
+  const handleToggleMinimap = useCallback(() => {
+    localStorage.setItem('whiteboard-minimap', showMinimap ? 'hidden' : 'visible');
+    setShowMinimap(!showMinimap);
+  }, [showMinimap]);
 
   const handleViewModeChange = useCallback((mode) => {
     setViewMode(mode);
@@ -274,21 +1033,71 @@ const IdeasWhiteboard = () => {
 
   const handleSearch = useCallback((query) => {
     setSearchQuery(query);
+    setActiveResultId(null);
+  }, []);
+
+  // Matches in reading order; notes folded into a collapsed frame can't be shown
+  const searchResults = useMemo(() => {
+    if (!parsedSearch.terms.length) return [];
+    const hidden = getCollapsedNoteIds(frames, frameMembers);
+    return sortByReadingOrder(filteredNotes.filter(note => !hidden.has(note.id)));
+  }, [parsedSearch, filteredNotes, frames, frameMembers]);
+
+  // Notes with an open comment thread, for the toolbar's filter toggle
+  const unresolvedCount = useMemo(() => notes.filter(hasUnresolvedComments).length, [notes]);
+  const myTaskCount = useMemo(
+    () => notes.filter(note => isAssignedTo(note, currentUserId)).length,
+    [notes, currentUserId]
+  );
+
+  const activeResultIndex = searchResults.findIndex(note => note.id === activeResultId);
+
+  const handleStepResult = useCallback((step) => {
+    if (searchResults.length === 0) return;
+    const current = searchResults.findIndex(note => note.id === activeResultId);
+    const index = current === -1
+      ? (step > 0 ? 0 : searchResults.length - 1)
+      : (current + step + searchResults.length) % searchResults.length;
+    const note = searchResults[index];
+    setActiveResultId(note.id);
+    setCamera(prev => centerOn(prev, getNoteCenter(note), viewport));
+  }, [searchResults, activeResultId, viewport]);
+
+  const handleSaveSearch = useCallback(() => {
+    const query = searchQuery.trim();
+    if (!query) return;
+    const name = window.prompt('Name this search', query);
+    if (name === null) return;
+    setSavedSearches(prev => {
+      const next = [
+        ...prev.filter(search => search.query !== query),
+        { id: `search-${Date.now()}`, name: name.trim() || query, query }
+      ];
+      storeSavedSearches(next);
+      return next;
+    });
+  }, [searchQuery]);
+
+  const handleDeleteSavedSearch = useCallback((searchId) => {
+    setSavedSearches(prev => {
+      const next = prev.filter(search => search.id !== searchId);
+      storeSavedSearches(next);
+      return next;
+    });
   }, []);
 
   const handleClearBoard = useCallback(() => {
-    if (window.confirm('Are you sure you want to clear the entire board? This action cannot be undone.')) {
-      setNotes([]);
-      setConnections([]);
-      setSelectedNoteId(null);
+    if (!requirePermission('clearBoard')) return;
+    if (window.confirm('Are you sure you want to clear the entire board? You can undo this with Ctrl+Z.')) {
+      execute(commands.clearBoard());
+      setSelectedNoteIds([]);
       setShowDetailsPanel(false);
     }
-  }, []);
+  }, [execute, requirePermission]);
 
   const handleSave = useCallback(() => {
-    localStorage.setItem('whiteboard-notes', JSON.stringify(notes));
-    localStorage.setItem('whiteboard-connections', JSON.stringify(connections));
-  }, [notes, connections]);
+    return persistBoard();
+  }, [persistBoard]);
 
   const handleToggleCollaboration = useCallback(() => {
     if (!isCollaborative) {
@@ -297,79 +1106,719 @@ const IdeasWhiteboard = () => {
     setIsCollaborative(!isCollaborative);
   }, [isCollaborative]);
 
+  // Live session for the open board; remote edits arrive as 'remote' history actions
+  useEffect(() => {
+    if (!isCollaborative || !activeBoardId) return;
+
+    const transport = createSyncTransport(activeBoardId);
+    if (!transport) return;
+
+    const { collaborators: startMembers } = membersRef.current;
+    const session = createCollabSession({
+      boardId: activeBoardId,
+      user: { id: currentUserId, name: startMembers.find(user => user.id === currentUserId)?.name || 'Guest' },
+      transport,
+      doc: docRef.current,
+      members: startMembers,
+      onRemoteChange: (bases, doc) => dispatchHistory({ type: 'remote', bases, doc }),
+      onMembersChange: (shared) => setMembers(prev => ({ ...prev, collaborators: shared })),
+      onPeersChange: setOnlinePeers,
+      onStatusChange: setSyncStatus,
+      onPendingChange: setPendingChanges,
+      onError: setSyncError
+    });
+    collabSessionRef.current = session;
+
+    return () => {
+      session.stop();
+      collabSessionRef.current = null;
+      setOnlinePeers([]);
+      setSyncStatus('offline');
+      setPendingChanges(0);
+      setSyncError(null);
+    };
+  }, [isCollaborative, activeBoardId, currentUserId]);
+
+  // Every doc change, local or undone, is offered to the session as ops
+  useEffect(() => {
+    collabSessionRef.current?.update(history.doc);
+  }, [history.doc]);
+
+  useEffect(() => {
+    collabSessionRef.current?.setPresence({ selection: selectedNoteIds });
+  }, [selectedNoteIds, isCollaborative, activeBoardId]);
+
+  const handleCursorMove = useCallback((point) => {
+    collabSessionRef.current?.setPresence({ cursor: point });
+  }, []);
+
+  // Member changes go through the live session when there is one, so every
+  // collaborator sees the same roles
+  const updateMembers = useCallback((update) => {
+    if (collabSessionRef.current) {
+      collabSessionRef.current.updateMembers(update);
+    } else {
+      setMembers(prev => ({ ...prev, collaborators: update(prev.collaborators) }));
+    }
+  }, []);
+
   const handleInviteUser = useCallback((userData) => {
+    if (!requirePermission('manageCollaborators')) return;
     const newCollaborator = {
-      id: Date.now(),
+      id: createMemberId(),
       name: userData.email.split('@')[0],
       email: userData.email,
       role: userData.role,
       status: 'pending',
       lastActive: null
     };
-    setCollaborators(prev => [...prev, newCollaborator]);
-  }, []);
+    updateMembers(prev => [...prev, newCollaborator]);
+  }, [requirePermission, updateMembers]);
 
   const handleRemoveUser = useCallback((userId) => {
-    setCollaborators(prev => prev.filter(user => user.id !== userId));
-  }, []);
+    if (!requirePermission('manageCollaborators')) return;
+    updateMembers(prev => prev.filter(user => user.id !== userId || user.role === 'owner'));
+  }, [requirePermission, updateMembers]);
 
+  const handleChangeRole = useCallback((userId, role) => {
+    if (!requirePermission('manageCollaborators') || !ASSIGNABLE_ROLES.includes(role)) return;
+    updateMembers(prev => prev.map(user =>
+      user.id === userId && user.role !== 'owner' ? { ...user, role } : user
+    ));
+  }, [requirePermission, updateMembers]);
+
+  const handleTransferOwnership = useCallback((userId) => {
+    if (!requirePermission('transferOwnership')) return;
+    const target = collaborators.find(user => user.id === userId);
+    if (!target || !window.confirm(`Make ${target.name} the owner of this board? You will become an admin.`)) return;
+    updateMembers(prev => transferOwnership(prev, userId));
+  }, [collaborators, requirePermission, updateMembers]);
+
+  // Share links join as a seat in the member list; removing the seat, or changing its
+  // role, changes what everyone who used the link can do
+  const handleShareLink = useCallback((role) => {
+    const seat = createLinkSeat(role);
+    if (!seat || !can(currentUser.role, 'manageCollaborators')) return;
+    updateMembers(prev => prev.some(user => user.id === seat.id) ? prev : [...prev, seat]);
+  }, [currentUser.role, updateMembers]);
+
+  // Reading the file only opens the preview; nothing changes until it's confirmed
   const handleImportNotes = useCallback(() => {
+    if (!requirePermission('import')) return;
     const input = document.createElement('input');
     input.type = 'file';
-    input.accept = '.json';
+    input.accept = IMPORT_ACCEPT;
     input.onchange = (e) => {
       const file = e.target.files[0];
       if (file) {
         const reader = new FileReader();
-        reader.onload = (e) => {
-          try {
-            const importedData = JSON.parse(e.target.result);
-            if (importedData.notes) {
-              setNotes(prev => [...prev, ...importedData.notes]);
-            }
-            if (importedData.connections) {
-              setConnections(prev => [...prev, ...importedData.connections]);
-            }
-          } catch (error) {
-            alert('Invalid file format');
-          }
-        };
+        reader.onload = (e) => setImportFile({ name: file.name, text: e.target.result });
+        reader.onerror = () => alert('Could not read the file');
         reader.readAsText(file);
       }
     };
     input.click();
+  }, [requirePermission]);
+
+  // Adds validated import data (a file or a board template) clear of the existing
+  // notes as one undo step, then selects and shows it
+  const insertImport = useCallback((data, label) => {
+    const center = screenToWorld(camera, getViewportCenter(viewport));
+    const imported = prepareImport(data, docRef.current, {
+      author: currentUser.name,
+      anchor: { x: center.x - NOTE_WIDTH / 2, y: center.y - NOTE_HEIGHT / 2 }
+    });
+    if (!execute(commands.addContent(label, imported))) return false;
+    setSelectedNoteIds(imported.notes.map(note => note.id));
+    const next = fitBounds(getNotesBounds(imported.notes), viewport);
+    if (next) setCamera(next);
+    announce(`Added ${describeNotes(imported.notes)}`);
+    return true;
+  }, [execute, announce, camera, viewport, currentUser.name]);
+
+  const handleConfirmImport = useCallback(async (data) => {
+    setImportFile(null);
+    if (!requirePermission('import')) return;
+
+    // Store bundled files first so image notes find them when they render; files
+    // stored under a new id are pointed at from the imported notes
+    let imported = data;
+    if (data.blobs) {
+      try {
+        const blobIds = await importBlobs(data.blobs);
+        imported = { ...data, notes: remapBlobIds(data.notes, blobIds) };
+      } catch (error) {
+        alert('The images and attachments in this file could not be saved on this device');
+      }
+    }
+
+    insertImport(imported, `Import ${data.notes.length} notes`);
+  }, [requirePermission, insertImport]);
+
+  // Templates whose placeholders need filling in open a dialog first
+  const handleUseNoteTemplate = useCallback((template) => {
+    if (!requirePermission('edit')) return;
+    setShowTemplates(false);
+    if (getTemplateFields(template).length > 0) {
+      setPendingNoteTemplate(template);
+    } else {
+      handleCreateNote(fillTemplate(template, {}, { author: currentUser.name }));
+    }
+  }, [requirePermission, handleCreateNote, currentUser.name]);
+
+  const handleConfirmNoteTemplate = useCallback((values) => {
+    const template = pendingNoteTemplate;
+    setPendingNoteTemplate(null);
+    if (template) handleCreateNote(fillTemplate(template, values, { author: currentUser.name }));
+  }, [pendingNoteTemplate, handleCreateNote, currentUser.name]);
+
+  const handleApplyBoardTemplate = useCallback((template) => {
+    if (!requirePermission('edit')) return;
+    setShowTemplates(false);
+    insertImport(template.board, `Add ${template.name} template`);
+  }, [requirePermission, insertImport]);
+
+  const updateCustomTemplates = useCallback((update) => {
+    const next = update(customTemplates);
+    if (!storeCustomTemplates(next)) {
+      alert('The template could not be saved on this device');
+      return;
+    }
+    setCustomTemplates(next);
+  }, [customTemplates]);
+
+  const handleSaveNoteTemplate = useCallback(({ name, note }) => {
+    updateCustomTemplates(prev => ({
+      ...prev,
+      notes: [...prev.notes, { id: createTemplateId(), name, icon: 'FileText', note }]
+    }));
+  }, [updateCustomTemplates]);
+
+  // `scope` is 'board' or 'selection'; a selection keeps the frames whose notes are all selected
+  const handleSaveBoardTemplate = useCallback((scope) => {
+    const selectedIds = new Set(selectedNoteIds);
+    const sourceNotes = scope === 'selection' ? notes.filter(note => selectedIds.has(note.id)) : notes;
+    if (sourceNotes.length === 0) {
+      alert('Add some notes before saving the board as a template');
+      return;
+    }
+    const sourceFrames = scope === 'selection'
+      ? frames.filter(frame => {
+        const members = frameMembers.get(frame.id) || [];
+        return members.length > 0 && members.every(id => selectedIds.has(id));
+      })
+      : frames;
+
+    const boardName = boards.find(board => board.id === activeBoardId)?.name;
+    const name = window.prompt('Template name:', scope === 'selection' ? '' : boardName || '')?.trim();
+    if (!name) return;
+    updateCustomTemplates(prev => ({
+      ...prev,
+      boards: [...prev.boards, {
+        id: createTemplateId(),
+        name,
+        description: `${sourceNotes.length} notes, ${sourceFrames.length} frames`,
+        icon: 'LayoutTemplate',
+        board: captureBoard({ notes: sourceNotes, connections, frames: sourceFrames })
+      }]
+    }));
+  }, [selectedNoteIds, notes, connections, frames, frameMembers, boards, activeBoardId, updateCustomTemplates]);
+
+  const handleDeleteTemplate = useCallback((kind, template) => {
+    if (!window.confirm(`Delete the "${template.name}" template?`)) return;
+    const list = kind === 'board' ? 'boards' : 'notes';
+    updateCustomTemplates(prev => ({ ...prev, [list]: prev[list].filter(t => t.id !== template.id) }));
+  }, [updateCustomTemplates]);
+
+  const handleShareTemplate = useCallback((kind, template) => {
+    downloadBlob(
+      new Blob([serializeTemplate(kind, template)], { type: 'application/json' }),
+      `template-${toFileSlug(template.name)}.json`
+    );
   }, []);
 
-  const handleExportNotes = useCallback(() => {
-    const exportData = {
-      notes,
-      connections,
-      exportDate: new Date().toISOString()
+  const handleImportTemplate = useCallback(() => {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.json,application/json';
+    input.onchange = (e) => {
+      const file = e.target.files[0];
+      if (!file) return;
+      const reader = new FileReader();
+      reader.onload = (e) => {
+        try {
+          const { kind, template } = parseTemplateFile(e.target.result);
+          const list = kind === 'board' ? 'boards' : 'notes';
+          updateCustomTemplates(prev => ({ ...prev, [list]: [...prev[list], template] }));
+        } catch (error) {
+          alert(error.message);
+        }
+      };
+      reader.onerror = () => alert('Could not read the file');
+      reader.readAsText(file);
     };
-    
-    const blob = new Blob([JSON.stringify(exportData, null, 2)], {
-      type: 'application/json'
+    input.click();
+  }, [updateCustomTemplates]);
+
+  // JSON exports are bundles: images and attachments travel inside the file
+  const handleExportNotes = useCallback(async (format = 'json') => {
+    const { serialize, extension, mimeType } = TEXT_EXPORT_FORMATS[format];
+    const boardName = boards.find(board => board.id === activeBoardId)?.name;
+    try {
+      const blobs = format === 'json' ? await exportBlobs(collectBlobIds(notes)) : undefined;
+      const text = serialize({ notes, connections, frames }, { title: boardName || 'Whiteboard', blobs });
+      const fileName = format === 'json'
+        ? `whiteboard-export-${todayStamp()}.json`
+        : `${toFileSlug(boardName)}-${todayStamp()}.${extension}`;
+      downloadBlob(new Blob([text], { type: mimeType }), fileName);
+    } catch (error) {
+      alert(error.message || 'Export failed');
+    }
+  }, [notes, connections, frames, boards, activeBoardId]);
+
+  // What an image export can draw: the board as laid out, minus notes folded into
+  // collapsed frames; the selection variant keeps frames whose notes are all selected
+  const exportSources = useMemo(() => {
+    if (!showExportImage) return null;
+    const hidden = getCollapsedNoteIds(frames, frameMembers);
+    const visible = notes.filter(note => !hidden.has(note.id));
+    const pick = (noteList, frameList) => {
+      const ids = new Set(noteList.map(note => note.id));
+      return {
+        notes: noteList,
+        connections: connections.filter(conn => ids.has(conn.from) && ids.has(conn.to)),
+        frames: frameList
+      };
+    };
+
+    const selectedIds = new Set(selectedNoteIds);
+    const selectedFrames = frames.filter(frame => {
+      const members = frameMembers.get(frame.id) || [];
+      return members.length > 0 && members.every(id => selectedIds.has(id));
     });
-    
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `whiteboard-export-${new Date().toISOString().split('T')[0]}.json`;
-    a.click();
-    URL.revokeObjectURL(url);
-  }, [notes, connections]);
+    return {
+      board: pick(visible, frames),
+      selection: selectedIds.size > 0
+        ? pick(visible.filter(note => selectedIds.has(note.id)), selectedFrames)
+        : null
+    };
+  }, [showExportImage, notes, connections, frames, frameMembers, selectedNoteIds]);
+
+  const handleExportImage = useCallback(async ({ format, scope, ...options }) => {
+    const source = scope === 'selection' && exportSources.selection ? exportSources.selection : exportSources.board;
+    const blob = await exportBoardImage(source, { format, ...options });
+    const boardName = boards.find(board => board.id === activeBoardId)?.name;
+    downloadBlob(blob, `${toFileSlug(boardName)}-${todayStamp()}.${IMAGE_FORMATS[format].extension}`);
+  }, [exportSources, boards, activeBoardId]);
 
   const handleCanvasClick = useCallback(() => {
     if (connectingMode) {
       setConnectingMode(false);
       setConnectingFromId(null);
     }
-    setSelectedNoteId(null);
+    setSelectedNoteIds([]);
+    setSelectedConnection(null);
     setShowDetailsPanel(false);
   }, [connectingMode]);
 
-  const selectedNote = notes.find(note => note.id === selectedNoteId);
-  const currentUser = collaborators.find(user => user.role === 'owner') || collaborators[0];
+  // Notes as drawn: hidden inside collapsed frames, and at mid-animation
+  // positions while a layout is being applied
+  const canvasNotes = useMemo(() => {
+    const hidden = getCollapsedNoteIds(frames, frameMembers);
+    const shown = hidden.size > 0 ? filteredNotes.filter(note => !hidden.has(note.id)) : filteredNotes;
+    return layoutTransition
+      ? interpolateNotes(shown, layoutTransition.from, layoutTransition.progress)
+      : shown;
+  }, [filteredNotes, frames, frameMembers, layoutTransition]);
+
+  // Keyboard selection: selects the note, focuses it and pans to it when it's
+  // not already fully in view
+  const handleKeyboardSelect = useCallback((note) => {
+    setSelectedNoteIds([note.id]);
+    setSelectedConnection(null);
+    setFocusRequest({ id: note.id });
+    setCamera(prev => {
+      const view = getVisibleWorldRect(prev, viewport);
+      const inView = note.position.x >= view.x && note.position.y >= view.y &&
+        note.position.x + NOTE_WIDTH <= view.x + view.width &&
+        note.position.y + NOTE_HEIGHT <= view.y + view.height;
+      return inView ? prev : centerOn(prev, getNoteCenter(note), viewport);
+    });
+  }, [viewport]);
+
+  const handleDismissReminder = useCallback((reminderId) => {
+    setReminders(prev => prev.filter(reminder => reminder.id !== reminderId));
+  }, []);
+
+  const handleOpenReminder = useCallback((reminder) => {
+    handleDismissReminder(reminder.id);
+    const note = docRef.current.notes.find(item => item.id === reminder.id);
+    if (!note) return;
+    handleKeyboardSelect(note);
+    setShowDetailsPanel(true);
+  }, [handleDismissReminder, handleKeyboardSelect]);
+
+  // Tab order for keyboard selection: visible notes in reading order. Without `wrap`
+  // it stops at either end and returns false, so focus can leave the board.
+  const handleCycleNotes = useCallback((step, { wrap = true } = {}) => {
+    if (canvasNotes.length === 0) return false;
+    const ordered = sortByReadingOrder(canvasNotes);
+    const current = ordered.findIndex(note => note.id === selectedNoteIds[selectedNoteIds.length - 1]);
+    const next = current + step;
+    if (current !== -1 && !wrap && (next < 0 || next >= ordered.length)) return false;
+    const index = current === -1
+      ? (step > 0 ? 0 : ordered.length - 1)
+      : (next + ordered.length) % ordered.length;
+    handleKeyboardSelect(ordered[index]);
+    return true;
+  }, [canvasNotes, selectedNoteIds, handleKeyboardSelect]);
+
+  // Alt+arrows: the nearest note in that direction from the selected one
+  const handleMoveFocus = useCallback((direction) => {
+    if (canvasNotes.length === 0) return;
+    const current = canvasNotes.find(note => note.id === selectedNoteIds[selectedNoteIds.length - 1]);
+    if (!current) {
+      handleKeyboardSelect(sortByReadingOrder(canvasNotes)[0]);
+      return;
+    }
+    const next = findNoteInDirection(canvasNotes, current, direction);
+    if (next) {
+      handleKeyboardSelect(next);
+    } else {
+      announce(`No note ${describeDirection(direction)} of ${describeNotes([current])}`);
+    }
+  }, [canvasNotes, selectedNoteIds, handleKeyboardSelect, announce]);
+
+  // Arrow keys move the selection as one undo step per burst of presses
+  const handleNudgeSelection = useCallback((direction, step) => {
+    const moves = docRef.current.notes
+      .filter(note => selectedNoteIds.includes(note.id))
+      .map(note => ({
+        id: note.id,
+        position: { x: note.position.x + direction.x * step, y: note.position.y + direction.y * step }
+      }));
+    if (moves.length > 0) handleMoveNotes(moves, direction);
+  }, [selectedNoteIds, handleMoveNotes]);
+
+  const handleFocusSearch = useCallback(() => {
+    const input = document.getElementById('whiteboard-search');
+    input?.focus();
+    input?.select();
+  }, []);
+
+  // Single-key shortcuts (listed in utils/shortcuts); paused while typing or when a dialog is open
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.defaultPrevented || isTypingTarget(e.target)) return;
+      if (importFile || showExportImage || showCommandPalette || showShortcutHelp) return;
+      if (showTemplates || pendingNoteTemplate) return;
+
+      if ((e.ctrlKey || e.metaKey) && !e.altKey && e.key.toLowerCase() === 'k') {
+        e.preventDefault();
+        setShowCommandPalette(true);
+        return;
+      }
+      if (e.ctrlKey || e.metaKey) return;
+
+      const direction = ARROW_DIRECTIONS[e.key];
+      // The outline is a plain document; arrows, Tab and zoom keep their usual meaning there
+      if ((viewMode === 'outline' || viewMode === 'kanban') && (direction || CANVAS_KEYS.includes(e.key))) return;
+      if (direction && e.altKey) {
+        e.preventDefault();
+        handleMoveFocus(direction);
+        return;
+      }
+      if (e.altKey) return;
+
+      if (direction) {
+        e.preventDefault();
+        if (selectedNoteIds.length > 0) {
+          handleNudgeSelection(direction, e.shiftKey ? NUDGE_STEP_LARGE : NUDGE_STEP);
+        } else {
+          setCamera(prev => ({ ...prev, x: prev.x - direction.x * PAN_STEP, y: prev.y - direction.y * PAN_STEP }));
+        }
+        return;
+      }
+
+      switch (e.key) {
+        case 'Tab': {
+          // Focused toolbar controls keep the browser's focus order, and from a
+          // focused note Tab leaves the board after the last one
+          const fromNote = !!e.target.matches?.('[data-note-id]');
+          if (e.target !== document.body && !fromNote) return;
+          if (handleCycleNotes(e.shiftKey ? -1 : 1, { wrap: !fromNote })) e.preventDefault();
+          break;
+        }
+        case 'Enter':
+          if (selectedNoteIds.length !== 1 || e.target.closest?.('button, a')) return;
+          e.preventDefault();
+          handleSelectNote(selectedNoteIds[0]);
+          break;
+        case 'Delete':
+        case 'Backspace':
+          if (selectedNoteIds.length === 0) return;
+          e.preventDefault();
+          handleBulkDelete();
+          break;
+        case 'Escape':
+          if (connectingMode) {
+            handleConnectNotes(connectingFromId);
+          } else if (selectedNoteIds.length > 0) {
+            handleCanvasClick();
+          }
+          break;
+        case 'n':
+        case 'N': {
+          e.preventDefault();
+          const noteId = handleCreateNote({ ...QUICK_NOTE, color: 'yellow' });
+          if (noteId) setFocusRequest({ id: noteId });
+          break;
+        }
+        case 'c':
+        case 'C':
+          if (selectedNoteIds.length !== 1) return;
+          e.preventDefault();
+          handleConnectNotes(selectedNoteIds[0]);
+          break;
+        case '+':
+        case '=':
+          e.preventDefault();
+          handleZoomIn();
+          break;
+        case '-':
+          e.preventDefault();
+          handleZoomOut();
+          break;
+        case '0':
+          handleResetZoom();
+          break;
+        case '1':
+          handleFitToContent();
+          break;
+        case '2':
+          handleZoomToSelection();
+          break;
+        case '/':
+          e.preventDefault();
+          handleFocusSearch();
+          break;
+        case '?':
+          e.preventDefault();
+          setShowShortcutHelp(true);
+          break;
+        default:
+      }
+    };
+
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [
+    importFile,
+    showExportImage,
+    showCommandPalette,
+    showShortcutHelp,
+    showTemplates,
+    pendingNoteTemplate,
+    viewMode,
+    selectedNoteIds,
+    connectingMode,
+    connectingFromId,
+    handleNudgeSelection,
+    handleCycleNotes,
+    handleMoveFocus,
+    handleSelectNote,
+    handleBulkDelete,
+    handleCanvasClick,
+    handleCreateNote,
+    handleConnectNotes,
+    handleZoomIn,
+    handleZoomOut,
+    handleResetZoom,
+    handleFitToContent,
+    handleZoomToSelection,
+    handleFocusSearch
+  ]);
+
+  // Everything the toolbars can do, for the command palette. Commands that change
+  // the board are left out for viewers.
+  const paletteCommands = useMemo(() => {
+    const hasSelection = selectedNoteIds.length > 0;
+    const list = [
+      { id: 'new-note', group: 'Notes', label: 'New note', icon: 'Plus', shortcut: 'N', edit: true, run: () => handleCreateNote({ ...QUICK_NOTE, color: 'yellow' }) },
+      ...[...NOTE_TEMPLATES, ...customTemplates.notes].map(template => ({
+        id: `note-template-${template.id}`,
+        group: 'Templates',
+        label: `New ${template.name} note`,
+        icon: template.icon,
+        edit: true,
+        run: () => handleUseNoteTemplate(template)
+      })),
+      ...[...BOARD_TEMPLATES, ...customTemplates.boards].map(template => ({
+        id: `board-template-${template.id}`,
+        group: 'Templates',
+        label: `Add ${template.name} template`,
+        icon: template.icon,
+        edit: true,
+        run: () => handleApplyBoardTemplate(template)
+      })),
+      { id: 'browse-templates', group: 'Templates', label: 'Browse templates', icon: 'LayoutTemplate', run: () => setShowTemplates(true) },
+      { id: 'add-frame', group: 'Notes', label: 'Add frame', icon: 'Frame', edit: true, run: handleCreateFrame },
+      { id: 'add-image', group: 'Notes', label: 'Add image', icon: 'ImagePlus', edit: true, run: handlePickImages },
+      { id: 'add-link', group: 'Notes', label: 'Add link', icon: 'Link', edit: true, run: handlePromptLink },
+      selectedNoteIds.length === 1 && { id: 'open-note', group: 'Selection', label: 'Open note details', icon: 'PanelRight', shortcut: 'Enter', run: () => handleSelectNote(selectedNoteIds[0]) },
+      selectedNoteIds.length === 1 && { id: 'connect-note', group: 'Selection', label: 'Connect selected note', icon: 'GitBranch', shortcut: 'C', edit: true, run: () => handleConnectNotes(selectedNoteIds[0]) },
+      hasSelection && { id: 'frame-selection', group: 'Selection', label: 'Frame selection', icon: 'Frame', edit: true, run: handleFrameSelection },
+      hasSelection && { id: 'delete-selection', group: 'Selection', label: 'Delete selected notes', icon: 'Trash2', shortcut: 'Delete', edit: true, run: handleBulkDelete },
+      hasSelection && { id: 'clear-selection', group: 'Selection', label: 'Clear selection', icon: 'X', shortcut: 'Esc', run: handleClearSelection },
+      { id: 'zoom-in', group: 'View', label: 'Zoom in', icon: 'ZoomIn', shortcut: '+', run: handleZoomIn },
+      { id: 'zoom-out', group: 'View', label: 'Zoom out', icon: 'ZoomOut', shortcut: '-', run: handleZoomOut },
+      { id: 'reset-zoom', group: 'View', label: 'Reset zoom to 100%', icon: 'RotateCcw', shortcut: '0', run: handleResetZoom },
+      { id: 'fit-content', group: 'View', label: 'Fit all notes', icon: 'Maximize', shortcut: '1', run: handleFitToContent },
+      hasSelection && { id: 'zoom-selection', group: 'View', label: 'Zoom to selection', icon: 'Focus', shortcut: '2', run: handleZoomToSelection },
+      { id: 'toggle-minimap', group: 'View', label: showMinimap ? 'Hide minimap' : 'Show minimap', icon: 'Map', run: handleToggleMinimap },
+      { id: 'view-freeform', group: 'View', label: 'Freeform view', icon: 'Move', run: () => handleViewModeChange('freeform') },
+      { id: 'view-grid', group: 'View', label: 'Grid view', icon: 'Grid3X3', run: () => handleViewModeChange('grid') },
+      { id: 'view-outline', group: 'View', label: 'Outline view', icon: 'ListTree', run: () => handleViewModeChange('outline') },
+      { id: 'view-kanban', group: 'View', label: 'Kanban view', icon: 'SquareKanban', run: () => handleViewModeChange('kanban') },
+      ...Object.entries(LAYOUTS).map(([key, layout]) => ({
+        id: `layout-${key}`,
+        group: 'Layout',
+        label: layout.label,
+        icon: 'LayoutGrid',
+        edit: true,
+        run: () => handleApplyLayout(key)
+      })),
+      lanes.length > 0 && { id: 'clear-lanes', group: 'Layout', label: 'Clear lanes', icon: 'Eraser', edit: true, run: handleClearLanes },
+      { id: 'search', group: 'Search', label: 'Search notes', icon: 'Search', shortcut: '/', run: handleFocusSearch },
+      searchResults.length > 0 && { id: 'next-result', group: 'Search', label: 'Next result', icon: 'ChevronDown', run: () => handleStepResult(1) },
+      searchResults.length > 0 && { id: 'previous-result', group: 'Search', label: 'Previous result', icon: 'ChevronUp', run: () => handleStepResult(-1) },
+      searchQuery.trim() && { id: 'save-search', group: 'Search', label: 'Save this search', icon: 'Bookmark', run: handleSaveSearch },
+      ...savedSearches.map(search => ({
+        id: `saved-search-${search.id}`,
+        group: 'Search',
+        label: `Search: ${search.name}`,
+        icon: 'Bookmark',
+        run: () => handleSearch(search.query)
+      })),
+      (unresolvedOnly || unresolvedCount > 0) && {
+        id: 'toggle-unresolved',
+        group: 'Search',
+        label: unresolvedOnly ? 'Show all notes' : 'Only notes with unresolved comments',
+        icon: 'MessageSquareDot',
+        run: () => setUnresolvedOnly(prev => !prev)
+      },
+      ...frames.map(frame => ({
+        id: `frame-filter-${frame.id}`,
+        group: 'Search',
+        label: `Limit to frame: ${frame.title}`,
+        icon: 'Frame',
+        run: () => setFrameFilter(frame.id)
+      })),
+      (myTasksOnly || myTaskCount > 0) && {
+        id: 'toggle-my-tasks',
+        group: 'Search',
+        label: myTasksOnly ? 'Show everyone\'s notes' : 'Only my tasks',
+        icon: 'UserCheck',
+        run: () => setMyTasksOnly(prev => !prev)
+      },
+      frameFilter && { id: 'clear-frame-filter', group: 'Search', label: 'Show all frames', icon: 'Frame', run: () => setFrameFilter(null) },
+      history.past.length > 0 && { id: 'undo', group: 'Edit', label: `Undo ${history.past[history.past.length - 1].label}`, icon: 'Undo2', shortcut: `${MOD_KEY}+Z`, edit: true, run: handleUndo },
+      history.future.length > 0 && { id: 'redo', group: 'Edit', label: `Redo ${history.future[0].label}`, icon: 'Redo2', shortcut: `${MOD_KEY}+Shift+Z`, edit: true, run: handleRedo },
+      { id: 'save', group: 'Board', label: 'Save board', icon: 'Save', run: handleSave },
+      { id: 'toggle-collaboration', group: 'Board', label: isCollaborative ? 'Stop live collaboration' : 'Start live collaboration', icon: 'Users', run: handleToggleCollaboration },
+      { id: 'collaborators', group: 'Board', label: 'Invite collaborators', icon: 'UserPlus', run: () => setShowCollaborationPanel(true) },
+      { id: 'new-board', group: 'Board', label: 'New board', icon: 'Plus', run: handleCreateBoard },
+      ...boards
+        .filter(board => !board.archived && board.id !== activeBoardId)
+        .map(board => ({
+          id: `switch-board-${board.id}`,
+          group: 'Board',
+          label: `Open board: ${board.name}`,
+          icon: 'LayoutDashboard',
+          run: () => handleSwitchBoard(board.id)
+        })),
+      can(currentUser.role, 'clearBoard') && { id: 'clear-board', group: 'Board', label: 'Clear board', icon: 'Trash2', run: handleClearBoard },
+      { id: 'print', group: 'Board', label: 'Print board', icon: 'Printer', run: () => window.print() },
+      can(currentUser.role, 'import') && { id: 'import', group: 'Import & Export', label: 'Import notes', icon: 'Upload', run: handleImportNotes },
+      ...Object.entries(TEXT_EXPORT_FORMATS).map(([format, { label }]) => ({
+        id: `export-${format}`,
+        group: 'Import & Export',
+        label: `Export as ${label}`,
+        icon: 'Download',
+        run: () => handleExportNotes(format)
+      })),
+      { id: 'export-image', group: 'Import & Export', label: 'Export as image…', icon: 'Image', run: () => setShowExportImage(true) },
+      { id: 'shortcuts', group: 'Help', label: 'Keyboard shortcuts', icon: 'Keyboard', shortcut: '?', run: () => setShowShortcutHelp(true) }
+    ];
+    return list.filter(command => command && !(readOnly && command.edit));
+  }, [
+    selectedNoteIds,
+    showMinimap,
+    lanes.length,
+    searchResults.length,
+    searchQuery,
+    savedSearches,
+    unresolvedOnly,
+    unresolvedCount,
+    myTasksOnly,
+    myTaskCount,
+    frames,
+    frameFilter,
+    history.past,
+    history.future,
+    isCollaborative,
+    boards,
+    activeBoardId,
+    currentUser.role,
+    readOnly,
+    customTemplates,
+    handleCreateNote,
+    handleUseNoteTemplate,
+    handleApplyBoardTemplate,
+    handleCreateFrame,
+    handlePickImages,
+    handlePromptLink,
+    handleSelectNote,
+    handleConnectNotes,
+    handleFrameSelection,
+    handleBulkDelete,
+    handleClearSelection,
+    handleZoomIn,
+    handleZoomOut,
+    handleResetZoom,
+    handleFitToContent,
+    handleZoomToSelection,
+    handleToggleMinimap,
+    handleViewModeChange,
+    handleApplyLayout,
+    handleClearLanes,
+    handleFocusSearch,
+    handleStepResult,
+    handleSaveSearch,
+    handleSearch,
+    handleUndo,
+    handleRedo,
+    handleSave,
+    handleToggleCollaboration,
+    handleCreateBoard,
+    handleSwitchBoard,
+    handleClearBoard,
+    handleImportNotes,
+    handleExportNotes
+  ]);
+
+  const selectedNote = selectedNoteIds.length === 1
+    ? notes.find(note => note.id === selectedNoteIds[0])
+    : null;
+  const selectedConnectionData = selectedConnection
+    ? connections.find(conn => isSameConnection(conn, selectedConnection.from, selectedConnection.to))
+    : null;
+  const activeBoard = boards.find(board => board.id === activeBoardId);
+  const breadcrumbs = [
+    { label: 'Home', path: '/home-dashboard', icon: 'Home' },
+    { label: 'Ideas Whiteboard', path: '/ideas-whiteboard', icon: 'Lightbulb' },
+    ...(activeBoard ? [{ label: activeBoard.name, path: `/ideas-whiteboard/${activeBoard.id}`, icon: 'LayoutDashboard', current: true }] : [])
+  ];
 
   return (
     <DndProvider backend={HTML5Backend}>
@@ -379,7 +1828,7 @@ const IdeasWhiteboard = () => {
         <div className="pt-16">
           {/* Breadcrumb */}
           <div className="px-6 py-4 border-b border-border">
-            <NavigationBreadcrumb />
+            <NavigationBreadcrumb customBreadcrumbs={breadcrumbs} />
           </div>
 
           {/* Main Content */}
@@ -387,51 +1836,228 @@ const IdeasWhiteboard = () => {
             {/* Left Toolbar */}
             <ToolbarLeft
               onCreateNote={handleCreateNote}
+              onCreateFrame={handleCreateFrame}
               onImportNotes={handleImportNotes}
               onExportNotes={handleExportNotes}
+              onExportImage={() => setShowExportImage(true)}
+              onAddImages={(files) => handleAddFiles(files)}
+              onAddLink={(url) => handleAddLink(url)}
+              noteTemplates={[...NOTE_TEMPLATES, ...customTemplates.notes]}
+              onUseNoteTemplate={handleUseNoteTemplate}
+              onOpenTemplates={() => setShowTemplates(true)}
+              readOnly={readOnly}
+              canImport={can(currentUser.role, 'import')}
             />
 
             {/* Main Whiteboard Area */}
             <div className="flex-1 flex flex-col">
               {/* Top Toolbar */}
               <ToolbarTop
-                scale={scale}
+                scale={camera.zoom}
                 onZoomIn={handleZoomIn}
                 onZoomOut={handleZoomOut}
                 onResetZoom={handleResetZoom}
+                onZoomTo={handleZoomTo}
+                onFitToContent={handleFitToContent}
+                onZoomToSelection={handleZoomToSelection}
+                hasSelection={selectedNoteIds.length > 0}
+                showMinimap={showMinimap}
+                onToggleMinimap={handleToggleMinimap}
                 viewMode={viewMode}
                 onViewModeChange={handleViewModeChange}
+                onApplyLayout={handleApplyLayout}
+                layoutScope={selectedNoteIds.length > 1 ? 'selection' : 'board'}
+                hasLanes={lanes.length > 0}
+                onClearLanes={handleClearLanes}
+                frames={frames}
+                frameFilter={frameFilter}
+                onFrameFilterChange={setFrameFilter}
+                unresolvedOnly={unresolvedOnly}
+                unresolvedCount={unresolvedCount}
+                onToggleUnresolved={() => setUnresolvedOnly(prev => !prev)}
+                myTasksOnly={myTasksOnly}
+                myTaskCount={myTaskCount}
+                onToggleMyTasks={() => setMyTasksOnly(prev => !prev)}
                 onSearch={handleSearch}
                 searchQuery={searchQuery}
+                searchErrors={parsedSearch.errors}
+                searchResultCount={searchResults.length}
+                activeResultIndex={activeResultIndex}
+                onNextResult={() => handleStepResult(1)}
+                onPreviousResult={() => handleStepResult(-1)}
+                savedSearches={savedSearches}
+                onSaveSearch={handleSaveSearch}
+                onDeleteSavedSearch={handleDeleteSavedSearch}
                 onClearBoard={handleClearBoard}
+                canClearBoard={can(currentUser.role, 'clearBoard')}
+                readOnly={readOnly}
                 onSave={handleSave}
                 isCollaborative={isCollaborative}
                 onToggleCollaboration={handleToggleCollaboration}
-                collaborators={collaborators}
+                onShowCollaborators={() => setShowCollaborationPanel(true)}
+                onlinePeers={onlinePeers}
+                syncStatus={syncStatus}
+                pendingChanges={pendingChanges}
+                canUndo={!readOnly && history.past.length > 0}
+                canRedo={!readOnly && history.future.length > 0}
+                undoLabel={history.past[history.past.length - 1]?.label}
+                redoLabel={history.future[0]?.label}
+                onUndo={handleUndo}
+                onRedo={handleRedo}
+                boards={boards}
+                activeBoardId={activeBoardId}
+                onSwitchBoard={handleSwitchBoard}
+                onCreateBoard={handleCreateBoard}
+                onRenameBoard={handleRenameBoard}
+                onDuplicateBoard={handleDuplicateBoard}
+                onArchiveBoard={handleArchiveBoard}
+                onRestoreBoard={handleRestoreBoard}
+                onDeleteBoard={handleDeleteBoard}
+                onOpenCommandPalette={() => setShowCommandPalette(true)}
+                onShowShortcuts={() => setShowShortcutHelp(true)}
               />
 
               {/* Canvas */}
               <div className="flex-1 relative">
-                <WhiteboardCanvas
-                  notes={filteredNotes}
+                {viewMode === 'kanban' ? (
+                  <KanbanView
+                    notes={filteredNotes}
+                    collaborators={collaborators}
+                    wipLimits={wipLimits}
+                    overdueNoteIds={overdueNoteIds}
+                    selectedNoteIds={selectedNoteIds}
+                    readOnly={readOnly}
+                    onSelectNote={handleSelectNote}
+                    onMoveCard={handleMoveCard}
+                    onAssign={handleAssignNote}
+                    onEditWipLimit={handleEditWipLimit}
+                  />
+                ) : viewMode === 'outline' ? (
+                  <OutlineView
+                    notes={filteredNotes}
+                    connections={connections}
+                    frames={frames}
+                    frameMembers={frameMembers}
+                    selectedNoteIds={selectedNoteIds}
+                    onSelectNote={handleSelectNote}
+                    searchHighlights={searchHighlights}
+                  />
+                ) : (
+                  <WhiteboardCanvas
+                    notes={canvasNotes}
+                    connections={connections}
+                    lanes={lanes}
+                    frames={frames}
+                    frameMembers={frameMembers}
+                    filteredFrameId={frameFilter}
+                    onMoveFrame={handleMoveFrame}
+                    onUpdateFrame={handleUpdateFrame}
+                    onDeleteFrame={handleDeleteFrame}
+                    onExportFrame={handleExportFrame}
+                    onFilterFrame={setFrameFilter}
+                    onUpdateNote={handleUpdateNote}
+                    onDeleteNote={handleDeleteNote}
+                    onMoveNotes={handleMoveNotes}
+                    onDropFiles={handleAddFiles}
+                    onDropUrl={(url, point) => {
+                      const link = parseLinkUrl(url);
+                      if (link) handleAddLink(link, point);
+                    }}
+                    selectedNoteIds={selectedNoteIds}
+                    onSelectNote={handleSelectNote}
+                    onSelectNotes={handleSelectNotes}
+                    onConnectNotes={handleConnectNotes}
+                    selectedConnection={selectedConnection}
+                    onSelectConnection={handleSelectConnection}
+                    camera={camera}
+                    onCameraChange={setCamera}
+                    viewport={viewport}
+                    onViewportResize={handleViewportResize}
+                    viewMode={viewMode}
+                    onCanvasClick={handleCanvasClick}
+                    remotePeers={onlinePeers}
+                    onCursorMove={isCollaborative ? handleCursorMove : undefined}
+                    readOnly={readOnly}
+                    searchHighlights={searchHighlights}
+                    activeResultId={activeResultId}
+                    overdueNoteIds={overdueNoteIds}
+                    focusRequest={focusRequest}
+                  />
+                )}
+
+                {/* Overview of the whole board */}
+                <Minimap
+                  notes={canvasNotes}
                   connections={connections}
-                  onUpdateNote={handleUpdateNote}
-                  onDeleteNote={handleDeleteNote}
-                  onMoveNote={handleMoveNote}
-                  selectedNoteId={selectedNoteId}
-                  onSelectNote={handleSelectNote}
-                  onConnectNotes={handleConnectNotes}
-                  scale={scale}
-                  viewMode={viewMode}
-                  onCanvasClick={handleCanvasClick}
+                  frames={frames}
+                  camera={camera}
+                  viewport={viewport}
+                  onCameraChange={setCamera}
+                  isVisible={showMinimap && viewMode !== 'outline' && viewMode !== 'kanban'}
                 />
 
+                {/* Bulk actions for multi-selection */}
+                <SelectionToolbar
+                  selectedCount={selectedNoteIds.length}
+                  onRecolor={handleBulkRecolor}
+                  onRecategorize={handleBulkRecategorize}
+                  onDelete={handleBulkDelete}
+                  onAlign={handleAlignSelection}
+                  onDistribute={handleDistributeSelection}
+                  onClearSelection={handleClearSelection}
+                  onFrameSelection={handleFrameSelection}
+                  readOnly={readOnly}
+                />
+
+                {/* Selected connection */}
+                {selectedConnectionData && !readOnly && (
+                  <ConnectionToolbar
+                    connection={withConnectionDefaults(selectedConnectionData)}
+                    fromTitle={notes.find(note => note.id === selectedConnectionData.from)?.title || 'Note'}
+                    toTitle={notes.find(note => note.id === selectedConnectionData.to)?.title || 'Note'}
+                    onUpdate={handleUpdateSelectedConnection}
+                    onDelete={handleDeleteSelectedConnection}
+                    onClose={() => setSelectedConnection(null)}
+                  />
+                )}
+
+                {/* Storage and sync warnings */}
+                {(storageError || syncError) && (
+                  <div className="absolute top-4 left-4 right-4 mx-auto max-w-xl bg-warning text-warning-foreground px-4 py-2 rounded-lg shadow-lg z-1010">
+                    <div className="flex items-center space-x-2">
+                      <Icon name="AlertTriangle" size={16} />
+                      <span className="flex-1 text-sm">
+                        {storageError ? storageErrorMessages[storageError] : collabErrorMessages[syncError]}
+                      </span>
+                      <Button
+                        variant="ghost"
+                        size="icon"
+                        onClick={() => storageError ? setStorageError(null) : setSyncError(null)}
+                        className="w-6 h-6 hover:bg-black/10"
+                      >
+                        <Icon name="X" size={14} />
+                      </Button>
+                    </div>
+                  </div>
+                )}
+
+                {/* Blocked action */}
+                {permissionNotice && (
+                  <div role="alert" className="absolute bottom-4 left-1/2 transform -translate-x-1/2 bg-foreground text-white px-4 py-2 rounded-lg shadow-lg z-1010">
+                    <div className="flex items-center space-x-2">
+                      <Icon name="ShieldAlert" size={16} />
+                      <span className="text-sm">{permissionNotice}</span>
+                    </div>
+                  </div>
+                )}
+
                 {/* Connecting Mode Overlay */}
                 {connectingMode && (
-                  <div className="absolute top-4 left-1/2 transform -translate-x-1/2 bg-primary text-primary-foreground px-4 py-2 rounded-lg shadow-lg z-1010">
+                  <div role="status" className="absolute top-4 left-1/2 transform -translate-x-1/2 bg-primary text-primary-foreground px-4 py-2 rounded-lg shadow-lg z-1010">
                     <div className="flex items-center space-x-2">
                       <Icon name="Link" size={16} />
                       <span className="text-sm">Click another note to create connection</span>
+                      <span className="text-xs opacity-80">(or select it with Tab and press Enter)</span>
                       <Button
                         variant="ghost"
                         size="icon"
@@ -457,17 +2083,93 @@ const IdeasWhiteboard = () => {
                 onDeleteNote={handleDeleteNote}
                 onClose={() => {
                   setShowDetailsPanel(false);
-                  setSelectedNoteId(null);
+                  setSelectedNoteIds([]);
                 }}
                 connections={connections}
                 allNotes={notes}
                 onCreateConnection={handleCreateConnection}
                 onDeleteConnection={handleDeleteConnection}
+                onRestoreRevision={handleRestoreRevision}
+                onAddAttachments={handleAddAttachments}
+                onLoadLinkPreview={handleLoadLinkPreview}
+                currentUser={currentUser}
+                collaborators={collaborators}
+                readOnly={readOnly}
+                canDelete={can(currentUser.role, 'delete')}
               />
             )}
           </div>
         </div>
 
+        {/* Import preview */}
+        {importFile && (
+          <ImportDialog
+            key={importFile.name}
+            file={importFile}
+            onConfirm={handleConfirmImport}
+            onClose={() => setImportFile(null)}
+          />
+        )}
+
+        {/* Image export */}
+        {showExportImage && exportSources && (
+          <ExportImageDialog
+            board={exportSources.board}
+            selection={exportSources.selection}
+            onExport={handleExportImage}
+            onClose={() => setShowExportImage(false)}
+          />
+        )}
+
+        {/* Reminders */}
+        <ReminderToasts
+          reminders={reminders}
+          onOpen={handleOpenReminder}
+          onDismiss={handleDismissReminder}
+        />
+
+        {/* Screen reader announcements */}
+        <div role="status" aria-live="polite" aria-atomic="true" className="sr-only">
+          {announcement && <span key={announcement.id}>{announcement.text}</span>}
+        </div>
+
+        {/* Keyboard */}
+        {showCommandPalette && (
+          <CommandPalette
+            commands={paletteCommands}
+            onClose={() => setShowCommandPalette(false)}
+          />
+        )}
+        {showShortcutHelp && (
+          <ShortcutHelp onClose={() => setShowShortcutHelp(false)} />
+        )}
+
+        {/* Templates */}
+        {showTemplates && (
+          <TemplateGallery
+            customTemplates={customTemplates}
+            selectedNote={selectedNoteIds.length === 1 ? notes.find(note => note.id === selectedNoteIds[0]) : null}
+            hasSelection={selectedNoteIds.length > 0}
+            readOnly={readOnly}
+            onUseNoteTemplate={handleUseNoteTemplate}
+            onApplyBoardTemplate={handleApplyBoardTemplate}
+            onSaveNoteTemplate={handleSaveNoteTemplate}
+            onSaveBoardTemplate={handleSaveBoardTemplate}
+            onDeleteTemplate={handleDeleteTemplate}
+            onShareTemplate={handleShareTemplate}
+            onImportTemplate={handleImportTemplate}
+            onClose={() => setShowTemplates(false)}
+          />
+        )}
+        {pendingNoteTemplate && (
+          <TemplateFieldsDialog
+            template={pendingNoteTemplate}
+            author={currentUser.name}
+            onConfirm={handleConfirmNoteTemplate}
+            onClose={() => setPendingNoteTemplate(null)}
+          />
+        )}
+
         {/* Collaboration Panel */}
         <CollaborationPanel
           isVisible={showCollaborationPanel}
@@ -475,7 +2177,15 @@ const IdeasWhiteboard = () => {
           collaborators={collaborators}
           onInviteUser={handleInviteUser}
           onRemoveUser={handleRemoveUser}
+          onChangeRole={handleChangeRole}
+          onTransferOwnership={handleTransferOwnership}
           currentUser={currentUser}
+          canManageCollaborators={can(currentUser.role, 'manageCollaborators')}
+          canTransferOwnership={can(currentUser.role, 'transferOwnership')}
+          isCollaborative={isCollaborative}
+          shareLink={activeBoardId ? `${window.location.origin}/ideas-whiteboard/${activeBoardId}?join=1` : ''}
+          onShareLink={handleShareLink}
+          onlinePeers={onlinePeers}
         />
       </div>
     </DndProvider>
@@ -0,0 +1,89 @@
+import React from 'react';
+import { describe, it, expect } from 'vitest';
+import { render, screen, fireEvent, within } from '@testing-library/react';
+import { MemoryRouter, Routes, Route } from 'react-router-dom';
+import IdeasWhiteboard from './index';
+import { loadBoardIndex, loadBoard } from './utils/boardStorage';
+
+// A fresh board, seeded with the sample notes
+const renderWhiteboard = () => render(
+  <MemoryRouter initialEntries={['/ideas-whiteboard']}>
+    <Routes>
+      <Route path="/ideas-whiteboard" element={<IdeasWhiteboard />} />
+      <Route path="/ideas-whiteboard/:boardId" element={<IdeasWhiteboard />} />
+    </Routes>
+  </MemoryRouter>
+);
+
+const liveRegion = (container) => container.querySelector('[aria-live="polite"]');
+
+const pressKey = (key, options = {}) => {
+  fireEvent.keyDown(document.activeElement || document.body, { key, ...options });
+};
+
+describe('IdeasWhiteboard keyboard and screen reader support', () => {
+  it('announces created and deleted notes in the live region', () => {
+    const { container } = renderWhiteboard();
+    const canvas = screen.getByRole('application');
+    const countNotes = () => within(canvas).getAllByRole('group').length;
+    const before = countNotes();
+
+    pressKey('n');
+    expect(countNotes()).toBe(before + 1);
+    expect(liveRegion(container).textContent).toBe('Created note "New Idea"');
+
+    pressKey('Delete');
+    expect(countNotes()).toBe(before);
+    expect(liveRegion(container).textContent).toBe('Deleted note "New Idea"');
+  });
+
+  it('connects two notes with the keyboard', () => {
+    const { container } = renderWhiteboard();
+
+    // Tab reaches the first note in reading order
+    pressKey('Tab');
+    const from = document.activeElement;
+    expect(from.getAttribute('aria-roledescription')).toBe('note');
+    const fromTitle = from.getAttribute('aria-label').replace(/, selected$/, '');
+
+    pressKey('c');
+    expect(liveRegion(container).textContent).toMatch(`Connecting from "${fromTitle}".`);
+    expect(screen.getByText('Click another note to create connection')).toBeTruthy();
+
+    // Alt+arrow moves to the nearest note on the right without connecting yet
+    pressKey('ArrowRight', { altKey: true });
+    const to = document.activeElement;
+    expect(to).not.toBe(from);
+    expect(to.getAttribute('aria-roledescription')).toBe('note');
+    const toTitle = to.getAttribute('aria-label').replace(/, selected$/, '');
+
+    pressKey('Enter');
+    expect(liveRegion(container).textContent).toBe(`Connected "${fromTitle}" to "${toTitle}"`);
+    expect(screen.queryByText('Click another note to create connection')).toBeNull();
+  });
+
+  it('cancels a keyboard connection with Escape', () => {
+    const { container } = renderWhiteboard();
+
+    pressKey('Tab');
+    pressKey('c');
+    pressKey('Escape');
+    expect(liveRegion(container).textContent).toBe('Connection cancelled');
+
+    // Enter now just opens the note instead of connecting
+    pressKey('ArrowRight', { altKey: true });
+    pressKey('Enter');
+    expect(liveRegion(container).textContent).toBe('Connection cancelled');
+  });
+});
+
+describe('IdeasWhiteboard saving', () => {
+  it('saves edits still waiting for the autosave when the page is hidden', () => {
+    renderWhiteboard();
+    pressKey('n');
+
+    fireEvent(window, new Event('pagehide'));
+    const { board } = loadBoard(loadBoardIndex().index.activeBoardId);
+    expect(board.notes.some(note => note.title === 'New Idea')).toBe(true);
+  });
+});
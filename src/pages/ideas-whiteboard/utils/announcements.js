@@ -0,0 +1,11 @@
+// Wording for the page's live region, which tells screen reader users about changes
+// that happen away from the element they're on
+export const describeNotes = (notes) => (
+  notes.length === 1 ? `"${notes[0].title || 'Untitled'}"` : `${notes.length} notes`
+);
+
+export const describeDirection = ({ x, y }) => {
+  if (y < 0) return 'up';
+  if (y > 0) return 'down';
+  return x < 0 ? 'left' : 'right';
+};
@@ -0,0 +1,41 @@
+import { NOTE_WIDTH, NOTE_HEIGHT } from './geometry';
+
+// Align and distribute helpers; each returns [{ id, position }] for moveNotes()
+
+export const alignNotes = (notes, mode) => {
+  if (notes.length < 2) return [];
+
+  const xs = notes.map(note => note.position.x);
+  const ys = notes.map(note => note.position.y);
+  const left = Math.min(...xs);
+  const right = Math.max(...xs) + NOTE_WIDTH;
+  const top = Math.min(...ys);
+  const bottom = Math.max(...ys) + NOTE_HEIGHT;
+
+  const alignTo = {
+    left: (pos) => ({ ...pos, x: left }),
+    center: (pos) => ({ ...pos, x: (left + right) / 2 - NOTE_WIDTH / 2 }),
+    right: (pos) => ({ ...pos, x: right - NOTE_WIDTH }),
+    top: (pos) => ({ ...pos, y: top }),
+    middle: (pos) => ({ ...pos, y: (top + bottom) / 2 - NOTE_HEIGHT / 2 }),
+    bottom: (pos) => ({ ...pos, y: bottom - NOTE_HEIGHT })
+  }[mode];
+
+  if (!alignTo) return [];
+  return notes.map(note => ({ id: note.id, position: alignTo(note.position) }));
+};
+
+// Space notes evenly along an axis, keeping the outer two in place
+export const distributeNotes = (notes, axis) => {
+  if (notes.length < 3) return [];
+
+  const key = axis === 'vertical' ? 'y' : 'x';
+  const sorted = [...notes].sort((a, b) => a.position[key] - b.position[key]);
+  const start = sorted[0].position[key];
+  const step = (sorted[sorted.length - 1].position[key] - start) / (sorted.length - 1);
+
+  return sorted.map((note, i) => ({
+    id: note.id,
+    position: { ...note.position, [key]: start + i * step }
+  }));
+};
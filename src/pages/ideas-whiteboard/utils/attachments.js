@@ -0,0 +1,148 @@
+import { putBlob } from './blobStore';
+
+// Image notes, link notes and file attachments. Notes gain optional fields:
+//   type: 'image' | 'link'     (missing for ordinary text notes)
+//   image: { blobId, name, mimeType, width, height }
+//   link: { url, title, description, siteName, imageUrl, previewed }
+//   attachments: [{ id, blobId, name, mimeType, size }]
+export const MAX_FILE_SIZE = 25 * 1024 * 1024;
+
+export const formatFileSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+export const isImageFile = (file) => /^image\//.test(file.type);
+
+const stripExtension = (name) => String(name || '').replace(/\.[^.]+$/, '') || 'Untitled';
+
+const readImageSize = (blob) => new Promise(resolve => {
+  const url = URL.createObjectURL(blob);
+  const image = new Image();
+  image.onload = () => {
+    resolve({ width: image.naturalWidth, height: image.naturalHeight });
+    URL.revokeObjectURL(url);
+  };
+  image.onerror = () => {
+    resolve({ width: null, height: null });
+    URL.revokeObjectURL(url);
+  };
+  image.src = url;
+});
+
+const checkSize = (file) => {
+  if (file.size > MAX_FILE_SIZE) {
+    throw new Error(`"${file.name}" is larger than ${formatFileSize(MAX_FILE_SIZE)}`);
+  }
+};
+
+// Stores the file and resolves to the attachment entry for a note
+export const storeAttachment = async (file) => {
+  checkSize(file);
+  const blobId = await putBlob(file);
+  return {
+    id: blobId,
+    blobId,
+    name: file.name || 'file',
+    mimeType: file.type || 'application/octet-stream',
+    size: file.size
+  };
+};
+
+// Fields for a new note made from a dropped or pasted file: images become image
+// notes, anything else a note carrying the file as an attachment
+export const createFileNoteFields = async (file) => {
+  checkSize(file);
+  const name = file.name || (isImageFile(file) ? 'Pasted image' : 'file');
+  if (isImageFile(file)) {
+    const [blobId, size] = await Promise.all([putBlob(file), readImageSize(file)]);
+    return {
+      type: 'image',
+      title: stripExtension(name),
+      content: '',
+      image: { blobId, name, mimeType: file.type, ...size }
+    };
+  }
+  return {
+    title: stripExtension(name),
+    content: '',
+    attachments: [await storeAttachment(file)]
+  };
+};
+
+// A pasted or dropped string that is just a web address, normalised; otherwise null
+export const parseLinkUrl = (text) => {
+  const value = String(text ?? '').trim();
+  if (!value || /\s/.test(value)) return null;
+  try {
+    const url = new URL(/^www\./i.test(value) ? `https://${value}` : value);
+    return url.protocol === 'http:' || url.protocol === 'https:' ? url.href : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+export const getLinkHost = (url) => {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '');
+  } catch (error) {
+    return url;
+  }
+};
+
+// The card for a pasted, dropped or typed link; nothing is fetched until the user
+// asks for a preview
+export const createBareLink = (url) => ({
+  url,
+  title: getLinkHost(url),
+  description: '',
+  siteName: getLinkHost(url),
+  imageUrl: ''
+});
+
+const PREVIEW_TIMEOUT = 4000;
+
+const metaContent = (doc, names) => {
+  for (const name of names) {
+    const element = doc.querySelector(`meta[property="${name}"], meta[name="${name}"]`);
+    const value = element?.getAttribute('content')?.trim();
+    if (value) return value;
+  }
+  return '';
+};
+
+// Title, description and image from the page's Open Graph tags, marked `previewed`.
+// Most sites don't allow cross-origin reads, so this often fails and resolves to the
+// bare link instead. Only called when the user asks, since it contacts the site.
+export const fetchLinkPreview = async (url) => {
+  const fallback = createBareLink(url);
+  const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+  const timer = setTimeout(() => controller?.abort(), PREVIEW_TIMEOUT);
+  try {
+    const response = await fetch(url, { signal: controller?.signal });
+    if (!response.ok || !/html/.test(response.headers.get('content-type') || '')) return fallback;
+    const doc = new DOMParser().parseFromString(await response.text(), 'text/html');
+    const imageUrl = metaContent(doc, ['og:image', 'twitter:image']);
+    return {
+      url,
+      title: metaContent(doc, ['og:title', 'twitter:title']) || doc.title?.trim() || fallback.title,
+      description: metaContent(doc, ['og:description', 'twitter:description', 'description']),
+      siteName: metaContent(doc, ['og:site_name']) || fallback.siteName,
+      imageUrl: imageUrl ? new URL(imageUrl, url).href : '',
+      previewed: true
+    };
+  } catch (error) {
+    return fallback;
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+// The note's content is left for the user's own words; the card shows the description
+export const createLinkNoteFields = (preview) => ({
+  type: 'link',
+  title: preview.title,
+  content: '',
+  link: preview
+});
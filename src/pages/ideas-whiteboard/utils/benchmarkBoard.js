@@ -0,0 +1,68 @@
+import { NOTE_WIDTH, NOTE_HEIGHT } from './geometry';
+
+// Deterministic large-board fixture for profiling canvas rendering.
+// Open /ideas-whiteboard?benchmark=2000 in development to generate one.
+
+const colors = ['yellow', 'blue', 'green', 'pink', 'purple', 'orange'];
+const categories = ['Ideas', 'Tasks', 'Research', 'Feedback', 'Questions', 'Goals'];
+const authors = ['John Doe', 'Sarah Johnson', 'Mike Chen', 'Alex Kim', 'Emily Davis'];
+
+// Small seeded PRNG (mulberry32) so runs are comparable
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+export const generateBenchmarkBoard = ({
+  noteCount = 1000,
+  connectionRatio = 0.5,
+  seed = 1
+} = {}) => {
+  const random = createRandom(seed);
+  const pick = (list) => list[Math.floor(random() * list.length)];
+
+  // Lay notes out on a jittered grid roughly as wide as it is tall
+  const columns = Math.ceil(Math.sqrt(noteCount));
+  const spacingX = NOTE_WIDTH + 64;
+  const spacingY = NOTE_HEIGHT + 64;
+  const createdAt = new Date('2025-01-01T00:00:00Z').getTime();
+
+  const notes = Array.from({ length: noteCount }, (_, i) => ({
+    id: i + 1,
+    title: `Benchmark note ${i + 1}`,
+    content: `Generated content for note ${i + 1}.`,
+    color: pick(colors),
+    category: pick(categories),
+    author: pick(authors),
+    createdAt: new Date(createdAt + i * 60000).toISOString(),
+    position: {
+      x: (i % columns) * spacingX + Math.round(random() * 32),
+      y: Math.floor(i / columns) * spacingY + Math.round(random() * 32)
+    },
+    zIndex: 1,
+    comments: []
+  }));
+
+  // Connect mostly to nearby notes, like real clusters
+  const connections = [];
+  const seen = new Set();
+  const connectionCount = Math.floor(noteCount * connectionRatio);
+  for (let attempt = 0; connections.length < connectionCount && attempt < connectionCount * 4; attempt++) {
+    const from = 1 + Math.floor(random() * noteCount);
+    const offset = pick([1, -1, columns, -columns, columns + 1]);
+    const to = from + offset;
+    const key = `${Math.min(from, to)}-${Math.max(from, to)}`;
+    if (to < 1 || to > noteCount || seen.has(key)) continue;
+
+    seen.add(key);
+    connections.push({ from, to, color: '#6366f1' });
+  }
+
+  return { notes, connections };
+};
@@ -0,0 +1,122 @@
+// Image and attachment files live in IndexedDB, keyed by a blob id that notes refer
+// to, so boards stay local-first without bloating the localStorage save. Blobs are
+// shared by every board and never deleted with a note, since undo can bring it back.
+const DB_NAME = 'whiteboard-blobs';
+const STORE = 'blobs';
+
+let dbPromise = null;
+
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('This browser can\'t store files for the board'));
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, 1);
+      request.onupgradeneeded = () => request.result.createObjectStore(STORE);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch(error => {
+      // Let a later call try again
+      dbPromise = null;
+      throw error;
+    });
+  }
+  return dbPromise;
+};
+
+const run = (mode, action) => openDb().then(db => new Promise((resolve, reject) => {
+  const transaction = db.transaction(STORE, mode);
+  const request = action(transaction.objectStore(STORE));
+  transaction.oncomplete = () => resolve(request.result);
+  transaction.onerror = () => reject(transaction.error);
+  transaction.onabort = () => reject(transaction.error || new Error('Storing the file was cancelled'));
+}));
+
+// Object URLs are cached for the session; putBlob drops an id's entry when it stores it
+const urlCache = new Map();
+
+export const createBlobId = () => `blob-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+// Resolves to the id the blob was stored under
+export const putBlob = async (blob, id = createBlobId()) => {
+  await run('readwrite', store => store.put(blob, id));
+  // A lookup made before the blob arrived may have cached it as missing
+  urlCache.delete(id);
+  return id;
+};
+
+// Resolves to the Blob, or undefined when it isn't on this device
+export const getBlob = (id) => run('readonly', store => store.get(id));
+
+export const getBlobUrl = (id) => {
+  if (!urlCache.has(id)) {
+    urlCache.set(id, getBlob(id)
+      .then(blob => (blob ? URL.createObjectURL(blob) : null))
+      .catch(() => null));
+  }
+  return urlCache.get(id);
+};
+
+// Blob ids a set of notes points at: image notes and attachments
+export const collectBlobIds = (notes) => {
+  const ids = new Set();
+  notes.forEach(note => {
+    if (note.image?.blobId) ids.add(note.image.blobId);
+    (note.attachments || []).forEach(attachment => ids.add(attachment.blobId));
+  });
+  return [...ids];
+};
+
+// Points image notes and attachments at the ids in `idMap` ({ oldId: newId })
+export const remapBlobIds = (notes, idMap) => {
+  const remap = (blobId) => idMap[blobId] || blobId;
+  return notes.map(note => ({
+    ...note,
+    ...(note.image?.blobId && { image: { ...note.image, blobId: remap(note.image.blobId) } }),
+    ...(note.attachments && {
+      attachments: note.attachments.map(attachment => ({ ...attachment, blobId: remap(attachment.blobId) }))
+    })
+  }));
+};
+
+const blobToDataUrl = (blob) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsDataURL(blob);
+});
+
+const dataUrlToBlob = (dataUrl) => {
+  const [header, data] = String(dataUrl).split(',');
+  const type = header.match(/^data:([^;,]*)/)?.[1] || 'application/octet-stream';
+  const bytes = atob(data);
+  const buffer = new Uint8Array(bytes.length);
+  for (let i = 0; i < bytes.length; i++) buffer[i] = bytes.charCodeAt(i);
+  return new Blob([buffer], { type });
+};
+
+// { [blobId]: dataUrl } for export bundles; blobs missing on this device are left out
+export const exportBlobs = async (ids) => {
+  const entries = await Promise.all(ids.map(async id => {
+    const blob = await getBlob(id).catch(() => null);
+    return blob ? [id, await blobToDataUrl(blob)] : null;
+  }));
+  return Object.fromEntries(entries.filter(Boolean));
+};
+
+// Stores the blobs of an imported bundle and resolves to { [bundleId]: storedId }.
+// A blob already stored under the same id is kept: identical files are skipped and
+// different ones are stored under a new id, so an import never replaces a file
+// other notes use.
+export const importBlobs = async (blobs) => {
+  const entries = Object.entries(blobs || {}).filter(([, dataUrl]) => typeof dataUrl === 'string' && dataUrl.startsWith('data:'));
+  const stored = await Promise.all(entries.map(async ([id, dataUrl]) => {
+    const existing = await getBlob(id).catch(() => null);
+    if (!existing) return [id, await putBlob(dataUrlToBlob(dataUrl), id)];
+    if (await blobToDataUrl(existing) === dataUrl) return [id, id];
+    return [id, await putBlob(dataUrlToBlob(dataUrl))];
+  }));
+  return Object.fromEntries(stored);
+};
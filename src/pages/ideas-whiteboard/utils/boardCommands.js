@@ -0,0 +1,367 @@
+import { isSameConnection } from './connections';
+
+// Undoable whiteboard commands. Each factory returns a builder that receives
+// the current document and returns a command, or null when nothing changes.
+
+const touchesNote = (conn, noteId) => conn.from === noteId || conn.to === noteId;
+
+// Re-insert removed items at their original indices
+const restoreAt = (items, removed) => {
+  const next = [...items];
+  [...removed].sort((a, b) => a.index - b.index).forEach(({ index, item }) => {
+    next.splice(Math.min(index, next.length), 0, item);
+  });
+  return next;
+};
+
+const pickFields = (source, keys) => keys.reduce((fields, key) => {
+  fields[key] = source[key];
+  return fields;
+}, {});
+
+// Unique across replicas, not just per millisecond: collaborators creating notes at
+// the same moment must not write to the same synced note
+export const createNoteId = () => `note-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 10)}`;
+
+export const createNote = (note) => () => ({
+  label: 'Create note',
+  redo: (doc) => ({ ...doc, notes: [...doc.notes, note] }),
+  undo: (doc) => ({
+    ...doc,
+    notes: doc.notes.filter(n => n.id !== note.id),
+    connections: doc.connections.filter(conn => !touchesNote(conn, note.id))
+  })
+});
+
+// Several notes as one undo step, e.g. files dropped together
+export const createNotes = (notes, label = `Add ${notes.length} notes`) => () => {
+  const ids = new Set(notes.map(note => note.id));
+  return {
+    label,
+    redo: (doc) => ({ ...doc, notes: [...doc.notes, ...notes] }),
+    undo: (doc) => ({
+      ...doc,
+      notes: doc.notes.filter(n => !ids.has(n.id)),
+      connections: doc.connections.filter(conn => !ids.has(conn.from) && !ids.has(conn.to))
+    })
+  };
+};
+
+export const updateNotes = (noteIds, updates, label = 'Edit notes') => (doc) => {
+  const ids = new Set(noteIds);
+  const before = doc.notes
+    .filter(n => ids.has(n.id))
+    .map(n => ({ id: n.id, fields: pickFields(n, Object.keys(updates)) }));
+  if (before.length === 0) return null;
+
+  const previous = new Map(before.map(({ id, fields }) => [id, fields]));
+  return {
+    label,
+    redo: (d) => ({
+      ...d,
+      notes: d.notes.map(n => ids.has(n.id) ? { ...n, ...updates } : n)
+    }),
+    undo: (d) => ({
+      ...d,
+      notes: d.notes.map(n => previous.has(n.id) ? { ...n, ...previous.get(n.id) } : n)
+    })
+  };
+};
+
+export const updateNote = (noteId, updates, label = 'Edit note') => (
+  updateNotes([noteId], updates, label)
+);
+
+export const deleteNotes = (noteIds) => (doc) => {
+  const ids = new Set(noteIds);
+  const removedNotes = doc.notes
+    .map((item, i) => ({ index: i, item }))
+    .filter(({ item }) => ids.has(item.id));
+  if (removedNotes.length === 0) return null;
+
+  const touchesAny = (conn) => ids.has(conn.from) || ids.has(conn.to);
+  const removedConnections = doc.connections
+    .map((item, i) => ({ index: i, item }))
+    .filter(({ item }) => touchesAny(item));
+
+  return {
+    label: removedNotes.length > 1 ? 'Delete notes' : 'Delete note',
+    redo: (d) => ({
+      ...d,
+      notes: d.notes.filter(n => !ids.has(n.id)),
+      connections: d.connections.filter(conn => !touchesAny(conn))
+    }),
+    undo: (d) => ({
+      ...d,
+      notes: restoreAt(d.notes, removedNotes),
+      connections: restoreAt(d.connections, removedConnections)
+    })
+  };
+};
+
+export const deleteNote = (noteId) => deleteNotes([noteId]);
+
+// changes: [{ id, updates }], different fields per note as one undo step
+export const patchNotes = (changes, label = 'Edit notes') => (doc) => {
+  const updatesById = new Map(changes.map(({ id, updates }) => [id, updates]));
+  const before = doc.notes
+    .filter(n => updatesById.has(n.id))
+    .map(n => [n.id, pickFields(n, Object.keys(updatesById.get(n.id)))]);
+  if (before.length === 0) return null;
+
+  const applyFields = (fieldsById) => (d) => ({
+    ...d,
+    notes: d.notes.map(n => fieldsById.has(n.id) ? { ...n, ...fieldsById.get(n.id) } : n)
+  });
+
+  return {
+    label,
+    redo: applyFields(updatesById),
+    undo: applyFields(new Map(before))
+  };
+};
+
+// moves: [{ id, position }]; repeated drags of the same notes merge into one
+// entry unless a label is given (align, distribute and other explicit commands)
+export const moveNotes = (moves, label) => (doc) => {
+  const before = moves
+    .map(({ id }) => doc.notes.find(n => n.id === id))
+    .filter(Boolean)
+    .map(note => ({ id: note.id, position: note.position }));
+  if (before.length === 0) return null;
+
+  const applyPositions = (positions) => (d) => {
+    const byId = new Map(positions.map(({ id, position }) => [id, position]));
+    return {
+      ...d,
+      notes: d.notes.map(n => byId.has(n.id) ? { ...n, position: byId.get(n.id) } : n)
+    };
+  };
+
+  return {
+    label: label || (moves.length > 1 ? 'Move notes' : 'Move note'),
+    mergeKey: label ? null : `move:${moves.map(({ id }) => id).sort().join(',')}`,
+    redo: applyPositions(moves),
+    undo: applyPositions(before)
+  };
+};
+
+// Layout results replace the swimlanes; `animated` lets the page tween the
+// notes on apply, undo and redo
+export const applyLayout = (label, moves, lanes = []) => (doc) => {
+  const move = moves.length > 0 ? moveNotes(moves, label)(doc) : null;
+  const previousLanes = doc.lanes || [];
+  if (!move && previousLanes.length === 0 && lanes.length === 0) return null;
+
+  return {
+    label,
+    animated: true,
+    redo: (d) => ({ ...(move ? move.redo(d) : d), lanes }),
+    undo: (d) => ({ ...(move ? move.undo(d) : d), lanes: previousLanes })
+  };
+};
+
+export const clearLanes = () => (doc) => {
+  const previousLanes = doc.lanes || [];
+  if (previousLanes.length === 0) return null;
+
+  return {
+    label: 'Remove swimlanes',
+    redo: (d) => ({ ...d, lanes: [] }),
+    undo: (d) => ({ ...d, lanes: previousLanes })
+  };
+};
+
+// A null limit removes the column's limit
+export const setWipLimit = (statusId, limit) => (doc) => {
+  const previousLimits = doc.wipLimits || {};
+  const { [statusId]: removed, ...rest } = previousLimits;
+  const wipLimits = limit === null ? rest : { ...rest, [statusId]: limit };
+  if (removed === (limit === null ? undefined : limit)) return null;
+
+  return {
+    label: 'Set WIP limit',
+    redo: (d) => ({ ...d, wipLimits }),
+    undo: (d) => ({ ...d, wipLimits: previousLimits })
+  };
+};
+
+export const createFrame = (frame) => () => ({
+  label: 'Add frame',
+  redo: (doc) => ({ ...doc, frames: [...(doc.frames || []), frame] }),
+  undo: (doc) => ({ ...doc, frames: doc.frames.filter(f => f.id !== frame.id) })
+});
+
+export const updateFrame = (frameId, updates, label = 'Edit frame') => (doc) => {
+  const frame = (doc.frames || []).find(f => f.id === frameId);
+  if (!frame) return null;
+
+  const previous = pickFields(frame, Object.keys(updates));
+  const apply = (fields) => (d) => ({
+    ...d,
+    frames: d.frames.map(f => f.id === frameId ? { ...f, ...fields } : f)
+  });
+
+  return {
+    label,
+    redo: apply(updates),
+    undo: apply(previous)
+  };
+};
+
+// Deleting a frame leaves its notes where they are
+export const deleteFrame = (frameId) => (doc) => {
+  const removed = (doc.frames || [])
+    .map((item, i) => ({ index: i, item }))
+    .filter(({ item }) => item.id === frameId);
+  if (removed.length === 0) return null;
+
+  return {
+    label: 'Delete frame',
+    redo: (d) => ({ ...d, frames: d.frames.filter(f => f.id !== frameId) }),
+    undo: (d) => ({ ...d, frames: restoreAt(d.frames, removed) })
+  };
+};
+
+// Shift a frame with the notes and nested frames it contained when the drag started
+export const moveFrame = (frameId, delta, noteIds, nestedFrameIds = []) => (doc) => {
+  const frameIds = new Set([frameId, ...nestedFrameIds]);
+  if (!(doc.frames || []).some(f => f.id === frameId) || (!delta.x && !delta.y)) return null;
+
+  const members = new Set(noteIds);
+  const noteMoves = doc.notes
+    .filter(n => members.has(n.id))
+    .map(n => ({ id: n.id, position: { x: n.position.x + delta.x, y: n.position.y + delta.y } }));
+  const move = noteMoves.length > 0 ? moveNotes(noteMoves, 'Move frame')(doc) : null;
+
+  const shiftFrames = (sign) => (d) => ({
+    ...d,
+    frames: d.frames.map(f => frameIds.has(f.id)
+      ? { ...f, x: f.x + sign * delta.x, y: f.y + sign * delta.y }
+      : f
+    )
+  });
+
+  return {
+    label: 'Move frame',
+    redo: (d) => shiftFrames(1)(move ? move.redo(d) : d),
+    undo: (d) => shiftFrames(-1)(move ? move.undo(d) : d)
+  };
+};
+
+export const createConnection = (connection) => (doc) => {
+  if (doc.connections.some(conn => isSameConnection(conn, connection.from, connection.to))) {
+    return null;
+  }
+
+  return {
+    label: 'Connect notes',
+    redo: (d) => ({ ...d, connections: [...d.connections, connection] }),
+    undo: (d) => ({
+      ...d,
+      connections: d.connections.filter(conn =>
+        !(conn.from === connection.from && conn.to === connection.to)
+      )
+    })
+  };
+};
+
+// Connections are matched in either direction, so updates may also swap from/to
+export const updateConnection = (fromId, toId, updates, label = 'Edit connection') => (doc) => {
+  const current = doc.connections.find(conn => isSameConnection(conn, fromId, toId));
+  if (!current) return null;
+
+  const previous = pickFields(current, Object.keys(updates));
+  const apply = (fields) => (d) => ({
+    ...d,
+    connections: d.connections.map(conn =>
+      isSameConnection(conn, fromId, toId) ? { ...conn, ...fields } : conn
+    )
+  });
+
+  return {
+    label,
+    redo: apply(updates),
+    undo: apply(previous)
+  };
+};
+
+export const deleteConnection = (fromId, toId) => (doc) => {
+  const removed = doc.connections
+    .map((item, i) => ({ index: i, item }))
+    .filter(({ item }) => isSameConnection(item, fromId, toId));
+  if (removed.length === 0) return null;
+
+  return {
+    label: 'Remove connection',
+    redo: (d) => ({
+      ...d,
+      connections: d.connections.filter(conn => !isSameConnection(conn, fromId, toId))
+    }),
+    undo: (d) => ({ ...d, connections: restoreAt(d.connections, removed) })
+  };
+};
+
+// Imported notes, connections and frames as one undo step. Undo removes only
+// what was added, so collaborators' edits made since are kept.
+export const addContent = (label, { notes, connections = [], frames = [] }) => (doc) => {
+  if (notes.length === 0 && frames.length === 0) return null;
+
+  const noteIds = new Set(notes.map(note => note.id));
+  const frameIds = new Set(frames.map(frame => frame.id));
+  const addedConnection = (conn) => noteIds.has(conn.from) || noteIds.has(conn.to) ||
+    connections.some(added => isSameConnection(conn, added.from, added.to));
+
+  return {
+    label,
+    redo: (d) => ({
+      ...d,
+      notes: [...d.notes, ...notes],
+      connections: [...d.connections, ...connections],
+      frames: [...(d.frames || []), ...frames]
+    }),
+    undo: (d) => ({
+      ...d,
+      notes: d.notes.filter(n => !noteIds.has(n.id)),
+      connections: d.connections.filter(conn => !addedConnection(conn)),
+      frames: (d.frames || []).filter(f => !frameIds.has(f.id))
+    })
+  };
+};
+
+// Removes what is on the board now; redo after undo removes the same items,
+// not notes collaborators added in between
+export const clearBoard = () => (doc) => {
+  const frames = doc.frames || [];
+  const lanes = doc.lanes || [];
+  if (doc.notes.length === 0 && doc.connections.length === 0 && lanes.length === 0 && frames.length === 0) {
+    return null;
+  }
+
+  const withIndex = (items) => items.map((item, i) => ({ index: i, item }));
+  const removedNotes = withIndex(doc.notes);
+  const removedConnections = withIndex(doc.connections);
+  const removedFrames = withIndex(frames);
+  const noteIds = new Set(doc.notes.map(note => note.id));
+  const frameIds = new Set(frames.map(frame => frame.id));
+  const removedConnection = (conn) => noteIds.has(conn.from) || noteIds.has(conn.to) ||
+    doc.connections.some(item => isSameConnection(conn, item.from, item.to));
+
+  return {
+    label: 'Clear board',
+    redo: (d) => ({
+      ...d,
+      notes: d.notes.filter(n => !noteIds.has(n.id)),
+      connections: d.connections.filter(conn => !removedConnection(conn)),
+      frames: (d.frames || []).filter(f => !frameIds.has(f.id)),
+      lanes: []
+    }),
+    undo: (d) => ({
+      ...d,
+      notes: restoreAt(d.notes, removedNotes),
+      connections: restoreAt(d.connections, removedConnections),
+      frames: restoreAt(d.frames || [], removedFrames),
+      lanes
+    })
+  };
+};
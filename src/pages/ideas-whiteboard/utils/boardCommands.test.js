@@ -0,0 +1,93 @@
+import { describe, it, expect } from 'vitest';
+import { addContent, clearBoard, setWipLimit } from './boardCommands';
+
+const note = (id) => ({ id, title: `Note ${id}`, position: { x: 0, y: 0 } });
+
+const board = {
+  notes: [note(1), note(2)],
+  connections: [{ from: 1, to: 2 }],
+  lanes: [{ id: 'lane', label: 'Lane' }],
+  frames: [{ id: 'f1', title: 'Frame' }]
+};
+
+// What a collaborator might do between a local command and its undo
+const addRemoteNote = (doc) => ({
+  ...doc,
+  notes: [...doc.notes, note(9)],
+  connections: [...doc.connections, { from: 9, to: 2 }]
+});
+
+describe('addContent', () => {
+  const imported = {
+    notes: [note(5), note(6)],
+    connections: [{ from: 5, to: 6 }],
+    frames: [{ id: 'f2', title: 'Imported' }]
+  };
+
+  it('adds the imported items', () => {
+    const command = addContent('Import', imported)(board);
+    const next = command.redo(board);
+    expect(next.notes.map(n => n.id)).toEqual([1, 2, 5, 6]);
+    expect(next.connections).toHaveLength(2);
+    expect(next.frames.map(f => f.id)).toEqual(['f1', 'f2']);
+  });
+
+  it('undoes only what it added, keeping later remote edits', () => {
+    const command = addContent('Import', imported)(board);
+    const undone = command.undo(addRemoteNote(command.redo(board)));
+    expect(undone.notes.map(n => n.id)).toEqual([1, 2, 9]);
+    expect(undone.connections).toEqual([{ from: 1, to: 2 }, { from: 9, to: 2 }]);
+    expect(undone.frames.map(f => f.id)).toEqual(['f1']);
+  });
+
+  it('does nothing for an empty import', () => {
+    expect(addContent('Import', { notes: [] })(board)).toBeNull();
+  });
+});
+
+describe('clearBoard', () => {
+  it('removes everything on the board', () => {
+    const next = clearBoard()(board).redo(board);
+    expect(next).toEqual({ notes: [], connections: [], lanes: [], frames: [] });
+  });
+
+  it('restores the cleared items without dropping notes added since', () => {
+    const command = clearBoard()(board);
+    const undone = command.undo(addRemoteNote(command.redo(board)));
+    expect(undone.notes.map(n => n.id)).toEqual([1, 2, 9]);
+    expect(undone.connections).toEqual([{ from: 1, to: 2 }, { from: 9, to: 2 }]);
+    expect(undone.lanes).toEqual(board.lanes);
+    expect(undone.frames).toEqual(board.frames);
+  });
+
+  it('redoes by removing the same items only', () => {
+    const command = clearBoard()(board);
+    const redone = command.redo(addRemoteNote(board));
+    expect(redone.notes.map(n => n.id)).toEqual([9]);
+    expect(redone.connections).toEqual([]);
+  });
+
+  it('does nothing on an empty board', () => {
+    expect(clearBoard()({ notes: [], connections: [], lanes: [], frames: [] })).toBeNull();
+  });
+});
+
+describe('setWipLimit', () => {
+  const limited = { ...board, wipLimits: { todo: 5 } };
+
+  it('sets a limit and undoes back to the previous ones', () => {
+    const command = setWipLimit('doing', 3)(limited);
+    const next = command.redo(limited);
+    expect(next.wipLimits).toEqual({ todo: 5, doing: 3 });
+    expect(command.undo(next).wipLimits).toEqual({ todo: 5 });
+  });
+
+  it('removes a limit set to null', () => {
+    expect(setWipLimit('todo', null)(limited).redo(limited).wipLimits).toEqual({});
+  });
+
+  it('does nothing when the limit is unchanged', () => {
+    expect(setWipLimit('todo', 5)(limited)).toBeNull();
+    expect(setWipLimit('doing', null)(limited)).toBeNull();
+  });
+});
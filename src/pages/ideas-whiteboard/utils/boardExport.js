@@ -0,0 +1,111 @@
+import { renderBoardSvg } from './boardImage';
+import { createPdf } from './pdfWriter';
+
+// Image and document exports built on renderBoardSvg(). PNG and PDF go through a
+// canvas, so they're capped at a size browsers can actually allocate.
+export const IMAGE_FORMATS = {
+  png: { label: 'PNG image', extension: 'png' },
+  svg: { label: 'SVG vector', extension: 'svg' },
+  pdf: { label: 'PDF document', extension: 'pdf' }
+};
+
+export const EXPORT_SCALES = [1, 2, 3];
+
+const MAX_CANVAS_SIDE = 16384;
+const MAX_CANVAS_PIXELS = 32 * 1024 * 1024;
+
+// A4 landscape in points, with a margin on every side
+const PDF_PAGE = { width: 842, height: 595 };
+const PDF_MARGIN = 36;
+const POINTS_PER_PIXEL = 0.75;
+const PDF_RESOLUTION = 2;
+
+const loadImage = (url) => new Promise((resolve, reject) => {
+  const image = new Image();
+  image.onload = () => resolve(image);
+  image.onerror = () => reject(new Error('The board image could not be drawn'));
+  image.src = url;
+});
+
+const canvasToBlob = (canvas, type, quality) => new Promise((resolve, reject) => {
+  canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('The image is too large to export'))), type, quality);
+});
+
+// Largest factor <= `scale` that keeps a width x height drawing inside canvas limits
+const clampScale = (width, height, scale) => Math.min(
+  scale,
+  MAX_CANVAS_SIDE / width,
+  MAX_CANVAS_SIDE / height,
+  Math.sqrt(MAX_CANVAS_PIXELS / (width * height))
+);
+
+const rasterize = async (board, options, scale) => {
+  const base = renderBoardSvg(board, { ...options, scale: 1 });
+  const rendered = renderBoardSvg(board, { ...options, scale: clampScale(base.width, base.height, scale) });
+  const url = URL.createObjectURL(new Blob([rendered.svg], { type: 'image/svg+xml' }));
+  try {
+    const image = await loadImage(url);
+    const canvas = document.createElement('canvas');
+    canvas.width = rendered.width;
+    canvas.height = rendered.height;
+    canvas.getContext('2d').drawImage(image, 0, 0, rendered.width, rendered.height);
+    return { canvas, worldWidth: base.width, worldHeight: base.height };
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+};
+
+// The board at `scale` points per pixel (x0.75), cut into page-sized tiles left to
+// right, top to bottom. JPEG has no alpha, so tiles sit on white.
+const renderPdf = async (board, options, scale) => {
+  const { canvas, worldWidth, worldHeight } = await rasterize(board, options, scale * PDF_RESOLUTION);
+  const boardWidth = worldWidth * POINTS_PER_PIXEL * scale;
+  const boardHeight = worldHeight * POINTS_PER_PIXEL * scale;
+  const areaWidth = PDF_PAGE.width - PDF_MARGIN * 2;
+  const areaHeight = PDF_PAGE.height - PDF_MARGIN * 2;
+  const pixelsPerPoint = canvas.width / boardWidth;
+
+  const pages = [];
+  for (let top = 0; top < boardHeight; top += areaHeight) {
+    for (let left = 0; left < boardWidth; left += areaWidth) {
+      const width = Math.min(areaWidth, boardWidth - left);
+      const height = Math.min(areaHeight, boardHeight - top);
+      const tile = document.createElement('canvas');
+      tile.width = Math.max(1, Math.round(width * pixelsPerPoint));
+      tile.height = Math.max(1, Math.round(height * pixelsPerPoint));
+      const context = tile.getContext('2d');
+      context.fillStyle = '#ffffff';
+      context.fillRect(0, 0, tile.width, tile.height);
+      context.drawImage(
+        canvas,
+        left * pixelsPerPoint, top * pixelsPerPoint, tile.width, tile.height,
+        0, 0, tile.width, tile.height
+      );
+      pages.push({
+        jpeg: tile.toDataURL('image/jpeg', 0.92),
+        pixelWidth: tile.width,
+        pixelHeight: tile.height,
+        x: PDF_MARGIN,
+        y: PDF_MARGIN,
+        width,
+        height
+      });
+    }
+  }
+  return createPdf(pages, PDF_PAGE);
+};
+
+// Resolves to a Blob; rejects when there's nothing to draw or the browser can't render it
+export const exportBoardImage = async (board, { format, scale = 1, ...options }) => {
+  const preview = renderBoardSvg(board, { ...options, scale });
+  if (!preview) throw new Error('There is nothing to export');
+
+  if (format === 'svg') {
+    return new Blob([preview.svg], { type: 'image/svg+xml' });
+  }
+  if (format === 'pdf') {
+    return renderPdf(board, options, scale);
+  }
+  const { canvas } = await rasterize(board, options, scale);
+  return canvasToBlob(canvas, 'image/png');
+};
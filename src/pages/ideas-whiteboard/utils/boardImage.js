@@ -0,0 +1,248 @@
+import { NOTE_WIDTH, NOTE_HEIGHT } from './geometry';
+import { FRAME_HEADER_HEIGHT } from './frames';
+import {
+  withConnectionDefaults,
+  getConnectionAnchors,
+  getConnectionPath,
+  getConnectionMidpoint,
+  getDashArray
+} from './connections';
+import { toPlainText } from './richText';
+
+// Draws a board as a standalone SVG string, mirroring how StickyNote, BoardFrame and
+// ConnectionLine look on the canvas. Text is wrapped by estimate rather than measured
+// so the SVG can be built without a DOM; rasterising happens in boardExport.js.
+export const BACKGROUNDS = {
+  white: { label: 'White', fill: '#ffffff' },
+  grid: { label: 'Dot grid', fill: '#ffffff' },
+  transparent: { label: 'Transparent', fill: null }
+};
+
+const FONT_FAMILY = 'Inter, system-ui, -apple-system, Segoe UI, sans-serif';
+const NOTE_PADDING = 16;
+const COMMENT_LINE_HEIGHT = 16;
+const COMMENT_GAP = 6;
+const MAX_COMMENTS = 5;
+
+const noteFills = {
+  yellow: { fill: '#fef08a', stroke: '#fde047' },
+  blue: { fill: '#bfdbfe', stroke: '#93c5fd' },
+  green: { fill: '#bbf7d0', stroke: '#86efac' },
+  pink: { fill: '#fbcfe8', stroke: '#f9a8d4' },
+  purple: { fill: '#e9d5ff', stroke: '#d8b4fe' },
+  orange: { fill: '#fed7aa', stroke: '#fdba74' }
+};
+
+const frameFills = {
+  gray: { body: '#f9fafb', header: '#f3f4f6', stroke: '#d1d5db', text: '#374151' },
+  blue: { body: '#eff6ff', header: '#dbeafe', stroke: '#93c5fd', text: '#1e40af' },
+  green: { body: '#f0fdf4', header: '#dcfce7', stroke: '#86efac', text: '#166534' },
+  yellow: { body: '#fefce8', header: '#fef9c3', stroke: '#fde047', text: '#854d0e' },
+  pink: { body: '#fdf2f8', header: '#fce7f3', stroke: '#f9a8d4', text: '#9d174d' },
+  purple: { body: '#faf5ff', header: '#f3e8ff', stroke: '#d8b4fe', text: '#6b21a8' }
+};
+
+export const escapeXml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Greedy wrap using an average glyph width; the last kept line gets an ellipsis
+const wrapText = (text, fontSize, width, maxLines) => {
+  const maxChars = Math.max(1, Math.floor(width / (fontSize * 0.55)));
+  const lines = [];
+  String(text ?? '').split(/\n/).forEach(paragraph => {
+    let line = '';
+    paragraph.split(/\s+/).filter(Boolean).forEach(word => {
+      let rest = word;
+      while (rest.length > maxChars) {
+        if (line) lines.push(line);
+        lines.push(rest.slice(0, maxChars));
+        line = '';
+        rest = rest.slice(maxChars);
+      }
+      const next = line ? `${line} ${rest}` : rest;
+      if (next.length > maxChars) {
+        lines.push(line);
+        line = rest;
+      } else {
+        line = next;
+      }
+    });
+    if (line) lines.push(line);
+  });
+
+  if (lines.length <= maxLines) return lines;
+  const kept = lines.slice(0, maxLines);
+  kept[maxLines - 1] = `${kept[maxLines - 1].slice(0, maxChars - 1)}…`;
+  return kept;
+};
+
+const textLines = (lines, x, y, lineHeight, attrs) => lines.length ? (
+  `<text x="${x}" y="${y}" ${attrs}>${lines.map((line, i) => (
+    `<tspan x="${x}" dy="${i === 0 ? 0 : lineHeight}">${escapeXml(line)}</tspan>`
+  )).join('')}</text>`
+) : '';
+
+const formatDate = (date) => {
+  const parsed = new Date(date);
+  return Number.isNaN(parsed.getTime())
+    ? ''
+    : parsed.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+};
+
+const getCommentLines = (note) => (note.comments || []).slice(-MAX_COMMENTS).flatMap(comment => (
+  wrapText(`${comment.author ? `${comment.author}: ` : ''}${comment.text}`, 11, NOTE_WIDTH - 24, 2)
+));
+
+// Height of the comment card drawn under a note, 0 when there's nothing to show
+const getCommentsHeight = (note, includeComments) => {
+  if (!includeComments || !note.comments?.length) return 0;
+  return COMMENT_GAP + 12 + getCommentLines(note).length * COMMENT_LINE_HEIGHT;
+};
+
+// Everything that will be drawn, in world coordinates
+export const getExportBounds = ({ notes, frames = [] }, { includeComments = false } = {}) => {
+  const rects = [
+    ...notes.map(note => ({
+      x: note.position.x,
+      y: note.position.y,
+      width: NOTE_WIDTH,
+      height: NOTE_HEIGHT + getCommentsHeight(note, includeComments)
+    })),
+    ...frames.map(frame => ({
+      x: frame.x,
+      y: frame.y,
+      width: frame.width,
+      height: frame.collapsed ? FRAME_HEADER_HEIGHT : frame.height
+    }))
+  ];
+  if (rects.length === 0) return null;
+
+  const minX = Math.min(...rects.map(r => r.x));
+  const minY = Math.min(...rects.map(r => r.y));
+  const maxX = Math.max(...rects.map(r => r.x + r.width));
+  const maxY = Math.max(...rects.map(r => r.y + r.height));
+  return { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+};
+
+const renderFrame = (frame) => {
+  const colors = frameFills[frame.color] || frameFills.gray;
+  const height = frame.collapsed ? FRAME_HEADER_HEIGHT : frame.height;
+  return [
+    `<g>`,
+    `<rect x="${frame.x}" y="${frame.y}" width="${frame.width}" height="${height}" rx="12" fill="${colors.body}" fill-opacity="0.7" stroke="${colors.stroke}" stroke-width="2" stroke-dasharray="${frame.collapsed ? '' : '6 4'}"/>`,
+    `<path d="M ${frame.x} ${frame.y + FRAME_HEADER_HEIGHT} V ${frame.y + 12} a 12 12 0 0 1 12 -12 H ${frame.x + frame.width - 12} a 12 12 0 0 1 12 12 V ${frame.y + FRAME_HEADER_HEIGHT} Z" fill="${colors.header}"/>`,
+    textLines(wrapText(frame.title, 14, frame.width - 32, 1), frame.x + 16, frame.y + 25, 0,
+      `font-size="14" font-weight="600" fill="${colors.text}"`),
+    `</g>`
+  ].join('');
+};
+
+const renderConnection = (connection, notesById) => {
+  const fromNote = notesById.get(connection.from);
+  const toNote = notesById.get(connection.to);
+  if (!fromNote || !toNote) return '';
+
+  const { color, label, style, direction, routing } = withConnectionDefaults(connection);
+  const { axis, from, to } = getConnectionAnchors(fromNote, toNote);
+  const marker = `url(#arrow-${color.replace('#', '')})`;
+  const dash = getDashArray(style);
+  const midpoint = getConnectionMidpoint(from, to);
+
+  return [
+    `<path d="${getConnectionPath(from, to, routing, axis)}" stroke="${escapeXml(color)}" stroke-width="2" fill="none"`,
+    dash ? ` stroke-dasharray="${dash}"` : '',
+    style === 'dotted' ? ' stroke-linecap="round"' : '',
+    direction !== 'none' ? ` marker-end="${marker}"` : '',
+    direction === 'both' ? ` marker-start="${marker}"` : '',
+    '/>',
+    direction === 'none'
+      ? `<circle cx="${from.x}" cy="${from.y}" r="3" fill="${escapeXml(color)}"/><circle cx="${to.x}" cy="${to.y}" r="3" fill="${escapeXml(color)}"/>`
+      : '',
+    label
+      ? `<text x="${midpoint.x}" y="${midpoint.y}" dy="0.35em" text-anchor="middle" font-size="12" font-weight="500" fill="#374151" stroke="#ffffff" stroke-width="4" paint-order="stroke">${escapeXml(label)}</text>`
+      : ''
+  ].join('');
+};
+
+// Stored images aren't reachable synchronously, so image notes are drawn by name
+const noteBodyText = (note) => {
+  if (note.type === 'image') return `[Image: ${note.image?.name || note.title}]`;
+  if (note.type === 'link') return [note.link?.url, toPlainText(note.content)].filter(Boolean).join('\n');
+  return toPlainText(note.content);
+};
+
+const renderNote = (note, includeComments) => {
+  const { x, y } = note.position;
+  const colors = noteFills[note.color] || noteFills.yellow;
+  const innerWidth = NOTE_WIDTH - NOTE_PADDING * 2;
+  const parts = [
+    `<g>`,
+    `<rect x="${x}" y="${y}" width="${NOTE_WIDTH}" height="${NOTE_HEIGHT}" rx="8" fill="${colors.fill}" stroke="${colors.stroke}" stroke-width="2" filter="url(#note-shadow)"/>`,
+    textLines(wrapText(note.title, 14, innerWidth, 1), x + NOTE_PADDING, y + NOTE_PADDING + 12, 0,
+      'font-size="14" font-weight="600" fill="#1f2937"'),
+    textLines(wrapText(noteBodyText(note), 12, innerWidth, 5), x + NOTE_PADDING, y + NOTE_PADDING + 36, 18,
+      'font-size="12" fill="#374151"'),
+    `<text x="${x + NOTE_PADDING}" y="${y + NOTE_HEIGHT - NOTE_PADDING}" font-size="11" fill="#4b5563">${escapeXml(note.author)}</text>`,
+    `<text x="${x + NOTE_WIDTH - NOTE_PADDING}" y="${y + NOTE_HEIGHT - NOTE_PADDING}" font-size="11" fill="#4b5563" text-anchor="end">${escapeXml(formatDate(note.createdAt))}</text>`
+  ];
+
+  if (note.category) {
+    const width = Math.min(NOTE_WIDTH, note.category.length * 7 + 20);
+    parts.push(
+      `<rect x="${x + NOTE_WIDTH + 8 - width}" y="${y - 10}" width="${width}" height="22" rx="11" fill="#ffffff" stroke="#d1d5db"/>`,
+      `<text x="${x + NOTE_WIDTH + 8 - width / 2}" y="${y + 5}" font-size="11" font-weight="500" fill="#1f2937" text-anchor="middle">${escapeXml(note.category)}</text>`
+    );
+  }
+
+  const commentsHeight = getCommentsHeight(note, includeComments);
+  if (commentsHeight) {
+    const top = y + NOTE_HEIGHT + COMMENT_GAP;
+    parts.push(
+      `<rect x="${x}" y="${top}" width="${NOTE_WIDTH}" height="${commentsHeight - COMMENT_GAP}" rx="6" fill="#ffffff" stroke="${colors.stroke}"/>`,
+      textLines(getCommentLines(note), x + 12, top + 18, COMMENT_LINE_HEIGHT, 'font-size="11" fill="#374151"')
+    );
+  }
+
+  parts.push('</g>');
+  return parts.join('');
+};
+
+// Returns { svg, width, height } with the size in output pixels, or null when there
+// is nothing to draw. Frames sit underneath connections, notes on top.
+export const renderBoardSvg = (
+  { notes, connections = [], frames = [] },
+  { scale = 1, padding = 32, background = 'white', includeComments = false } = {}
+) => {
+  const bounds = getExportBounds({ notes, frames }, { includeComments });
+  if (!bounds) return null;
+
+  const width = Math.ceil(bounds.width + padding * 2);
+  const height = Math.ceil(bounds.height + padding * 2);
+  const originX = bounds.x - padding;
+  const originY = bounds.y - padding;
+  const notesById = new Map(notes.map(note => [note.id, note]));
+  const colors = [...new Set(connections.map(conn => withConnectionDefaults(conn).color))];
+  const fill = BACKGROUNDS[background]?.fill;
+
+  const svg = [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${Math.round(width * scale)}" height="${Math.round(height * scale)}" viewBox="${originX} ${originY} ${width} ${height}" font-family="${FONT_FAMILY}">`,
+    '<defs>',
+    '<filter id="note-shadow" x="-10%" y="-10%" width="120%" height="130%"><feDropShadow dx="0" dy="4" stdDeviation="4" flood-opacity="0.12"/></filter>',
+    '<pattern id="dot-grid" width="20" height="20" patternUnits="userSpaceOnUse"><circle cx="1" cy="1" r="1" fill="#e5e7eb"/></pattern>',
+    ...colors.map(color => (
+      `<marker id="arrow-${color.replace('#', '')}" markerWidth="10" markerHeight="7" refX="9" refY="3.5" orient="auto-start-reverse"><polygon points="0 0, 10 3.5, 0 7" fill="${escapeXml(color)}"/></marker>`
+    )),
+    '</defs>',
+    fill ? `<rect x="${originX}" y="${originY}" width="${width}" height="${height}" fill="${fill}"/>` : '',
+    background === 'grid' ? `<rect x="${originX}" y="${originY}" width="${width}" height="${height}" fill="url(#dot-grid)"/>` : '',
+    ...frames.map(renderFrame),
+    ...connections.map(conn => renderConnection(conn, notesById)),
+    ...notes.map(note => renderNote(note, includeComments)),
+    '</svg>'
+  ].join('');
+
+  return { svg, width: Math.round(width * scale), height: Math.round(height * scale) };
+};
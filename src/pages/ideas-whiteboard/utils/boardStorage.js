@@ -0,0 +1,286 @@
+import { DEFAULT_CAMERA, isValidCamera } from './camera';
+
+// Versioned localStorage persistence for the Ideas Whiteboard
+export const BOARD_SCHEMA_VERSION = 6;
+export const BOARD_INDEX_VERSION = 1;
+
+const BOARD_INDEX_KEY = 'whiteboard-boards';
+const BOARD_INDEX_BACKUP_KEY = 'whiteboard-boards-backup';
+const BOARD_KEY_PREFIX = 'whiteboard-board:';
+const BOARD_BACKUP_PREFIX = 'whiteboard-board-backup:';
+
+// Earlier builds kept one board under a single key, or split across two keys
+const SINGLE_BOARD_KEY = 'whiteboard-board';
+const LEGACY_NOTES_KEY = 'whiteboard-notes';
+const LEGACY_CONNECTIONS_KEY = 'whiteboard-connections';
+
+const boardKey = (boardId) => `${BOARD_KEY_PREFIX}${boardId}`;
+
+// Each migration upgrades stored board data from version (n - 1) to version n
+const migrations = {
+  1: (data) => ({
+    notes: Array.isArray(data.notes) ? data.notes : [],
+    connections: Array.isArray(data.connections) ? data.connections : []
+  }),
+  2: (data) => ({
+    ...data,
+    camera: { ...DEFAULT_CAMERA }
+  }),
+  3: (data) => ({
+    ...data,
+    lanes: []
+  }),
+  4: (data) => ({
+    ...data,
+    frames: []
+  }),
+  // null means the default team (see permissions.js)
+  5: (data) => ({
+    ...data,
+    members: null
+  }),
+  // Kanban column limits by status id (see kanban.js)
+  6: (data) => ({
+    ...data,
+    wipLimits: {}
+  })
+};
+
+const migrate = (data, fromVersion) => {
+  let board = data;
+  for (let version = fromVersion + 1; version <= BOARD_SCHEMA_VERSION; version++) {
+    board = migrations[version](board);
+  }
+  return { ...board, version: BOARD_SCHEMA_VERSION };
+};
+
+const isValidBoard = (board) => {
+  if (!board || !Array.isArray(board.notes) || !Array.isArray(board.connections)) {
+    return false;
+  }
+  const notesValid = board.notes.every(note =>
+    note && note.id !== undefined && note.position &&
+    Number.isFinite(note.position.x) && Number.isFinite(note.position.y)
+  );
+  const connectionsValid = board.connections.every(conn =>
+    conn && conn.from !== undefined && conn.to !== undefined
+  );
+  const lanesValid = Array.isArray(board.lanes) && board.lanes.every(lane =>
+    lane && Number.isFinite(lane.x) && Number.isFinite(lane.y) &&
+    Number.isFinite(lane.width) && Number.isFinite(lane.height)
+  );
+  const framesValid = Array.isArray(board.frames) && board.frames.every(frame =>
+    frame && frame.id !== undefined && Number.isFinite(frame.x) && Number.isFinite(frame.y) &&
+    Number.isFinite(frame.width) && Number.isFinite(frame.height)
+  );
+  const membersValid = board.members === null || (
+    !!board.members && Array.isArray(board.members.collaborators) &&
+    board.members.collaborators.every(user => user && user.id !== undefined && typeof user.role === 'string')
+  );
+  const wipLimitsValid = !!board.wipLimits && typeof board.wipLimits === 'object' &&
+    !Array.isArray(board.wipLimits);
+  return notesValid && connectionsValid && lanesValid && framesValid && membersValid &&
+    wipLimitsValid && isValidCamera(board.camera);
+};
+
+const isValidIndex = (index) => (
+  index && Array.isArray(index.boards) &&
+  index.boards.every(board => board && typeof board.id === 'string' && typeof board.name === 'string')
+);
+
+const isQuotaError = (error) => (
+  error instanceof DOMException && (
+    error.name === 'QuotaExceededError' ||
+    error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+    error.code === 22 ||
+    error.code === 1014
+  )
+);
+
+// Keep unreadable data aside so the next auto-save doesn't destroy it
+const backupRaw = (key, raw) => {
+  try {
+    localStorage.setItem(key, raw);
+  } catch (error) {
+    // Nothing more we can do if storage is full or unavailable
+  }
+};
+
+export const createBoardId = () => (
+  `board-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`
+);
+
+export const createBoardMeta = (name) => {
+  const now = new Date().toISOString();
+  return {
+    id: createBoardId(),
+    name,
+    archived: false,
+    createdAt: now,
+    updatedAt: now
+  };
+};
+
+// Move a pre-multi-board save into its own board key, returning the new id
+const migrateSingleBoard = () => {
+  const single = localStorage.getItem(SINGLE_BOARD_KEY);
+  const legacyNotes = localStorage.getItem(LEGACY_NOTES_KEY);
+  const legacyConnections = localStorage.getItem(LEGACY_CONNECTIONS_KEY);
+
+  let raw = single;
+  if (raw === null && (legacyNotes !== null || legacyConnections !== null)) {
+    // Splice the raw values so loadBoard() can still flag them as corrupt
+    raw = `{"notes":${legacyNotes ?? '[]'},"connections":${legacyConnections ?? '[]'}}`;
+  }
+  if (raw === null) return null;
+
+  const boardId = createBoardId();
+  localStorage.setItem(boardKey(boardId), raw);
+  localStorage.removeItem(SINGLE_BOARD_KEY);
+  localStorage.removeItem(LEGACY_NOTES_KEY);
+  localStorage.removeItem(LEGACY_CONNECTIONS_KEY);
+  return boardId;
+};
+
+// Rebuild the board list from the per-board keys still in storage
+const recoverIndex = () => {
+  const boards = Object.keys(localStorage)
+    .filter(key => key.startsWith(BOARD_KEY_PREFIX))
+    .map((key, i) => ({
+      ...createBoardMeta(`Recovered board ${i + 1}`),
+      id: key.slice(BOARD_KEY_PREFIX.length)
+    }));
+  return boards.length ? { activeBoardId: boards[0].id, boards } : null;
+};
+
+// Returns { index, error }; index is null on first run, error is null,
+// 'corrupt-index' or 'unavailable'
+export const loadBoardIndex = () => {
+  try {
+    const raw = localStorage.getItem(BOARD_INDEX_KEY);
+
+    if (raw === null) {
+      const migratedId = migrateSingleBoard();
+      if (!migratedId) return { index: null, error: null };
+
+      const index = {
+        activeBoardId: migratedId,
+        boards: [{ ...createBoardMeta('My Board'), id: migratedId }]
+      };
+      saveBoardIndex(index);
+      return { index, error: null };
+    }
+
+    let index = null;
+    try {
+      index = JSON.parse(raw);
+    } catch (error) {
+      // Handled as corrupt below
+    }
+    if (!isValidIndex(index) || index.version > BOARD_INDEX_VERSION) {
+      backupRaw(BOARD_INDEX_BACKUP_KEY, raw);
+      return { index: recoverIndex(), error: 'corrupt-index' };
+    }
+
+    return { index: { activeBoardId: index.activeBoardId, boards: index.boards }, error: null };
+  } catch (error) {
+    return { index: null, error: 'unavailable' };
+  }
+};
+
+// Returns { ok: true } or { ok: false, error } with error 'quota' or 'unavailable'
+export const saveBoardIndex = ({ activeBoardId, boards }) => {
+  try {
+    localStorage.setItem(BOARD_INDEX_KEY, JSON.stringify({
+      version: BOARD_INDEX_VERSION,
+      activeBoardId,
+      boards
+    }));
+    return { ok: true };
+  } catch (error) {
+    return { ok: false, error: isQuotaError(error) ? 'quota' : 'unavailable' };
+  }
+};
+
+// Returns { board, error }; board is null when the board has never been saved
+// or its data can't be used, error is null, 'corrupt', 'unsupported' or 'unavailable'
+export const loadBoard = (boardId) => {
+  let raw;
+  try {
+    raw = localStorage.getItem(boardKey(boardId));
+  } catch (error) {
+    return { board: null, error: 'unavailable' };
+  }
+  if (raw === null) {
+    return { board: null, error: null };
+  }
+
+  let stored;
+  try {
+    stored = JSON.parse(raw);
+  } catch (error) {
+    backupRaw(`${BOARD_BACKUP_PREFIX}${boardId}`, raw);
+    return { board: null, error: 'corrupt' };
+  }
+
+  const version = Number(stored?.version) || 0;
+  if (version > BOARD_SCHEMA_VERSION) {
+    backupRaw(`${BOARD_BACKUP_PREFIX}${boardId}`, raw);
+    return { board: null, error: 'unsupported' };
+  }
+
+  const board = migrate(stored || {}, version);
+  if (!isValidBoard(board)) {
+    backupRaw(`${BOARD_BACKUP_PREFIX}${boardId}`, raw);
+    return { board: null, error: 'corrupt' };
+  }
+
+  return { board, error: null };
+};
+
+// Returns { ok: true } or { ok: false, error } with error 'quota' or 'unavailable'
+export const saveBoard = (boardId, {
+  notes,
+  connections,
+  lanes = [],
+  frames = [],
+  camera = DEFAULT_CAMERA,
+  members = null,
+  wipLimits = {}
+}) => {
+  const payload = {
+    version: BOARD_SCHEMA_VERSION,
+    savedAt: new Date().toISOString(),
+    notes,
+    connections,
+    lanes,
+    frames,
+    camera,
+    members,
+    wipLimits
+  };
+
+  try {
+    localStorage.setItem(boardKey(boardId), JSON.stringify(payload));
+    return { ok: true };
+  } catch (error) {
+    return { ok: false, error: isQuotaError(error) ? 'quota' : 'unavailable' };
+  }
+};
+
+export const deleteBoardData = (boardId) => {
+  try {
+    localStorage.removeItem(boardKey(boardId));
+    localStorage.removeItem(`${BOARD_BACKUP_PREFIX}${boardId}`);
+  } catch (error) {
+    // Storage unavailable; the board is already gone from the index
+  }
+};
+
+export const storageErrorMessages = {
+  corrupt: 'This board could not be read, so a backup was kept and an empty board was opened.',
+  unsupported: 'This board was saved by a newer version of the app. A backup was kept and an empty board was opened.',
+  unavailable: 'Local storage is unavailable, so changes to this board will not be saved.',
+  quota: 'Browser storage is full. Recent changes could not be saved — export the board to keep a copy.',
+  'corrupt-index': 'Your board list could not be read. Boards were recovered from saved data and may need renaming.'
+};
@@ -0,0 +1,146 @@
+import { NOTE_WIDTH, NOTE_HEIGHT } from './geometry';
+import { FRAME_HEADER_HEIGHT, FRAME_PADDING } from './frames';
+import { getNotesBounds } from './camera';
+
+// Board templates: { id, name, description, icon, board: { frames, notes, connections } }.
+// The board uses template-local ids and positions from (0, 0); applying it goes
+// through the import path, which assigns real ids and places it clear of the board.
+const COLUMN_GAP = 40;
+const ROW_GAP = 24;
+
+const frameAt = (id, title, color, x, y, width, height) => ({
+  id, title, color, collapsed: false, x, y, width, height
+});
+
+const column = (index, title, color, height = 700) => (
+  frameAt(`frame-${index}`, title, color, index * (NOTE_WIDTH + FRAME_PADDING * 2 + COLUMN_GAP), 0, NOTE_WIDTH + FRAME_PADDING * 2, height)
+);
+
+// A note in the `row`-th slot of a frame
+const noteIn = (id, frame, row, fields) => ({
+  id,
+  color: 'yellow',
+  category: '',
+  comments: [],
+  zIndex: 1,
+  ...fields,
+  position: {
+    x: frame.x + FRAME_PADDING,
+    y: frame.y + FRAME_HEADER_HEIGHT + FRAME_PADDING + row * (NOTE_HEIGHT + ROW_GAP)
+  }
+});
+
+const retrospective = () => {
+  const frames = [
+    column(0, 'Went well', 'green'),
+    column(1, 'To improve', 'pink'),
+    column(2, 'Action items', 'blue')
+  ];
+  return {
+    frames,
+    notes: [
+      noteIn(1, frames[0], 0, { title: 'What went well?', content: 'One win per note', color: 'green' }),
+      noteIn(2, frames[1], 0, { title: 'What slowed us down?', content: 'One problem per note', color: 'pink' }),
+      noteIn(3, frames[2], 0, { title: 'Next sprint', content: '- [ ] ', color: 'blue', category: 'Tasks' })
+    ],
+    connections: []
+  };
+};
+
+const swot = () => {
+  const width = NOTE_WIDTH * 2 + FRAME_PADDING * 3;
+  const height = NOTE_HEIGHT + FRAME_HEADER_HEIGHT + FRAME_PADDING * 2 + 120;
+  const quadrant = (index, title, color) => frameAt(
+    `frame-${index}`, title, color,
+    (index % 2) * (width + COLUMN_GAP),
+    Math.floor(index / 2) * (height + COLUMN_GAP),
+    width, height
+  );
+  const frames = [
+    quadrant(0, 'Strengths', 'green'),
+    quadrant(1, 'Weaknesses', 'pink'),
+    quadrant(2, 'Opportunities', 'blue'),
+    quadrant(3, 'Threats', 'yellow')
+  ];
+  const prompts = [
+    ['What do we do well?', 'green'],
+    ['Where are we lacking?', 'pink'],
+    ['What could we take advantage of?', 'blue'],
+    ['What could get in our way?', 'orange']
+  ];
+  return {
+    frames,
+    notes: prompts.map(([title, color], i) => noteIn(i + 1, frames[i], 0, { title, content: '- ', color })),
+    connections: []
+  };
+};
+
+const roadmap = () => {
+  const frames = ['Q1', 'Q2', 'Q3', 'Q4'].map((quarter, i) => column(i, quarter, 'gray', 520));
+  return {
+    frames,
+    notes: frames.map((frame, i) => noteIn(i + 1, frame, 0, {
+      title: `${frame.title} milestone`,
+      content: 'Goal:\n\n- [ ] ',
+      color: 'purple',
+      category: 'Goals'
+    })),
+    // Each quarter's milestone leads into the next
+    connections: [1, 2, 3].map(id => ({ from: id, to: id + 1, color: '#6366f1' }))
+  };
+};
+
+const kanban = () => {
+  const frames = [
+    column(0, 'To do', 'gray'),
+    column(1, 'In progress', 'yellow'),
+    column(2, 'Done', 'green')
+  ];
+  return {
+    frames,
+    notes: [
+      noteIn(1, frames[0], 0, { title: 'First task', content: 'Drag cards across as work moves', category: 'Tasks' }),
+      noteIn(2, frames[0], 1, { title: 'Second task', content: '', category: 'Tasks' }),
+      noteIn(3, frames[1], 0, { title: 'Task in progress', content: '', category: 'Tasks', color: 'orange', status: 'in-progress' }),
+      noteIn(4, frames[2], 0, { title: 'Finished task', content: '', category: 'Tasks', color: 'green', status: 'done' })
+    ],
+    connections: []
+  };
+};
+
+export const BOARD_TEMPLATES = [
+  { id: 'retrospective', name: 'Retrospective', description: 'Went well, to improve and action items', icon: 'History', board: retrospective() },
+  { id: 'swot', name: 'SWOT analysis', description: 'Strengths, weaknesses, opportunities, threats', icon: 'LayoutGrid', board: swot() },
+  { id: 'roadmap', name: 'Quarterly roadmap', description: 'A column per quarter with linked milestones', icon: 'Milestone', board: roadmap() },
+  { id: 'kanban', name: 'Kanban', description: 'To do, in progress and done lanes', icon: 'Columns3', board: kanban() }
+];
+
+// Only what makes sense to reuse: no authorship, comments, history or stored files
+const NOTE_FIELDS = ['id', 'title', 'content', 'color', 'category', 'position', 'type', 'link', 'status', 'kanbanOrder', 'priority'];
+
+// A note reduced to NOTE_FIELDS, for captured boards and shared template files alike
+export const toTemplateNote = (note) => {
+  const kept = Object.fromEntries(NOTE_FIELDS.filter(field => note[field] !== undefined).map(field => [field, note[field]]));
+  // Image files stay on this device, so image notes become plain ones
+  if (kept.type !== 'link') delete kept.type;
+  return { ...kept, comments: [], zIndex: 1 };
+};
+
+// A board template from part of a board, moved so it starts at (0, 0)
+export const captureBoard = ({ notes, connections, frames = [] }) => {
+  const bounds = getNotesBounds(notes);
+  const origin = {
+    x: Math.min(bounds.x, ...frames.map(frame => frame.x)),
+    y: Math.min(bounds.y, ...frames.map(frame => frame.y))
+  };
+  const ids = new Set(notes.map(note => note.id));
+
+  return {
+    frames: frames.map(frame => ({ ...frame, x: frame.x - origin.x, y: frame.y - origin.y, collapsed: false })),
+    notes: notes.map(note => ({
+      ...toTemplateNote(note),
+      position: { x: note.position.x - origin.x, y: note.position.y - origin.y }
+    })),
+    connections: connections.filter(conn => ids.has(conn.from) && ids.has(conn.to))
+  };
+};
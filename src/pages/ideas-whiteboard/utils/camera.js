@@ -0,0 +1,101 @@
+import { getNoteBounds } from './geometry';
+
+// The camera maps world coordinates to screen: screen = world * zoom + (x, y)
+export const MIN_ZOOM = 0.1;
+export const MAX_ZOOM = 4;
+export const ZOOM_LEVELS = [0.1, 0.25, 0.5, 0.75, 1, 1.25, 1.5, 2, 3, 4];
+export const DEFAULT_CAMERA = { x: 0, y: 0, zoom: 1 };
+
+export const clampZoom = (zoom) => Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, zoom));
+
+export const isValidCamera = (camera) => (
+  !!camera &&
+  Number.isFinite(camera.x) &&
+  Number.isFinite(camera.y) &&
+  Number.isFinite(camera.zoom) &&
+  camera.zoom > 0
+);
+
+export const screenToWorld = (camera, point) => ({
+  x: (point.x - camera.x) / camera.zoom,
+  y: (point.y - camera.y) / camera.zoom
+});
+
+export const worldToScreen = (camera, point) => ({
+  x: point.x * camera.zoom + camera.x,
+  y: point.y * camera.zoom + camera.y
+});
+
+export const screenRectToWorld = (camera, rect) => ({
+  ...screenToWorld(camera, rect),
+  width: rect.width / camera.zoom,
+  height: rect.height / camera.zoom
+});
+
+// The world-space rectangle currently visible in a viewport of the given size
+export const getVisibleWorldRect = (camera, viewport) => screenRectToWorld(camera, {
+  x: 0,
+  y: 0,
+  width: viewport.width,
+  height: viewport.height
+});
+
+// Zoom so that the world point under `anchor` (screen space) stays put
+export const zoomAtPoint = (camera, zoom, anchor) => {
+  const nextZoom = clampZoom(zoom);
+  const world = screenToWorld(camera, anchor);
+  return {
+    zoom: nextZoom,
+    x: anchor.x - world.x * nextZoom,
+    y: anchor.y - world.y * nextZoom
+  };
+};
+
+export const getViewportCenter = (viewport) => ({
+  x: viewport.width / 2,
+  y: viewport.height / 2
+});
+
+// Same zoom, panned so the world `point` sits in the middle of the viewport
+export const centerOn = (camera, point, viewport) => ({
+  zoom: camera.zoom,
+  x: viewport.width / 2 - point.x * camera.zoom,
+  y: viewport.height / 2 - point.y * camera.zoom
+});
+
+export const stepZoom = (zoom, direction) => {
+  if (direction > 0) {
+    return ZOOM_LEVELS.find(level => level > zoom + 0.001) ?? MAX_ZOOM;
+  }
+  return [...ZOOM_LEVELS].reverse().find(level => level < zoom - 0.001) ?? MIN_ZOOM;
+};
+
+export const getNotesBounds = (notes) => {
+  if (notes.length === 0) return null;
+
+  const rects = notes.map(getNoteBounds);
+  const minX = Math.min(...rects.map(r => r.x));
+  const minY = Math.min(...rects.map(r => r.y));
+  const maxX = Math.max(...rects.map(r => r.x + r.width));
+  const maxY = Math.max(...rects.map(r => r.y + r.height));
+  return { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+};
+
+// Camera that centres `bounds` in the viewport with `padding` screen pixels around it
+export const fitBounds = (bounds, viewport, padding = 48, maxZoom = 1.5) => {
+  if (!bounds || !viewport.width || !viewport.height) return null;
+
+  const availableWidth = Math.max(1, viewport.width - padding * 2);
+  const availableHeight = Math.max(1, viewport.height - padding * 2);
+  const zoom = clampZoom(Math.min(
+    availableWidth / bounds.width,
+    availableHeight / bounds.height,
+    maxZoom
+  ));
+
+  return {
+    zoom,
+    x: viewport.width / 2 - (bounds.x + bounds.width / 2) * zoom,
+    y: viewport.height / 2 - (bounds.y + bounds.height / 2) * zoom
+  };
+};
@@ -0,0 +1,43 @@
+import { can } from './permissions';
+
+// Which remote ops a replica takes, shared by the collaboration session and the dev
+// relay so both hold the same registers. The board's members travel beside the
+// document: `members` holds each collaborator and their role, and `replicas` maps
+// every replica to the member it acts for. Replicas nobody vouches for are viewers.
+const roleOf = (replica, authorId) => {
+  const memberId = replica.read('replicas', authorId)?.memberId;
+  const member = memberId === undefined || memberId === null ? null : replica.read('members', String(memberId));
+  return member?.role || 'viewer';
+};
+
+// A board nobody owns yet takes its first member list from whoever shares it
+const canManageMembers = (replica, authorId) => (
+  can(roleOf(replica, authorId), 'manageCollaborators') ||
+  !replica.list('members').some(member => member.role === 'owner')
+);
+
+// Applies the ops their authors may make and returns { changed, membersChanged,
+// accepted }. Registrations go first and role changes are applied until none are
+// left that their authors may make, so a snapshot can vouch for the replicas and
+// members it contains. Content ops need a role that can edit.
+export const applyAuthorizedOps = (replica, ops) => {
+  const registrations = ops.filter(op => op.collection === 'replicas' && op.key === op.ts.r);
+  if (registrations.length > 0) replica.applyOps(registrations);
+
+  let membersChanged = false;
+  const members = [];
+  let waiting = ops.filter(op => op.collection === 'members');
+  let allowed = waiting.filter(op => canManageMembers(replica, op.ts.r));
+  while (allowed.length > 0) {
+    if (replica.applyOps(allowed)) membersChanged = true;
+    members.push(...allowed);
+    waiting = waiting.filter(op => !allowed.includes(op));
+    allowed = waiting.filter(op => canManageMembers(replica, op.ts.r));
+  }
+
+  const content = ops.filter(op =>
+    op.collection !== 'replicas' && op.collection !== 'members' && can(roleOf(replica, op.ts.r), 'edit')
+  );
+  const changed = content.length > 0 && replica.applyOps(content);
+  return { changed, membersChanged, accepted: [...registrations, ...members, ...content] };
+};
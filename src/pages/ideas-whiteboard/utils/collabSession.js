@@ -0,0 +1,280 @@
+import { createReplica, createReplicaId, docToEntities, diffEntities } from './crdt';
+import { can } from './permissions';
+import { applyAuthorizedOps } from './collabRoles';
+import { getPresenceColor } from './userColors';
+
+// One collaboration session per open board. Local edits are diffed into CRDT ops and
+// queued; the queue is flushed whenever the transport is online and persisted so
+// offline changes survive a reload. Remote ops are merged and handed back as a doc.
+//
+// The board's members travel in the same replica, beside the document. Remote ops
+// are only applied when their author's role allows them (see collabRoles.js), so a
+// viewer's edits or a non-admin's role changes never take effect.
+//
+// Messages: join, snapshot, ops, presence, leave (see collabDevServer.mjs)
+const STATE_KEY_PREFIX = 'whiteboard-collab:';
+const REPLICA_KEY = 'whiteboard-collab-replica';
+const PERSIST_DELAY_MS = 500;
+const PRESENCE_INTERVAL_MS = 50;
+
+// Problems the session reports through onError; syncing carries on regardless
+export const collabErrorMessages = {
+  'save-failed': 'Collaboration changes could not be saved on this device, so edits made offline may be lost on reload.',
+  'bad-message': 'An update from the collaboration server could not be read and was skipped.'
+};
+
+// Per tab, so two tabs of the same browser are separate collaborators
+const getReplicaId = () => {
+  try {
+    const existing = sessionStorage.getItem(REPLICA_KEY);
+    if (existing) return existing;
+    const id = createReplicaId();
+    sessionStorage.setItem(REPLICA_KEY, id);
+    return id;
+  } catch {
+    return createReplicaId();
+  }
+};
+
+const loadState = (boardId) => {
+  try {
+    const raw = localStorage.getItem(`${STATE_KEY_PREFIX}${boardId}`);
+    return raw ? JSON.parse(raw) : null;
+  } catch {
+    return null;
+  }
+};
+
+const saveState = (boardId, state) => {
+  try {
+    localStorage.setItem(`${STATE_KEY_PREFIX}${boardId}`, JSON.stringify(state));
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const membersToEntities = (collaborators) => ({
+  members: new Map(collaborators.map(member => [String(member.id), member]))
+});
+
+export const clearCollabState = (boardId) => {
+  try {
+    localStorage.removeItem(`${STATE_KEY_PREFIX}${boardId}`);
+  } catch {
+    // Nothing to clean up
+  }
+};
+
+export const createCollabSession = ({
+  boardId,
+  user,
+  transport,
+  doc,
+  members = [],
+  onRemoteChange,
+  onMembersChange,
+  onPeersChange,
+  onStatusChange,
+  onPendingChange,
+  onError
+}) => {
+  const replicaId = getReplicaId();
+  const saved = loadState(boardId);
+  const replica = createReplica(replicaId, saved);
+  const peers = new Map();
+  let pending = [];
+  let status = 'offline';
+  let persistTimer = null;
+  let presenceTimer = null;
+  let presence = { cursor: null, selection: [] };
+  const unsubscribers = [];
+
+  // Edits made while the session was closed become local ops; member changes only
+  // from someone allowed to make them, otherwise the shared list wins
+  const entities = docToEntities(doc);
+  const startChanges = diffEntities(docToEntities(replica.materialize()), entities);
+  const localRole = members.find(member => member.id === user.id)?.role;
+  const memberChanges = can(localRole, 'manageCollaborators')
+    ? diffEntities(membersToEntities(replica.list('members')), membersToEntities(members))
+    : [];
+  const registration = replica.read('replicas', replicaId)?.memberId === user.id
+    ? []
+    : diffEntities({}, { replicas: new Map([[replicaId, { memberId: user.id }]]) });
+
+  // `synced` is the app doc the replica fully reflects; `proposals` are merged docs
+  // handed to the app that it hasn't rendered yet
+  let synced = { doc, entities };
+  let proposals = [];
+
+  const persist = () => {
+    clearTimeout(persistTimer);
+    persistTimer = null;
+    if (!saveState(boardId, { ...replica.exportState(), pending })) onError?.('save-failed');
+  };
+
+  const schedulePersist = () => {
+    if (!persistTimer) persistTimer = setTimeout(persist, PERSIST_DELAY_MS);
+  };
+
+  const setPending = (next) => {
+    pending = next;
+    onPendingChange?.(pending.length);
+    schedulePersist();
+  };
+
+  const flush = () => {
+    if (!pending.length || status !== 'online') return;
+    if (transport.send({ type: 'ops', replicaId, ops: pending })) {
+      setPending([]);
+    }
+  };
+
+  const presenceMessage = () => ({
+    type: 'presence',
+    replicaId,
+    user: { name: user.name, color: getPresenceColor(replicaId) },
+    ...presence
+  });
+
+  const sendPresence = () => {
+    presenceTimer = null;
+    if (status === 'online') transport.send(presenceMessage());
+  };
+
+  const emitPeers = () => onPeersChange?.([...peers.values()]);
+
+  const emitMembers = () => {
+    const list = replica.list('members');
+    if (list.length > 0) onMembersChange?.(list);
+  };
+
+  const publish = () => {
+    const merged = replica.materialize();
+    // The app applies it only on top of a doc the replica already accounts for
+    onRemoteChange([synced.doc, ...proposals], merged);
+    proposals = [...proposals, merged];
+    schedulePersist();
+  };
+
+  const handleMessage = (message) => {
+    if (message.replicaId === replicaId) return;
+    if (message.to && message.to !== replicaId) return;
+
+    switch (message.type) {
+      case 'snapshot':
+      case 'ops': {
+        const { changed, membersChanged } = applyAuthorizedOps(replica, message.ops || []);
+        if (changed) publish();
+        if (membersChanged) emitMembers();
+        schedulePersist();
+        break;
+      }
+      case 'join':
+        // Without a relay keeping history, existing peers bring the newcomer up to date
+        if (!transport.keepsHistory) {
+          transport.send({ type: 'snapshot', replicaId, to: message.replicaId, ops: replica.exportOps() });
+        }
+        transport.send(presenceMessage());
+        break;
+      case 'presence':
+        peers.set(message.replicaId, {
+          replicaId: message.replicaId,
+          name: message.user?.name || 'Guest',
+          color: message.user?.color || getPresenceColor(message.replicaId),
+          cursor: message.cursor || null,
+          selection: message.selection || []
+        });
+        emitPeers();
+        break;
+      case 'leave':
+        if (peers.delete(message.replicaId)) emitPeers();
+        break;
+      default:
+        break;
+    }
+  };
+
+  const handleStatus = (next) => {
+    status = next;
+    onStatusChange?.(next);
+    if (next === 'online') {
+      transport.send({ type: 'join', replicaId, user: { name: user.name } });
+      flush();
+      sendPresence();
+    } else if (peers.size) {
+      peers.clear();
+      emitPeers();
+    }
+  };
+
+  const handlePageHide = () => {
+    if (status === 'online') transport.send({ type: 'leave', replicaId });
+    persist();
+  };
+
+  setPending([
+    ...(saved?.pending || []),
+    ...replica.commitLocal([...registration, ...memberChanges, ...startChanges])
+  ]);
+  emitMembers();
+  unsubscribers.push(transport.subscribe(handleMessage));
+  unsubscribers.push(transport.onStatus(handleStatus));
+  if (transport.onError) unsubscribers.push(transport.onError((code) => onError?.(code)));
+  window.addEventListener('pagehide', handlePageHide);
+  transport.connect();
+
+  return {
+    replicaId,
+
+    // Called with every app doc; commits whatever changed locally since the last sync
+    update: (nextDoc) => {
+      const accepted = proposals.indexOf(nextDoc);
+      if (accepted !== -1) {
+        synced = { doc: nextDoc, entities: docToEntities(nextDoc) };
+        proposals = proposals.slice(accepted + 1);
+        return;
+      }
+      if (nextDoc === synced.doc) return;
+
+      const nextEntities = docToEntities(nextDoc);
+      const changes = diffEntities(synced.entities, nextEntities);
+      synced = { doc: nextDoc, entities: nextEntities };
+      if (changes.length) {
+        setPending([...pending, ...replica.commitLocal(changes)]);
+        flush();
+      }
+      // Merges the app skipped because it had unsynced edits of its own
+      if (proposals.length) {
+        proposals = [];
+        publish();
+      }
+    },
+
+    // `update` receives the shared member list and returns the changed one
+    updateMembers: (update) => {
+      const current = replica.list('members');
+      const changes = diffEntities(membersToEntities(current), membersToEntities(update(current)));
+      if (!changes.length) return;
+      setPending([...pending, ...replica.commitLocal(changes)]);
+      flush();
+      emitMembers();
+    },
+
+    setPresence: (updates) => {
+      presence = { ...presence, ...updates };
+      if (!presenceTimer) presenceTimer = setTimeout(sendPresence, PRESENCE_INTERVAL_MS);
+    },
+
+    getPendingCount: () => pending.length,
+
+    stop: () => {
+      if (status === 'online') transport.send({ type: 'leave', replicaId });
+      window.removeEventListener('pagehide', handlePageHide);
+      clearTimeout(presenceTimer);
+      unsubscribers.forEach(unsubscribe => unsubscribe());
+      transport.disconnect();
+      persist();
+    }
+  };
+};
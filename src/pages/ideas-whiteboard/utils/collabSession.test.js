@@ -0,0 +1,227 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { createCollabSession } from './collabSession';
+import { createReplica, diffEntities } from './crdt';
+import { createNoteId } from './boardCommands';
+
+const createFakeTransport = () => {
+  const errorHandlers = new Set();
+  const messageHandlers = new Set();
+  const statusHandlers = new Set();
+  return {
+    keepsHistory: true,
+    connect: vi.fn(),
+    disconnect: vi.fn(),
+    send: vi.fn(() => true),
+    subscribe: (handler) => {
+      messageHandlers.add(handler);
+      return () => messageHandlers.delete(handler);
+    },
+    deliver: (message) => messageHandlers.forEach(handler => handler(message)),
+    onStatus: (handler) => {
+      statusHandlers.add(handler);
+      return () => statusHandlers.delete(handler);
+    },
+    setStatus: (status) => statusHandlers.forEach(handler => handler(status)),
+    onError: (handler) => {
+      errorHandlers.add(handler);
+      return () => errorHandlers.delete(handler);
+    },
+    emitError: (code) => errorHandlers.forEach(handler => handler(code))
+  };
+};
+
+const startSession = (transport, onError, options = {}) => createCollabSession({
+  boardId: 'board-1',
+  user: { id: 1, name: 'Sarah' },
+  transport,
+  doc: { notes: [], connections: [], lanes: [], frames: [] },
+  onRemoteChange: vi.fn(),
+  onError,
+  ...options
+});
+
+const team = [
+  { id: 1, name: 'Sarah', role: 'owner' },
+  { id: 2, name: 'Mike', role: 'editor' },
+  { id: 3, name: 'Ana', role: 'viewer' }
+];
+
+// Ops from another collaborator's replica acting for member `memberId`
+const createPeer = (replicaId, memberId) => {
+  const replica = createReplica(replicaId);
+  const commit = (next) => replica.commitLocal(diffEntities({}, next));
+  return {
+    receive: (ops) => replica.applyOps(ops),
+    register: () => commit({ replicas: new Map([[replicaId, { memberId }]]) }),
+    addNote: (id) => commit({ notes: new Map([[String(id), { id, title: `Note ${id}` }]]) }),
+    setMember: (member) => commit({ members: new Map([[String(member.id), member]]) }),
+    setWipLimits: (value) => commit({ board: new Map([['wipLimits', { value }]]) }),
+    message: (ops) => ({ type: 'ops', replicaId, ops })
+  };
+};
+
+describe('createCollabSession errors', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('reports transport errors through onError', () => {
+    const transport = createFakeTransport();
+    const onError = vi.fn();
+    const session = startSession(transport, onError);
+
+    transport.emitError('bad-message');
+    expect(onError).toHaveBeenCalledWith('bad-message');
+    session.stop();
+  });
+
+  it('stops listening to the transport when stopped', () => {
+    const transport = createFakeTransport();
+    const onError = vi.fn();
+    startSession(transport, onError).stop();
+
+    transport.emitError('bad-message');
+    expect(onError).not.toHaveBeenCalled();
+  });
+
+  it('reports when its state cannot be saved', () => {
+    vi.spyOn(Storage.prototype, 'setItem').mockImplementation(() => {
+      throw new Error('QuotaExceededError');
+    });
+    const onError = vi.fn();
+    startSession(createFakeTransport(), onError).stop();
+
+    expect(onError).toHaveBeenCalledWith('save-failed');
+  });
+});
+
+describe('createCollabSession roles', () => {
+  const setup = () => {
+    const transport = createFakeTransport();
+    const onRemoteChange = vi.fn();
+    const onMembersChange = vi.fn();
+    const session = startSession(transport, vi.fn(), { members: team, onRemoteChange, onMembersChange });
+    const lastDoc = () => onRemoteChange.mock.calls[onRemoteChange.mock.calls.length - 1]?.[1];
+    return { transport, session, onRemoteChange, onMembersChange, lastDoc };
+  };
+
+  it('shares the owner\'s member list when the session starts', () => {
+    const { session, onMembersChange } = setup();
+    expect(onMembersChange).toHaveBeenLastCalledWith(team);
+    session.stop();
+  });
+
+  it('applies edits from members whose role can edit', () => {
+    const { transport, session, lastDoc } = setup();
+    const editor = createPeer('rEditor', 2);
+    transport.deliver(editor.message([...editor.register(), ...editor.addNote(10)]));
+
+    expect(lastDoc().notes.map(note => note.id)).toEqual([10]);
+    session.stop();
+  });
+
+  it('ignores edits from viewers and unknown replicas', () => {
+    const { transport, session, onRemoteChange } = setup();
+    const viewer = createPeer('rViewer', 3);
+    const stranger = createPeer('rStranger', 99);
+    transport.deliver(viewer.message([...viewer.register(), ...viewer.addNote(11)]));
+    transport.deliver(stranger.message([...stranger.register(), ...stranger.addNote(12)]));
+
+    expect(onRemoteChange).not.toHaveBeenCalled();
+    session.stop();
+  });
+
+  it('syncs WIP limits set by editors but not by viewers', () => {
+    const { transport, session, lastDoc } = setup();
+    const editor = createPeer('rEditor', 2);
+    const viewer = createPeer('rViewer', 3);
+    transport.deliver(editor.message([...editor.register(), ...editor.setWipLimits({ doing: 3 })]));
+    transport.deliver(viewer.message([...viewer.register(), ...viewer.setWipLimits({ doing: 1 })]));
+
+    expect(lastDoc().wipLimits).toEqual({ doing: 3 });
+    session.stop();
+  });
+
+  it('ignores role changes from members who can\'t manage collaborators', () => {
+    const { transport, session, onMembersChange } = setup();
+    const editor = createPeer('rEditor', 2);
+    onMembersChange.mockClear();
+    transport.deliver(editor.message([...editor.register(), ...editor.setMember({ ...team[2], role: 'admin' })]));
+
+    expect(onMembersChange).not.toHaveBeenCalled();
+    session.stop();
+  });
+
+  it('takes role changes from the owner, wherever they appear in a batch', () => {
+    const { transport, session, onMembersChange, lastDoc } = setup();
+    const owner = createPeer('rOwner', 1);
+    const viewer = createPeer('rViewer', 3);
+    // The owner has seen the member list this session shared
+    transport.setStatus('online');
+    owner.receive(transport.send.mock.calls.find(([message]) => message.type === 'ops')[0].ops);
+    const promotion = owner.setMember({ ...team[2], role: 'editor' });
+    transport.deliver(viewer.message([...viewer.register(), ...viewer.addNote(13), ...promotion, ...owner.register()]));
+
+    expect(onMembersChange).toHaveBeenLastCalledWith([team[0], team[1], { ...team[2], role: 'editor' }]);
+    expect(lastDoc().notes.map(note => note.id)).toEqual([13]);
+    session.stop();
+  });
+
+  it('commits local member changes and sends them', () => {
+    const { transport, session, onMembersChange } = setup();
+    transport.setStatus('online');
+    transport.send.mockClear();
+    session.updateMembers(members => members.filter(member => member.id !== 3));
+
+    expect(onMembersChange).toHaveBeenLastCalledWith(team.slice(0, 2));
+    const [sent] = transport.send.mock.calls.find(([message]) => message.type === 'ops');
+    expect(sent.ops.every(op => op.collection === 'members' && op.key === '3')).toBe(true);
+    session.stop();
+  });
+});
+
+describe('createCollabSession for a guest', () => {
+  it('waits for the shared member list instead of sharing its own', () => {
+    const transport = createFakeTransport();
+    const onMembersChange = vi.fn();
+    const session = startSession(transport, vi.fn(), {
+      user: { id: 'link-editor', name: 'Guest' },
+      members: [],
+      onMembersChange
+    });
+    expect(onMembersChange).not.toHaveBeenCalled();
+
+    const owner = createPeer('rOwner', 1);
+    const seat = { id: 'link-editor', name: 'Guests with the edit link', role: 'editor' };
+    transport.deliver(owner.message([...owner.setMember(team[0]), ...owner.setMember(seat), ...owner.register()]));
+    expect(onMembersChange).toHaveBeenLastCalledWith([team[0], seat]);
+    session.stop();
+  });
+});
+
+describe('createCollabSession concurrent edits', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('keeps notes two collaborators create in the same millisecond', () => {
+    vi.spyOn(Date, 'now').mockReturnValue(1767225600000);
+    const transport = createFakeTransport();
+    const onRemoteChange = vi.fn();
+    const session = startSession(transport, vi.fn(), { members: team, onRemoteChange });
+
+    const local = { id: createNoteId(), title: 'Mine', position: { x: 0, y: 0 } };
+    session.update({ notes: [local], connections: [], lanes: [], frames: [] });
+    const editor = createPeer('rEditor', 2);
+    const remoteId = createNoteId();
+    transport.deliver(editor.message([
+      ...editor.register(),
+      ...editor.addNote(remoteId)
+    ]));
+
+    const merged = onRemoteChange.mock.calls[onRemoteChange.mock.calls.length - 1][1];
+    expect(remoteId).not.toBe(local.id);
+    expect(merged.notes.map(note => note.title).sort()).toEqual(['Mine', `Note ${remoteId}`]);
+    session.stop();
+  });
+});
@@ -0,0 +1,107 @@
+// Comments stay a flat list on each note (that's how the collaboration layer syncs
+// them); threads come from `parentId`. A comment with no parent starts a thread and
+// carries its resolved state, replies always point at the thread's first comment:
+//   { id, text, author, authorId, timestamp, parentId, mentions, resolved, resolvedBy, resolvedAt }
+// Comments saved before threads existed have none of the new fields and read as
+// open threads of their own.
+const byTime = (a, b) => new Date(a.timestamp || 0) - new Date(b.timestamp || 0);
+
+// [{ root, replies }] oldest first; replies whose thread is gone become threads
+export const buildThreads = (comments = []) => {
+  const roots = new Map(comments.filter(comment => comment.parentId == null).map(comment => [comment.id, comment]));
+  const replies = new Map();
+  comments.forEach(comment => {
+    if (comment.parentId == null) return;
+    if (!roots.has(comment.parentId)) {
+      roots.set(comment.id, comment);
+      return;
+    }
+    if (!replies.has(comment.parentId)) replies.set(comment.parentId, []);
+    replies.get(comment.parentId).push(comment);
+  });
+  return [...roots.values()].sort(byTime).map(root => ({
+    root,
+    replies: (replies.get(root.id) || []).sort(byTime)
+  }));
+};
+
+export const countUnresolvedThreads = (comments = []) => (
+  buildThreads(comments).filter(thread => !thread.root.resolved).length
+);
+
+export const hasUnresolvedComments = (note) => countUnresolvedThreads(note.comments) > 0;
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Longest names first so "@Ann Lee" wins over "@Ann"
+const mentionPattern = (collaborators) => {
+  const names = collaborators.map(user => user.name).filter(Boolean).sort((a, b) => b.length - a.length);
+  return names.length ? new RegExp(`@(${names.map(escapeRegExp).join('|')})(?![\\w])`, 'gi') : null;
+};
+
+// Ids of the collaborators named with @Full Name in `text`
+export const extractMentions = (text, collaborators = []) => {
+  const pattern = mentionPattern(collaborators);
+  if (!pattern) return [];
+  const ids = new Set();
+  for (const [, name] of String(text).matchAll(pattern)) {
+    const user = collaborators.find(candidate => candidate.name.toLowerCase() === name.toLowerCase());
+    if (user) ids.add(user.id);
+  }
+  return [...ids];
+};
+
+// [{ text, mention }] pieces of a comment, for rendering mentions as chips
+export const splitMentions = (text, collaborators = []) => {
+  const source = String(text ?? '');
+  const pattern = mentionPattern(collaborators);
+  if (!pattern) return [{ text: source }];
+  const parts = [];
+  let last = 0;
+  for (const match of source.matchAll(pattern)) {
+    if (match.index > last) parts.push({ text: source.slice(last, match.index) });
+    parts.push({ text: match[0], mention: true });
+    last = match.index + match[0].length;
+  }
+  if (last < source.length) parts.push({ text: source.slice(last) });
+  return parts;
+};
+
+// The "@partial" being typed right before the caret, or null
+export const getMentionQuery = (text, caret) => {
+  const match = text.slice(0, caret).match(/(^|\s)@([^\s@]*)$/);
+  return match ? { query: match[2], start: caret - match[2].length - 1 } : null;
+};
+
+// Collaborators whose name (or any word of it) starts with the query
+export const matchCollaborators = (collaborators, query, limit = 5) => {
+  const lowered = query.toLowerCase();
+  return collaborators
+    .filter(user => user.name && user.name.toLowerCase().split(/\s+/).concat(user.name.toLowerCase())
+      .some(part => part.startsWith(lowered)))
+    .slice(0, limit);
+};
+
+// Comments sync under their note by id, so ids must not clash between collaborators
+export const createComment = ({ text, author, parentId = null, collaborators = [] }) => ({
+  id: `comment-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`,
+  text: text.trim(),
+  author: author.name,
+  authorId: author.id,
+  timestamp: new Date().toISOString(),
+  parentId,
+  mentions: extractMentions(text, collaborators),
+  ...(parentId == null ? { resolved: false, resolvedBy: null, resolvedAt: null } : {})
+});
+
+// Fields are set rather than removed so the change syncs to collaborators
+export const setThreadResolved = (comments, rootId, resolved, user) => comments.map(comment => (
+  comment.id === rootId
+    ? {
+      ...comment,
+      resolved,
+      resolvedBy: resolved ? user.name : null,
+      resolvedAt: resolved ? new Date().toISOString() : null
+    }
+    : comment
+));
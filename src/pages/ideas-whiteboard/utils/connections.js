@@ -0,0 +1,82 @@
+import { NOTE_WIDTH, NOTE_HEIGHT, getNoteCenter } from './geometry';
+
+// Connections are { from, to, color, label, style, direction, routing };
+// everything but from/to is optional so boards saved before these existed still render
+export const DEFAULT_CONNECTION_COLOR = '#6366f1';
+
+export const CONNECTION_STYLES = ['solid', 'dashed', 'dotted'];
+export const CONNECTION_DIRECTIONS = ['forward', 'both', 'none'];
+export const CONNECTION_ROUTINGS = ['curved', 'straight', 'orthogonal'];
+
+export const withConnectionDefaults = (connection) => ({
+  color: DEFAULT_CONNECTION_COLOR,
+  label: '',
+  style: 'solid',
+  direction: 'forward',
+  routing: 'curved',
+  ...connection
+});
+
+export const isSameConnection = (connection, fromId, toId) => (
+  (connection.from === fromId && connection.to === toId) ||
+  (connection.from === toId && connection.to === fromId)
+);
+
+export const getDashArray = (style) => {
+  if (style === 'dashed') return '8 6';
+  if (style === 'dotted') return '1 6';
+  return undefined;
+};
+
+// Attach to the middle of the facing sides so arrowheads aren't hidden under the notes
+export const getConnectionAnchors = (fromNote, toNote) => {
+  const fromCenter = getNoteCenter(fromNote);
+  const toCenter = getNoteCenter(toNote);
+  const dx = toCenter.x - fromCenter.x;
+  const dy = toCenter.y - fromCenter.y;
+
+  if (Math.abs(dx) / NOTE_WIDTH >= Math.abs(dy) / NOTE_HEIGHT) {
+    const sign = dx >= 0 ? 1 : -1;
+    return {
+      axis: 'horizontal',
+      from: { x: fromCenter.x + sign * NOTE_WIDTH / 2, y: fromCenter.y },
+      to: { x: toCenter.x - sign * NOTE_WIDTH / 2, y: toCenter.y }
+    };
+  }
+
+  const sign = dy >= 0 ? 1 : -1;
+  return {
+    axis: 'vertical',
+    from: { x: fromCenter.x, y: fromCenter.y + sign * NOTE_HEIGHT / 2 },
+    to: { x: toCenter.x, y: toCenter.y - sign * NOTE_HEIGHT / 2 }
+  };
+};
+
+export const getConnectionPath = (from, to, routing = 'curved', axis = 'horizontal') => {
+  if (routing === 'straight') {
+    return `M ${from.x} ${from.y} L ${to.x} ${to.y}`;
+  }
+
+  if (routing === 'orthogonal') {
+    if (axis === 'horizontal') {
+      const midX = (from.x + to.x) / 2;
+      return `M ${from.x} ${from.y} H ${midX} V ${to.y} H ${to.x}`;
+    }
+    const midY = (from.y + to.y) / 2;
+    return `M ${from.x} ${from.y} V ${midY} H ${to.x} V ${to.y}`;
+  }
+
+  // Bezier leaving and entering along the anchor axis
+  if (axis === 'horizontal') {
+    const midX = (from.x + to.x) / 2;
+    return `M ${from.x} ${from.y} C ${midX} ${from.y}, ${midX} ${to.y}, ${to.x} ${to.y}`;
+  }
+  const midY = (from.y + to.y) / 2;
+  return `M ${from.x} ${from.y} C ${from.x} ${midY}, ${to.x} ${midY}, ${to.x} ${to.y}`;
+};
+
+// Every routing above passes through the midpoint of its anchors
+export const getConnectionMidpoint = (from, to) => ({
+  x: (from.x + to.x) / 2,
+  y: (from.y + to.y) / 2
+});
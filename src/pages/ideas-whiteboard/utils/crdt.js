@@ -0,0 +1,210 @@
+// Conflict-free replicated board document. Every entity field is a
+// last-writer-wins register stamped with a Lamport clock { c: counter, r: replicaId },
+// so replicas that have seen the same ops converge regardless of arrival order.
+// Ops are { collection, key, field, value, ts }; deletes set the `_deleted` field.
+
+const DELETED = '_deleted';
+const COLLECTIONS = ['notes', 'comments', 'connections', 'frames', 'board'];
+
+export const compareStamps = (a, b) => {
+  if (a.c !== b.c) return a.c - b.c;
+  if (a.r === b.r) return 0;
+  return a.r < b.r ? -1 : 1;
+};
+
+export const createReplicaId = () => (
+  `r${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`
+);
+
+// Connections are undirected for identity, so reversing one is a field update
+export const connectionKey = (connection) => (
+  [String(connection.from), String(connection.to)].sort().join('|')
+);
+
+// Flatten the app document into collection -> key -> fields
+export const docToEntities = (doc) => {
+  const entities = Object.fromEntries(COLLECTIONS.map(name => [name, new Map()]));
+
+  (doc.notes || []).forEach(note => {
+    const { comments, ...fields } = note;
+    entities.notes.set(String(note.id), fields);
+    (comments || []).forEach(comment => {
+      entities.comments.set(`${note.id}:${comment.id}`, { ...comment, noteId: note.id });
+    });
+  });
+  (doc.connections || []).forEach(conn => entities.connections.set(connectionKey(conn), conn));
+  (doc.frames || []).forEach(frame => entities.frames.set(String(frame.id), frame));
+  entities.board.set('lanes', { value: doc.lanes || [] });
+  entities.board.set('wipLimits', { value: doc.wipLimits || {} });
+
+  return entities;
+};
+
+const sameValue = (a, b) => (
+  a === b || (typeof a === 'object' && typeof b === 'object' && JSON.stringify(a) === JSON.stringify(b))
+);
+
+// Field-level changes turning `prev` entities into `next` ones, for the collections in `next`
+export const diffEntities = (prev, next) => {
+  const changes = [];
+  Object.keys(next).forEach(collection => {
+    const before = prev[collection] || new Map();
+    const after = next[collection];
+
+    after.forEach((fields, key) => {
+      const old = before.get(key);
+      if (!old) {
+        changes.push({ collection, key, field: DELETED, value: false });
+      }
+      Object.keys(fields).forEach(field => {
+        if (!old || !sameValue(old[field], fields[field])) {
+          changes.push({ collection, key, field, value: fields[field] });
+        }
+      });
+      if (old) {
+        Object.keys(old).forEach(field => {
+          if (!(field in fields)) {
+            changes.push({ collection, key, field, value: undefined });
+          }
+        });
+      }
+    });
+
+    before.forEach((fields, key) => {
+      if (!after.has(key)) {
+        changes.push({ collection, key, field: DELETED, value: true });
+      }
+    });
+  });
+  return changes;
+};
+
+const entityId = (collection, key) => `${collection}\u0001${key}`;
+
+export const createReplica = (replicaId, savedState = null) => {
+  const entities = new Map();
+  let counter = 0;
+  let version = 0;
+
+  const getEntity = (collection, key) => {
+    const id = entityId(collection, key);
+    if (!entities.has(id)) {
+      entities.set(id, { collection, key, fields: {}, cache: null });
+    }
+    return entities.get(id);
+  };
+
+  // Returns true when the op changed visible state
+  const applyOp = (op) => {
+    counter = Math.max(counter, op.ts.c);
+    const entity = getEntity(op.collection, op.key);
+    const current = entity.fields[op.field];
+    if (current && compareStamps(current.ts, op.ts) >= 0) return false;
+
+    entity.fields[op.field] = { value: op.value, ts: op.ts };
+    entity.cache = null;
+    if (op.collection === 'comments') {
+      // Comments render inside their note
+      const noteId = entity.fields.noteId?.value;
+      if (noteId !== undefined) getEntity('notes', String(noteId)).cache = null;
+    }
+    return true;
+  };
+
+  const applyOps = (ops) => {
+    let changed = false;
+    ops.forEach(op => {
+      if (applyOp(op)) changed = true;
+    });
+    if (changed) version++;
+    return changed;
+  };
+
+  // Stamp local changes, apply them and return the ops to broadcast
+  const commitLocal = (changes) => {
+    const ops = changes.map(change => ({ ...change, ts: { c: ++counter, r: replicaId } }));
+    applyOps(ops);
+    return ops;
+  };
+
+  const isAlive = (entity) => entity.fields[DELETED] && !entity.fields[DELETED].value;
+  const createdAt = (entity) => entity.fields[DELETED].ts;
+  const valuesOf = (entity) => {
+    const result = {};
+    Object.keys(entity.fields).forEach(field => {
+      if (field !== DELETED && entity.fields[field].value !== undefined) {
+        result[field] = entity.fields[field].value;
+      }
+    });
+    return result;
+  };
+
+  const aliveIn = (collection) => [...entities.values()]
+    .filter(entity => entity.collection === collection && isAlive(entity))
+    .sort((a, b) => compareStamps(createdAt(a), createdAt(b)));
+
+  // Rebuild the app document, reusing objects for entities that haven't changed
+  const materialize = () => {
+    const commentsByNote = new Map();
+    aliveIn('comments').forEach(entity => {
+      const { noteId, ...comment } = valuesOf(entity);
+      const key = String(noteId);
+      if (!commentsByNote.has(key)) commentsByNote.set(key, []);
+      commentsByNote.get(key).push(comment);
+    });
+
+    const build = (entity, create) => {
+      if (!entity.cache) entity.cache = create();
+      return entity.cache;
+    };
+
+    return {
+      notes: aliveIn('notes').map(entity => build(entity, () => ({
+        ...valuesOf(entity),
+        comments: commentsByNote.get(entity.key) || []
+      }))),
+      connections: aliveIn('connections').map(entity => build(entity, () => valuesOf(entity))),
+      frames: aliveIn('frames').map(entity => build(entity, () => valuesOf(entity))),
+      lanes: entities.get(entityId('board', 'lanes'))?.fields.value?.value || [],
+      wipLimits: entities.get(entityId('board', 'wipLimits'))?.fields.value?.value || {}
+    };
+  };
+
+  // Entities kept beside the board document, such as members, by collection
+  const list = (collection) => aliveIn(collection).map(valuesOf);
+
+  const read = (collection, key) => {
+    const entity = entities.get(entityId(collection, key));
+    return entity && isAlive(entity) ? valuesOf(entity) : null;
+  };
+
+  // Every current register as an op, for snapshots and persistence
+  const exportOps = () => {
+    const ops = [];
+    entities.forEach(entity => {
+      Object.keys(entity.fields).forEach(field => {
+        const { value, ts } = entity.fields[field];
+        ops.push({ collection: entity.collection, key: entity.key, field, value, ts });
+      });
+    });
+    return ops;
+  };
+
+  if (savedState) {
+    applyOps(savedState.ops || []);
+    counter = Math.max(counter, savedState.counter || 0);
+  }
+
+  return {
+    replicaId,
+    applyOps,
+    commitLocal,
+    materialize,
+    list,
+    read,
+    exportOps,
+    exportState: () => ({ counter, ops: exportOps() }),
+    getVersion: () => version,
+    isEmpty: () => entities.size === 0
+  };
+};
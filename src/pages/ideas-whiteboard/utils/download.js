@@ -0,0 +1,16 @@
+// Saves `blob` through a temporary link
+export const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = fileName;
+  a.click();
+  URL.revokeObjectURL(url);
+};
+
+// 'My Board!' -> 'my-board', for file names
+export const toFileSlug = (name) => (
+  String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'whiteboard'
+);
+
+export const todayStamp = () => new Date().toISOString().split('T')[0];
@@ -0,0 +1,70 @@
+import { getNoteCenter } from './geometry';
+import { getNotesBounds } from './camera';
+
+// Frames are named regions: { id, title, color, x, y, width, height, collapsed }.
+// Membership isn't stored; a note belongs to every frame containing its centre.
+export const FRAME_HEADER_HEIGHT = 40;
+export const FRAME_PADDING = 32;
+export const MIN_FRAME_WIDTH = 200;
+export const MIN_FRAME_HEIGHT = 120;
+
+export const FRAME_COLORS = ['gray', 'blue', 'green', 'yellow', 'pink', 'purple'];
+
+export const createFrameId = () => `frame-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+
+const containsPoint = (rect, point) => (
+  point.x >= rect.x && point.x <= rect.x + rect.width &&
+  point.y >= rect.y && point.y <= rect.y + rect.height
+);
+
+const containsRect = (outer, inner) => (
+  inner.x >= outer.x && inner.y >= outer.y &&
+  inner.x + inner.width <= outer.x + outer.width &&
+  inner.y + inner.height <= outer.y + outer.height
+);
+
+export const getFrameNoteIds = (frame, notes) => (
+  notes.filter(note => containsPoint(frame, getNoteCenter(note))).map(note => note.id)
+);
+
+// Frames nested entirely inside `frame` travel with it
+export const getNestedFrameIds = (frame, frames) => (
+  frames.filter(other => other.id !== frame.id && containsRect(frame, other)).map(other => other.id)
+);
+
+// frameId -> note ids, for counts, collapsing and filtering
+export const getFrameMembers = (frames, notes) => (
+  new Map(frames.map(frame => [frame.id, getFrameNoteIds(frame, notes)]))
+);
+
+// Notes hidden because a frame containing them is collapsed
+export const getCollapsedNoteIds = (frames, members) => {
+  const hidden = new Set();
+  frames.forEach(frame => {
+    if (frame.collapsed) {
+      members.get(frame.id)?.forEach(id => hidden.add(id));
+    }
+  });
+  return hidden;
+};
+
+// A frame sized to wrap `notes`, or a default-sized one at `fallback`
+export const createFrame = ({ title, color = 'gray', notes = [], fallback = { x: 0, y: 0 } }) => {
+  const bounds = getNotesBounds(notes);
+  const rect = bounds
+    ? {
+      x: bounds.x - FRAME_PADDING,
+      y: bounds.y - FRAME_PADDING - FRAME_HEADER_HEIGHT,
+      width: bounds.width + FRAME_PADDING * 2,
+      height: bounds.height + FRAME_PADDING * 2 + FRAME_HEADER_HEIGHT
+    }
+    : { x: fallback.x, y: fallback.y, width: 640, height: 420 };
+
+  return {
+    id: createFrameId(),
+    title,
+    color,
+    collapsed: false,
+    ...rect
+  };
+};
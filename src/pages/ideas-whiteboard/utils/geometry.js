@@ -0,0 +1,34 @@
+// Sticky notes render at a fixed w-64 h-48 size in world coordinates
+export const NOTE_WIDTH = 256;
+export const NOTE_HEIGHT = 192;
+
+export const getNoteBounds = (note) => ({
+  x: note.position.x,
+  y: note.position.y,
+  width: NOTE_WIDTH,
+  height: NOTE_HEIGHT
+});
+
+export const getNoteCenter = (note) => ({
+  x: note.position.x + NOTE_WIDTH / 2,
+  y: note.position.y + NOTE_HEIGHT / 2
+});
+
+// Normalize a rectangle dragged from (x1, y1) to (x2, y2)
+export const rectFromPoints = (start, end) => ({
+  x: Math.min(start.x, end.x),
+  y: Math.min(start.y, end.y),
+  width: Math.abs(end.x - start.x),
+  height: Math.abs(end.y - start.y)
+});
+
+export const rectsIntersect = (a, b) => (
+  a.x < b.x + b.width &&
+  a.x + a.width > b.x &&
+  a.y < b.y + b.height &&
+  a.y + a.height > b.y
+);
+
+export const notesInRect = (notes, rect) => (
+  notes.filter(note => rectsIntersect(getNoteBounds(note), rect))
+);
@@ -0,0 +1,84 @@
+// Command-based undo/redo for the whiteboard document ({ notes, connections, lanes, frames, wipLimits })
+export const HISTORY_LIMIT = 100;
+
+// Commands sharing a mergeKey within this window collapse into one entry
+export const HISTORY_MERGE_WINDOW = 1000;
+
+export const createHistoryState = (doc) => ({
+  doc,
+  past: [],
+  future: []
+});
+
+const mergeCommands = (first, second) => ({
+  ...second,
+  label: first.label,
+  redo: (doc) => second.redo(first.redo(doc)),
+  undo: (doc) => first.undo(second.undo(doc))
+});
+
+const pushCommand = (past, command) => {
+  const last = past[past.length - 1];
+  const canMerge = last && command.mergeKey && last.mergeKey === command.mergeKey &&
+    command.timestamp - last.timestamp < HISTORY_MERGE_WINDOW;
+
+  const next = canMerge
+    ? [...past.slice(0, -1), mergeCommands(last, command)]
+    : [...past, command];
+
+  return next.length > HISTORY_LIMIT ? next.slice(next.length - HISTORY_LIMIT) : next;
+};
+
+// Actions:
+//   { type: 'execute', build: (doc) => command | null, timestamp }
+//   { type: 'undo' } / { type: 'redo' }
+//   { type: 'reset', doc }
+//   { type: 'remote', bases, doc } - collaborators' edits, merged onto any of `bases`;
+//     local undo stacks are kept
+// A command is { label, redo: (doc) => doc, undo: (doc) => doc, mergeKey?, animated? }
+export const historyReducer = (state, action) => {
+  switch (action.type) {
+    case 'execute': {
+      const command = action.build(state.doc);
+      if (!command) return state;
+
+      const stamped = { ...command, timestamp: action.timestamp };
+      return {
+        doc: command.redo(state.doc),
+        past: pushCommand(state.past, stamped),
+        future: []
+      };
+    }
+    case 'undo': {
+      const command = state.past[state.past.length - 1];
+      if (!command) return state;
+
+      return {
+        doc: command.undo(state.doc),
+        past: state.past.slice(0, -1),
+        future: [command, ...state.future]
+      };
+    }
+    case 'redo': {
+      const [command, ...future] = state.future;
+      if (!command) return state;
+
+      return {
+        doc: command.redo(state.doc),
+        // A redone entry never absorbs later commands
+        past: [...state.past, { ...command, mergeKey: null }],
+        future
+      };
+    }
+    case 'reset':
+      return createHistoryState(action.doc);
+    case 'remote':
+      // Skipped if a local edit landed first; the session re-merges once it sees that edit.
+      // Commands record the ids they add, change or remove and never swap in a whole
+      // document, so undo and redo still apply on top of remote changes
+      if (!action.bases.includes(state.doc)) return state;
+      return { ...state, doc: action.doc };
+    default:
+      return state;
+  }
+};
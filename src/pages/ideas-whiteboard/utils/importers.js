@@ -0,0 +1,349 @@
+import { rectsIntersect } from './geometry';
+import { getNotesBounds } from './camera';
+import { gridLayout, hierarchyLayout } from './layouts';
+import { isSameConnection } from './connections';
+import { createFrameId } from './frames';
+import { createNoteId } from './boardCommands';
+
+// Import pipeline: a parser turns file text into a draft { notes, connections, frames }
+// using its own ids, validateImport() checks and normalises the draft, and
+// prepareImport() gives it fresh ids and a place on the board.
+export const NOTE_COLORS = ['yellow', 'blue', 'green', 'pink', 'purple', 'orange'];
+
+// Note fields a CSV column can feed
+export const CSV_FIELDS = ['title', 'content', 'category', 'color'];
+
+const GAP = 48;
+const MAX_TITLE_LENGTH = 120;
+
+const isFiniteNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+const truncateTitle = (title) => (
+  title.length > MAX_TITLE_LENGTH ? `${title.slice(0, MAX_TITLE_LENGTH - 1)}…` : title
+);
+
+const isNonBlankString = (value) => typeof value === 'string' && value.trim() !== '';
+
+// Comments need an id, an author, some text and a readable time to show in a thread
+const isValidComment = (comment) => (
+  !!comment && typeof comment === 'object' &&
+  (isFiniteNumber(comment.id) || isNonBlankString(comment.id)) &&
+  isNonBlankString(comment.author) &&
+  isNonBlankString(comment.text) &&
+  typeof comment.timestamp === 'string' && !Number.isNaN(Date.parse(comment.timestamp))
+);
+
+// Whichever of comma, semicolon or tab the header row uses most
+const detectDelimiter = (text) => {
+  const header = text.split(/\r?\n/, 1)[0];
+  const count = (delimiter) => header.split(delimiter).length - 1;
+  return [';', '\t'].reduce((best, delimiter) => (count(delimiter) > count(best) ? delimiter : best), ',');
+};
+
+// RFC 4180 style: quoted fields may hold delimiters, newlines and doubled quotes
+export const parseCsvRows = (text) => {
+  const delimiter = detectDelimiter(text);
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+};
+
+const columnAliases = {
+  title: ['title', 'name', 'summary', 'idea', 'heading', 'subject'],
+  content: ['content', 'description', 'body', 'details', 'notes', 'text'],
+  category: ['category', 'type', 'group', 'tag', 'label', 'status'],
+  color: ['color', 'colour']
+};
+
+// field -> column index (or -1), guessed from the header row
+export const guessCsvMapping = (headers) => {
+  const normalized = headers.map(header => header.trim().toLowerCase());
+  const mapping = {};
+  CSV_FIELDS.forEach(field => {
+    mapping[field] = normalized.findIndex(header => columnAliases[field].includes(header));
+  });
+  // Fall back to the first unclaimed column so there is always a title
+  if (mapping.title === -1) {
+    mapping.title = headers.findIndex((header, i) => !Object.values(mapping).includes(i));
+  }
+  return mapping;
+};
+
+const parseCsv = (text, { mapping } = {}) => {
+  const [headers = [], ...rows] = parseCsvRows(text);
+  const columns = mapping || guessCsvMapping(headers);
+  // Content keeps its whitespace; validateImport tidies the other fields
+  const cell = (row, field) => (columns[field] >= 0 ? row[columns[field]] || '' : '');
+
+  return {
+    notes: rows.map((row, i) => ({
+      id: i + 1,
+      title: cell(row, 'title').trim(),
+      content: cell(row, 'content'),
+      category: cell(row, 'category').trim(),
+      color: cell(row, 'color')
+    })),
+    connections: [],
+    frames: []
+  };
+};
+
+const LIST_ITEM = /^(\s*)(?:[-*+]|\d+[.)])\s+(.*)$/;
+const HEADING = /^(#{1,6})\s+(.*)$/;
+
+const stripInlineMarkdown = (text) => text
+  .replace(/^\[[ xX]\]\s+/, '')
+  .replace(/\[([^\]]+)\]\([^)]+\)/g, '$1')
+  .replace(/(\*\*|__|`)(.*?)\1/g, '$2')
+  .trim();
+
+// Headings and list items become notes; each links from the item it's nested under.
+// Plain lines below an item become its content.
+const parseMarkdown = (text) => {
+  const notes = [];
+  const connections = [];
+  const stack = []; // { depth, id }
+  let headingDepth = 0;
+  let current = null;
+
+  const addItem = (depth, title) => {
+    while (stack.length && stack[stack.length - 1].depth >= depth) stack.pop();
+    const note = { id: notes.length + 1, title: stripInlineMarkdown(title), content: '' };
+    notes.push(note);
+    if (stack.length) {
+      connections.push({ from: stack[stack.length - 1].id, to: note.id });
+    }
+    stack.push({ depth, id: note.id });
+    current = note;
+  };
+
+  text.split(/\r?\n/).forEach(line => {
+    const heading = line.match(HEADING);
+    const item = line.match(LIST_ITEM);
+    if (heading) {
+      headingDepth = heading[1].length;
+      addItem(headingDepth, heading[2]);
+    } else if (item) {
+      // Two spaces or a tab per level, nested under the last heading
+      const indent = item[1].replace(/\t/g, '  ').length;
+      addItem(headingDepth + 1 + Math.floor(indent / 2), item[2]);
+    } else if (line.trim() && current) {
+      current.content = current.content ? `${current.content}\n${line.trim()}` : line.trim();
+    }
+  });
+
+  return { notes, connections, frames: [] };
+};
+
+const parseText = (text) => ({
+  notes: text.split(/\r?\n/)
+    .map(line => line.replace(/^\s*(?:[-*+•]|\d+[.)])\s+/, '').trim())
+    .filter(Boolean)
+    .map((line, i) => ({ id: i + 1, title: line, content: '' })),
+  connections: [],
+  frames: []
+});
+
+const parseJson = (text) => {
+  const data = JSON.parse(text);
+  return {
+    notes: data?.notes,
+    connections: data?.connections || [],
+    frames: data?.frames || [],
+    blobs: data?.blobs
+  };
+};
+
+export const IMPORT_FORMATS = {
+  json: { label: 'Whiteboard JSON', extensions: ['json'], parse: parseJson },
+  csv: { label: 'CSV', extensions: ['csv', 'tsv'], parse: parseCsv },
+  markdown: { label: 'Markdown outline', extensions: ['md', 'markdown'], parse: parseMarkdown },
+  text: { label: 'Plain text list', extensions: ['txt'], parse: parseText }
+};
+
+export const IMPORT_ACCEPT = Object.values(IMPORT_FORMATS)
+  .flatMap(format => format.extensions.map(extension => `.${extension}`))
+  .join(',');
+
+export const detectImportFormat = (fileName) => {
+  const extension = fileName.split('.').pop().toLowerCase();
+  return Object.keys(IMPORT_FORMATS).find(id => IMPORT_FORMATS[id].extensions.includes(extension)) || 'text';
+};
+
+// Returns { data, errors, warnings }; data holds only usable, normalised entities
+export const validateImport = (draft) => {
+  const errors = [];
+  const warnings = [];
+
+  if (!draft || !Array.isArray(draft.notes)) {
+    return { data: null, errors: ['The file has no list of notes.'], warnings };
+  }
+
+  const ids = new Set();
+  let skippedNotes = 0;
+  let untitled = 0;
+  let unknownColors = 0;
+  let skippedComments = 0;
+  const notes = [];
+
+  draft.notes.forEach(note => {
+    if (!note || typeof note !== 'object' || note.id === undefined || note.id === null || ids.has(note.id)) {
+      skippedNotes++;
+      return;
+    }
+    ids.add(note.id);
+
+    // Content keeps its whitespace, since indentation and blank lines are formatting
+    let title = String(note.title ?? '').trim();
+    const content = String(note.content ?? '');
+    if (!title) {
+      if (!content.trim()) {
+        skippedNotes++;
+        ids.delete(note.id);
+        return;
+      }
+      untitled++;
+      title = 'Untitled';
+    }
+
+    const color = String(note.color ?? '').trim().toLowerCase();
+    if (color && !NOTE_COLORS.includes(color)) unknownColors++;
+
+    const commentIds = new Set();
+    const comments = (Array.isArray(note.comments) ? note.comments : []).filter(comment => {
+      if (!isValidComment(comment) || commentIds.has(comment.id)) {
+        skippedComments++;
+        return false;
+      }
+      commentIds.add(comment.id);
+      return true;
+    });
+
+    const hasPosition = note.position && isFiniteNumber(note.position.x) && isFiniteNumber(note.position.y);
+    notes.push({
+      ...note,
+      title: truncateTitle(title),
+      content,
+      category: String(note.category ?? '').trim(),
+      color: NOTE_COLORS.includes(color) ? color : 'yellow',
+      position: hasPosition ? { x: note.position.x, y: note.position.y } : null,
+      comments
+    });
+  });
+
+  const connections = [];
+  let skippedConnections = 0;
+  (Array.isArray(draft.connections) ? draft.connections : []).forEach(conn => {
+    const usable = conn && ids.has(conn.from) && ids.has(conn.to) && conn.from !== conn.to &&
+      !connections.some(other => isSameConnection(other, conn.from, conn.to));
+    if (usable) {
+      connections.push(conn);
+    } else {
+      skippedConnections++;
+    }
+  });
+
+  const frames = (Array.isArray(draft.frames) ? draft.frames : [])
+    .filter(frame =>
+      frame && isFiniteNumber(frame.x) && isFiniteNumber(frame.y) &&
+      isFiniteNumber(frame.width) && isFiniteNumber(frame.height)
+    )
+    .map(frame => ({ ...frame, title: truncateTitle(String(frame.title ?? '').trim() || 'Frame') }));
+  const skippedFrames = (draft.frames?.length || 0) - frames.length;
+
+  if (notes.length === 0) errors.push('No notes found in this file.');
+  if (skippedNotes) warnings.push(`${skippedNotes} empty, duplicate or malformed row(s) will be skipped.`);
+  if (untitled) warnings.push(`${untitled} note(s) have no title and will be called "Untitled".`);
+  if (unknownColors) warnings.push(`${unknownColors} note(s) use an unknown color and will be yellow.`);
+  if (skippedComments) warnings.push(`${skippedComments} comment(s) are duplicates or lack an id, author, text or time and will be skipped.`);
+  if (skippedConnections) warnings.push(`${skippedConnections} connection(s) point at missing notes and will be skipped.`);
+  if (skippedFrames > 0) warnings.push(`${skippedFrames} frame(s) have no valid size and will be skipped.`);
+
+  // Files bundled by a JSON export, stored on confirm
+  const blobs = draft.blobs && typeof draft.blobs === 'object' && !Array.isArray(draft.blobs) ? draft.blobs : null;
+
+  return { data: errors.length ? null : { notes, connections, frames, blobs }, errors, warnings };
+};
+
+// Gives validated data fresh ids and positions it beside the current board content.
+// Drafts without positions are laid out first; ones that already fit are left alone.
+export const prepareImport = (data, doc, { author = '', anchor = { x: 0, y: 0 } } = {}) => {
+  const noteIds = new Map(data.notes.map(note => [note.id, createNoteId()]));
+  const now = new Date().toISOString();
+
+  let notes = data.notes.map(note => ({
+    ...note,
+    id: noteIds.get(note.id),
+    author: note.author || author,
+    createdAt: note.createdAt || now,
+    zIndex: note.zIndex || 1
+  }));
+  const connections = data.connections.map(conn => ({
+    ...conn,
+    from: noteIds.get(conn.from),
+    to: noteIds.get(conn.to)
+  }));
+
+  const needsLayout = notes.some(note => !note.position);
+  if (needsLayout) {
+    const placed = notes.map(note => ({ ...note, position: note.position || { x: 0, y: 0 } }));
+    const layout = connections.length ? hierarchyLayout(placed, connections) : gridLayout(placed);
+    const positions = new Map(layout.moves.map(move => [move.id, move.position]));
+    notes = placed.map(note => ({ ...note, position: positions.get(note.id) || note.position }));
+  }
+
+  // Shift clear of existing notes: to the right of them, or to `anchor` on an empty board
+  const importBounds = getNotesBounds(notes);
+  const boardBounds = getNotesBounds(doc.notes);
+  let delta = { x: 0, y: 0 };
+  if (!boardBounds) {
+    if (needsLayout) delta = { x: anchor.x - importBounds.x, y: anchor.y - importBounds.y };
+  } else if (rectsIntersect(importBounds, boardBounds)) {
+    delta = {
+      x: boardBounds.x + boardBounds.width + GAP * 2 - importBounds.x,
+      y: boardBounds.y - importBounds.y
+    };
+  }
+
+  const shift = (point) => ({ x: point.x + delta.x, y: point.y + delta.y });
+  return {
+    notes: notes.map(note => ({ ...note, position: shift(note.position) })),
+    connections,
+    frames: data.frames.map(frame => ({ ...frame, id: createFrameId(), ...shift(frame) }))
+  };
+};
+
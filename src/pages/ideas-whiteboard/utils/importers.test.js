@@ -0,0 +1,54 @@
+import { describe, it, expect } from 'vitest';
+import { validateImport, IMPORT_FORMATS } from './importers';
+
+const comment = (id, fields = {}) => ({ id, author: 'Mike Chen', text: 'Looks good', timestamp: '2026-03-02T10:00:00Z', ...fields });
+
+describe('validateImport', () => {
+  it('keeps note content exactly as written', () => {
+    const content = '  - indented item\n\n    code block\n';
+    const { data } = validateImport({ notes: [{ id: 1, title: 'Plan', content }] });
+    expect(data.notes[0].content).toBe(content);
+  });
+
+  it('skips notes with only whitespace and no title', () => {
+    const { data, warnings } = validateImport({ notes: [{ id: 1, title: 'Plan' }, { id: 2, content: ' \n\t ' }] });
+    expect(data.notes.map(note => note.id)).toEqual([1]);
+    expect(warnings[0]).toMatch(/1 empty/);
+  });
+
+  it('keeps well-formed comments and skips the rest', () => {
+    const comments = [
+      comment(1),
+      comment('c2', { parentId: 1 }),
+      comment(1),
+      comment(3, { author: '' }),
+      comment(4, { text: '   ' }),
+      comment(5, { timestamp: 'yesterday' }),
+      { author: 'Mike Chen', text: 'No id', timestamp: '2026-03-02T10:00:00Z' },
+      'not a comment'
+    ];
+    const { data, warnings } = validateImport({ notes: [{ id: 1, title: 'Plan', comments }] });
+    expect(data.notes[0].comments.map(item => item.id)).toEqual([1, 'c2']);
+    expect(warnings).toContain('6 comment(s) are duplicates or lack an id, author, text or time and will be skipped.');
+  });
+});
+
+describe('CSV import', () => {
+  it('trims titles and categories but keeps content as written', () => {
+    const csv = 'title,content,category\n"  Plan  ","  - step one\n    - detail\n",  Goals  \n';
+    const { data } = validateImport(IMPORT_FORMATS.csv.parse(csv));
+    expect(data.notes[0]).toMatchObject({ title: 'Plan', content: '  - step one\n    - detail\n', category: 'Goals' });
+  });
+});
+
+describe('validateImport frames', () => {
+  const frame = (fields) => ({ id: 'f1', x: 0, y: 0, width: 400, height: 300, ...fields });
+
+  it('turns frame titles into text', () => {
+    const { data } = validateImport({
+      notes: [{ id: 1, title: 'Plan' }],
+      frames: [frame({ title: 42 }), frame({ title: '  Sprint  ' }), frame({ title: null })]
+    });
+    expect(data.frames.map(item => item.title)).toEqual(['42', 'Sprint', 'Frame']);
+  });
+});
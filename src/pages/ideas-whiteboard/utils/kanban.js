@@ -0,0 +1,68 @@
+import { sortByReadingOrder } from './noteNavigation';
+import { getPresenceColor } from './userColors';
+
+// Kanban columns, in board order. A note's `status` is one of these ids; notes
+// that never had one start in the first column. `kanbanOrder` is the card's place
+// in its column, and canvas positions are never touched.
+export const TASK_STATUSES = [
+  { id: 'todo', label: 'To do', icon: 'Circle' },
+  { id: 'in-progress', label: 'In progress', icon: 'CircleDot' },
+  { id: 'done', label: 'Done', icon: 'CheckCircle2' }
+];
+
+const STATUS_IDS = TASK_STATUSES.map(status => status.id);
+
+export const getNoteStatus = (note) => (
+  STATUS_IDS.includes(note.status) ? note.status : STATUS_IDS[0]
+);
+
+export const getStatusLabel = (statusId) => (
+  TASK_STATUSES.find(status => status.id === statusId)?.label || statusId
+);
+
+// wipLimits: { [statusId]: number }; a missing or empty limit means none
+export const isValidWipLimit = (limit) => Number.isInteger(limit) && limit > 0;
+
+// [{ ...status, notes, limit, overLimit }]. Cards go by `kanbanOrder`; notes that
+// were never placed follow in reading order.
+export const buildKanbanColumns = (notes, wipLimits = {}) => {
+  const ordered = sortByReadingOrder(notes);
+  const rank = new Map(ordered.map((note, i) => [note.id, i]));
+  const byOrder = (a, b) => (
+    (a.kanbanOrder ?? Infinity) - (b.kanbanOrder ?? Infinity) || rank.get(a.id) - rank.get(b.id)
+  );
+
+  return TASK_STATUSES.map(status => {
+    const cards = ordered.filter(note => getNoteStatus(note) === status.id).sort(byOrder);
+    const limit = isValidWipLimit(wipLimits[status.id]) ? wipLimits[status.id] : null;
+    return { ...status, notes: cards, limit, overLimit: limit !== null && cards.length > limit };
+  });
+};
+
+// Field changes for putting `noteId` before `beforeId` in the `statusId` column
+// (at the end when beforeId is null): [{ id, updates: { status, kanbanOrder } }]
+// for each card whose place changes
+export const moveCard = (columns, noteId, statusId, beforeId = null) => {
+  const card = columns.flatMap(column => column.notes).find(note => note.id === noteId);
+  const target = columns.find(column => column.id === statusId);
+  if (!card || !target) return [];
+
+  const others = target.notes.filter(note => note.id !== noteId);
+  const index = others.findIndex(note => note.id === beforeId);
+  const cards = index === -1
+    ? [...others, card]
+    : [...others.slice(0, index), card, ...others.slice(index)];
+
+  return cards
+    .map((note, kanbanOrder) => ({ note, updates: { status: statusId, kanbanOrder } }))
+    .filter(({ note, updates }) => note.status !== updates.status || note.kanbanOrder !== updates.kanbanOrder)
+    .map(({ note, updates }) => ({ id: note.id, updates }));
+};
+
+// Collaborators assigned to a note, in team order
+export const getAssignees = (note, collaborators) => {
+  const ids = note.assigneeIds || [];
+  return collaborators.filter(user => ids.includes(user.id));
+};
+
+export const getAvatarColor = (user) => getPresenceColor(String(user.id));
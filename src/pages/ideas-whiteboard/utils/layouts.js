@@ -0,0 +1,350 @@
+import { NOTE_WIDTH, NOTE_HEIGHT, getNoteBounds, rectsIntersect } from './geometry';
+import { getNotesBounds } from './camera';
+import { createSpatialIndex } from './spatialIndex';
+
+// Automatic layouts. Each returns { moves: [{ id, position }], lanes } and keeps
+// the result anchored at the top-left of the notes it was given.
+const GAP = 48;
+const LANE_PADDING = 24;
+const LANE_HEADER = 40;
+const LAYER_GAP = 120;
+
+const cellWidth = NOTE_WIDTH + GAP;
+const cellHeight = NOTE_HEIGHT + GAP;
+
+// Force layout is quadratic in the worst case (notes piled on one spot), so it only
+// runs on this many notes at a time; its work per run is capped as well
+export const FORCE_LAYOUT_LIMIT = 2000;
+const FORCE_WORK_LIMIT = 60000;
+
+const byReadingOrder = (a, b) => (a.position.y - b.position.y) || (a.position.x - b.position.x);
+
+const getOrigin = (notes) => {
+  const bounds = getNotesBounds(notes);
+  return bounds ? { x: bounds.x, y: bounds.y } : { x: 0, y: 0 };
+};
+
+const packRows = (notes, columns, origin) => notes.map((note, i) => ({
+  id: note.id,
+  position: {
+    x: origin.x + (i % columns) * cellWidth,
+    y: origin.y + Math.floor(i / columns) * cellHeight
+  }
+}));
+
+export const gridLayout = (notes) => {
+  const sorted = [...notes].sort(byReadingOrder);
+  const columns = Math.max(1, Math.ceil(Math.sqrt(sorted.length)));
+  return { moves: packRows(sorted, columns, getOrigin(notes)), lanes: [] };
+};
+
+const laneLabels = {
+  category: (value) => value || 'Uncategorized',
+  color: (value) => value ? value.charAt(0).toUpperCase() + value.slice(1) : 'No color'
+};
+
+// One horizontal swimlane per distinct value of `field` ('category' or 'color')
+export const clusterLayout = (notes, field) => {
+  const origin = getOrigin(notes);
+  const groups = new Map();
+  [...notes].sort(byReadingOrder).forEach(note => {
+    const value = note[field] || '';
+    if (!groups.has(value)) groups.set(value, []);
+    groups.get(value).push(note);
+  });
+
+  // Alphabetical, with the empty group last
+  const values = [...groups.keys()].sort((a, b) => (!a) - (!b) || a.localeCompare(b));
+  const columns = Math.max(4, ...values.map(value => Math.ceil(Math.sqrt(groups.get(value).length))));
+  const laneWidth = LANE_PADDING * 2 + columns * cellWidth - GAP;
+
+  const moves = [];
+  const lanes = [];
+  let y = origin.y;
+  values.forEach(value => {
+    const members = groups.get(value);
+    const rows = Math.ceil(members.length / columns);
+    const laneHeight = LANE_HEADER + LANE_PADDING + rows * cellHeight - GAP;
+
+    moves.push(...packRows(members, columns, {
+      x: origin.x + LANE_PADDING,
+      y: y + LANE_HEADER
+    }));
+    lanes.push({
+      id: `lane-${field}-${value || 'none'}`,
+      label: `${laneLabels[field](value)} (${members.length})`,
+      x: origin.x,
+      y,
+      width: laneWidth,
+      height: laneHeight
+    });
+    y += laneHeight + GAP;
+  });
+
+  return { moves, lanes };
+};
+
+// Layered top-down layout following connection direction; unconnected notes go last
+export const hierarchyLayout = (notes, connections) => {
+  const origin = getOrigin(notes);
+  const ids = new Set(notes.map(note => note.id));
+  const edges = connections.filter(conn => ids.has(conn.from) && ids.has(conn.to) && conn.from !== conn.to);
+  const children = new Map(notes.map(note => [note.id, []]));
+  const parents = new Map(notes.map(note => [note.id, []]));
+  edges.forEach(conn => {
+    children.get(conn.from).push(conn.to);
+    parents.get(conn.to).push(conn.from);
+  });
+
+  const sorted = [...notes].sort(byReadingOrder);
+  const connected = sorted.filter(note => children.get(note.id).length || parents.get(note.id).length);
+  const isolated = sorted.filter(note => !children.get(note.id).length && !parents.get(note.id).length);
+
+  // Breadth-first from the roots; cycles without a root start from their first note
+  const layerOf = new Map();
+  const visit = (rootId) => {
+    const queue = [rootId];
+    layerOf.set(rootId, 0);
+    while (queue.length) {
+      const id = queue.shift();
+      children.get(id).forEach(childId => {
+        if (!layerOf.has(childId)) {
+          layerOf.set(childId, layerOf.get(id) + 1);
+          queue.push(childId);
+        }
+      });
+    }
+  };
+  connected.filter(note => parents.get(note.id).length === 0).forEach(note => visit(note.id));
+  connected.filter(note => !layerOf.has(note.id)).forEach(note => {
+    if (!layerOf.has(note.id)) visit(note.id);
+  });
+
+  const layers = [];
+  connected.forEach(note => {
+    const layer = layerOf.get(note.id);
+    if (!layers[layer]) layers[layer] = [];
+    layers[layer].push(note.id);
+  });
+
+  // Order each layer by the average slot of its parents to reduce crossings
+  const slotOf = new Map();
+  layers.forEach((layer, depth) => {
+    if (depth > 0) {
+      const barycenter = (id) => {
+        const placed = parents.get(id).filter(parentId => slotOf.has(parentId));
+        return placed.length
+          ? placed.reduce((sum, parentId) => sum + slotOf.get(parentId), 0) / placed.length
+          : Infinity;
+      };
+      layer.sort((a, b) => barycenter(a) - barycenter(b));
+    }
+    layer.forEach((id, slot) => slotOf.set(id, slot));
+  });
+
+  const widest = Math.max(0, ...layers.map(layer => layer.length));
+  const moves = [];
+  layers.forEach((layer, depth) => {
+    const indent = (widest - layer.length) * cellWidth / 2;
+    layer.forEach((id, slot) => moves.push({
+      id,
+      position: {
+        x: origin.x + indent + slot * cellWidth,
+        y: origin.y + depth * (NOTE_HEIGHT + LAYER_GAP)
+      }
+    }));
+  });
+
+  if (isolated.length) {
+    const top = origin.y + layers.length * (NOTE_HEIGHT + LAYER_GAP);
+    const columns = Math.max(widest, Math.ceil(Math.sqrt(isolated.length)));
+    moves.push(...packRows(isolated, columns, { x: origin.x, y: top }));
+  }
+
+  return { moves, lanes: [] };
+};
+
+// Indices of `positions` near a point, from a grid hash of where they were when built
+const createNeighbourLookup = (positions, radius) => {
+  const index = createSpatialIndex(
+    positions.map((position, i) => i),
+    (i) => ({ x: positions[i].x, y: positions[i].y, width: 0, height: 0 }),
+    radius
+  );
+  return (point, rx, ry = rx) => index.query({ x: point.x - rx, y: point.y - ry, width: rx * 2, height: ry * 2 });
+};
+
+// Push overlapping notes apart along the axis with the smaller overlap
+const separate = (positions, passes = 20) => {
+  const minX = NOTE_WIDTH + GAP / 2;
+  const minY = NOTE_HEIGHT + GAP / 2;
+  for (let pass = 0; pass < passes; pass++) {
+    let moved = false;
+    const near = createNeighbourLookup(positions, Math.max(minX, minY));
+    for (let i = 0; i < positions.length; i++) {
+      for (const j of near(positions[i], minX, minY)) {
+        if (j <= i) continue;
+        const a = positions[i];
+        const b = positions[j];
+        const overlapX = minX - Math.abs(b.x - a.x);
+        const overlapY = minY - Math.abs(b.y - a.y);
+        if (overlapX <= 0 || overlapY <= 0) continue;
+
+        moved = true;
+        if (overlapX / minX < overlapY / minY) {
+          const push = (overlapX / 2) * (b.x >= a.x ? 1 : -1);
+          a.x -= push;
+          b.x += push;
+        } else {
+          const push = (overlapY / 2) * (b.y >= a.y ? 1 : -1);
+          a.y -= push;
+          b.y += push;
+        }
+      }
+    }
+    if (!moved) break;
+  }
+};
+
+// Fruchterman-Reingold, seeded from the current positions so repeated runs are stable.
+// Notes only repel neighbours within a few ideal lengths (the grid variant), found
+// through a spatial hash, and big selections get fewer iterations.
+export const forceLayout = (notes, connections) => {
+  if (notes.length === 0) return { moves: [], lanes: [] };
+
+  const origin = getOrigin(notes);
+  const index = new Map(notes.map((note, i) => [note.id, i]));
+  const edges = connections
+    .filter(conn => index.has(conn.from) && index.has(conn.to) && conn.from !== conn.to)
+    .map(conn => [index.get(conn.from), index.get(conn.to)]);
+
+  // Spread coincident notes deterministically so forces have a direction
+  const positions = notes.map((note, i) => ({
+    x: note.position.x + (i % 7) * 3,
+    y: note.position.y + (i % 5) * 3
+  }));
+
+  const ideal = Math.max(NOTE_WIDTH, NOTE_HEIGHT) * 1.4;
+  const cutoff = ideal * 3;
+  const iterations = Math.min(200, Math.max(10, Math.floor(FORCE_WORK_LIMIT / notes.length)));
+  let temperature = ideal * 2;
+
+  for (let step = 0; step < iterations; step++) {
+    const forces = positions.map(() => ({ x: 0, y: 0 }));
+    const near = createNeighbourLookup(positions, cutoff);
+
+    for (let i = 0; i < positions.length; i++) {
+      for (const j of near(positions[i], cutoff)) {
+        if (j <= i) continue;
+        const dx = positions[i].x - positions[j].x;
+        const dy = positions[i].y - positions[j].y;
+        const distance = Math.max(1, Math.hypot(dx, dy));
+        if (distance > cutoff) continue;
+        const repulsion = (ideal * ideal) / distance;
+        forces[i].x += (dx / distance) * repulsion;
+        forces[i].y += (dy / distance) * repulsion;
+        forces[j].x -= (dx / distance) * repulsion;
+        forces[j].y -= (dy / distance) * repulsion;
+      }
+    }
+
+    edges.forEach(([a, b]) => {
+      const dx = positions[a].x - positions[b].x;
+      const dy = positions[a].y - positions[b].y;
+      const distance = Math.max(1, Math.hypot(dx, dy));
+      const attraction = (distance * distance) / ideal;
+      forces[a].x -= (dx / distance) * attraction;
+      forces[a].y -= (dy / distance) * attraction;
+      forces[b].x += (dx / distance) * attraction;
+      forces[b].y += (dy / distance) * attraction;
+    });
+
+    // Weak pull toward the centre keeps unconnected notes from drifting off
+    const centerX = positions.reduce((sum, p) => sum + p.x, 0) / positions.length;
+    const centerY = positions.reduce((sum, p) => sum + p.y, 0) / positions.length;
+    positions.forEach((position, i) => {
+      const dx = position.x - centerX;
+      const dy = position.y - centerY;
+      const distance = Math.hypot(dx, dy);
+      if (distance > 0) {
+        const gravity = (distance * distance) / ideal * 0.1;
+        forces[i].x -= (dx / distance) * gravity;
+        forces[i].y -= (dy / distance) * gravity;
+      }
+    });
+
+    positions.forEach((position, i) => {
+      const length = Math.max(1, Math.hypot(forces[i].x, forces[i].y));
+      const limit = Math.min(length, temperature);
+      position.x += (forces[i].x / length) * limit;
+      position.y += (forces[i].y / length) * limit;
+    });
+    temperature *= 0.97;
+  }
+
+  separate(positions);
+
+  const minX = Math.min(...positions.map(p => p.x));
+  const minY = Math.min(...positions.map(p => p.y));
+  const moves = notes.map((note, i) => ({
+    id: note.id,
+    position: {
+      x: Math.round(origin.x + positions[i].x - minX),
+      y: Math.round(origin.y + positions[i].y - minY)
+    }
+  }));
+
+  return { moves, lanes: [] };
+};
+
+export const LAYOUTS = {
+  grid: { label: 'Grid layout', run: (notes) => gridLayout(notes) },
+  category: { label: 'Cluster by category', run: (notes) => clusterLayout(notes, 'category') },
+  color: { label: 'Cluster by color', run: (notes) => clusterLayout(notes, 'color') },
+  hierarchy: { label: 'Hierarchy layout', run: hierarchyLayout },
+  force: { label: 'Force layout', run: forceLayout, maxNotes: FORCE_LAYOUT_LIMIT }
+};
+
+// Nearest spot to `preferred` where a new note won't cover an existing one
+export const findOpenPosition = (notes, preferred) => {
+  const isFree = (position) => {
+    const bounds = getNoteBounds({ position });
+    const padded = { x: bounds.x - 16, y: bounds.y - 16, width: bounds.width + 32, height: bounds.height + 32 };
+    return !notes.some(note => rectsIntersect(getNoteBounds(note), padded));
+  };
+
+  // Walk outward ring by ring over a note-sized grid
+  for (let ring = 0; ring <= 8; ring++) {
+    for (let dy = -ring; dy <= ring; dy++) {
+      for (let dx = -ring; dx <= ring; dx++) {
+        if (Math.max(Math.abs(dx), Math.abs(dy)) !== ring) continue;
+
+        const candidate = {
+          x: preferred.x + dx * (NOTE_WIDTH / 2 + GAP / 2),
+          y: preferred.y + dy * (NOTE_HEIGHT / 2 + GAP / 2)
+        };
+        if (isFree(candidate)) return candidate;
+      }
+    }
+  }
+  return preferred;
+};
+
+const easeInOut = (t) => (t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2);
+
+// Notes part-way between `fromPositions` (id -> position) and where they are now
+export const interpolateNotes = (notes, fromPositions, progress) => {
+  const t = easeInOut(Math.min(1, Math.max(0, progress)));
+  return notes.map(note => {
+    const from = fromPositions.get(note.id);
+    if (!from || (from.x === note.position.x && from.y === note.position.y)) return note;
+
+    return {
+      ...note,
+      position: {
+        x: from.x + (note.position.x - from.x) * t,
+        y: from.y + (note.position.y - from.y) * t
+      }
+    };
+  });
+};
@@ -0,0 +1,74 @@
+import { describe, it, expect } from 'vitest';
+import { gridLayout, clusterLayout, hierarchyLayout, forceLayout, LAYOUTS, FORCE_LAYOUT_LIMIT } from './layouts';
+import { NOTE_WIDTH, NOTE_HEIGHT, getNoteBounds, rectsIntersect } from './geometry';
+
+const note = (id, x, y, fields = {}) => ({ id, title: `Note ${id}`, position: { x, y }, ...fields });
+
+const applyMoves = (notes, { moves }) => {
+  const positions = new Map(moves.map(move => [move.id, move.position]));
+  return notes.map(item => ({ ...item, position: positions.get(item.id) || item.position }));
+};
+
+const overlapping = (notes) => notes.some((a, i) => notes.slice(i + 1).some(b => (
+  rectsIntersect(getNoteBounds(a), getNoteBounds(b))
+)));
+
+describe('gridLayout', () => {
+  it('packs notes in reading order into a square grid anchored at their top-left', () => {
+    const notes = [note(1, 500, 300), note(2, 100, 100), note(3, 900, 100), note(4, 100, 900)];
+    const placed = applyMoves(notes, gridLayout(notes));
+    expect(placed.find(item => item.id === 2).position).toEqual({ x: 100, y: 100 });
+    expect(overlapping(placed)).toBe(false);
+    expect(new Set(placed.map(item => item.position.y)).size).toBe(2);
+  });
+});
+
+describe('clusterLayout', () => {
+  it('makes one lane per category, with uncategorized notes last', () => {
+    const notes = [note(1, 0, 0, { category: 'Risks' }), note(2, 0, 0), note(3, 0, 0, { category: 'Goals' })];
+    const { lanes } = clusterLayout(notes, 'category');
+    expect(lanes.map(lane => lane.label)).toEqual(['Goals (1)', 'Risks (1)', 'Uncategorized (1)']);
+  });
+});
+
+describe('hierarchyLayout', () => {
+  it('puts children a layer below their parents and unconnected notes after', () => {
+    const notes = [note(1, 0, 0), note(2, 0, 0), note(3, 0, 0), note(4, 0, 0)];
+    const placed = applyMoves(notes, hierarchyLayout(notes, [{ from: 1, to: 2 }, { from: 2, to: 3 }]));
+    const y = (id) => placed.find(item => item.id === id).position.y;
+    expect(y(1)).toBeLessThan(y(2));
+    expect(y(2)).toBeLessThan(y(3));
+    expect(y(4)).toBeGreaterThan(y(3));
+  });
+
+  it('copes with cycles', () => {
+    const notes = [note(1, 0, 0), note(2, 0, 0)];
+    const { moves } = hierarchyLayout(notes, [{ from: 1, to: 2 }, { from: 2, to: 1 }]);
+    expect(moves).toHaveLength(2);
+  });
+});
+
+describe('forceLayout', () => {
+  it('spreads notes piled on one spot so none overlap', () => {
+    const notes = Array.from({ length: 12 }, (_, i) => note(i + 1, 0, 0));
+    const connections = [{ from: 1, to: 2 }, { from: 2, to: 3 }];
+    expect(overlapping(applyMoves(notes, forceLayout(notes, connections)))).toBe(false);
+  });
+
+  it('gives the same result for the same board', () => {
+    const notes = [note(1, 0, 0), note(2, 400, 0), note(3, 0, 400)];
+    expect(forceLayout(notes, [{ from: 1, to: 3 }])).toEqual(forceLayout(notes, [{ from: 1, to: 3 }]));
+  });
+
+  it('lays out a board at the note limit', () => {
+    const columns = Math.ceil(Math.sqrt(FORCE_LAYOUT_LIMIT));
+    const notes = Array.from({ length: FORCE_LAYOUT_LIMIT }, (_, i) => (
+      note(i + 1, (i % columns) * NOTE_WIDTH, Math.floor(i / columns) * NOTE_HEIGHT)
+    ));
+    expect(forceLayout(notes, []).moves).toHaveLength(FORCE_LAYOUT_LIMIT);
+  });
+
+  it('is limited to FORCE_LAYOUT_LIMIT notes', () => {
+    expect(LAYOUTS.force.maxNotes).toBe(FORCE_LAYOUT_LIMIT);
+  });
+});
@@ -0,0 +1,112 @@
+// Revision history kept on each note as `note.history`, oldest first:
+//   { id, timestamp, author, authorId, title, content, category, restoredFrom }
+// Every entry is a full snapshot of the tracked fields after an edit, so any one can
+// be restored on its own. Notes edited for the first time get their pre-edit state
+// as the first entry.
+export const TRACKED_FIELDS = ['title', 'content', 'category'];
+
+export const MAX_REVISIONS = 50;
+// Quick successive edits by the same person (ticking checklist items, say) fold into one
+const MERGE_WINDOW = 60 * 1000;
+
+const snapshot = (source) => Object.fromEntries(TRACKED_FIELDS.map(field => [field, source[field] ?? '']));
+
+const originalRevision = (note) => ({
+  id: new Date(note.createdAt).getTime() || 0,
+  timestamp: note.createdAt,
+  author: note.author,
+  authorId: null,
+  ...snapshot(note),
+  restoredFrom: null
+});
+
+export const getRevisions = (note) => (Array.isArray(note.history) ? note.history : []);
+
+// `updates` plus the history entry they create, or `updates` untouched when they
+// don't change a tracked field
+export const withRevision = (note, updates, user, { restoredFrom = null, now = new Date() } = {}) => {
+  const next = snapshot({ ...note, ...updates });
+  if (TRACKED_FIELDS.every(field => next[field] === (note[field] ?? ''))) return updates;
+
+  const revisions = getRevisions(note);
+  const history = revisions.length ? [...revisions] : [originalRevision(note)];
+  const last = history[history.length - 1];
+  const mergeable = history.length > 1 && !restoredFrom && !last.restoredFrom &&
+    last.authorId === user.id && now - new Date(last.timestamp) < MERGE_WINDOW;
+
+  const revision = {
+    id: mergeable ? last.id : now.getTime(),
+    timestamp: now.toISOString(),
+    author: user.name,
+    authorId: user.id,
+    ...next,
+    restoredFrom
+  };
+  if (mergeable) {
+    history[history.length - 1] = revision;
+  } else {
+    history.push(revision);
+  }
+  return { ...updates, history: history.slice(-MAX_REVISIONS) };
+};
+
+export const changedFields = (previous, revision) => (
+  previous ? TRACKED_FIELDS.filter(field => (previous[field] ?? '') !== (revision[field] ?? '')) : TRACKED_FIELDS
+);
+
+// Word diff by longest common subsequence; very long texts fall back to lines so
+// the table stays small, and past that to replacing the whole text.
+// Returns [{ type: 'same' | 'added' | 'removed', text }].
+export const MAX_CELLS = 250000;
+
+const tokenize = (text, byLine) => String(text ?? '').split(byLine ? /(\n)/ : /(\s+)/).filter(Boolean);
+
+export const diffText = (before, after) => {
+  let a = tokenize(before, false);
+  let b = tokenize(after, false);
+  if (a.length * b.length > MAX_CELLS) {
+    a = tokenize(before, true);
+    b = tokenize(after, true);
+  }
+  if (a.length * b.length > MAX_CELLS) {
+    const [removed, added] = [a.join(''), b.join('')];
+    return removed === added
+      ? [{ type: 'same', text: removed }]
+      : [{ type: 'removed', text: removed }, { type: 'added', text: added }];
+  }
+
+  // lengths[i][j] = LCS of a[i..] and b[j..]
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const parts = [];
+  const push = (type, text) => {
+    const last = parts[parts.length - 1];
+    if (last && last.type === type) {
+      last.text += text;
+    } else {
+      parts.push({ type, text });
+    }
+  };
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      push('same', a[i++]);
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      push('removed', a[i++]);
+    } else {
+      push('added', b[j++]);
+    }
+  }
+  while (i < a.length) push('removed', a[i++]);
+  while (j < b.length) push('added', b[j++]);
+  return parts;
+};
@@ -0,0 +1,71 @@
+import { describe, it, expect } from 'vitest';
+import { diffText, withRevision, getRevisions, MAX_CELLS, MAX_REVISIONS } from './noteHistory';
+
+const user = { id: 1, name: 'Sarah' };
+const note = { id: 1, title: 'Plan', content: '', category: 'idea', createdAt: '2024-01-01T00:00:00.000Z', author: 'Mike' };
+
+describe('diffText', () => {
+  it('marks added and removed words', () => {
+    expect(diffText('ship the beta today', 'ship the release today')).toEqual([
+      { type: 'same', text: 'ship the ' },
+      { type: 'removed', text: 'beta' },
+      { type: 'added', text: 'release' },
+      { type: 'same', text: ' today' }
+    ]);
+  });
+
+  it('treats missing text as empty', () => {
+    expect(diffText(undefined, 'new')).toEqual([{ type: 'added', text: 'new' }]);
+    expect(diffText('', '')).toEqual([]);
+  });
+
+  it('falls back to lines for long texts', () => {
+    const lines = Array.from({ length: 200 }, (_, i) => `line ${i} with a few words`);
+    const changed = [...lines];
+    changed[100] = 'a rewritten line';
+    const parts = diffText(lines.join('\n'), changed.join('\n'));
+
+    expect(parts.filter(part => part.type !== 'same')).toEqual([
+      { type: 'removed', text: lines[100] },
+      { type: 'added', text: 'a rewritten line' }
+    ]);
+  });
+
+  it('replaces the whole text when even the lines are too many to compare', () => {
+    const count = Math.ceil(Math.sqrt(MAX_CELLS)) + 1;
+    const before = Array.from({ length: count }, (_, i) => `a${i}`).join('\n');
+    const after = Array.from({ length: count }, (_, i) => `b${i}`).join('\n');
+
+    expect(diffText(before, after)).toEqual([
+      { type: 'removed', text: before },
+      { type: 'added', text: after }
+    ]);
+    expect(diffText(before, before)).toEqual([{ type: 'same', text: before }]);
+  });
+});
+
+describe('withRevision', () => {
+  it('records the original state before the first edit', () => {
+    const { history } = withRevision(note, { title: 'Launch plan' }, user, { now: new Date('2024-02-01') });
+    expect(history.map(entry => entry.title)).toEqual(['Plan', 'Launch plan']);
+    expect(history[1]).toMatchObject({ author: 'Sarah', authorId: 1, restoredFrom: null });
+  });
+
+  it('leaves updates to untracked fields alone', () => {
+    const updates = { x: 40 };
+    expect(withRevision(note, updates, user)).toBe(updates);
+  });
+
+  it('keeps only the latest revisions', () => {
+    let current = note;
+    for (let i = 0; i < MAX_REVISIONS + 10; i++) {
+      // Two minutes apart so the edits don't fold together
+      const now = new Date(Date.UTC(2024, 1, 1, 0, i * 2));
+      current = { ...current, ...withRevision(current, { title: `Title ${i}` }, user, { now }) };
+    }
+    const revisions = getRevisions(current);
+
+    expect(revisions).toHaveLength(MAX_REVISIONS);
+    expect(revisions[revisions.length - 1].title).toBe(`Title ${MAX_REVISIONS + 9}`);
+  });
+});
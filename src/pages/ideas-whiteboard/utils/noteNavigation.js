@@ -0,0 +1,37 @@
+import { getNoteCenter } from './geometry';
+
+// Top-to-bottom, then left-to-right: the order Tab, search results and the outline use
+export const sortByReadingOrder = (notes) => (
+  [...notes].sort((a, b) => (a.position.y - b.position.y) || (a.position.x - b.position.x))
+);
+
+// Sideways distance counts more than distance along the arrow, so the nearest note
+// roughly in line wins over a closer one far off to the side
+const OFF_AXIS_WEIGHT = 2;
+
+// The note to move to from `from` when an arrow points in `direction` ({ x, y } with
+// one axis set), or null when nothing lies that way. Candidates must sit within 45°
+// of the arrow.
+export const findNoteInDirection = (notes, from, direction) => {
+  const origin = getNoteCenter(from);
+  let best = null;
+  let bestScore = Infinity;
+
+  notes.forEach(note => {
+    if (note.id === from.id) return;
+    const center = getNoteCenter(note);
+    const dx = center.x - origin.x;
+    const dy = center.y - origin.y;
+    const along = dx * direction.x + dy * direction.y;
+    const across = Math.abs(direction.x !== 0 ? dy : dx);
+    if (along <= 0 || across > along) return;
+
+    const score = along + across * OFF_AXIS_WEIGHT;
+    if (score < bestScore) {
+      best = note;
+      bestScore = score;
+    }
+  });
+
+  return best;
+};
@@ -0,0 +1,92 @@
+// Note templates: { id, name, icon, note: { title, content, color, category, priority? } }.
+// Title and content can hold placeholders, {{Field}} or {{Field|default}}, which are
+// asked for when the template is used. {{date}} and {{author}} fill themselves in.
+export const NOTE_TEMPLATES = [
+  {
+    id: 'brainstorming',
+    name: 'Brainstorming',
+    icon: 'Lightbulb',
+    note: {
+      title: '{{Topic|Brainstorming Session}}',
+      content: 'What if we...\n\nPros:\n- \n\nCons:\n- ',
+      color: 'blue',
+      category: 'Ideas'
+    }
+  },
+  {
+    id: 'action-item',
+    name: 'Task',
+    icon: 'CheckSquare',
+    // Due date, assignees and reminders are set on the note itself (see tasks.js)
+    note: {
+      title: '{{Task|Action Item}}',
+      content: '- [ ] {{Task|Action Item}}\n\nNotes: ',
+      color: 'green',
+      category: 'Tasks',
+      priority: 'medium'
+    }
+  },
+  {
+    id: 'research',
+    name: 'Research',
+    icon: 'Search',
+    note: {
+      title: '{{Topic|Research Topic}}',
+      content: 'Research question: {{Question}}\n\nSources to check:\n- \n\nKey findings:\n- ',
+      color: 'purple',
+      category: 'Research'
+    }
+  }
+];
+
+// What N and the quick-create buttons add
+export const QUICK_NOTE = {
+  title: 'New Idea',
+  content: 'Double-click to edit this note',
+  category: ''
+};
+
+const AUTO_FIELDS = ['date', 'author'];
+
+// {{name}} or {{name|default}}; a default may itself be an automatic field
+const PLACEHOLDER = /\{\{\s*([^{}|]+?)\s*(?:\|((?:[^{}]|\{\{[^{}]*\}\})*))?\}\}/g;
+
+// {{date}} and {{author}} filled in from `context` ({ date, author })
+export const fillAutoFields = (text, context = {}) => {
+  const values = {
+    date: context.date || new Date().toLocaleDateString(),
+    author: context.author || ''
+  };
+  return String(text ?? '').replace(/\{\{\s*(date|author)\s*\}\}/g, (match, field) => values[field]);
+};
+
+// Fields the user is asked for, in order of first appearance: [{ name, defaultValue }]
+export const getTemplateFields = (template) => {
+  const fields = new Map();
+  [template.note.title, template.note.content].forEach(text => {
+    for (const [, name, defaultValue = ''] of String(text ?? '').matchAll(PLACEHOLDER)) {
+      if (!AUTO_FIELDS.includes(name) && !fields.has(name)) {
+        fields.set(name, { name, defaultValue });
+      }
+    }
+  });
+  return [...fields.values()];
+};
+
+// Note data for onCreateNote, with placeholders replaced by `values` (falling back
+// to each placeholder's default) and automatic fields from `context`
+export const fillTemplate = (template, values = {}, context = {}) => {
+  const fill = (text) => fillAutoFields(String(text ?? '').replace(PLACEHOLDER, (match, name, defaultValue = '') => {
+    if (AUTO_FIELDS.includes(name)) return match;
+    const value = values[name];
+    return value !== undefined && value !== '' ? value : fillAutoFields(defaultValue, context);
+  }), context);
+
+  return {
+    title: fill(template.note.title).trim() || template.name,
+    content: fill(template.note.content),
+    color: template.note.color || 'yellow',
+    category: template.note.category || '',
+    ...(template.note.priority && { priority: template.note.priority })
+  };
+};
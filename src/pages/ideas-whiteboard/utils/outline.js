@@ -0,0 +1,41 @@
+import { sortByReadingOrder } from './noteNavigation';
+
+// The board as a linear document for the outline view: one section per frame in
+// reading order, then the notes outside any frame. A note inside nested frames is
+// listed under the smallest one.
+export const buildOutline = ({ notes, connections, frames, frameMembers }) => {
+  const shown = new Map(notes.map(note => [note.id, note]));
+
+  const owner = new Map();
+  [...frames]
+    .sort((a, b) => (b.width * b.height) - (a.width * a.height))
+    .forEach(frame => {
+      (frameMembers?.get(frame.id) || []).forEach(id => owner.set(id, frame.id));
+    });
+
+  const withLinks = (note) => ({
+    note,
+    outgoing: connections.filter(conn => conn.from === note.id && shown.has(conn.to)).map(conn => shown.get(conn.to)),
+    incoming: connections.filter(conn => conn.to === note.id && shown.has(conn.from)).map(conn => shown.get(conn.from))
+  });
+
+  const ordered = sortByReadingOrder(notes);
+  const sections = [...frames]
+    .sort((a, b) => (a.y - b.y) || (a.x - b.x))
+    .map(frame => ({
+      id: frame.id,
+      title: frame.title || 'Untitled frame',
+      items: ordered.filter(note => owner.get(note.id) === frame.id).map(withLinks)
+    }))
+    .filter(section => section.items.length > 0);
+
+  const loose = ordered.filter(note => !owner.has(note.id));
+  if (loose.length > 0) {
+    sections.push({
+      id: null,
+      title: sections.length > 0 ? 'Not in a frame' : 'Notes',
+      items: loose.map(withLinks)
+    });
+  }
+  return sections;
+};
@@ -0,0 +1,71 @@
+// Minimal PDF 1.4 writer: one JPEG image per page, nothing else. Enough for
+// paginated board exports without pulling in a PDF library.
+const encoder = new TextEncoder();
+
+const dataUrlToBytes = (dataUrl) => {
+  const binary = atob(dataUrl.slice(dataUrl.indexOf(',') + 1));
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+};
+
+// pages: [{ jpeg: data URL, pixelWidth, pixelHeight, x, y, width, height }] with the
+// image placement in points; pageSize is { width, height } in points
+export const createPdf = (pages, pageSize) => {
+  const chunks = [];
+  const offsets = [];
+  let length = 0;
+
+  const write = (part) => {
+    const bytes = typeof part === 'string' ? encoder.encode(part) : part;
+    chunks.push(bytes);
+    length += bytes.length;
+  };
+  const object = (id, body, stream) => {
+    offsets[id] = length;
+    write(`${id} 0 obj\n${body}\n`);
+    if (stream) {
+      write('stream\n');
+      write(stream);
+      write('\nendstream\n');
+    }
+    write('endobj\n');
+  };
+
+  // 1: catalog, 2: page tree, then page, content and image objects per page
+  const pageIds = pages.map((page, i) => 3 + i * 3);
+  write('%PDF-1.4\n%âãÏÓ\n');
+  object(1, '<< /Type /Catalog /Pages 2 0 R >>');
+  object(2, `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`);
+
+  pages.forEach((page, i) => {
+    const pageId = pageIds[i];
+    const contentId = pageId + 1;
+    const imageId = pageId + 2;
+    const image = dataUrlToBytes(page.jpeg);
+    // PDF's origin is bottom-left
+    const content = encoder.encode(
+      `q ${page.width} 0 0 ${page.height} ${page.x} ${pageSize.height - page.y - page.height} cm /Im0 Do Q`
+    );
+
+    object(pageId, [
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${pageSize.width} ${pageSize.height}]`,
+      `/Resources << /XObject << /Im0 ${imageId} 0 R >> >> /Contents ${contentId} 0 R >>`
+    ].join(' '));
+    object(contentId, `<< /Length ${content.length} >>`, content);
+    object(imageId, [
+      `<< /Type /XObject /Subtype /Image /Width ${page.pixelWidth} /Height ${page.pixelHeight}`,
+      `/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${image.length} >>`
+    ].join(' '), image);
+  });
+
+  const objectCount = 3 + pages.length * 3;
+  const xrefOffset = length;
+  write(`xref\n0 ${objectCount}\n0000000000 65535 f \n`);
+  for (let id = 1; id < objectCount; id++) {
+    write(`${String(offsets[id]).padStart(10, '0')} 00000 n \n`);
+  }
+  write(`trailer\n<< /Size ${objectCount} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+
+  return new Blob(chunks, { type: 'application/pdf' });
+};
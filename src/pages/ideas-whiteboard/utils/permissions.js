@@ -0,0 +1,61 @@
+import { sampleCollaborators } from './sampleBoard';
+
+// What each collaborator role may do on a board
+export const ROLES = ['owner', 'admin', 'editor', 'viewer'];
+
+// Roles that can be handed out; ownership only moves by transfer
+export const ASSIGNABLE_ROLES = ['admin', 'editor', 'viewer'];
+
+const ROLE_PERMISSIONS = {
+  owner: ['edit', 'delete', 'connect', 'import', 'clearBoard', 'manageCollaborators', 'transferOwnership'],
+  admin: ['edit', 'delete', 'connect', 'import', 'clearBoard', 'manageCollaborators'],
+  editor: ['edit', 'delete', 'connect', 'import'],
+  viewer: []
+};
+
+export const can = (role, action) => (ROLE_PERMISSIONS[role] || []).includes(action);
+
+export const isReadOnlyRole = (role) => !can(role, 'edit');
+
+export const permissionMessages = {
+  edit: 'You have view-only access to this board.',
+  delete: 'Your role can\'t delete from this board.',
+  connect: 'Your role can\'t change connections on this board.',
+  import: 'Your role can\'t import into this board.',
+  clearBoard: 'Only owners and admins can clear the board.',
+  manageCollaborators: 'Only owners and admins can manage collaborators.',
+  transferOwnership: 'Only the owner can transfer ownership.'
+};
+
+// Boards saved before roles existed, and new boards, start with the sample team
+export const createDefaultMembers = () => ({
+  collaborators: sampleCollaborators,
+  currentUserId: sampleCollaborators.find(user => user.role === 'owner').id
+});
+
+export const createMemberId = () => `member-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+
+// The member seat everyone joining through a share link with `role` acts as
+export const LINK_ROLES = ['editor', 'viewer'];
+
+export const createLinkSeat = (role) => (LINK_ROLES.includes(role)
+  ? {
+    id: `link-${role}`,
+    name: role === 'editor' ? 'Guests with the edit link' : 'Guests with the view link',
+    email: '',
+    role,
+    status: 'active',
+    lastActive: null
+  }
+  : null
+);
+
+// The previous owner stays on as an admin
+export const transferOwnership = (collaborators, newOwnerId) => {
+  if (!collaborators.some(user => user.id === newOwnerId)) return collaborators;
+  return collaborators.map(user => {
+    if (user.id === newOwnerId) return { ...user, role: 'owner' };
+    if (user.role === 'owner') return { ...user, role: 'admin' };
+    return user;
+  });
+};
@@ -0,0 +1,175 @@
+// Note content is stored as a small Markdown subset so it survives JSON export and
+// import untouched and still reads fine as plain text:
+//   **bold**  *italic* or _italic_  `code`  [label](https://example.com)
+//   - [ ] open item / - [x] done item     checklist lines
+//   - item                                bullet lines
+const CHECK_ITEM = /^(\s*)[-*] \[([ xX])\](?:\s+(.*))?$/;
+const BULLET_ITEM = /^(\s*)[-*] (?!\[[ xX]\](?:\s|$))(.*)$/;
+const INLINE = /`([^`\n]+)`|\*\*(.+?)\*\*|\[([^\]\n]+)\]\(([^)\s]+)\)|\*([^*\s](?:[^*\n]*?[^*\s])?)\*|(?<![\w])_([^_\s](?:[^_\n]*?[^_\s])?)_(?![\w])/g;
+
+const SAFE_PROTOCOLS = ['http:', 'https:', 'mailto:'];
+
+// Only web and mail links are rendered as links; anything else stays text
+export const safeHref = (href) => {
+  const url = /^www\./i.test(href) ? `https://${href}` : href;
+  try {
+    return SAFE_PROTOCOLS.includes(new URL(url).protocol) ? url : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// [{ type: 'text' | 'code', text } | { type: 'bold' | 'italic', children } | { type: 'link', href, children }]
+export const parseInline = (text) => {
+  const source = String(text ?? '');
+  const nodes = [];
+  let last = 0;
+  for (const match of source.matchAll(INLINE)) {
+    const [raw, code, bold, label, href, star, underscore] = match;
+    if (match.index > last) nodes.push({ type: 'text', text: source.slice(last, match.index) });
+    if (code !== undefined) {
+      nodes.push({ type: 'code', text: code });
+    } else if (bold !== undefined) {
+      nodes.push({ type: 'bold', children: parseInline(bold) });
+    } else if (label !== undefined) {
+      const safe = safeHref(href);
+      nodes.push(safe ? { type: 'link', href: safe, children: parseInline(label) } : { type: 'text', text: raw });
+    } else {
+      nodes.push({ type: 'italic', children: parseInline(star ?? underscore) });
+    }
+    last = match.index + raw.length;
+  }
+  if (last < source.length) nodes.push({ type: 'text', text: source.slice(last) });
+  return nodes;
+};
+
+// One block per line: { type: 'check', checked, text, line } | { type: 'bullet', text, line }
+// | { type: 'paragraph', text, line }, where `line` indexes the original content lines
+export const parseRichText = (content) => String(content ?? '').split(/\r?\n/).map((lineText, line) => {
+  const check = lineText.match(CHECK_ITEM);
+  if (check) return { type: 'check', checked: check[2] !== ' ', text: check[3] || '', line };
+  const bullet = lineText.match(BULLET_ITEM);
+  if (bullet) return { type: 'bullet', text: bullet[2], line };
+  return { type: 'paragraph', text: lineText, line };
+});
+
+export const getChecklistProgress = (content) => {
+  const items = parseRichText(content).filter(block => block.type === 'check');
+  return { done: items.filter(item => item.checked).length, total: items.length };
+};
+
+export const toggleChecklistItem = (content, line) => {
+  const lines = String(content ?? '').split(/\r?\n/);
+  const match = lines[line]?.match(CHECK_ITEM);
+  if (!match) return content;
+  lines[line] = lines[line].replace(/\[([ xX])\]/, match[2] === ' ' ? '[x]' : '[ ]');
+  return lines.join('\n');
+};
+
+const inlineText = (nodes) => nodes
+  .map(node => (node.children ? inlineText(node.children) : node.text))
+  .join('');
+
+// Content without formatting marks, for places that can only show plain text
+export const toPlainText = (content) => parseRichText(content).map(block => {
+  const text = inlineText(parseInline(block.text));
+  if (block.type === 'check') return `${block.checked ? '☑' : '☐'} ${text}`;
+  if (block.type === 'bullet') return `• ${text}`;
+  return text;
+}).join('\n');
+
+// Editor commands. Each takes and returns { value, start, end } (the textarea value
+// and selection) so they can be applied to any textarea.
+const lineBounds = (value, start, end) => ({
+  from: value.lastIndexOf('\n', start - 1) + 1,
+  to: value.indexOf('\n', end) === -1 ? value.length : value.indexOf('\n', end)
+});
+
+// Wraps the selection in `marker`, or unwraps it when it's already wrapped
+export const toggleWrap = ({ value, start, end }, marker, placeholder = 'text') => {
+  const size = marker.length;
+  const before = value.slice(start - size, start);
+  const after = value.slice(end, end + size);
+  if (before === marker && after === marker) {
+    return {
+      value: value.slice(0, start - size) + value.slice(start, end) + value.slice(end + size),
+      start: start - size,
+      end: end - size
+    };
+  }
+  const selected = value.slice(start, end) || placeholder;
+  return {
+    value: `${value.slice(0, start)}${marker}${selected}${marker}${value.slice(end)}`,
+    start: start + size,
+    end: start + size + selected.length
+  };
+};
+
+// Turns the selection into [selection](url) and selects the url for typing over
+export const insertLink = ({ value, start, end }) => {
+  const label = value.slice(start, end) || 'link';
+  const url = 'https://';
+  const inserted = `[${label}](${url})`;
+  const urlStart = start + label.length + 3;
+  return {
+    value: value.slice(0, start) + inserted + value.slice(end),
+    start: urlStart,
+    end: urlStart + url.length
+  };
+};
+
+// Makes every selected line a checklist item, or plain lines again if they all are
+export const toggleChecklist = ({ value, start, end }) => {
+  const { from, to } = lineBounds(value, start, end);
+  const lines = value.slice(from, to).split('\n');
+  const allChecks = lines.every(line => CHECK_ITEM.test(line));
+  const updated = lines.map(line => {
+    if (allChecks) return line.replace(/^(\s*)[-*] \[[ xX]\]\s?/, '$1');
+    if (CHECK_ITEM.test(line)) return line;
+    return line.replace(/^(\s*)(?:[-*] )?/, '$1- [ ] ');
+  }).join('\n');
+  const shift = updated.length - (to - from);
+  return {
+    value: value.slice(0, from) + updated + value.slice(to),
+    start: lines.length === 1 ? Math.max(from, start + shift) : from,
+    end: end + shift
+  };
+};
+
+// Enter inside a list: continues it with a fresh item, or ends it when the current
+// item is empty. Returns null when the caret isn't on a list line.
+export const continueList = ({ value, start, end }) => {
+  if (start !== end) return null;
+  const { from } = lineBounds(value, start, start);
+  const line = value.slice(from, start);
+  const check = line.match(CHECK_ITEM);
+  const bullet = !check && line.match(BULLET_ITEM);
+  if (!check && !bullet) return null;
+
+  const body = check ? check[3] : bullet[2];
+  if (!body?.trim()) {
+    return { value: value.slice(0, from) + value.slice(start), start: from, end: from };
+  }
+  const prefix = check ? `${check[1]}- [ ] ` : `${bullet[1]}- `;
+  const insert = `\n${prefix}`;
+  return {
+    value: value.slice(0, start) + insert + value.slice(end),
+    start: start + insert.length,
+    end: start + insert.length
+  };
+};
+
+// Markdown-style typing shortcut: "[] " or "[ ] " at the start of a line becomes "- [ ] "
+export const expandShortcut = ({ value, start, end }) => {
+  if (start !== end) return null;
+  const { from } = lineBounds(value, start, start);
+  const typed = value.slice(from, start);
+  const match = typed.match(/^(\s*)\[ ?\] $/);
+  if (!match) return null;
+  const replacement = `${match[1]}- [ ] `;
+  return {
+    value: value.slice(0, from) + replacement + value.slice(start),
+    start: from + replacement.length,
+    end: from + replacement.length
+  };
+};
@@ -0,0 +1,91 @@
+import { describe, it, expect } from 'vitest';
+import { safeHref, parseInline, parseRichText } from './richText';
+
+describe('safeHref', () => {
+  it('keeps web and mail links', () => {
+    expect(safeHref('https://example.com/a?b=1')).toBe('https://example.com/a?b=1');
+    expect(safeHref('HTTP://Example.com')).toBe('HTTP://Example.com');
+    expect(safeHref('mailto:sarah@example.com')).toBe('mailto:sarah@example.com');
+    expect(safeHref('www.example.com')).toBe('https://www.example.com');
+  });
+
+  it('drops script, data and other schemes whatever their case or padding', () => {
+    [
+      'javascript:alert(1)',
+      'JavaScript:alert(1)',
+      ' jAvAsCrIpT:alert(1)',
+      'java\tscript:alert(1)',
+      'data:text/html,<script>alert(1)</script>',
+      'DATA:text/html;base64,PHNjcmlwdD4=',
+      'vbscript:msgbox(1)',
+      'file:///etc/passwd'
+    ].forEach(href => expect(safeHref(href)).toBeNull());
+  });
+
+  it('drops text that isn\'t a URL', () => {
+    expect(safeHref('not a link')).toBeNull();
+    expect(safeHref('/relative/path')).toBeNull();
+  });
+});
+
+describe('parseInline', () => {
+  it('parses each mark', () => {
+    expect(parseInline('a **b** *c* _d_ `e` [f](https://f.io)')).toEqual([
+      { type: 'text', text: 'a ' },
+      { type: 'bold', children: [{ type: 'text', text: 'b' }] },
+      { type: 'text', text: ' ' },
+      { type: 'italic', children: [{ type: 'text', text: 'c' }] },
+      { type: 'text', text: ' ' },
+      { type: 'italic', children: [{ type: 'text', text: 'd' }] },
+      { type: 'text', text: ' ' },
+      { type: 'code', text: 'e' },
+      { type: 'text', text: ' ' },
+      { type: 'link', href: 'https://f.io', children: [{ type: 'text', text: 'f' }] }
+    ]);
+  });
+
+  it('parses marks nested in bold text and link labels', () => {
+    expect(parseInline('**bold _and italic_**')).toEqual([
+      { type: 'bold', children: [
+        { type: 'text', text: 'bold ' },
+        { type: 'italic', children: [{ type: 'text', text: 'and italic' }] }
+      ] }
+    ]);
+    expect(parseInline('[**docs**](https://docs.io)')).toEqual([
+      { type: 'link', href: 'https://docs.io', children: [{ type: 'bold', children: [{ type: 'text', text: 'docs' }] }] }
+    ]);
+  });
+
+  it('leaves marks inside code alone', () => {
+    expect(parseInline('`**not bold**`')).toEqual([{ type: 'code', text: '**not bold**' }]);
+  });
+
+  it('keeps unbalanced marks as text', () => {
+    ['**open', 'half *open', '`code', 'snake_case_name', '2 * 3 * 4', '[label](', '[label]'].forEach(text => {
+      expect(parseInline(text)).toEqual([{ type: 'text', text }]);
+    });
+  });
+
+  it('keeps unsafe links as text', () => {
+    const nodes = parseInline('[click](javascript:alert(1)) and [x](data:text/html,hi)');
+    expect(nodes.some(node => node.type === 'link')).toBe(false);
+    expect(nodes.map(node => node.text).join('')).toBe('[click](javascript:alert(1)) and [x](data:text/html,hi)');
+  });
+
+  it('returns nothing for empty content', () => {
+    expect(parseInline('')).toEqual([]);
+    expect(parseInline(undefined)).toEqual([]);
+  });
+});
+
+describe('parseRichText', () => {
+  it('reads checklist, bullet and paragraph lines', () => {
+    expect(parseRichText('Intro\n- [ ] open\n  - [X] done\n- item\n- [link]')).toEqual([
+      { type: 'paragraph', text: 'Intro', line: 0 },
+      { type: 'check', checked: false, text: 'open', line: 1 },
+      { type: 'check', checked: true, text: 'done', line: 2 },
+      { type: 'bullet', text: 'item', line: 3 },
+      { type: 'bullet', text: '[link]', line: 4 }
+    ]);
+  });
+});
@@ -0,0 +1,102 @@
+// Sample content used to seed a brand-new board on first run
+export const sampleNotes = [
+  {
+    id: 1,
+    title: "AI Integration Strategy",
+    content: "Explore how we can integrate AI into our product workflow to improve user experience and automate repetitive tasks.",
+    color: "blue",
+    category: "Ideas",
+    author: "John Doe",
+    createdAt: "2025-01-10T10:30:00Z",
+    position: { x: 100, y: 100 },
+    zIndex: 1,
+    comments: [
+      {
+        id: 1,
+        text: "This could really streamline our development process",
+        author: "Sarah Johnson",
+        timestamp: "2025-01-10T11:00:00Z"
+      }
+    ]
+  },
+  {
+    id: 2,
+    title: "User Feedback Analysis",
+    content: "Analyze recent user feedback to identify pain points and opportunities for improvement in our current features.",
+    color: "yellow",
+    category: "Research",
+    author: "Sarah Johnson",
+    createdAt: "2025-01-09T14:15:00Z",
+    position: { x: 400, y: 150 },
+    zIndex: 1,
+    comments: []
+  },
+  {
+    id: 3,
+    title: "Q2 Product Roadmap",
+    content: "Define key milestones and deliverables for the second quarter, including new feature releases and performance improvements.",
+    color: "green",
+    category: "Goals",
+    author: "Mike Chen",
+    createdAt: "2025-01-08T09:45:00Z",
+    position: { x: 250, y: 300 },
+    zIndex: 1,
+    comments: []
+  },
+  {
+    id: 4,
+    title: "Mobile App Performance",
+    content: "Investigate and resolve performance issues reported in the mobile application, particularly on older devices.",
+    color: "pink",
+    category: "Tasks",
+    author: "Alex Kim",
+    createdAt: "2025-01-07T16:20:00Z",
+    position: { x: 600, y: 250 },
+    zIndex: 1,
+    comments: []
+  },
+  {
+    id: 5,
+    title: "Team Collaboration Tools",
+    content: "Research and evaluate new collaboration tools that could enhance remote team productivity and communication.",
+    color: "purple",
+    category: "Research",
+    author: "Emily Davis",
+    createdAt: "2025-01-06T13:10:00Z",
+    position: { x: 150, y: 450 },
+    zIndex: 1,
+    comments: []
+  }
+];
+
+export const sampleConnections = [
+  { from: 1, to: 2, color: "#6366f1" },
+  { from: 2, to: 3, color: "#10b981" }
+];
+
+export const sampleCollaborators = [
+  {
+    id: 1,
+    name: "John Doe",
+    email: "john.doe@company.com",
+    role: "owner",
+    status: "active",
+    lastActive: "2025-01-12T07:01:45Z"
+  },
+  {
+    id: 2,
+    name: "Sarah Johnson",
+    email: "sarah.johnson@company.com",
+    role: "editor",
+    status: "active",
+    lastActive: "2025-01-12T06:45:00Z"
+  },
+  {
+    id: 3,
+    name: "Mike Chen",
+    email: "mike.chen@company.com",
+    role: "editor",
+    status: "offline",
+    lastActive: "2025-01-11T18:30:00Z"
+  }
+];
@@ -0,0 +1,135 @@
+import { hasUnresolvedComments } from './comments';
+
+// Search query language for the whiteboard filter:
+//   plain words and "quoted phrases"    match title, content, category or author
+//   title: content: author: category:   match that field only
+//   color:blue                           exact note color
+//   has:comments has:unresolved has:connections has:content has:category
+//   created:>2025-01-01 (also >=, <, <= or a bare date for that day)
+//   -term / -field:value                 excludes matches
+// Every term must hold for a note to match.
+const TEXT_FIELDS = ['title', 'content', 'author', 'category'];
+const HAS_VALUES = ['comments', 'unresolved', 'connections', 'content', 'category'];
+const SAVED_SEARCHES_KEY = 'whiteboard-saved-searches';
+
+const TOKEN = /(-?)(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/gi;
+const DATE_VALUE = /^(>=|<=|>|<|=)?(\d{4}-\d{2}-\d{2})$/;
+
+const startOfDay = (value) => {
+  const date = new Date(`${value}T00:00:00`);
+  return Number.isNaN(date.getTime()) ? null : date.getTime();
+};
+
+const parseTerm = (negated, field, value, raw) => {
+  if (!field) return { field: 'text', value: value.toLowerCase(), negated };
+
+  const key = field.toLowerCase();
+  if (TEXT_FIELDS.includes(key) || key === 'color') {
+    return { field: key, value: value.toLowerCase(), negated };
+  }
+  if (key === 'has') {
+    const what = value.toLowerCase();
+    return HAS_VALUES.includes(what)
+      ? { field: 'has', value: what, negated }
+      : { error: `Unknown has: value "${value}" (try ${HAS_VALUES.join(', ')})` };
+  }
+  if (key === 'created') {
+    const match = value.match(DATE_VALUE);
+    const day = match && startOfDay(match[2]);
+    return !match || day === null
+      ? { error: `Use a date like created:>2025-01-01, not "${value}"` }
+      : { field: 'created', op: match[1] || '=', value: day, negated };
+  }
+  // Not a field we know, so treat "foo:bar" as text
+  return { field: 'text', value: raw.replace(/^-/, '').toLowerCase(), negated };
+};
+
+// Returns { terms, errors }; terms that failed to parse are left out
+export const parseSearchQuery = (query) => {
+  const terms = [];
+  const errors = [];
+  for (const match of String(query || '').matchAll(TOKEN)) {
+    const [raw, minus, field, quoted, bare] = match;
+    const value = quoted ?? bare ?? '';
+    if (!value && !field) continue;
+    const term = parseTerm(minus === '-', field, value, raw);
+    if (term.error) {
+      errors.push(term.error);
+    } else if (term.value !== '') {
+      terms.push(term);
+    }
+  }
+  return { terms, errors };
+};
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const matchesCreated = (createdAt, op, day) => {
+  const time = new Date(createdAt).getTime();
+  if (Number.isNaN(time)) return false;
+  switch (op) {
+    case '>': return time >= day + DAY;
+    case '>=': return time >= day;
+    case '<': return time < day;
+    case '<=': return time < day + DAY;
+    default: return time >= day && time < day + DAY;
+  }
+};
+
+const includes = (text, value) => String(text ?? '').toLowerCase().includes(value);
+
+const matchesTerm = (note, term, connectionCounts) => {
+  switch (term.field) {
+    case 'text':
+      return TEXT_FIELDS.some(field => includes(note[field], term.value));
+    case 'color':
+      return (note.color || 'yellow') === term.value;
+    case 'has':
+      if (term.value === 'comments') return (note.comments?.length || 0) > 0;
+      if (term.value === 'unresolved') return hasUnresolvedComments(note);
+      if (term.value === 'connections') return (connectionCounts?.get(note.id) || 0) > 0;
+      return !!String(note[term.value] ?? '').trim();
+    case 'created':
+      return matchesCreated(note.createdAt, term.op, term.value);
+    default:
+      return includes(note[term.field], term.value);
+  }
+};
+
+// connectionCounts (note id -> count) is only needed for has:connections
+export const matchesSearch = (note, terms, connectionCounts) => (
+  terms.every(term => matchesTerm(note, term, connectionCounts) !== term.negated)
+);
+
+// Words to mark in each displayed field: free text anywhere, field terms in their field
+export const getHighlightTerms = (terms) => {
+  const highlights = { title: [], content: [], author: [], category: [] };
+  terms.filter(term => !term.negated).forEach(term => {
+    if (term.field === 'text') {
+      TEXT_FIELDS.forEach(field => highlights[field].push(term.value));
+    } else if (TEXT_FIELDS.includes(term.field)) {
+      highlights[term.field].push(term.value);
+    }
+  });
+  return Object.values(highlights).some(list => list.length) ? highlights : null;
+};
+
+// Saved searches are shared by every board: [{ id, name, query }]
+export const loadSavedSearches = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(SAVED_SEARCHES_KEY));
+    return Array.isArray(saved)
+      ? saved.filter(search => search && typeof search.query === 'string' && typeof search.name === 'string')
+      : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+export const storeSavedSearches = (searches) => {
+  try {
+    localStorage.setItem(SAVED_SEARCHES_KEY, JSON.stringify(searches));
+  } catch (error) {
+    // Saved searches are a convenience; losing them isn't worth interrupting the user
+  }
+};
@@ -0,0 +1,68 @@
+import { describe, it, expect } from 'vitest';
+import { parseSearchQuery, matchesSearch } from './searchQuery';
+
+describe('parseSearchQuery', () => {
+  it('keeps quoted phrases together', () => {
+    expect(parseSearchQuery('"Launch plan" title:"beta release"').terms).toEqual([
+      { field: 'text', value: 'launch plan', negated: false },
+      { field: 'title', value: 'beta release', negated: false }
+    ]);
+  });
+
+  it('reads an unclosed quote to the end of the query', () => {
+    expect(parseSearchQuery('-"open question').terms).toEqual([
+      { field: 'text', value: 'open question', negated: true }
+    ]);
+  });
+
+  it('treats unknown fields as text', () => {
+    expect(parseSearchQuery('foo:bar -http://example.com').terms).toEqual([
+      { field: 'text', value: 'foo:bar', negated: false },
+      { field: 'text', value: 'http://example.com', negated: true }
+    ]);
+  });
+
+  it('returns nothing for empty input', () => {
+    [undefined, null, '', '   ', '""', 'title:""'].forEach(query => {
+      expect(parseSearchQuery(query)).toEqual({ terms: [], errors: [] });
+    });
+  });
+
+  it('reports values it can\'t read and keeps the other terms', () => {
+    const { terms, errors } = parseSearchQuery('has:nothing created:yesterday created:>2025-13-45 roadmap');
+    expect(terms).toEqual([{ field: 'text', value: 'roadmap', negated: false }]);
+    expect(errors).toHaveLength(3);
+    expect(errors[0]).toContain('has:');
+  });
+
+  it('reads date comparisons', () => {
+    const [term] = parseSearchQuery('created:>=2025-01-01').terms;
+    expect(term).toMatchObject({ field: 'created', op: '>=' });
+    expect(term.value).toBe(new Date('2025-01-01T00:00:00').getTime());
+  });
+});
+
+describe('matchesSearch', () => {
+  const note = {
+    id: 1,
+    title: 'Launch plan',
+    content: 'Ship the beta',
+    category: 'Roadmap',
+    author: 'Sarah',
+    color: 'blue',
+    createdAt: '2025-01-02T10:00:00',
+    comments: []
+  };
+  const matches = (query) => matchesSearch(note, parseSearchQuery(query).terms, new Map());
+
+  it('matches every term against the note', () => {
+    expect(matches('"launch plan" beta')).toBe(true);
+    expect(matches('"plan launch"')).toBe(false);
+    expect(matches('title:beta')).toBe(false);
+    expect(matches('color:blue -has:comments created:>2025-01-01')).toBe(true);
+  });
+
+  it('matches everything when the query is empty', () => {
+    expect(matches('')).toBe(true);
+  });
+});
@@ -0,0 +1,85 @@
+// Keyboard shortcuts for the whiteboard. Single-key shortcuts never fire while
+// focus is in a text field, so typing in notes, search and forms is unaffected.
+export const isTypingTarget = (target) => (
+  !!target?.closest?.('input, textarea, select, [contenteditable="true"]')
+);
+
+export const MOD_KEY = typeof navigator !== 'undefined' && /Mac|iPhone|iPad/.test(navigator.platform || '')
+  ? '⌘'
+  : 'Ctrl';
+
+// Arrow keys nudge the selection in world units, or pan the view in screen pixels
+export const NUDGE_STEP = 10;
+export const NUDGE_STEP_LARGE = 50;
+export const PAN_STEP = 80;
+
+// Keys that only make sense on the canvas, not in the outline view
+export const CANVAS_KEYS = ['Tab', '+', '=', '-', '0', '1', '2'];
+
+export const ARROW_DIRECTIONS = {
+  ArrowUp: { x: 0, y: -1 },
+  ArrowDown: { x: 0, y: 1 },
+  ArrowLeft: { x: -1, y: 0 },
+  ArrowRight: { x: 1, y: 0 }
+};
+
+// Listed in the help overlay; the palette shows the same keys next to its commands
+export const SHORTCUT_GROUPS = [
+  {
+    title: 'Notes',
+    shortcuts: [
+      { keys: ['N'], description: 'New note' },
+      { keys: ['Enter'], description: 'Open the selected note (or finish a connection)' },
+      { keys: ['Delete'], description: 'Delete the selected notes or connection' },
+      { keys: ['←', '↑', '→', '↓'], description: 'Nudge the selection (Shift for bigger steps)' },
+      { keys: ['C'], description: 'Start a connection; select the other note and press Enter' },
+      { keys: ['Esc'], description: 'Cancel connecting, or clear the selection' }
+    ]
+  },
+  {
+    title: 'Navigation',
+    shortcuts: [
+      { keys: ['Tab'], description: 'Select the next note (Shift+Tab for the previous)' },
+      { keys: ['Alt+←', 'Alt+↑', 'Alt+→', 'Alt+↓'], description: 'Select the nearest note in that direction' },
+      { keys: ['←', '↑', '→', '↓'], description: 'Pan the board when nothing is selected' },
+      { keys: ['+', '-'], description: 'Zoom in / out' },
+      { keys: ['0'], description: 'Reset zoom to 100%' },
+      { keys: ['1'], description: 'Fit all notes' },
+      { keys: ['2'], description: 'Zoom to selection' },
+      { keys: ['/'], description: 'Search' }
+    ]
+  },
+  {
+    title: 'Kanban',
+    shortcuts: [
+      { keys: ['←', '↑', '→', '↓'], description: 'Move between cards' },
+      { keys: ['Alt+←', 'Alt+→'], description: 'Move the card to the previous or next column' },
+      { keys: ['Alt+↑', 'Alt+↓'], description: 'Move the card up or down its column' }
+    ]
+  },
+  {
+    title: 'General',
+    shortcuts: [
+      { keys: [`${MOD_KEY}+K`], description: 'Command palette' },
+      { keys: [`${MOD_KEY}+Z`], description: 'Undo' },
+      { keys: [`${MOD_KEY}+Shift+Z`], description: 'Redo' },
+      { keys: ['?'], description: 'Show keyboard shortcuts' }
+    ]
+  }
+];
+
+// Palette commands whose label and group contain every word of the query,
+// those starting with the query first
+export const filterCommands = (commands, query) => {
+  const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+  if (words.length === 0) return commands;
+  const matches = commands.filter(command => {
+    const text = `${command.group} ${command.label}`.toLowerCase();
+    return words.every(word => text.includes(word));
+  });
+  const prefix = query.trim().toLowerCase();
+  return [
+    ...matches.filter(command => command.label.toLowerCase().startsWith(prefix)),
+    ...matches.filter(command => !command.label.toLowerCase().startsWith(prefix))
+  ];
+};
@@ -0,0 +1,67 @@
+import { rectsIntersect } from './geometry';
+
+// Uniform grid hash: every item is bucketed into the cells its bounds overlap
+const DEFAULT_CELL_SIZE = 512;
+
+export const createSpatialIndex = (items, getBounds, cellSize = DEFAULT_CELL_SIZE) => {
+  const cells = new Map();
+  const entries = items.map((item, index) => ({ item, index, bounds: getBounds(item) }));
+
+  const cellRange = (rect) => ({
+    minX: Math.floor(rect.x / cellSize),
+    minY: Math.floor(rect.y / cellSize),
+    maxX: Math.floor((rect.x + rect.width) / cellSize),
+    maxY: Math.floor((rect.y + rect.height) / cellSize)
+  });
+
+  entries.forEach((entry) => {
+    const { minX, minY, maxX, maxY } = cellRange(entry.bounds);
+    for (let cx = minX; cx <= maxX; cx++) {
+      for (let cy = minY; cy <= maxY; cy++) {
+        const key = `${cx}:${cy}`;
+        if (!cells.has(key)) cells.set(key, []);
+        cells.get(key).push(entry);
+      }
+    }
+  });
+
+  // Items overlapping `rect`, in their original order so stacking is preserved
+  const query = (rect) => {
+    const { minX, minY, maxX, maxY } = cellRange(rect);
+    const rangeSize = (maxX - minX + 1) * (maxY - minY + 1);
+    const seen = new Set();
+    const hits = [];
+
+    const collect = (bucket) => {
+      bucket.forEach((entry) => {
+        if (!seen.has(entry.index) && rectsIntersect(entry.bounds, rect)) {
+          seen.add(entry.index);
+          hits.push(entry);
+        }
+      });
+    };
+
+    if (rangeSize > cells.size) {
+      // Zoomed far out: walking the occupied cells is cheaper than the range
+      cells.forEach(collect);
+    } else {
+      for (let cx = minX; cx <= maxX; cx++) {
+        for (let cy = minY; cy <= maxY; cy++) {
+          const bucket = cells.get(`${cx}:${cy}`);
+          if (bucket) collect(bucket);
+        }
+      }
+    }
+
+    return hits.sort((a, b) => a.index - b.index).map(entry => entry.item);
+  };
+
+  return { query, size: entries.length };
+};
+
+export const expandRect = (rect, margin) => ({
+  x: rect.x - margin,
+  y: rect.y - margin,
+  width: rect.width + margin * 2,
+  height: rect.height + margin * 2
+});
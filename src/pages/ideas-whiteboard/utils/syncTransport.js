@@ -0,0 +1,177 @@
+// Transports carry collaboration messages for one room. They all share one shape:
+//   { connect(), disconnect(), send(message) => boolean, subscribe(handler) => unsubscribe,
+//     onStatus(handler) => unsubscribe, keepsHistory }
+// Status is 'connecting' | 'online' | 'offline'. `keepsHistory` means a relay replays the
+// room to late joiners, so peers don't need to answer each other's joins. Transports that
+// can receive unreadable data also offer onError(handler) => unsubscribe, called with an
+// error code ('bad-message').
+export const COLLAB_EVENT = 'whiteboard:collab';
+
+const RECONNECT_BASE_MS = 500;
+const RECONNECT_MAX_MS = 10000;
+
+const createEmitter = () => {
+  const handlers = new Set();
+  return {
+    emit: (value) => handlers.forEach(handler => handler(value)),
+    add: (handler) => {
+      handlers.add(handler);
+      return () => handlers.delete(handler);
+    }
+  };
+};
+
+const createStatus = () => {
+  const emitter = createEmitter();
+  let status = 'offline';
+  return {
+    get: () => status,
+    set: (next) => {
+      if (next === status) return;
+      status = next;
+      emitter.emit(status);
+    },
+    onStatus: (handler) => {
+      handler(status);
+      return emitter.add(handler);
+    }
+  };
+};
+
+// Plain WebSocket relay (see collabDevServer.mjs), reconnecting with backoff
+export const createWebSocketTransport = (url, room) => {
+  const messages = createEmitter();
+  const errors = createEmitter();
+  const status = createStatus();
+  let socket = null;
+  let attempts = 0;
+  let retryTimer = null;
+  let active = false;
+
+  const open = () => {
+    status.set('connecting');
+    socket = new WebSocket(url);
+    socket.onopen = () => {
+      attempts = 0;
+      status.set('online');
+    };
+    socket.onmessage = (event) => {
+      let message = null;
+      try {
+        message = JSON.parse(event.data);
+      } catch (error) {
+        errors.emit('bad-message');
+        return;
+      }
+      if (message?.room === room) messages.emit(message);
+    };
+    socket.onclose = () => {
+      socket = null;
+      status.set('offline');
+      if (!active) return;
+      const delay = Math.min(RECONNECT_MAX_MS, RECONNECT_BASE_MS * 2 ** attempts);
+      attempts++;
+      retryTimer = setTimeout(open, delay);
+    };
+  };
+
+  return {
+    keepsHistory: true,
+    connect: () => {
+      if (active) return;
+      active = true;
+      open();
+    },
+    disconnect: () => {
+      active = false;
+      clearTimeout(retryTimer);
+      socket?.close();
+    },
+    send: (message) => {
+      if (socket?.readyState !== WebSocket.OPEN) return false;
+      socket.send(JSON.stringify({ ...message, room }));
+      return true;
+    },
+    subscribe: messages.add,
+    onStatus: status.onStatus,
+    onError: errors.add
+  };
+};
+
+// Dev server stand-in: rides Vite's HMR socket, relayed by the collabDevServer plugin.
+// Vite handles reconnecting its own socket.
+export const createViteDevTransport = (hot, room) => {
+  const messages = createEmitter();
+  const status = createStatus();
+  let active = false;
+
+  const handleMessage = (message) => {
+    if (active && message.room === room) messages.emit(message);
+  };
+  const handleConnect = () => active && status.set('online');
+  const handleDisconnect = () => active && status.set('offline');
+
+  hot.on(COLLAB_EVENT, handleMessage);
+  hot.on('vite:ws:connect', handleConnect);
+  hot.on('vite:ws:disconnect', handleDisconnect);
+
+  return {
+    keepsHistory: true,
+    connect: () => {
+      active = true;
+      status.set('online');
+    },
+    disconnect: () => {
+      active = false;
+      status.set('offline');
+      hot.off?.(COLLAB_EVENT, handleMessage);
+      hot.off?.('vite:ws:connect', handleConnect);
+      hot.off?.('vite:ws:disconnect', handleDisconnect);
+    },
+    send: (message) => {
+      if (!active || status.get() !== 'online') return false;
+      hot.send(COLLAB_EVENT, { ...message, room });
+      return true;
+    },
+    subscribe: messages.add,
+    onStatus: status.onStatus
+  };
+};
+
+// Same-browser fallback between tabs when no relay is available
+export const createBroadcastTransport = (room) => {
+  const messages = createEmitter();
+  const status = createStatus();
+  let channel = null;
+
+  return {
+    keepsHistory: false,
+    connect: () => {
+      if (channel) return;
+      channel = new BroadcastChannel(`${COLLAB_EVENT}:${room}`);
+      channel.onmessage = (event) => messages.emit(event.data);
+      status.set('online');
+    },
+    disconnect: () => {
+      channel?.close();
+      channel = null;
+      status.set('offline');
+    },
+    send: (message) => {
+      if (!channel) return false;
+      channel.postMessage({ ...message, room });
+      return true;
+    },
+    subscribe: messages.add,
+    onStatus: status.onStatus
+  };
+};
+
+// VITE_COLLAB_URL points at a relay; otherwise use the dev server, then other tabs
+export const createSyncTransport = (room) => {
+  const url = import.meta.env.VITE_COLLAB_URL;
+  if (url) return createWebSocketTransport(url, room);
+  if (import.meta.hot) return createViteDevTransport(import.meta.hot, room);
+  if (typeof BroadcastChannel !== 'undefined') return createBroadcastTransport(room);
+  return null;
+};
@@ -0,0 +1,107 @@
+import { getNoteStatus } from './kanban';
+
+// Scheduling fields on notes: `dueAt` (ISO time), `priority` (an id below),
+// `assigneeIds` (collaborator ids) and `remindBefore` (minutes before dueAt, or
+// unset for no reminder). Done cards are never overdue and never remind.
+export const TASK_PRIORITIES = [
+  { id: 'low', label: 'Low', className: 'text-gray-600' },
+  { id: 'medium', label: 'Medium', className: 'text-amber-600' },
+  { id: 'high', label: 'High', className: 'text-red-600' }
+];
+
+export const REMINDER_OPTIONS = [
+  { minutes: 0, label: 'At the due time' },
+  { minutes: 15, label: '15 minutes before' },
+  { minutes: 60, label: '1 hour before' },
+  { minutes: 24 * 60, label: '1 day before' }
+];
+
+const FIRED_REMINDERS_KEY = 'whiteboard-reminders-fired';
+
+const pad = (value) => String(value).padStart(2, '0');
+
+export const getPriority = (note) => TASK_PRIORITIES.find(priority => priority.id === note.priority) || null;
+
+// <input type="datetime-local"> works in local time without a zone
+export const toDateTimeInput = (iso) => {
+  const date = iso ? new Date(iso) : null;
+  if (!date || Number.isNaN(date.getTime())) return '';
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+};
+
+export const fromDateTimeInput = (value) => {
+  const date = value ? new Date(value) : null;
+  return date && !Number.isNaN(date.getTime()) ? date.toISOString() : null;
+};
+
+const dueTime = (note) => {
+  const time = note.dueAt ? Date.parse(note.dueAt) : NaN;
+  return Number.isNaN(time) ? null : time;
+};
+
+export const isOpenTask = (note) => dueTime(note) !== null && getNoteStatus(note) !== 'done';
+
+export const isOverdue = (note, now) => isOpenTask(note) && dueTime(note) < now;
+
+export const formatDue = (iso) => new Date(iso).toLocaleDateString('en-US', {
+  month: 'short',
+  day: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit'
+});
+
+export const isAssignedTo = (note, userId) => (note.assigneeIds || []).includes(userId);
+
+// Reminders go to the note's assignees, or to anyone when nobody is assigned
+const remindsUser = (note, userId) => !note.assigneeIds?.length || isAssignedTo(note, userId);
+
+const getReminderTime = (note) => (
+  isOpenTask(note) && Number.isFinite(note.remindBefore)
+    ? dueTime(note) - note.remindBefore * 60 * 1000
+    : null
+);
+
+// Changing the due date or the reminder makes a new reminder, even for the same note
+const reminderKey = (boardId, note) => `${boardId}:${note.id}:${note.dueAt}:${note.remindBefore}`;
+
+export const loadFiredReminders = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(FIRED_REMINDERS_KEY));
+    return Array.isArray(saved) ? saved : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+const storeFiredReminders = (keys) => {
+  try {
+    localStorage.setItem(FIRED_REMINDERS_KEY, JSON.stringify(keys));
+  } catch (error) {
+    // Worst case a reminder shows again after a reload
+  }
+};
+
+// The local scheduler's tick: returns the notes whose reminder time has passed and
+// that haven't reminded on this device yet, and marks them as fired. Fired keys for
+// this board are kept only while their reminder is still due, so deleted, done or
+// rescheduled notes don't pile up and a key is never dropped while it still matters.
+export const collectReminders = (notes, { boardId, userId, now }) => {
+  const fired = loadFiredReminders();
+  const firedSet = new Set(fired);
+  const boardPrefix = `${boardId}:`;
+  const stillDue = new Set();
+  const due = [];
+
+  notes.forEach(note => {
+    const time = getReminderTime(note);
+    if (time === null || time > now || !remindsUser(note, userId)) return;
+    const key = reminderKey(boardId, note);
+    stillDue.add(key);
+    if (!firedSet.has(key)) due.push(note);
+  });
+
+  const kept = fired.filter(key => !key.startsWith(boardPrefix) || stillDue.has(key));
+  const next = [...kept, ...due.map(note => reminderKey(boardId, note))];
+  if (next.length !== fired.length || due.length > 0) storeFiredReminders(next);
+  return due;
+};
@@ -0,0 +1,32 @@
+import { describe, it, expect } from 'vitest';
+import { collectReminders, loadFiredReminders } from './tasks';
+
+const now = Date.parse('2026-03-02T10:00:00Z');
+const task = (id, dueAt, fields = {}) => ({ id, title: `Task ${id}`, dueAt, remindBefore: 0, ...fields });
+const collect = (notes, boardId = 'b1') => collectReminders(notes, { boardId, userId: 1, now });
+
+describe('collectReminders', () => {
+  it('reminds once about each task that has come due', () => {
+    const notes = [task(1, '2026-03-02T09:00:00Z'), task(2, '2026-03-02T11:00:00Z')];
+    expect(collect(notes).map(note => note.id)).toEqual([1]);
+    expect(collect(notes)).toEqual([]);
+  });
+
+  it('forgets reminders for deleted, done or rescheduled notes', () => {
+    collect([task(1, '2026-03-02T09:00:00Z'), task(2, '2026-03-02T09:00:00Z'), task(3, '2026-03-02T09:00:00Z')]);
+    collect([task(2, '2026-03-02T09:00:00Z', { status: 'done' }), task(3, '2026-03-02T12:00:00Z')]);
+    expect(loadFiredReminders()).toEqual([]);
+  });
+
+  it('keeps the fired reminders of other boards', () => {
+    collect([task(1, '2026-03-02T09:00:00Z')], 'b2');
+    collect([], 'b1');
+    expect(collect([task(1, '2026-03-02T09:00:00Z')], 'b2')).toEqual([]);
+  });
+
+  it('never forgets a reminder that is still due, however many there are', () => {
+    const notes = Array.from({ length: 300 }, (_, index) => task(index, '2026-03-02T09:00:00Z'));
+    expect(collect(notes)).toHaveLength(300);
+    expect(collect(notes)).toEqual([]);
+  });
+});
@@ -0,0 +1,103 @@
+import { validateImport } from './importers';
+import { toTemplateNote } from './boardTemplates';
+import { TASK_PRIORITIES } from './tasks';
+
+// Custom templates live on this device and are shared by every board:
+// { notes: [noteTemplate], boards: [boardTemplate] } (see noteTemplates.js and
+// boardTemplates.js for the shapes). Files for sharing them wrap one template as
+// { type: 'whiteboard-template', version, kind: 'note' | 'board', template }.
+const CUSTOM_TEMPLATES_KEY = 'whiteboard-templates';
+const TEMPLATE_FILE_TYPE = 'whiteboard-template';
+const TEMPLATE_FILE_VERSION = 1;
+
+export const createTemplateId = () => `template-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+
+const toText = (value) => String(value ?? '');
+
+// A note template with only the fields we use, or null
+const cleanNoteTemplate = (template) => {
+  if (!template || typeof template !== 'object' || !template.note || typeof template.note !== 'object') return null;
+  const name = toText(template.name).trim();
+  if (!name) return null;
+  return {
+    id: typeof template.id === 'string' ? template.id : createTemplateId(),
+    name,
+    icon: 'FileText',
+    note: {
+      title: toText(template.note.title),
+      content: toText(template.note.content),
+      color: toText(template.note.color) || 'yellow',
+      category: toText(template.note.category),
+      ...(TASK_PRIORITIES.some(priority => priority.id === template.note.priority) && { priority: template.note.priority })
+    }
+  };
+};
+
+// A board template whose board passes the import checks, or null. Its notes keep only
+// the fields a captured board would, whatever else the file carries.
+const cleanBoardTemplate = (template) => {
+  if (!template || typeof template !== 'object') return null;
+  const name = toText(template.name).trim();
+  const { data } = validateImport(template.board);
+  if (!name || !data || data.notes.length === 0 || data.notes.some(note => !note.position)) return null;
+  return {
+    id: typeof template.id === 'string' ? template.id : createTemplateId(),
+    name,
+    description: toText(template.description),
+    icon: 'LayoutTemplate',
+    board: { notes: data.notes.map(toTemplateNote), connections: data.connections, frames: data.frames }
+  };
+};
+
+export const loadCustomTemplates = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(CUSTOM_TEMPLATES_KEY)) || {};
+    return {
+      notes: (Array.isArray(saved.notes) ? saved.notes : []).map(cleanNoteTemplate).filter(Boolean),
+      boards: (Array.isArray(saved.boards) ? saved.boards : []).map(cleanBoardTemplate).filter(Boolean)
+    };
+  } catch (error) {
+    return { notes: [], boards: [] };
+  }
+};
+
+// Returns false when the browser refused to store them (usually a full quota)
+export const storeCustomTemplates = (templates) => {
+  try {
+    localStorage.setItem(CUSTOM_TEMPLATES_KEY, JSON.stringify(templates));
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+export const serializeTemplate = (kind, { id, icon, ...template }) => JSON.stringify({
+  type: TEMPLATE_FILE_TYPE,
+  version: TEMPLATE_FILE_VERSION,
+  kind,
+  template
+}, null, 2);
+
+// { kind, template } from a shared file, with a fresh id; throws with a message
+// fit for the user when the file isn't a usable template
+export const parseTemplateFile = (text) => {
+  let file;
+  try {
+    file = JSON.parse(text);
+  } catch (error) {
+    throw new Error('This file isn\'t valid JSON');
+  }
+  if (!file || file.type !== TEMPLATE_FILE_TYPE) {
+    throw new Error('This file isn\'t a whiteboard template');
+  }
+  if (file.version > TEMPLATE_FILE_VERSION) {
+    throw new Error('This template was made with a newer version of the app');
+  }
+
+  const clean = file.kind === 'board' ? cleanBoardTemplate : file.kind === 'note' ? cleanNoteTemplate : null;
+  const template = clean?.({ ...file.template, id: createTemplateId() });
+  if (!template) {
+    throw new Error('This template is missing its name or content');
+  }
+  return { kind: file.kind, template };
+};
@@ -0,0 +1,43 @@
+import { describe, it, expect } from 'vitest';
+import { parseTemplateFile } from './templateStorage';
+
+const templateFile = (notes) => JSON.stringify({
+  type: 'whiteboard-template',
+  version: 1,
+  kind: 'board',
+  template: { name: 'Retro', board: { notes, connections: [] } }
+});
+
+describe('parseTemplateFile', () => {
+  it('keeps only the note fields a captured board would', () => {
+    const { template } = parseTemplateFile(templateFile([{
+      id: 1,
+      title: 'Went well',
+      content: '',
+      color: 'green',
+      position: { x: 0, y: 0 },
+      author: 'Someone else',
+      assigneeIds: [7],
+      image: { blobId: 'blob-1' },
+      type: 'image',
+      comments: [{ id: 1, author: 'Someone else', text: 'Hi', timestamp: '2026-03-02T10:00:00Z' }]
+    }]));
+
+    expect(template.board.notes).toEqual([{
+      id: 1,
+      title: 'Went well',
+      content: '',
+      color: 'green',
+      category: '',
+      position: { x: 0, y: 0 },
+      comments: [],
+      zIndex: 1
+    }]);
+  });
+
+  it('keeps link notes', () => {
+    const link = { url: 'https://example.com', title: 'example.com', description: '', siteName: 'example.com', imageUrl: '' };
+    const { template } = parseTemplateFile(templateFile([{ id: 1, title: 'Docs', type: 'link', link, position: { x: 0, y: 0 } }]));
+    expect(template.board.notes[0]).toMatchObject({ type: 'link', link });
+  });
+});
@@ -0,0 +1,210 @@
+import { withConnectionDefaults } from './connections';
+import { getFrameMembers } from './frames';
+import { escapeXml } from './boardImage';
+import { parseRichText } from './richText';
+import { buildThreads } from './comments';
+
+// Text exports of a board. Each exporter is a pure function of
+// ({ notes, connections, frames }, { title, exportedAt }) returning a string,
+// so they run the same in the app, in tests or in a script.
+const byReadingOrder = (a, b) => (a.position.y - b.position.y) || (a.position.x - b.position.x);
+
+const UNCATEGORIZED = 'Uncategorized';
+
+// Single line of text, for formats that can't hold line breaks
+const flatten = (text) => String(text ?? '').replace(/\s+/g, ' ').trim();
+
+const escapeMarkdown = (text) => String(text ?? '').replace(/([\\`*_[\]<>])/g, '\\$1');
+
+// Link targets can't hold brackets or whitespace, so those are percent-encoded
+const markdownUrl = (url) => String(url).replace(/[()<>\s]/g, char => (
+  { '(': '%28', ')': '%29' }[char] || encodeURIComponent(char)
+));
+
+// `blobs` ({ blobId: dataUrl }) makes the file a bundle carrying its images and attachments
+export const exportJson = ({ notes, connections, frames = [] }, { exportedAt = new Date(), blobs } = {}) => (
+  JSON.stringify({
+    notes,
+    connections,
+    frames,
+    exportDate: exportedAt.toISOString(),
+    ...(blobs && Object.keys(blobs).length ? { blobs } : {})
+  }, null, 2)
+);
+
+// Notes grouped under a heading per category, comments as nested bullets, then
+// the connections between them
+export const exportMarkdown = ({ notes, connections }, { title = 'Whiteboard', exportedAt = new Date() } = {}) => {
+  const groups = new Map();
+  [...notes].sort(byReadingOrder).forEach(note => {
+    const category = note.category?.trim() || UNCATEGORIZED;
+    if (!groups.has(category)) groups.set(category, []);
+    groups.get(category).push(note);
+  });
+  const categories = [...groups.keys()].sort((a, b) => (a === UNCATEGORIZED) - (b === UNCATEGORIZED));
+
+  const lines = [`# ${escapeMarkdown(title)}`, '', `_Exported ${exportedAt.toISOString().split('T')[0]}_`];
+  categories.forEach(category => {
+    lines.push('', `## ${escapeMarkdown(category)}`, '');
+    groups.get(category).forEach(note => {
+      // Content is already Markdown (utils/richText.js), so it goes in unescaped.
+      // Checklist and bullet lines nest under the note as task / list items.
+      const contentLines = String(note.content ?? '').trim().split(/\r?\n/).filter(line => line.trim());
+      const inline = contentLines.length && parseRichText(contentLines[0])[0].type === 'paragraph';
+      const title = note.type === 'link' && note.link?.url
+        ? `[${escapeMarkdown(note.title)}](${markdownUrl(note.link.url)})`
+        : escapeMarkdown(note.title);
+      const image = note.type === 'image' && note.image ? ` _(image: ${escapeMarkdown(note.image.name)})_` : '';
+      lines.push(`- **${title}**${image}${inline ? ` — ${contentLines[0].trim()}` : ''}`);
+      contentLines.slice(inline ? 1 : 0).forEach(line => lines.push(`  ${line.trim()}`));
+      const commentLine = (comment) => `${comment.author ? `${escapeMarkdown(comment.author)}: ` : ''}${escapeMarkdown(flatten(comment.text))}`;
+      buildThreads(note.comments).forEach(({ root, replies }) => {
+        lines.push(`  - ${commentLine(root)}${root.resolved ? ' _(resolved)_' : ''}`);
+        replies.forEach(reply => lines.push(`    - ${commentLine(reply)}`));
+      });
+    });
+  });
+
+  const titles = new Map(notes.map(note => [note.id, note.title]));
+  const links = connections.filter(conn => titles.has(conn.from) && titles.has(conn.to));
+  if (links.length) {
+    lines.push('', '## Connections', '');
+    links.forEach(conn => {
+      const { label, direction } = withConnectionDefaults(conn);
+      const arrow = { forward: '→', both: '↔', none: '—' }[direction] || '→';
+      lines.push(`- ${escapeMarkdown(titles.get(conn.from))} ${arrow} ${escapeMarkdown(titles.get(conn.to))}${label ? ` _(${escapeMarkdown(label)})_` : ''}`);
+    });
+  }
+
+  return `${lines.join('\n')}\n`;
+};
+
+const mermaidColors = {
+  yellow: 'fill:#fef08a,stroke:#fde047',
+  blue: 'fill:#bfdbfe,stroke:#93c5fd',
+  green: 'fill:#bbf7d0,stroke:#86efac',
+  pink: 'fill:#fbcfe8,stroke:#f9a8d4',
+  purple: 'fill:#e9d5ff,stroke:#d8b4fe',
+  orange: 'fill:#fed7aa,stroke:#fdba74'
+};
+
+// Mermaid wants quotes and a few brackets as entity codes inside labels
+const mermaidText = (text) => flatten(text)
+  .replace(/"/g, '#quot;')
+  .replace(/</g, '#lt;')
+  .replace(/>/g, '#gt;')
+  .replace(/\|/g, '#124;');
+
+const mermaidArrow = (style, direction) => {
+  const dashed = style !== 'solid';
+  if (direction === 'none') return dashed ? '-.-' : '---';
+  if (direction === 'both') return dashed ? '<-.->' : '<-->';
+  return dashed ? '-.->' : '-->';
+};
+
+// flowchart with one node per note, frames as subgraphs and note colours as classes.
+// A note inside nested frames goes in the smallest one.
+export const exportMermaid = ({ notes, connections, frames = [] }, { title } = {}) => {
+  const sorted = [...notes].sort(byReadingOrder);
+  const nodeIds = new Map(sorted.map((note, i) => [note.id, `n${i + 1}`]));
+  const node = (note) => `${nodeIds.get(note.id)}["${mermaidText(note.title) || ' '}"]`;
+
+  const members = getFrameMembers(frames, sorted);
+  const frameOf = new Map();
+  [...frames]
+    .sort((a, b) => b.width * b.height - a.width * a.height)
+    .forEach(frame => members.get(frame.id).forEach(id => frameOf.set(id, frame.id)));
+
+  const lines = [];
+  if (title) lines.push('---', `title: ${flatten(title)}`, '---');
+  lines.push('flowchart LR');
+  sorted.filter(note => !frameOf.has(note.id)).forEach(note => lines.push(`  ${node(note)}`));
+  frames.forEach((frame, i) => {
+    const inside = sorted.filter(note => frameOf.get(note.id) === frame.id);
+    if (!inside.length) return;
+    lines.push(`  subgraph f${i + 1}["${mermaidText(frame.title)}"]`);
+    inside.forEach(note => lines.push(`    ${node(note)}`));
+    lines.push('  end');
+  });
+
+  connections
+    .filter(conn => nodeIds.has(conn.from) && nodeIds.has(conn.to))
+    .forEach(conn => {
+      const { label, style, direction } = withConnectionDefaults(conn);
+      const text = mermaidText(label);
+      lines.push(`  ${nodeIds.get(conn.from)} ${mermaidArrow(style, direction)}${text ? `|"${text}"|` : ''} ${nodeIds.get(conn.to)}`);
+    });
+
+  Object.entries(mermaidColors).forEach(([color, css]) => {
+    const ids = sorted.filter(note => (note.color || 'yellow') === color).map(note => nodeIds.get(note.id));
+    if (ids.length) lines.push(`  classDef ${color} ${css}`, `  class ${ids.join(',')} ${color}`);
+  });
+
+  return `${lines.join('\n')}\n`;
+};
+
+// OPML 2.0 outline following connections: notes nobody points to are the top level
+// and each note nests the notes it connects to. Notes reachable twice appear once,
+// under the first parent met; cycles with no way in start from their first note.
+export const exportOpml = ({ notes, connections }, { title = 'Whiteboard', exportedAt = new Date() } = {}) => {
+  const sorted = [...notes].sort(byReadingOrder);
+  const order = new Map(sorted.map((note, i) => [note.id, i]));
+  const children = new Map(sorted.map(note => [note.id, []]));
+  const hasParent = new Set();
+  connections.forEach(conn => {
+    if (!children.has(conn.from) || !children.has(conn.to) || conn.from === conn.to) return;
+    children.get(conn.from).push(conn.to);
+    hasParent.add(conn.to);
+  });
+  children.forEach(list => list.sort((a, b) => order.get(a) - order.get(b)));
+
+  const byId = new Map(sorted.map(note => [note.id, note]));
+  const visited = new Set();
+  const outline = (id, depth) => {
+    visited.add(id);
+    const note = byId.get(id);
+    const indent = '  '.repeat(depth + 2);
+    const attributes = [
+      `text="${escapeXml(flatten(note.title))}"`,
+      note.content ? `_note="${escapeXml(note.content).replace(/\r?\n/g, '&#10;')}"` : '',
+      note.category ? `category="${escapeXml(note.category)}"` : ''
+    ].filter(Boolean).join(' ');
+    const nested = [
+      ...(note.comments || []).map(comment => (
+        `${indent}  <outline text="${escapeXml(flatten(`${comment.author ? `${comment.author}: ` : ''}${comment.text}`))}" type="comment"/>`
+      )),
+      // Checked as we go, since an earlier sibling's subtree may already hold a child
+      ...children.get(id).flatMap(childId => (visited.has(childId) ? [] : [outline(childId, depth + 1)]))
+    ];
+    return nested.length
+      ? `${indent}<outline ${attributes}>\n${nested.join('\n')}\n${indent}</outline>`
+      : `${indent}<outline ${attributes}/>`;
+  };
+
+  const body = [];
+  sorted.filter(note => !hasParent.has(note.id)).forEach(note => body.push(outline(note.id, 0)));
+  sorted.forEach(note => {
+    if (!visited.has(note.id)) body.push(outline(note.id, 0));
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<opml version="2.0">',
+    '  <head>',
+    `    <title>${escapeXml(title)}</title>`,
+    `    <dateCreated>${exportedAt.toUTCString()}</dateCreated>`,
+    '  </head>',
+    '  <body>',
+    ...body,
+    '  </body>',
+    '</opml>',
+    ''
+  ].join('\n');
+};
+
+export const TEXT_EXPORT_FORMATS = {
+  json: { label: 'JSON', description: 'Re-importable board file', extension: 'json', mimeType: 'application/json', serialize: exportJson },
+  markdown: { label: 'Markdown', description: 'Notes by category, for docs', extension: 'md', mimeType: 'text/markdown', serialize: exportMarkdown },
+  mermaid: { label: 'Mermaid', description: 'Flowchart of the connections', extension: 'mmd', mimeType: 'text/plain', serialize: exportMermaid },
+  opml: { label: 'OPML', description: 'Outline for outliner apps', extension: 'opml', mimeType: 'text/x-opml', serialize: exportOpml }
+};
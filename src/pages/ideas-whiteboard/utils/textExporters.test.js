@@ -0,0 +1,116 @@
+import { describe, it, expect } from 'vitest';
+import { exportMarkdown, exportMermaid, exportOpml } from './textExporters';
+
+const exportedAt = new Date('2026-03-02T10:00:00Z');
+
+const note = (id, title, x, y, fields = {}) => ({ id, title, content: '', position: { x, y }, comments: [], ...fields });
+
+// An inner frame inside an outer one, and a note outside both
+const frames = [
+  { id: 'outer', title: 'Outer "plan"', x: 0, y: 0, width: 2000, height: 2000 },
+  { id: 'inner', title: 'Inner', x: 50, y: 50, width: 600, height: 500 }
+];
+const notes = [
+  note(1, 'In both', 100, 100, { color: 'blue' }),
+  note(2, 'Outer only', 1200, 1200),
+  note(3, 'Outside', 5000, 5000)
+];
+
+describe('exportMarkdown', () => {
+  it('escapes Markdown in titles, categories and comments', () => {
+    const markdown = exportMarkdown({
+      notes: [note(1, '*Bold* [idea]', 0, 0, {
+        category: 'R&D_team',
+        comments: [{ id: 1, author: 'Ann', text: 'Use `code`\nnow', timestamp: '2026-03-02T10:00:00Z' }]
+      })],
+      connections: []
+    }, { exportedAt });
+
+    expect(markdown).toContain('## R&D\\_team');
+    expect(markdown).toContain('- **\\*Bold\\* \\[idea\\]**');
+    expect(markdown).toContain('  - Ann: Use \\`code\\` now');
+  });
+
+  it('encodes link targets so they can\'t end the link early', () => {
+    const markdown = exportMarkdown({
+      notes: [note(1, 'Docs', 0, 0, {
+        type: 'link',
+        link: { url: 'https://example.com/a (b)\n<script>' }
+      })],
+      connections: []
+    }, { exportedAt });
+
+    expect(markdown).toContain('- **[Docs](https://example.com/a%20%28b%29%0A%3Cscript%3E)**');
+  });
+
+  it('lists connections with their direction and label', () => {
+    const markdown = exportMarkdown({
+      notes: [note(1, 'A', 0, 0), note(2, 'B', 300, 0)],
+      connections: [{ from: 1, to: 2, label: 'needs', direction: 'both' }]
+    }, { exportedAt });
+
+    expect(markdown).toContain('## Connections\n\n- A ↔ B _(needs)_');
+  });
+});
+
+describe('exportMermaid', () => {
+  it('puts a note inside nested frames in the smallest one', () => {
+    const mermaid = exportMermaid({ notes, connections: [], frames });
+    const lines = mermaid.split('\n');
+
+    expect(lines).toContain('  n3["Outside"]');
+    const inner = lines.indexOf('  subgraph f2["Inner"]');
+    expect(lines.slice(inner, inner + 3)).toEqual(['  subgraph f2["Inner"]', '    n1["In both"]', '  end']);
+    const outer = lines.indexOf('  subgraph f1["Outer #quot;plan#quot;"]');
+    expect(lines.slice(outer, outer + 3)).toEqual(['  subgraph f1["Outer #quot;plan#quot;"]', '    n2["Outer only"]', '  end']);
+  });
+
+  it('escapes labels and keeps colours as classes', () => {
+    const mermaid = exportMermaid({
+      notes: [note(1, 'a <b> | "c"', 0, 0, { color: 'pink' }), note(2, 'Next', 300, 0)],
+      connections: [{ from: 1, to: 2, label: 'x|y', style: 'dashed' }]
+    }, { title: 'Board' });
+
+    expect(mermaid).toContain('n1["a #lt;b#gt; #124; #quot;c#quot;"]');
+    expect(mermaid).toContain('n1 -.->|"x#124;y"| n2');
+    expect(mermaid).toContain('class n1 pink');
+    expect(mermaid.startsWith('---\ntitle: Board\n---\nflowchart LR\n')).toBe(true);
+  });
+});
+
+describe('exportOpml', () => {
+  it('nests notes under the notes that point to them', () => {
+    const opml = exportOpml({
+      notes: [note(1, 'Root', 0, 0), note(2, 'Child', 0, 300), note(3, 'Grandchild', 0, 600)],
+      connections: [{ from: 1, to: 2 }, { from: 2, to: 3 }]
+    }, { exportedAt });
+
+    expect(opml).toContain([
+      '    <outline text="Root">',
+      '      <outline text="Child">',
+      '        <outline text="Grandchild"/>',
+      '      </outline>',
+      '    </outline>'
+    ].join('\n'));
+  });
+
+  it('escapes XML and keeps line breaks in notes', () => {
+    const opml = exportOpml({
+      notes: [note(1, 'A & "B" <C>', 0, 0, { content: 'one\ntwo' })],
+      connections: []
+    }, { title: 'R&D', exportedAt });
+
+    expect(opml).toContain('<title>R&amp;D</title>');
+    expect(opml).toContain('<outline text="A &amp; &quot;B&quot; &lt;C&gt;" _note="one&#10;two"/>');
+  });
+
+  it('includes every note of a cycle once', () => {
+    const opml = exportOpml({
+      notes: [note(1, 'A', 0, 0), note(2, 'B', 300, 0)],
+      connections: [{ from: 1, to: 2 }, { from: 2, to: 1 }]
+    }, { exportedAt });
+
+    expect(opml.match(/text="A"/g)).toHaveLength(1);
+    expect(opml.match(/text="B"/g)).toHaveLength(1);
+  });
+});
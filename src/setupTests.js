@@ -0,0 +1,19 @@
+import { afterEach, expect } from 'vitest';
+import { cleanup } from '@testing-library/react';
+import * as axeMatchers from 'vitest-axe/matchers';
+
+expect.extend(axeMatchers);
+
+afterEach(() => {
+  cleanup();
+  localStorage.clear();
+});
+
+// Browser APIs the whiteboard uses that jsdom doesn't provide
+if (!window.ResizeObserver) {
+  window.ResizeObserver = class {
+    observe() {}
+    unobserve() {}
+    disconnect() {}
+  };
+}
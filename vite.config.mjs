@@ -2,6 +2,7 @@ import { defineConfig } from "vite";
 import react from "@vitejs/plugin-react";
 import tsconfigPaths from "vite-tsconfig-paths";
 import tagger from "@dhiwise/component-tagger";
+import collabDevServer from "./collabDevServer.mjs";
 
 // https://vitejs.dev/config/
 export default defineConfig({
@@ -11,11 +12,15 @@ export default defineConfig({
     outDir: "build",
     chunkSizeWarningLimit: 2000,
   },
-  plugins: [tsconfigPaths(), react(), tagger()],
+  plugins: [tsconfigPaths(), react(), tagger(), collabDevServer()],
   server: {
     port: "4028",
     host: "0.0.0.0",
     strictPort: true,
     allowedHosts: ['.amazonaws.com', '.builtwithrocket.new']
+  },
+  test: {
+    environment: "jsdom",
+    setupFiles: "./src/setupTests.js"
   }
 });
\ No newline at end of file